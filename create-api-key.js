@@ -0,0 +1,46 @@
+/**
+ * API Key Creator
+ * Creates an API key, e.g. the first admin key (later keys can also be
+ * created through POST /api/auth/keys). The key is printed once; only its
+ * hash is stored.
+ *
+ * Usage:
+ *   node create-api-key.js --name "ops-admin" --role admin [--expires 2027-01-01]
+ */
+
+import authService from './src/services/AuthService.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    args[arg.slice(2)] = argv[++i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.name || !args.role) {
+    console.error('Usage: node create-api-key.js --name <name> --role <role> [--expires <ISO date>]');
+    process.exit(1);
+  }
+
+  const { api_key, key } = await authService.createApiKey({
+    name: args.name,
+    role: args.role,
+    expires_at: args.expires
+  }, 'create-api-key.js');
+
+  console.log(`🔑 API key "${api_key.name}" (${api_key.role}) created`);
+  console.log(`   id:      ${api_key.id}`);
+  console.log(`   expires: ${api_key.expires_at || 'never'}`);
+  console.log(`\n   ${key}\n`);
+  console.log('Store it now - it cannot be shown again. Send it as X-API-Key or Authorization: Bearer.');
+}
+
+main().catch(error => {
+  console.error('API key creation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,15 @@
+-- Migration: Create gmail_sync_state table
+-- Date: 2026-10-19
+-- Description: Tracks the last processed Gmail historyId per mailbox for Pub/Sub history sync
+
+-- Table: gmail_sync_state
+-- One row per watched mailbox
+CREATE TABLE IF NOT EXISTS gmail_sync_state (
+  email_address VARCHAR(255) PRIMARY KEY,
+  history_id VARCHAR(50) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Comments for documentation
+COMMENT ON TABLE gmail_sync_state IS 'Stores the last processed Gmail historyId per mailbox';
+COMMENT ON COLUMN gmail_sync_state.history_id IS 'Gmail historyId used as startHistoryId for the next users.history.list call';
@@ -0,0 +1,56 @@
+-- Migration: Create jobs table for the durable processing queue
+-- Date: 2026-10-19
+-- Description: Persists ingestion, analysis, decision and workflow jobs with leases, retries and dead-lettering
+
+-- Table: jobs
+-- One row per unit of pipeline work
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  email_id UUID REFERENCES emails(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  locked_by VARCHAR(100),
+  locked_until TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Indexes for jobs table
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_locked_until ON jobs(locked_until) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_email_id ON jobs(email_id);
+
+-- Function: claim_jobs
+-- Atomically leases due jobs (and jobs whose lease expired) to a worker
+CREATE OR REPLACE FUNCTION claim_jobs(p_worker_id TEXT, p_batch_size INTEGER, p_lease_seconds INTEGER)
+RETURNS SETOF jobs
+LANGUAGE sql
+AS $$
+  UPDATE jobs
+  SET status = 'running',
+      attempts = attempts + 1,
+      locked_by = p_worker_id,
+      locked_until = NOW() + make_interval(secs => p_lease_seconds),
+      updated_at = NOW()
+  WHERE id IN (
+    SELECT id FROM jobs
+    WHERE (status = 'pending' AND run_at <= NOW())
+       OR (status = 'running' AND locked_until <= NOW())
+    ORDER BY run_at
+    LIMIT p_batch_size
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *
+$$;
+
+-- Comments for documentation
+COMMENT ON TABLE jobs IS 'Durable queue for the email processing pipeline';
+COMMENT ON COLUMN jobs.type IS 'Job type: ingest_email, analyze_email, make_decision, execute_workflow';
+COMMENT ON COLUMN jobs.status IS 'Job status: pending, running, completed, dead';
+COMMENT ON COLUMN jobs.locked_until IS 'Lease expiry - running jobs past this time are reclaimed by another worker';
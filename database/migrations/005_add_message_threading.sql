@@ -0,0 +1,34 @@
+-- Migration: Add Message-ID deduplication and conversation threads
+-- Date: 2026-10-19
+-- Description: Stores RFC 5322 Message-ID / In-Reply-To / References on emails and groups them into threads
+
+-- Table: threads
+-- One row per conversation
+CREATE TABLE IF NOT EXISTS threads (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  subject TEXT,
+  root_message_id VARCHAR(998),
+  message_count INTEGER NOT NULL DEFAULT 0,
+  last_message_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add threading fields to emails table
+ALTER TABLE emails
+ADD COLUMN IF NOT EXISTS message_id VARCHAR(998),
+ADD COLUMN IF NOT EXISTS in_reply_to VARCHAR(998),
+ADD COLUMN IF NOT EXISTS reference_ids JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS thread_id UUID REFERENCES threads(id) ON DELETE SET NULL;
+
+-- Unique Message-ID makes ingestion idempotent even under concurrent retries
+CREATE UNIQUE INDEX IF NOT EXISTS idx_emails_message_id ON emails(message_id) WHERE message_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_emails_thread_id ON emails(thread_id);
+CREATE INDEX IF NOT EXISTS idx_threads_last_message_at ON threads(last_message_at);
+
+-- Comments for documentation
+COMMENT ON TABLE threads IS 'Groups emails into conversations using In-Reply-To / References';
+COMMENT ON COLUMN threads.message_count IS 'Number of inbound emails in the conversation (thread depth)';
+COMMENT ON COLUMN emails.message_id IS 'RFC 5322 Message-ID header, angle brackets included';
+COMMENT ON COLUMN emails.in_reply_to IS 'RFC 5322 In-Reply-To header';
+COMMENT ON COLUMN emails.reference_ids IS 'JSON array of Message-IDs from the References header';
@@ -0,0 +1,23 @@
+-- Migration: Add review queue fields
+-- Date: 2026-10-19
+-- Description: Tracks reviewer assignment on emails and human overrides of AI classification
+
+-- Reviewer assignment on emails
+ALTER TABLE emails
+ADD COLUMN IF NOT EXISTS assigned_to VARCHAR(255),
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_emails_assigned_to ON emails(assigned_to);
+
+-- Classification overrides on email_analysis
+ALTER TABLE email_analysis
+ADD COLUMN IF NOT EXISTS original_email_type VARCHAR(50),
+ADD COLUMN IF NOT EXISTS overridden_by VARCHAR(255),
+ADD COLUMN IF NOT EXISTS overridden_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS override_reason TEXT;
+
+-- Comments for documentation
+COMMENT ON COLUMN emails.assigned_to IS 'Reviewer currently working the email';
+COMMENT ON COLUMN email_analysis.original_email_type IS 'AI classification before the first human override';
+COMMENT ON COLUMN email_analysis.overridden_by IS 'Reviewer who last overrode the classification';
+COMMENT ON COLUMN emails.status IS 'Email processing status: Received, Analyzing, Pending Review, Finance Review, Escalated, Manual Review, Generic Response, Responded';
@@ -0,0 +1,36 @@
+-- Migration: Create reply_drafts table
+-- Date: 2026-10-19
+-- Description: Stores generated replies awaiting human approval before they are sent
+
+-- Table: reply_drafts
+-- One row per generated (or reviewer-written) reply
+CREATE TABLE IF NOT EXISTS reply_drafts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email_id UUID NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  version INTEGER NOT NULL DEFAULT 1,
+  subject TEXT NOT NULL,
+  text_body TEXT NOT NULL,
+  html_body TEXT,
+  model VARCHAR(100),
+  prompt TEXT,
+  generated_by VARCHAR(20) NOT NULL DEFAULT 'ai',
+  edited_by VARCHAR(255),
+  reviewed_by VARCHAR(255),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  rejection_reason TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  sent_message_id VARCHAR(998),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for reply_drafts table
+CREATE INDEX IF NOT EXISTS idx_reply_drafts_email_id ON reply_drafts(email_id);
+CREATE INDEX IF NOT EXISTS idx_reply_drafts_status ON reply_drafts(status);
+
+-- Comments for documentation
+COMMENT ON TABLE reply_drafts IS 'Generated replies held for human approval';
+COMMENT ON COLUMN reply_drafts.status IS 'Draft status: pending, approved, sent, rejected, superseded';
+COMMENT ON COLUMN reply_drafts.generated_by IS 'Who wrote the text: ai, fallback (canned text after LLM failure) or reviewer';
+COMMENT ON COLUMN emails.status IS 'Email processing status: Received, Analyzing, Pending Review, Finance Review, Escalated, Manual Review, Generic Response, Awaiting Approval, Responded';
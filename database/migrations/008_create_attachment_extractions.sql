@@ -0,0 +1,34 @@
+-- Migration: Create attachment_extractions table
+-- Date: 2026-10-19
+-- Description: Stores text extracted from email attachments (PDF, DOCX, XLSX, CSV, OCR'd images)
+
+-- Table: attachment_extractions
+-- One row per attachment of an inbound email
+CREATE TABLE IF NOT EXISTS attachment_extractions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email_id UUID NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+  attachment_index INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  content_type VARCHAR(255),
+  size INTEGER,
+  kind VARCHAR(20),
+  method VARCHAR(20),
+  status VARCHAR(20) NOT NULL,
+  text TEXT,
+  char_count INTEGER NOT NULL DEFAULT 0,
+  truncated BOOLEAN NOT NULL DEFAULT FALSE,
+  error TEXT,
+  extracted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (email_id, attachment_index)
+);
+
+-- Indexes for attachment_extractions table
+CREATE INDEX IF NOT EXISTS idx_attachment_extractions_email_id ON attachment_extractions(email_id);
+CREATE INDEX IF NOT EXISTS idx_attachment_extractions_status ON attachment_extractions(status);
+
+-- Comments for documentation
+COMMENT ON TABLE attachment_extractions IS 'Text extracted from inbound attachments, fed (bounded) into classification';
+COMMENT ON COLUMN attachment_extractions.kind IS 'Detected document kind: pdf, docx, xlsx, csv, text, image';
+COMMENT ON COLUMN attachment_extractions.method IS 'Extractor used: pdf, docx, xlsx, csv, text, ocr';
+COMMENT ON COLUMN attachment_extractions.status IS 'extracted, empty, unsupported, too_large, no_content, quarantined, ocr_unavailable, failed';
+COMMENT ON COLUMN attachment_extractions.text IS 'Extracted text, capped at ATTACHMENT_MAX_TEXT_CHARS';
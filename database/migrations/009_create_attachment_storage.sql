@@ -0,0 +1,48 @@
+-- Migration: Create attachment storage tables
+-- Date: 2026-10-19
+-- Description: Persists attachment files (deduplicated by SHA-256) with virus scan results and retention
+
+-- Table: attachment_blobs
+-- One row per distinct file content, shared by every email that carried it
+CREATE TABLE IF NOT EXISTS attachment_blobs (
+  sha256 CHAR(64) PRIMARY KEY,
+  size INTEGER NOT NULL,
+  content_type VARCHAR(255),
+  storage_driver VARCHAR(20) NOT NULL,
+  storage_key TEXT NOT NULL,
+  scan_status VARCHAR(20) NOT NULL,
+  scan_signature TEXT,
+  scanned_at TIMESTAMP WITH TIME ZONE,
+  quarantined BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Table: email_attachments
+-- One row per attachment of an inbound email
+CREATE TABLE IF NOT EXISTS email_attachments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email_id UUID NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+  attachment_index INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  content_type VARCHAR(255),
+  size INTEGER,
+  sha256 CHAR(64) REFERENCES attachment_blobs(sha256) ON DELETE SET NULL,
+  storage_status VARCHAR(20) NOT NULL,
+  quarantined BOOLEAN NOT NULL DEFAULT FALSE,
+  purged_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (email_id, attachment_index)
+);
+
+-- Indexes for attachment tables
+CREATE INDEX IF NOT EXISTS idx_attachment_blobs_quarantined ON attachment_blobs(quarantined);
+CREATE INDEX IF NOT EXISTS idx_email_attachments_email_id ON email_attachments(email_id);
+CREATE INDEX IF NOT EXISTS idx_email_attachments_sha256 ON email_attachments(sha256);
+CREATE INDEX IF NOT EXISTS idx_email_attachments_retention ON email_attachments(created_at) WHERE purged_at IS NULL;
+
+-- Comments for documentation
+COMMENT ON TABLE attachment_blobs IS 'Stored attachment files, deduplicated by content hash';
+COMMENT ON COLUMN attachment_blobs.scan_status IS 'Virus scan result: clean, infected, error, skipped (no scanner configured)';
+COMMENT ON COLUMN attachment_blobs.quarantined IS 'Infected (or unscannable when fail-closed): never analyzed or downloadable';
+COMMENT ON TABLE email_attachments IS 'Attachments per email; purged_at is set when retention removes the file';
+COMMENT ON COLUMN email_attachments.storage_status IS 'stored, disabled (no storage driver), no_content, too_large, failed';
@@ -0,0 +1,49 @@
+-- Migration: Create invoices table
+-- Date: 2026-10-19
+-- Description: Invoices extracted from Invoice/Billing emails, with validation, duplicate detection and AP export state
+
+-- Table: invoices
+-- One row per invoice email; line items and validation issues are kept as extracted
+CREATE TABLE IF NOT EXISTS invoices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email_id UUID NOT NULL UNIQUE REFERENCES emails(id) ON DELETE CASCADE,
+  vendor_name TEXT,
+  vendor_email VARCHAR(255),
+  vendor_key TEXT NOT NULL,
+  invoice_number TEXT,
+  invoice_number_key TEXT,
+  po_number TEXT,
+  project TEXT,
+  invoice_date DATE,
+  due_date DATE,
+  payment_terms TEXT,
+  currency CHAR(3) NOT NULL DEFAULT 'USD',
+  line_items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  subtotal NUMERIC(14, 2),
+  tax NUMERIC(14, 2),
+  retainage_percent NUMERIC(5, 2),
+  retainage_amount NUMERIC(14, 2),
+  total NUMERIC(14, 2),
+  amount_due NUMERIC(14, 2),
+  validation_issues JSONB NOT NULL DEFAULT '[]'::jsonb,
+  status VARCHAR(20) NOT NULL,
+  duplicate_of UUID REFERENCES invoices(id) ON DELETE SET NULL,
+  approved_by VARCHAR(255),
+  approved_at TIMESTAMP WITH TIME ZONE,
+  exported_at TIMESTAMP WITH TIME ZONE,
+  export_format VARCHAR(20),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for invoices
+CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status);
+CREATE INDEX IF NOT EXISTS idx_invoices_vendor_number ON invoices(vendor_key, invoice_number_key);
+CREATE INDEX IF NOT EXISTS idx_invoices_vendor_total ON invoices(vendor_key, total);
+
+-- Comments for documentation
+COMMENT ON TABLE invoices IS 'Vendor invoices extracted from emails, awaiting or sent to accounts payable';
+COMMENT ON COLUMN invoices.vendor_key IS 'Vendor name without punctuation or corporate suffixes (falls back to the sender address)';
+COMMENT ON COLUMN invoices.invoice_number_key IS 'Invoice number without prefixes, punctuation or leading zeros (INV-0042 -> 42)';
+COMMENT ON COLUMN invoices.status IS 'ready (valid, exportable), needs_review (validation issues or possible duplicate), duplicate, exported';
+COMMENT ON COLUMN invoices.validation_issues IS 'Arithmetic and completeness problems: [{ code, message }]';
@@ -0,0 +1,45 @@
+-- Migration: Create escalation tables
+-- Date: 2026-10-19
+-- Description: On-call paging for Urgent Site Issues with acknowledgement tracking and re-escalation
+
+-- Table: escalations
+-- One per urgent email; chain is the ordered list of contacts paged one level at a time
+CREATE TABLE IF NOT EXISTS escalations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email_id UUID NOT NULL UNIQUE REFERENCES emails(id) ON DELETE CASCADE,
+  site_id VARCHAR(100) NOT NULL,
+  site_name TEXT,
+  chain JSONB NOT NULL,
+  level INTEGER NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  next_escalation_at TIMESTAMP WITH TIME ZONE,
+  acknowledged_by VARCHAR(255),
+  acknowledged_at TIMESTAMP WITH TIME ZONE,
+  acknowledged_via VARCHAR(20),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Table: escalation_notifications
+-- Every page sent (or attempted) per channel
+CREATE TABLE IF NOT EXISTS escalation_notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  escalation_id UUID NOT NULL REFERENCES escalations(id) ON DELETE CASCADE,
+  level INTEGER NOT NULL,
+  contact_id VARCHAR(100),
+  channel VARCHAR(20) NOT NULL,
+  recipients TEXT[],
+  status VARCHAR(20) NOT NULL,
+  error TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for escalation tables
+CREATE INDEX IF NOT EXISTS idx_escalations_status ON escalations(status);
+CREATE INDEX IF NOT EXISTS idx_escalation_notifications_escalation_id ON escalation_notifications(escalation_id);
+
+-- Comments for documentation
+COMMENT ON TABLE escalations IS 'Urgent Site Issue pages; re-escalated to the next contact until acknowledged';
+COMMENT ON COLUMN escalations.status IS 'open (waiting for acknowledgement), acknowledged, exhausted (nobody in the chain acknowledged)';
+COMMENT ON COLUMN escalations.acknowledged_via IS 'link (signed link in the page) or api (reviewer)';
+COMMENT ON COLUMN escalation_notifications.status IS 'sent or failed';
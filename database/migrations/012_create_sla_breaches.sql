@@ -0,0 +1,38 @@
+-- Migration: SLA tracking
+-- Date: 2026-10-19
+-- Description: Records when an email entered its current status and every SLA breach detected
+
+-- When the current status was entered (the SLA clock start)
+ALTER TABLE emails
+ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+UPDATE emails SET status_changed_at = COALESCE(updated_at, received_at) WHERE status_changed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_emails_status_changed_at ON emails(status, status_changed_at);
+
+-- Table: sla_breaches
+-- One per email, policy and status episode (status_changed_at); resolved once the email moves on
+CREATE TABLE IF NOT EXISTS sla_breaches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email_id UUID NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+  policy_id VARCHAR(100) NOT NULL,
+  status VARCHAR(50) NOT NULL,
+  email_type VARCHAR(50),
+  priority VARCHAR(20),
+  assigned_to VARCHAR(255),
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  due_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  breached_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  notified_channels TEXT[] DEFAULT '{}',
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (email_id, policy_id, started_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sla_breaches_breached_at ON sla_breaches(breached_at);
+CREATE INDEX IF NOT EXISTS idx_sla_breaches_open ON sla_breaches(email_id) WHERE resolved_at IS NULL;
+
+-- Comments for documentation
+COMMENT ON COLUMN emails.status_changed_at IS 'When the email entered its current status (SLA clock start)';
+COMMENT ON TABLE sla_breaches IS 'Review SLA breaches detected by the SLA check (src/config/slaPolicies.json)';
+COMMENT ON COLUMN sla_breaches.due_at IS 'Deadline under the policy, after business hours and holidays';
@@ -0,0 +1,31 @@
+-- Migration: Email status state machine
+-- Date: 2026-10-19
+-- Description: Restricts emails.status to the known statuses and records every status change
+-- (transitions themselves are enforced by DatabaseService.updateEmailStatus, see src/utils/emailStatus.js)
+
+ALTER TABLE emails DROP CONSTRAINT IF EXISTS emails_status_check;
+ALTER TABLE emails ADD CONSTRAINT emails_status_check CHECK (status IN (
+  'Received', 'Analyzing', 'Pending Review', 'Finance Review', 'Escalated', 'Manual Review',
+  'Generic Response', 'Ignored', 'Awaiting Approval', 'Responded', 'Closed'
+));
+
+-- Table: email_status_history
+-- One row per status change: who (reviewer, or null for automation), what component and why
+CREATE TABLE IF NOT EXISTS email_status_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email_id UUID NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  changed_by VARCHAR(255),
+  source VARCHAR(50) NOT NULL,
+  reason TEXT,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_status_history_email_id ON email_status_history(email_id, created_at);
+
+-- Comments for documentation
+COMMENT ON COLUMN emails.status IS 'Email processing status: Received, Analyzing, Pending Review, Finance Review, Escalated, Manual Review, Generic Response, Ignored, Awaiting Approval, Responded, Closed';
+COMMENT ON TABLE email_status_history IS 'Audit trail of email status changes';
+COMMENT ON COLUMN email_status_history.source IS 'Component that changed the status: pipeline, decision_engine, workflow, review';
@@ -0,0 +1,23 @@
+-- Migration: Email search
+-- Date: 2026-10-19
+-- Description: Full-text search over subject and body, and indexes for the email list filters
+
+-- Search document as a PostgREST computed field: filterable (search_document=wfts.…)
+-- but not returned by select=*; subject matches rank above body matches
+CREATE OR REPLACE FUNCTION search_document(email emails) RETURNS tsvector
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT setweight(to_tsvector('english', coalesce(email.subject, '')), 'A') ||
+         setweight(to_tsvector('english', coalesce(email.body, '')), 'B')
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_emails_search_document ON emails USING GIN ((
+  setweight(to_tsvector('english', coalesce(subject, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(body, '')), 'B')
+));
+
+-- Keyset pagination: (sort column, id)
+CREATE INDEX IF NOT EXISTS idx_emails_received_at_id ON emails(received_at, id);
+CREATE INDEX IF NOT EXISTS idx_emails_updated_at_id ON emails(updated_at, id);
+
+-- Comments for documentation
+COMMENT ON FUNCTION search_document(emails) IS 'Full-text search document used by GET /api/emails?q= (keep in sync with idx_emails_search_document)';
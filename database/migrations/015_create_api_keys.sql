@@ -0,0 +1,26 @@
+-- Migration: API keys
+-- Date: 2026-10-19
+-- Description: API keys for integrations and scripts; only a SHA-256 hash of each key is stored
+
+-- Table: api_keys
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name VARCHAR(255) NOT NULL,
+  role VARCHAR(50) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash CHAR(64) NOT NULL UNIQUE,
+  created_by VARCHAR(255),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_by VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- At most one active key per name, so the name identifies the caller in audit logs
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_active_name ON api_keys(name) WHERE revoked_at IS NULL;
+
+-- Comments for documentation
+COMMENT ON TABLE api_keys IS 'API keys (X-API-Key header); the key itself is shown once at creation';
+COMMENT ON COLUMN api_keys.key_prefix IS 'First characters of the key, to recognise it without the secret';
+COMMENT ON COLUMN api_keys.role IS 'Role from src/config/roles.json';
@@ -0,0 +1,12 @@
+-- Migration: Reply templates
+-- Date: 2026-10-19
+-- Description: Records which reply template (and language) produced each draft
+-- (templates live in src/config/replyTemplates.json, see ReplyTemplateService)
+
+ALTER TABLE reply_drafts ADD COLUMN IF NOT EXISTS template_id VARCHAR(100);
+ALTER TABLE reply_drafts ADD COLUMN IF NOT EXISTS language VARCHAR(10);
+
+-- Comments for documentation
+COMMENT ON COLUMN reply_drafts.template_id IS 'Reply template the draft was composed from (null for reviewer-written drafts)';
+COMMENT ON COLUMN reply_drafts.language IS 'Language of the reply (ISO 639-1)';
+COMMENT ON COLUMN reply_drafts.generated_by IS 'Who wrote the text: template (template, with LLM-written slots when model is set), ai (LLM-written body), fallback (template fallback text after LLM failure) or reviewer';
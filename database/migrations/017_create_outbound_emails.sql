@@ -0,0 +1,38 @@
+-- Migration: Create outbound_emails table
+-- Date: 2026-10-19
+-- Description: Records every reply sent to a customer with its Message-ID and threading headers
+
+-- Table: outbound_emails
+-- One row per reply send (successful or failed), linked to the inbound email it answers
+CREATE TABLE IF NOT EXISTS outbound_emails (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email_id UUID NOT NULL REFERENCES emails(id) ON DELETE CASCADE,
+  draft_id UUID REFERENCES reply_drafts(id) ON DELETE SET NULL,
+  message_id VARCHAR(998) NOT NULL,
+  in_reply_to VARCHAR(998),
+  reference_ids JSONB DEFAULT '[]'::jsonb,
+  from_address VARCHAR(255),
+  to_addresses JSONB NOT NULL DEFAULT '[]'::jsonb,
+  cc_addresses JSONB DEFAULT '[]'::jsonb,
+  bcc_addresses JSONB DEFAULT '[]'::jsonb,
+  subject TEXT NOT NULL,
+  text_body TEXT,
+  html_body TEXT,
+  quoted_original BOOLEAN NOT NULL DEFAULT false,
+  status VARCHAR(20) NOT NULL,
+  attempts INTEGER,
+  error TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for outbound_emails table
+CREATE UNIQUE INDEX IF NOT EXISTS idx_outbound_emails_message_id ON outbound_emails(message_id);
+CREATE INDEX IF NOT EXISTS idx_outbound_emails_email_id ON outbound_emails(email_id);
+
+-- Comments for documentation
+COMMENT ON TABLE outbound_emails IS 'Replies sent to customers, threaded onto the inbound email via In-Reply-To / References';
+COMMENT ON COLUMN outbound_emails.message_id IS 'RFC 5322 Message-ID we generated for the reply, angle brackets included';
+COMMENT ON COLUMN outbound_emails.in_reply_to IS 'Message-ID of the inbound email (null when it had none)';
+COMMENT ON COLUMN outbound_emails.status IS 'sent, or failed after all retries';
+COMMENT ON COLUMN outbound_emails.text_body IS 'Text as sent, including the quoted original when quoted_original is true';
@@ -0,0 +1,28 @@
+-- Migration: Outbound send limits and auto-responder detection
+-- Date: 2026-10-19
+-- Description: Flags automated inbound email and keys outbound_emails by recipient, domain and thread
+-- so SendLimiter can count recent replies
+
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS auto_reply_reason VARCHAR(255);
+
+ALTER TABLE outbound_emails
+ADD COLUMN IF NOT EXISTS recipient VARCHAR(255),
+ADD COLUMN IF NOT EXISTS recipient_domain VARCHAR(255),
+ADD COLUMN IF NOT EXISTS thread_id UUID REFERENCES threads(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS automatic BOOLEAN NOT NULL DEFAULT false;
+
+-- Backfill recipients of replies recorded before this migration
+UPDATE outbound_emails
+SET recipient = LOWER(to_addresses->>0),
+    recipient_domain = SPLIT_PART(LOWER(to_addresses->>0), '@', 2)
+WHERE recipient IS NULL AND to_addresses->>0 IS NOT NULL;
+
+-- Indexes for the limiter's windowed counts
+CREATE INDEX IF NOT EXISTS idx_outbound_emails_created_at ON outbound_emails(created_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_emails_recipient ON outbound_emails(recipient, created_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_emails_recipient_domain ON outbound_emails(recipient_domain, created_at);
+
+-- Comments for documentation
+COMMENT ON COLUMN emails.auto_reply_reason IS 'Why the email looks automated (e.g. "Auto-Submitted: auto-replied"); such emails never get a reply';
+COMMENT ON COLUMN outbound_emails.recipient IS 'Lower-cased To address';
+COMMENT ON COLUMN outbound_emails.automatic IS 'Sent by a workflow without human approval';
@@ -0,0 +1,31 @@
+-- Migration: Bounce and delivery-failure processing
+-- Date: 2026-10-19
+-- Description: Stores parsed delivery status notifications, links them to the reply that
+-- bounced and keeps a suppression list of addresses that permanently failed
+
+ALTER TABLE emails ADD COLUMN IF NOT EXISTS delivery_report JSONB;
+
+ALTER TABLE outbound_emails
+ADD COLUMN IF NOT EXISTS delivery_status VARCHAR(20),
+ADD COLUMN IF NOT EXISTS bounce_email_id UUID REFERENCES emails(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS bounce_details JSONB,
+ADD COLUMN IF NOT EXISTS bounced_at TIMESTAMP WITH TIME ZONE;
+
+-- Table: suppressed_recipients
+-- One row per address we no longer send to; the latest bounce wins
+CREATE TABLE IF NOT EXISTS suppressed_recipients (
+  address VARCHAR(255) PRIMARY KEY,
+  reason VARCHAR(50) NOT NULL,
+  status_code VARCHAR(20),
+  diagnostic TEXT,
+  outbound_email_id UUID REFERENCES outbound_emails(id) ON DELETE SET NULL,
+  bounce_email_id UUID REFERENCES emails(id) ON DELETE SET NULL,
+  last_bounced_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Comments for documentation
+COMMENT ON COLUMN emails.delivery_report IS 'Parsed bounce (delivery status notification); such emails are matched to our reply instead of being classified';
+COMMENT ON COLUMN outbound_emails.delivery_status IS 'bounced (permanent failure) or delayed, from the delivery status notification';
+COMMENT ON COLUMN outbound_emails.bounce_details IS 'Failed recipients with action, status code and diagnostic';
+COMMENT ON TABLE suppressed_recipients IS 'Lower-cased addresses that hard-bounced; replies to them are not sent';
@@ -0,0 +1,10 @@
+-- Migration: Record the automation decision on workflows
+-- Date: 2026-10-19
+-- Description: workflows.automation_used is only true when a reply was actually sent,
+-- so draft-mode workflows record false even when the rules allowed automation.
+-- Rule simulation compares candidate rules against automation_allowed instead.
+
+ALTER TABLE workflows ADD COLUMN IF NOT EXISTS automation_allowed BOOLEAN;
+
+-- Comments for documentation
+COMMENT ON COLUMN workflows.automation_allowed IS 'Whether the decision rules allowed automation (null for workflows recorded before this column and for human workflows)';
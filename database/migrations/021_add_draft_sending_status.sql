@@ -0,0 +1,7 @@
+-- Migration: Draft 'sending' status
+-- Date: 2026-10-19
+-- Description: Approving a draft claims it ('sending') with a conditional update before
+-- the reply goes out, so concurrent approvals cannot send it twice
+
+-- Comments for documentation
+COMMENT ON COLUMN reply_drafts.status IS 'Draft status: pending, sending (claimed by an approval), approved (send failed, can be approved again), sent, rejected, superseded';
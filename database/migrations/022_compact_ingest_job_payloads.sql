@@ -0,0 +1,23 @@
+-- Migration: Compact completed ingestion job payloads
+-- Date: 2026-10-19
+-- Description: Completed ingest_email jobs no longer keep base64 attachment content
+-- (the files are in attachment storage); strip it from jobs completed before this change
+
+UPDATE jobs
+SET payload = jsonb_set(
+  payload,
+  '{attachmentInfo}',
+  (
+    SELECT jsonb_agg(
+      CASE WHEN attachment ? 'content'
+        THEN (attachment - 'content') || '{"content_removed": true}'::jsonb
+        ELSE attachment
+      END
+    )
+    FROM jsonb_array_elements(payload->'attachmentInfo') AS attachment
+  )
+)
+WHERE type = 'ingest_email'
+  AND status = 'completed'
+  AND jsonb_typeof(payload->'attachmentInfo') = 'array'
+  AND jsonb_array_length(payload->'attachmentInfo') > 0;
@@ -0,0 +1,19 @@
+-- Migration: Webhook nonces
+-- Date: 2026-10-19
+-- Description: Remembers the nonces of verified inbound webhooks so a captured request cannot be
+-- replayed against another instance; rows past expires_at are swept by the verifier
+
+-- Table: webhook_nonces
+-- The primary key rejects a second use of a nonce
+CREATE TABLE IF NOT EXISTS webhook_nonces (
+  nonce VARCHAR(255) PRIMARY KEY,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Index for the expiry sweep
+CREATE INDEX IF NOT EXISTS idx_webhook_nonces_expires_at ON webhook_nonces(expires_at);
+
+-- Comments for documentation
+COMMENT ON TABLE webhook_nonces IS 'X-Webhook-Nonce values of accepted inbound webhooks';
+COMMENT ON COLUMN webhook_nonces.expires_at IS 'After this the timestamp window has closed and the row may be deleted';
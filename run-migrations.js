@@ -14,6 +14,48 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 );
 
+/**
+ * Split a migration into statements on top-level semicolons
+ * Drops -- comments and keeps semicolons inside 'strings' and $$ function bodies
+ * @param {string} sql - Migration file contents
+ * @returns {Array<string>} Statements without their trailing semicolon
+ */
+function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let quote = null; // ' or $$ while inside a literal
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+
+    if (quote) {
+      if (sql.startsWith(quote, i)) {
+        current += quote;
+        i += quote.length - 1;
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (sql.startsWith('--', i)) {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+      current += '\n';
+    } else if (char === "'" || sql.startsWith('$$', i)) {
+      quote = char === "'" ? "'" : '$$';
+      current += quote;
+      i += quote.length - 1;
+    } else if (char === ';') {
+      statements.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  statements.push(current.trim());
+
+  return statements.filter(statement => statement.length > 0);
+}
+
 async function runMigration(filePath) {
   console.log(`\n📄 Running migration: ${filePath}`);
   
@@ -22,10 +64,7 @@ async function runMigration(filePath) {
     const sql = readFileSync(filePath, 'utf8');
     
     // Split by semicolons to execute statements individually
-    const statements = sql
-      .split(';')
-      .map(s => s.trim())
-      .filter(s => s.length > 0 && !s.startsWith('--'));
+    const statements = splitStatements(sql);
     
     console.log(`   Found ${statements.length} SQL statements`);
     
@@ -90,7 +129,28 @@ async function main() {
   // Run migrations
   const migrations = [
     'database/migrations/001_create_tables.sql',
-    'database/migrations/002_add_attachment_fields.sql'
+    'database/migrations/002_add_attachment_fields.sql',
+    'database/migrations/003_create_gmail_sync_state.sql',
+    'database/migrations/004_create_jobs.sql',
+    'database/migrations/005_add_message_threading.sql',
+    'database/migrations/006_add_review_fields.sql',
+    'database/migrations/007_create_reply_drafts.sql',
+    'database/migrations/008_create_attachment_extractions.sql',
+    'database/migrations/009_create_attachment_storage.sql',
+    'database/migrations/010_create_invoices.sql',
+    'database/migrations/011_create_escalations.sql',
+    'database/migrations/012_create_sla_breaches.sql',
+    'database/migrations/013_create_email_status_history.sql',
+    'database/migrations/014_add_email_search.sql',
+    'database/migrations/015_create_api_keys.sql',
+    'database/migrations/016_add_reply_templates.sql',
+    'database/migrations/017_create_outbound_emails.sql',
+    'database/migrations/018_add_send_limits.sql',
+    'database/migrations/019_add_bounce_processing.sql',
+    'database/migrations/020_add_workflow_automation_allowed.sql',
+    'database/migrations/021_add_draft_sending_status.sql',
+    'database/migrations/022_compact_ingest_job_payloads.sql',
+    'database/migrations/023_create_webhook_nonces.sql'
   ];
   
   let allSuccess = true;
@@ -108,8 +168,9 @@ async function main() {
     console.log('\n✅ All migrations completed successfully!\n');
   } else {
     console.log('\n⚠️  Some migrations need to be run manually in Supabase SQL Editor');
-    console.log('   Files: database/migrations/001_create_tables.sql');
-    console.log('          database/migrations/002_add_attachment_fields.sql\n');
+    console.log('   Files:');
+    migrations.forEach(migration => console.log(`     ${migration}`));
+    console.log('');
     process.exit(1);
   }
 }
@@ -0,0 +1,82 @@
+/**
+ * Decision Rule Simulator
+ * Replays stored email analyses through a candidate rule set and reports
+ * which emails would change status or automation compared to what happened
+ *
+ * Usage:
+ *   node simulate-rules.js [--rules file.json] [--threshold 0.8] [--max-thread-depth 4]
+ *                          [--since 2026-01-01] [--until 2026-02-01] [--type "RFQ/Bid Request"]
+ *                          [--limit 1000] [--all] [--json]
+ */
+
+import { readRuleSet } from './src/services/DecisionEngine.js';
+import ruleSimulationService from './src/services/RuleSimulationService.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const name = arg.slice(2);
+    if (name === 'all' || name === 'json') {
+      args[name] = true;
+    } else {
+      args[name] = argv[++i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const variables = {};
+  if (args.threshold !== undefined) variables.confidenceThreshold = parseFloat(args.threshold);
+  if (args['max-thread-depth'] !== undefined) variables.maxThreadDepth = parseInt(args['max-thread-depth']);
+
+  const result = await ruleSimulationService.simulate({
+    rules: args.rules ? readRuleSet(args.rules) : undefined,
+    variables,
+    since: args.since,
+    until: args.until,
+    email_type: args.type,
+    limit: parseInt(args.limit) || 500,
+    include_unchanged: Boolean(args.all)
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.valid ? 0 : 1);
+  }
+
+  if (!result.valid) {
+    console.error('❌ Invalid rule set:');
+    result.errors.forEach(error => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+
+  const { summary } = result;
+  console.log('🧪 Decision Rule Simulation\n');
+  console.log('=' .repeat(80));
+  console.log(`Variables: ${JSON.stringify(result.variables)}`);
+  console.log(`Emails replayed:        ${summary.total}`);
+  console.log(`Status would change:    ${summary.status_changed} (${summary.status_not_comparable} not comparable)`);
+  console.log(`Automation would change: ${summary.automation_changed} (+${summary.newly_automated} automated, -${summary.newly_blocked} blocked, ${summary.automation_not_comparable} not comparable)`);
+  console.log(`No recorded workflow:   ${summary.no_recorded_workflow}`);
+  console.log('Matches by rule:');
+  Object.entries(summary.by_rule).forEach(([rule, count]) => console.log(`   ${rule}: ${count}`));
+  console.log('=' .repeat(80));
+
+  result.emails.forEach(email => {
+    const recordedAutomation = email.recorded.automation_used === null ? 'n/a' : email.recorded.automation_used;
+    console.log(`\n${email.email_id}  ${email.email_type} (${email.confidence_score})  ${email.subject || ''}`);
+    console.log(`   status:     ${email.recorded.status} → ${email.simulated.status}${email.status_changed ? '  *' : ''}`);
+    console.log(`   automation: ${recordedAutomation} → ${email.simulated.automation_allowed}${email.automation_changed ? '  *' : ''}`);
+    console.log(`   rule:       ${email.simulated.rule_id} - ${email.simulated.reason}`);
+  });
+}
+
+main().catch(error => {
+  console.error('Rule simulation failed:', error.message);
+  process.exit(1);
+});
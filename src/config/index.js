@@ -11,10 +11,10 @@ function validateConfig() {
   const requiredEnvVars = [
     'SUPABASE_URL',
     'SUPABASE_SERVICE_KEY',
-    'SMTP_HOST',
-    'SMTP_PORT',
-    'SMTP_USER',
-    'SMTP_PASSWORD'
+    // SMTP is only needed when replies go out over SMTP
+    ...((process.env.MAIL_TRANSPORT || 'smtp') === 'smtp'
+      ? ['SMTP_HOST', 'SMTP_PORT', 'SMTP_USER', 'SMTP_PASSWORD']
+      : [])
   ];
 
   const missing = requiredEnvVars.filter(key => !process.env[key]);
@@ -23,10 +23,80 @@ function validateConfig() {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
 
-  // Check for Groq API key
-  if (!process.env.GROQ_API_KEY) {
-    throw new Error('Missing required environment variable: GROQ_API_KEY');
+  // Hosted LLM providers need an API key; local and mock providers do not
+  const llmProvider = process.env.LLM_PROVIDER || 'groq';
+  if (['groq', 'openai', 'azure'].includes(llmProvider) &&
+      !(process.env.LLM_API_KEY || process.env.GROQ_API_KEY || process.env.OPENAI_API_KEY)) {
+    throw new Error('Missing required environment variable: LLM_API_KEY (or GROQ_API_KEY)');
   }
+  if (llmProvider === 'azure' && !process.env.AZURE_OPENAI_ENDPOINT) {
+    throw new Error('Missing required environment variable: AZURE_OPENAI_ENDPOINT');
+  }
+
+  // Unsigned inbound webhooks are only tolerated outside production
+  if (process.env.NODE_ENV === 'production' && parseSecrets().length === 0) {
+    throw new Error('Missing required environment variable: WEBHOOK_SECRETS');
+  }
+
+  // Cron-triggered routes (job drain, SLA check, retention) must not be callable by anyone
+  if (process.env.NODE_ENV === 'production' && !process.env.CRON_SECRET) {
+    throw new Error('Missing required environment variable: CRON_SECRET');
+  }
+
+  // The API is only open without credentials outside production
+  if (process.env.NODE_ENV === 'production' && process.env.AUTH_ENABLED === 'false') {
+    throw new Error('AUTH_ENABLED=false is not allowed in production');
+  }
+}
+
+/**
+ * Read active webhook secrets (comma-separated to allow key rotation)
+ * @returns {Array<string>} Active secrets, newest first
+ */
+function parseSecrets() {
+  const raw = process.env.WEBHOOK_SECRETS || process.env.WEBHOOK_SECRET || '';
+  return raw.split(',').map(secret => secret.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a JSON environment variable
+ * @param {string} name - Variable name
+ * @param {*} fallback - Value when unset
+ * @returns {*} Parsed value
+ * @throws {Error} If the variable is set but not valid JSON
+ */
+function parseJsonEnv(name, fallback) {
+  const raw = process.env[name];
+  if (!raw) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Hosts that attachment storage references (attachmentInfo[].url) may be fetched from:
+ * ATTACHMENT_URL_HOSTS (comma-separated) plus the configured Supabase and S3 endpoints
+ * @returns {Array<string>} Lower-case host names
+ */
+function parseStorageHosts() {
+  const hosts = (process.env.ATTACHMENT_URL_HOSTS || '').split(',').map(host => host.trim().toLowerCase());
+
+  for (const url of [process.env.SUPABASE_URL, process.env.S3_ENDPOINT]) {
+    try {
+      if (url) hosts.push(new URL(url).hostname);
+    } catch {
+      // Invalid endpoints are reported by the client that uses them
+    }
+  }
+
+  if (process.env.S3_BUCKET && !process.env.S3_ENDPOINT) {
+    const region = process.env.S3_REGION || 'us-east-1';
+    hosts.push(`${process.env.S3_BUCKET}.s3.${region}.amazonaws.com`, `s3.${region}.amazonaws.com`);
+  }
+
+  return [...new Set(hosts.filter(Boolean))];
 }
 
 // Configuration object
@@ -42,11 +112,23 @@ const config = {
     serviceKey: process.env.SUPABASE_SERVICE_KEY
   },
 
-  // Groq API Configuration
-  openai: {
-    apiKey: process.env.GROQ_API_KEY, // Use Groq API key directly
-    model: process.env.OPENAI_MODEL || 'llama-3.1-8b-instant', // Fast model for Vercel
-    timeout: parseInt(process.env.OPENAI_TIMEOUT) || 8000 // Aggressive timeout for Vercel
+  // LLM provider (Groq by default; any OpenAI-compatible API)
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'groq', // groq | openai | azure | ollama | mock
+    apiKey: process.env.LLM_API_KEY || process.env.GROQ_API_KEY || process.env.OPENAI_API_KEY,
+    baseUrl: process.env.LLM_BASE_URL, // Override the provider default, e.g. a local OpenAI-compatible server
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || process.env.OPENAI_TIMEOUT) || 15000,
+    jsonMode: process.env.LLM_JSON_MODE !== 'false', // Disable for servers without response_format support
+    // Per-task models; unset falls back to OPENAI_MODEL, then the provider default (Azure: deployment names)
+    models: {
+      classification: process.env.LLM_CLASSIFICATION_MODEL || process.env.OPENAI_MODEL,
+      extraction: process.env.LLM_EXTRACTION_MODEL || process.env.LLM_CLASSIFICATION_MODEL || process.env.OPENAI_MODEL,
+      reply: process.env.LLM_REPLY_MODEL || process.env.OPENAI_MODEL
+    },
+    azure: {
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+    }
   },
 
   // SMTP
@@ -58,11 +140,203 @@ const config = {
     from: process.env.SMTP_FROM || process.env.SMTP_USER
   },
 
+  // Outbound mail transport
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'smtp', // smtp | gmail (Gmail API, uses the GMAIL_* credentials) | http | file
+    from: process.env.MAIL_FROM || process.env.SMTP_FROM || process.env.SMTP_USER,
+    fileDirectory: process.env.MAIL_FILE_DIRECTORY || './data/outbox', // file: maildir the messages are written to
+    http: {
+      url: process.env.MAIL_API_URL || 'https://api.sendgrid.com/v3/mail/send', // SendGrid v3-compatible mail/send endpoint
+      apiKey: process.env.MAIL_API_KEY,
+      timeoutMs: parseInt(process.env.MAIL_API_TIMEOUT_MS) || 10000
+    }
+  },
+
+  // Outbound reply policy: send immediately (auto) or hold for approval (draft)
+  replies: {
+    mode: process.env.REPLY_MODE || 'auto', // Default for email types without a policy entry
+    policy: parseJsonEnv('REPLY_POLICY', {}), // e.g. {"RFQ/Bid Request": "draft", "Invoice/Billing": "auto"}
+    generation: process.env.REPLY_GENERATION || 'slots', // template | slots (LLM fills marked slots) | full (LLM writes the body)
+    templatesPath: process.env.REPLY_TEMPLATES_PATH, // Defaults to src/config/replyTemplates.json
+    companyProfilePath: process.env.COMPANY_PROFILE_PATH, // Defaults to src/config/companyProfile.json
+    quoteOriginal: process.env.REPLY_QUOTE_ORIGINAL === 'true', // Quote the customer's message below the reply
+    copies: parseJsonEnv('REPLY_COPIES', {}) // Internal CC/BCC per email type, "*" for all: {"Invoice/Billing": {"cc": ["ap@invextech.com"]}, "*": {"bcc": ["archive@invextech.com"]}}
+  },
+
+  // Outbound limits: a per-minute cap on all replies, and throttles on automatic replies
+  sendLimits: {
+    perMinute: parseInt(process.env.SEND_LIMIT_PER_MINUTE) || 30,
+    threadCooldownHours: parseFloat(process.env.AUTO_REPLY_THREAD_COOLDOWN_HOURS) || 24, // One automatic reply per sender per conversation
+    recipientPerDay: parseInt(process.env.AUTO_REPLY_RECIPIENT_PER_DAY) || 3,
+    domainPerHour: parseInt(process.env.AUTO_REPLY_DOMAIN_PER_HOUR) || 20 // Not applied to webmail domains
+  },
+
+  // Decision rules (JSON rule set; defaults to src/config/decisionRules.json)
+  rules: {
+    path: process.env.DECISION_RULES_PATH
+  },
+
+  // Email types (defaults to src/config/emailTaxonomy.json)
+  taxonomy: {
+    path: process.env.EMAIL_TAXONOMY_PATH
+  },
+
+  // Attachment text extraction (PDF, DOCX, XLSX, CSV, images via local OCR)
+  attachments: {
+    extractionEnabled: process.env.ATTACHMENT_EXTRACTION_ENABLED !== 'false',
+    maxBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024, // Larger files are recorded but not parsed
+    maxTextChars: parseInt(process.env.ATTACHMENT_MAX_TEXT_CHARS) || 50000, // Stored per attachment
+    promptCharsPerFile: parseInt(process.env.ATTACHMENT_PROMPT_CHARS_PER_FILE) || 1500,
+    promptTotalChars: parseInt(process.env.ATTACHMENT_PROMPT_TOTAL_CHARS) || 4000,
+    fetchTimeoutMs: parseInt(process.env.ATTACHMENT_FETCH_TIMEOUT_MS) || 10000, // Storage references (url)
+    urlHosts: parseStorageHosts(), // Storage references are only fetched over https from these hosts
+    ocrCommand: process.env.OCR_COMMAND || 'tesseract',
+    ocrLanguages: process.env.OCR_LANGUAGES || 'eng',
+    ocrTimeoutMs: parseInt(process.env.OCR_TIMEOUT_MS) || 30000,
+    requestBodyLimit: process.env.REQUEST_BODY_LIMIT || '25mb', // Inbound webhooks may carry base64 content
+
+    // Storage (files are stored once per SHA-256 and shared between emails)
+    storage: {
+      driver: process.env.ATTACHMENT_STORAGE_DRIVER || 'supabase', // supabase | s3 | local | none
+      supabaseBucket: process.env.ATTACHMENT_BUCKET || 'email-attachments',
+      localDirectory: process.env.ATTACHMENT_LOCAL_DIR || './data/attachments',
+      s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT, // MinIO, R2 and other S3-compatible services
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      }
+    },
+
+    // Virus scanning before analysis; infected files are quarantined
+    scanning: {
+      scanner: process.env.ATTACHMENT_SCANNER || 'none', // clamav | none
+      clamavSocket: process.env.CLAMAV_SOCKET, // e.g. /var/run/clamav/clamd.ctl (preferred over host/port)
+      clamavHost: process.env.CLAMAV_HOST || '127.0.0.1',
+      clamavPort: parseInt(process.env.CLAMAV_PORT) || 3310,
+      timeoutMs: parseInt(process.env.CLAMAV_TIMEOUT_MS) || 30000,
+      failClosed: process.env.ATTACHMENT_SCAN_FAIL_CLOSED !== 'false' // Quarantine when the scanner errors
+    },
+
+    // Retention in days; per-type overrides apply once the email is classified
+    retention: {
+      days: parseInt(process.env.ATTACHMENT_RETENTION_DAYS) || 365,
+      quarantineDays: parseInt(process.env.ATTACHMENT_QUARANTINE_RETENTION_DAYS) || 30,
+      policy: parseJsonEnv('ATTACHMENT_RETENTION_POLICY', {}), // e.g. {"Invoice/Billing": 2555, "Vendor Spam": 30}
+      batchSize: parseInt(process.env.ATTACHMENT_RETENTION_BATCH_SIZE) || 200
+    },
+
+    // Reviewer download links
+    signingSecret: process.env.ATTACHMENT_SIGNING_SECRET,
+    downloadUrlTtlSeconds: parseInt(process.env.ATTACHMENT_DOWNLOAD_TTL_SECONDS) || 300
+  },
+
+  // Accounts payable export of extracted invoices
+  invoices: {
+    // QuickBooks Desktop IIF: bills post to these accounts (names must exist in the company file)
+    quickbooks: {
+      apAccount: process.env.QB_AP_ACCOUNT || 'Accounts Payable',
+      expenseAccount: process.env.QB_EXPENSE_ACCOUNT || 'Job Materials',
+      taxAccount: process.env.QB_TAX_ACCOUNT || 'Sales Tax Payable',
+      retainageAccount: process.env.QB_RETAINAGE_ACCOUNT || 'Retainage Payable'
+    },
+    // Generic AP system webhook (JSON, signed like our inbound webhooks)
+    webhook: {
+      url: process.env.AP_WEBHOOK_URL,
+      secret: process.env.AP_WEBHOOK_SECRET,
+      timeoutMs: parseInt(process.env.AP_WEBHOOK_TIMEOUT_MS) || 10000,
+      autoExport: process.env.AP_WEBHOOK_AUTO_EXPORT === 'true' // Push clean invoices as soon as they are recorded
+    }
+  },
+
+  // Urgent Site Issue escalation: page the on-call contact, re-escalate until someone acknowledges
+  escalation: {
+    schedulePath: process.env.ONCALL_SCHEDULE_PATH, // Defaults to src/config/onCallSchedule.json
+    channels: (process.env.ESCALATION_CHANNELS || 'email,chat,sms').split(',').map(channel => channel.trim()).filter(Boolean),
+    ackTimeoutMinutes: parseInt(process.env.ESCALATION_ACK_TIMEOUT_MINUTES) || 15,
+    emailTo: (process.env.ESCALATION_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean), // Internal list copied on every page
+    chatWebhookUrl: process.env.ESCALATION_CHAT_WEBHOOK_URL, // Slack-compatible incoming webhook ({ "text": ... })
+    sms: {
+      provider: process.env.ESCALATION_SMS_PROVIDER || 'stub', // twilio | stub (logs instead of sending)
+      twilio: {
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        from: process.env.TWILIO_FROM_NUMBER
+      }
+    },
+    // Acknowledgement links in pages (omitted when no secret is set; reviewers can still acknowledge via the API)
+    signingSecret: process.env.ESCALATION_SIGNING_SECRET,
+    ackLinkTtlHours: parseInt(process.env.ESCALATION_ACK_LINK_TTL_HOURS) || 24,
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || '' // e.g. https://inbox.example.com, prefixed to acknowledgement links
+  },
+
+  // Review SLAs (policies and business calendar; defaults to src/config/slaPolicies.json)
+  sla: {
+    path: process.env.SLA_POLICIES_PATH,
+    channels: (process.env.SLA_ALERT_CHANNELS || 'email,chat').split(',').map(channel => channel.trim()).filter(Boolean), // email | chat
+    emailTo: (process.env.SLA_ALERT_EMAIL_TO || process.env.ESCALATION_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean),
+    chatWebhookUrl: process.env.SLA_CHAT_WEBHOOK_URL || process.env.ESCALATION_CHAT_WEBHOOK_URL,
+    batchSize: parseInt(process.env.SLA_BATCH_SIZE) || 500 // Emails examined per breach check
+  },
+
+  // API authentication: JWT bearer tokens from the identity provider, or API keys (see create-api-key.js)
+  auth: {
+    enabled: process.env.AUTH_ENABLED ? process.env.AUTH_ENABLED !== 'false' : process.env.NODE_ENV === 'production',
+    rolesPath: process.env.AUTH_ROLES_PATH, // Defaults to src/config/roles.json
+    jwt: {
+      secret: process.env.AUTH_JWT_SECRET, // HS256 shared secret (e.g. the Supabase JWT secret); unset disables JWT auth
+      issuer: process.env.AUTH_JWT_ISSUER,
+      audience: process.env.AUTH_JWT_AUDIENCE,
+      roleClaim: process.env.AUTH_JWT_ROLE_CLAIM || 'role', // Dotted path, e.g. app_metadata.role for Supabase
+      nameClaim: process.env.AUTH_JWT_NAME_CLAIM || 'email', // Reviewer name; falls back to sub
+      clockSkewSeconds: parseInt(process.env.AUTH_JWT_CLOCK_SKEW_SECONDS) || 60
+    },
+    testRoutesEnabled: process.env.TEST_ROUTES_ENABLED ? process.env.TEST_ROUTES_ENABLED === 'true' : process.env.NODE_ENV !== 'production'
+  },
+
+  // Inbound webhook authentication
+  webhook: {
+    secrets: parseSecrets(),
+    toleranceSeconds: parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300
+  },
+
+  // Gmail API (Pub/Sub history sync)
+  gmail: {
+    clientId: process.env.GMAIL_CLIENT_ID,
+    clientSecret: process.env.GMAIL_CLIENT_SECRET,
+    refreshToken: process.env.GMAIL_REFRESH_TOKEN,
+    userId: process.env.GMAIL_USER_ID || 'me',
+    apiRootUrl: process.env.GMAIL_API_ROOT_URL, // Point at a local stub for offline testing
+    labelId: process.env.GMAIL_LABEL_ID || 'INBOX',
+    // Pub/Sub push authentication (one is required in production)
+    pushAudience: process.env.GMAIL_PUSH_AUDIENCE, // OIDC audience set on the push subscription
+    pushServiceAccount: process.env.GMAIL_PUSH_SERVICE_ACCOUNT, // Service account the OIDC token must be issued to
+    pushToken: process.env.GMAIL_PUSH_TOKEN // Or a shared ?token= on the push endpoint URL
+  },
+
+  // Durable job queue (ingestion → analysis → decision → workflow)
+  jobs: {
+    driver: process.env.JOB_QUEUE_DRIVER || 'postgres', // postgres | memory
+    workerEnabled: process.env.JOB_WORKER_ENABLED !== 'false', // Disable on Vercel, drain via cron instead
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000,
+    batchSize: parseInt(process.env.JOB_BATCH_SIZE) || 5,
+    leaseMs: parseInt(process.env.JOB_LEASE_MS) || 120000,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+    backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS) || 5000,
+    backoffMaxMs: parseInt(process.env.JOB_BACKOFF_MAX_MS) || 300000,
+    drainTimeLimitMs: parseInt(process.env.JOB_DRAIN_TIME_LIMIT_MS) || 25000,
+    cronSecret: process.env.CRON_SECRET // Required in production; cron routes are open without it only in development
+  },
+
   // Application
   app: {
     maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
     retryDelayMs: parseInt(process.env.RETRY_DELAY_MS) || 100,
-    confidenceThreshold: parseFloat(process.env.CONFIDENCE_THRESHOLD) || 0.7
+    confidenceThreshold: parseFloat(process.env.CONFIDENCE_THRESHOLD) || 0.7,
+    maxThreadDepth: parseInt(process.env.MAX_THREAD_DEPTH) || 3, // Inbound messages before a conversation goes to a human
+    timezone: process.env.APP_TIMEZONE || 'UTC' // IANA zone assumed for extracted times without one (e.g. America/Chicago)
   }
 };
 
@@ -2,6 +2,20 @@ import express from 'express';
 import { config, validateConfig } from './config/index.js';
 import emailRoutes from './routes/emailRoutes.js';
 import testRoutes from './routes/testRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import draftRoutes from './routes/draftRoutes.js';
+import ruleRoutes from './routes/ruleRoutes.js';
+import attachmentRoutes from './routes/attachmentRoutes.js';
+import invoiceRoutes from './routes/invoiceRoutes.js';
+import escalationRoutes from './routes/escalationRoutes.js';
+import slaRoutes from './routes/slaRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import jobQueue from './services/JobQueue.js';
+import aiAnalysisService from './services/AIAnalysisService.js';
+import { registerEmailPipeline } from './services/EmailPipeline.js';
+import { PERMISSIONS } from './services/AuthService.js';
+import requirePermission from './middleware/requirePermission.js';
 
 // Validate configuration on startup
 try {
@@ -16,7 +30,13 @@ try {
 const app = express();
 
 // Middleware
-app.use(express.json());
+app.use(express.json({
+  limit: config.attachments.requestBodyLimit,
+  verify: (req, res, buf) => {
+    // Keep the exact bytes for webhook signature verification
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
@@ -28,11 +48,36 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Classification response metrics (per instance, since startup)
+app.get('/api/metrics', requirePermission(PERMISSIONS.SYSTEM_READ), (req, res) => {
+  res.json({
+    classification: aiAnalysisService.getMetrics(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Caller identity and API keys
+app.use('/api/auth', authRoutes);
+
 // Email routes
 app.use('/api/emails', emailRoutes);
 
-// Test routes (for debugging)
-app.use('/api/test', testRoutes);
+// Review queue routes (Manual Review / Escalated / Pending Review / Finance Review)
+app.use('/api/review', reviewRoutes);
+app.use('/api/drafts', draftRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/escalations', escalationRoutes);
+app.use('/api/sla', slaRoutes);
+
+// Job queue routes (cron drain, dead-letter inspection)
+app.use('/api/jobs', jobRoutes);
+
+// Test routes (for debugging; admin only, and off in production unless TEST_ROUTES_ENABLED=true)
+if (config.auth.testRoutesEnabled) {
+  app.use('/api/test', testRoutes);
+}
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -48,6 +93,12 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
+// Register pipeline job handlers and start the worker
+registerEmailPipeline();
+if (config.jobs.workerEnabled) {
+  jobQueue.start();
+}
+
 // Start server
 const server = app.listen(config.port, () => {
   console.log(`🚀 Server running on port ${config.port}`);
@@ -58,8 +109,9 @@ const server = app.listen(config.port, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
-  server.close(() => {
+  server.close(async () => {
     console.log('Server closed');
+    await jobQueue.stop();
     process.exit(0);
   });
 });
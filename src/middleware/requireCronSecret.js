@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+
+/**
+ * Create the Vercel Cron shared secret check (Authorization: Bearer <CRON_SECRET>)
+ * Without a secret the cron routes are open in development and closed in production
+ * @param {Object} options - Guard options
+ * @param {string} options.secret - CRON_SECRET
+ * @param {boolean} options.production - Fail closed when no secret is configured
+ * @returns {Function} Express middleware
+ */
+export function createCronSecretGuard({
+  secret = config.jobs.cronSecret,
+  production = config.nodeEnv === 'production'
+} = {}) {
+  const expected = secret ? Buffer.from(`Bearer ${secret}`) : null;
+
+  return function requireCronSecret(req, res, next) {
+    if (!expected) {
+      if (!production) return next();
+      return res.status(503).json({ success: false, error: 'CRON_SECRET is not configured' });
+    }
+
+    const provided = Buffer.from(req.get('authorization') || '');
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    next();
+  };
+}
+
+// Default guard using config
+const requireCronSecret = createCronSecretGuard();
+export default requireCronSecret;
@@ -0,0 +1,55 @@
+import authService from '../services/AuthService.js';
+
+/**
+ * Create the route guard factory
+ * @param {Object} service - AuthService instance
+ * @returns {Function} requirePermission(permission, options) -> Express middleware
+ */
+export function createPermissionGuard(service = authService) {
+  /**
+   * Authenticate the caller (req.principal) and check their role
+   * @param {string|null} permission - Required permission (null: any authenticated caller)
+   * @param {Object} options - Guard options
+   * @param {Function} options.emailId - async req -> ID of the email acted on, checked against the role's scope
+   * @returns {Function} Express middleware
+   */
+  return function requirePermission(permission, { emailId } = {}) {
+    return async (req, res, next) => {
+      try {
+        if (!req.principal) {
+          req.principal = await service.authenticate({
+            authorization: req.get('authorization'),
+            apiKey: req.get('x-api-key')
+          });
+        }
+
+        if (permission && !service.hasPermission(req.principal, permission)) {
+          return res.status(403).json({
+            success: false,
+            error: `Role ${req.principal.role} does not have the ${permission} permission`
+          });
+        }
+
+        if (emailId && service.emailScope(req.principal)) {
+          const id = await emailId(req);
+          if (id) await service.authorizeEmail(req.principal, id);
+        }
+      } catch (error) {
+        const statusCode = error.statusCode || 500;
+        if (statusCode >= 500) {
+          console.error('❌ Authorization failed:', error.message);
+        }
+        if (statusCode === 401) {
+          res.set('WWW-Authenticate', 'Bearer');
+        }
+        return res.status(statusCode).json({ success: false, error: error.message });
+      }
+
+      next();
+    };
+  };
+}
+
+// Default guard using the shared AuthService
+const requirePermission = createPermissionGuard();
+export default requirePermission;
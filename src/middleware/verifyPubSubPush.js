@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { google } from 'googleapis';
+import { config } from '../config/index.js';
+import auditLogger, { ACTION_TYPES } from '../services/AuditLogger.js';
+
+/**
+ * Verify a Google-signed OIDC token with google-auth-library
+ * @private
+ */
+async function verifyGoogleIdToken(idToken, audience) {
+  const ticket = await new google.auth.OAuth2().verifyIdToken({ idToken, audience });
+  return ticket.getPayload();
+}
+
+/**
+ * Constant-time string comparison
+ * @private
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Create middleware that authenticates Pub/Sub push requests
+ * Push subscriptions either attach an OIDC token (Authorization: Bearer <jwt>,
+ * checked against the audience and service account) or carry a shared
+ * verification token in the endpoint URL (?token=...)
+ * @param {Object} options - Verifier options
+ * @param {string} options.audience - OIDC audience configured on the push subscription
+ * @param {string} options.serviceAccount - Service account email the token must be issued to
+ * @param {string} options.verificationToken - Shared ?token= value
+ * @param {boolean} options.production - Reject every push when neither method is configured
+ * @param {Function} options.verifyIdToken - async (idToken, audience) -> token payload
+ * @returns {Function} Express middleware
+ */
+export function createPubSubPushVerifier({
+  audience = config.gmail.pushAudience,
+  serviceAccount = config.gmail.pushServiceAccount,
+  verificationToken = config.gmail.pushToken,
+  production = config.nodeEnv === 'production',
+  verifyIdToken = verifyGoogleIdToken
+} = {}) {
+  const configured = Boolean(audience || verificationToken);
+  if (!configured && !production) {
+    console.warn('⚠️  GMAIL_PUSH_AUDIENCE / GMAIL_PUSH_TOKEN not set - Pub/Sub pushes are NOT authenticated');
+  }
+
+  const reject = (req, res, reason) => {
+    console.warn(`🔒 Rejected Pub/Sub push from ${req.ip}: ${reason}`);
+    auditLogger.log(ACTION_TYPES.WEBHOOK_REJECTED, `Pub/Sub push rejected: ${reason}`, false, null, {
+      ip: req.ip,
+      path: req.originalUrl
+    });
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized'
+    });
+  };
+
+  return async function verifyPubSubPush(req, res, next) {
+    if (!configured) {
+      return production ? reject(req, res, 'push authentication is not configured') : next();
+    }
+
+    if (verificationToken) {
+      const token = typeof req.query.token === 'string' ? req.query.token : '';
+      if (!safeEqual(token, verificationToken)) {
+        return reject(req, res, 'verification token mismatch');
+      }
+    }
+
+    if (audience) {
+      const [scheme, idToken] = (req.get('authorization') || '').split(' ');
+      if (scheme !== 'Bearer' || !idToken) {
+        return reject(req, res, 'missing OIDC token');
+      }
+
+      let claims;
+      try {
+        claims = await verifyIdToken(idToken, audience);
+      } catch (error) {
+        return reject(req, res, `invalid OIDC token: ${error.message}`);
+      }
+
+      if (serviceAccount && (claims?.email !== serviceAccount || !claims?.email_verified)) {
+        return reject(req, res, `token issued to ${claims?.email || 'unknown account'}`);
+      }
+    }
+
+    next();
+  };
+}
+
+// Default verifier using config
+const verifyPubSubPush = createPubSubPushVerifier();
+export default verifyPubSubPush;
@@ -0,0 +1,96 @@
+import { config } from '../config/index.js';
+import auditLogger, { ACTION_TYPES } from '../services/AuditLogger.js';
+import databaseService from '../services/DatabaseService.js';
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  NONCE_HEADER,
+  findMatchingSecret,
+  NonceStore
+} from '../utils/webhookSignature.js';
+
+/**
+ * Create middleware that verifies inbound webhook HMAC signatures
+ * Requires req.rawBody (captured by express.json's verify hook in index.js)
+ * @param {Object} options - Verifier options
+ * @param {Array<string>} options.secrets - Active shared secrets
+ * @param {number} options.toleranceSeconds - Accepted clock skew / replay window
+ * @param {NonceStore} options.nonceStore - Replay guard shared by all instances
+ * @param {Function} options.now - Clock returning epoch milliseconds
+ * @returns {Function} Express middleware
+ */
+export function createWebhookSignatureVerifier({
+  secrets = config.webhook.secrets,
+  toleranceSeconds = config.webhook.toleranceSeconds,
+  nonceStore = new NonceStore({ db: databaseService, ttlMs: toleranceSeconds * 2 * 1000 }),
+  now = () => Date.now()
+} = {}) {
+  if (secrets.length === 0) {
+    console.warn('⚠️  WEBHOOK_SECRETS not set - inbound webhook signatures are NOT verified');
+  }
+
+  const reject = (req, res, reason) => {
+    console.warn(`🔒 Rejected webhook from ${req.ip}: ${reason}`);
+    auditLogger.log(ACTION_TYPES.WEBHOOK_REJECTED, `Inbound webhook rejected: ${reason}`, false, null, {
+      ip: req.ip,
+      path: req.originalUrl
+    });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid webhook signature'
+    });
+  };
+
+  return async function verifyWebhookSignature(req, res, next) {
+    if (secrets.length === 0) return next();
+
+    const signature = req.get(SIGNATURE_HEADER);
+    const timestamp = req.get(TIMESTAMP_HEADER);
+    const nonce = req.get(NONCE_HEADER);
+
+    if (!signature || !timestamp || !nonce) {
+      return reject(req, res, 'missing signature headers');
+    }
+
+    const timestampSeconds = Number(timestamp);
+    if (!Number.isInteger(timestampSeconds)) {
+      return reject(req, res, 'malformed timestamp');
+    }
+
+    const skew = Math.abs(now() / 1000 - timestampSeconds);
+    if (skew > toleranceSeconds) {
+      return reject(req, res, `timestamp outside ${toleranceSeconds}s window`);
+    }
+
+    const keyIndex = findMatchingSecret(secrets, signature, timestamp, nonce, req.rawBody);
+    if (keyIndex === -1) {
+      return reject(req, res, 'signature mismatch');
+    }
+
+    // Only remember nonces of authentic requests so forged ones can't poison the store
+    let fresh;
+    try {
+      fresh = await nonceStore.checkAndStore(nonce, now());
+    } catch (error) {
+      // Without the replay check the request can't be trusted; the sender retries later
+      console.error('❌ Webhook nonce check failed:', error.message);
+      return res.status(503).json({
+        success: false,
+        error: 'Webhook verification unavailable'
+      });
+    }
+    if (!fresh) {
+      return reject(req, res, 'replayed nonce');
+    }
+
+    if (keyIndex > 0) {
+      console.warn(`🔑 Webhook signed with rotated-out secret #${keyIndex} - update the sender`);
+    }
+
+    next();
+  };
+}
+
+// Default verifier using config
+const verifyWebhookSignature = createWebhookSignatureVerifier();
+export default verifyWebhookSignature;
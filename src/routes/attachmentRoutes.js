@@ -0,0 +1,74 @@
+import express from 'express';
+import attachmentStorageService from '../services/AttachmentStorageService.js';
+import databaseService from '../services/DatabaseService.js';
+import { PERMISSIONS } from '../services/AuthService.js';
+import requirePermission from '../middleware/requirePermission.js';
+import { reviewAction } from './reviewerAction.js';
+import requireCronSecret from '../middleware/requireCronSecret.js';
+
+const router = express.Router();
+
+/**
+ * GET|POST /api/attachments/retention/run
+ * Purge attachments past their retention period (Vercel Cron calls this daily with GET)
+ */
+async function runRetention(req, res) {
+  try {
+    const result = await attachmentStorageService.applyRetention();
+    return res.status(200).json({ success: true, ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('❌ Attachment retention failed:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+router.get('/retention/run', requireCronSecret, runRetention);
+router.post('/retention/run', requireCronSecret, runRetention);
+
+/**
+ * GET /api/attachments?email_id=...
+ * List an email's attachments with storage and scan status
+ */
+router.get('/', requirePermission(PERMISSIONS.EMAILS_READ, { emailId: req => req.query.email_id }), reviewAction(async (req, res) => {
+  if (!req.query.email_id) {
+    return res.status(400).json({ success: false, error: 'email_id is required' });
+  }
+
+  const attachments = await attachmentStorageService.listAttachments(req.query.email_id);
+  return res.status(200).json({ success: true, count: attachments.length, attachments });
+}, { requireReviewer: false }));
+
+/**
+ * POST /api/attachments/:id/download-url
+ * Issue a short-lived signed download link to a reviewer
+ */
+router.post('/:id/download-url', requirePermission(PERMISSIONS.EMAILS_READ, {
+  emailId: async req => (await databaseService.getEmailAttachmentById(req.params.id))?.email_id
+}), reviewAction(async (req, res, reviewer) => {
+  const link = await attachmentStorageService.createDownloadUrl(req.params.id, reviewer);
+  return res.status(201).json({ success: true, ...link });
+}));
+
+/**
+ * GET /api/attachments/:id/download?expires=...&signature=...
+ * Serve the file behind a signed link (the link is the credential)
+ */
+router.get('/:id/download', reviewAction(async (req, res) => {
+  const { attachment, buffer } = await attachmentStorageService.openSignedDownload(
+    req.params.id,
+    req.query.expires,
+    req.query.signature
+  );
+
+  // res.attachment() encodes the name per RFC 6266 (filename*=UTF-8'' with an ASCII fallback)
+  res.attachment(attachment.name);
+  res.set({
+    'Content-Type': attachment.content_type || 'application/octet-stream',
+    'Content-Length': buffer.length,
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  return res.status(200).send(buffer);
+}, { requireReviewer: false }));
+
+export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import authService, { PERMISSIONS } from '../services/AuthService.js';
+import requirePermission from '../middleware/requirePermission.js';
+import { reviewAction } from './reviewerAction.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/auth/me
+ * The authenticated caller, their role, permissions and email scope
+ */
+router.get('/me', requirePermission(null), (req, res) => {
+  const { type, name, role, permissions, emailTypes, statuses } = req.principal;
+  return res.status(200).json({
+    success: true,
+    principal: { type, name, role, permissions, email_types: emailTypes, statuses }
+  });
+});
+
+/**
+ * GET /api/auth/keys
+ * List API keys (query: include_revoked=true)
+ */
+router.get('/keys', requirePermission(PERMISSIONS.SYSTEM_MANAGE), reviewAction(async (req, res) => {
+  const apiKeys = await authService.listApiKeys({ include_revoked: req.query.include_revoked === 'true' });
+  return res.status(200).json({ success: true, count: apiKeys.length, api_keys: apiKeys });
+}, { requireReviewer: false }));
+
+/**
+ * POST /api/auth/keys
+ * Create an API key (body: name, role, expires_at)
+ * The key is only returned in this response
+ */
+router.post('/keys', requirePermission(PERMISSIONS.SYSTEM_MANAGE), reviewAction(async (req, res, reviewer) => {
+  const { api_key, key } = await authService.createApiKey({
+    name: req.body?.name,
+    role: req.body?.role,
+    expires_at: req.body?.expires_at
+  }, reviewer);
+  return res.status(201).json({ success: true, api_key, key });
+}, { requireReviewer: false }));
+
+/**
+ * DELETE /api/auth/keys/:id
+ * Revoke an API key
+ */
+router.delete('/keys/:id', requirePermission(PERMISSIONS.SYSTEM_MANAGE), reviewAction(async (req, res, reviewer) => {
+  const apiKey = await authService.revokeApiKey(req.params.id, reviewer);
+  return res.status(200).json({ success: true, api_key: apiKey });
+}, { requireReviewer: false }));
+
+export default router;
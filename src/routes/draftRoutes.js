@@ -0,0 +1,76 @@
+import express from 'express';
+import draftService from '../services/DraftService.js';
+import authService, { PERMISSIONS } from '../services/AuthService.js';
+import requirePermission from '../middleware/requirePermission.js';
+import { reviewAction } from './reviewerAction.js';
+
+const router = express.Router();
+
+// Drafts are checked against the scope of the email they answer
+const draftEmailId = async req => (await draftService.getDraft(req.params.id)).email_id;
+
+/**
+ * GET /api/drafts
+ * List reply drafts, newest first
+ * Query: status (default pending), email_id, limit
+ */
+router.get('/', requirePermission(PERMISSIONS.EMAILS_READ), reviewAction(async (req, res) => {
+  const drafts = await draftService.listDrafts({
+    status: req.query.status || 'pending',
+    email_id: req.query.email_id,
+    limit: Math.min(parseInt(req.query.limit) || 50, 200)
+  });
+
+  const visible = await authService.filterByEmail(req.principal, drafts);
+  return res.status(200).json({ success: true, count: visible.length, drafts: visible });
+}, { requireReviewer: false }));
+
+/**
+ * GET /api/drafts/:id
+ * Get a single draft including the prompt and model used
+ */
+router.get('/:id', requirePermission(PERMISSIONS.EMAILS_READ, { emailId: draftEmailId }), reviewAction(async (req, res) => {
+  const draft = await draftService.getDraft(req.params.id);
+  return res.status(200).json({ success: true, draft });
+}, { requireReviewer: false }));
+
+/**
+ * PATCH /api/drafts/:id
+ * Edit a pending draft (body.subject and/or body.text)
+ */
+router.patch('/:id', requirePermission(PERMISSIONS.EMAILS_REVIEW, { emailId: draftEmailId }), reviewAction(async (req, res, reviewer) => {
+  const draft = await draftService.editDraft(req.params.id, {
+    subject: req.body?.subject,
+    text: req.body?.text
+  }, reviewer);
+  return res.status(200).json({ success: true, draft });
+}));
+
+/**
+ * POST /api/drafts/:id/approve
+ * Approve a draft and send it
+ */
+router.post('/:id/approve', requirePermission(PERMISSIONS.EMAILS_REVIEW, { emailId: draftEmailId }), reviewAction(async (req, res, reviewer) => {
+  const { draft, result } = await draftService.approveDraft(req.params.id, reviewer);
+  return res.status(200).json({ success: true, draft, result });
+}));
+
+/**
+ * POST /api/drafts/:id/reject
+ * Reject a draft without sending (body.reason optional)
+ */
+router.post('/:id/reject', requirePermission(PERMISSIONS.EMAILS_REVIEW, { emailId: draftEmailId }), reviewAction(async (req, res, reviewer) => {
+  const draft = await draftService.rejectDraft(req.params.id, reviewer, req.body?.reason);
+  return res.status(200).json({ success: true, draft });
+}));
+
+/**
+ * POST /api/drafts/:id/regenerate
+ * Generate a new version of a draft, superseding the current one
+ */
+router.post('/:id/regenerate', requirePermission(PERMISSIONS.EMAILS_REVIEW, { emailId: draftEmailId }), reviewAction(async (req, res, reviewer) => {
+  const draft = await draftService.regenerateDraft(req.params.id, reviewer);
+  return res.status(201).json({ success: true, draft });
+}));
+
+export default router;
@@ -1,16 +1,23 @@
 import express from 'express';
 import emailIngestionService from '../services/EmailIngestionService.js';
-import aiAnalysisService from '../services/AIAnalysisService.js';
-import databaseService from '../services/DatabaseService.js';
+import jobQueue, { JOB_TYPES } from '../services/JobQueue.js';
+import verifyWebhookSignature from '../middleware/verifyWebhookSignature.js';
+import verifyPubSubPush from '../middleware/verifyPubSubPush.js';
+import emailTimelineService from '../services/EmailTimelineService.js';
+import emailQueryService from '../services/EmailQueryService.js';
+import authService, { PERMISSIONS } from '../services/AuthService.js';
+import requirePermission from '../middleware/requirePermission.js';
+import { reviewAction } from './reviewerAction.js';
 
 const router = express.Router();
 
 /**
  * POST /api/emails/inbound
  * Webhook endpoint for receiving incoming emails
- * 🚀 FIXED: Respond immediately, process in background
+ * Responds once the email is durably queued; processing happens in the job worker
+ * Requests must carry a valid HMAC signature (see utils/webhookSignature.js)
  */
-router.post('/inbound', async (req, res) => {
+router.post('/inbound', verifyWebhookSignature, async (req, res) => {
   console.log('📧 Webhook received email data');
   
   try {
@@ -24,22 +31,28 @@ router.post('/inbound', async (req, res) => {
       });
     }
 
-    // 🔥 STEP 2: Respond IMMEDIATELY (before any DB/AI operations)
+    // 🔥 STEP 2: Persist an ingestion job before acknowledging
+    // If this fails the sender gets a 500 and can retry - nothing is lost silently
+    // (attachment content is dropped from the job once it has been ingested)
+    const job = await jobQueue.enqueue(JOB_TYPES.INGEST_EMAIL, req.body);
+
     res.status(200).json({
       success: true,
       message: 'Email received and processing started',
+      job_id: job.id,
       timestamp: new Date().toISOString()
     });
 
-    // 🔥 STEP 3: Process email in background (fire & forget)
-    console.log('🚀 Starting background email processing...');
-    processEmailInBackground(req.body).catch(error => {
-      console.error('❌ Background processing failed:', error.message);
-    });
+    // 🔥 STEP 3: Without a long-running worker (Vercel), drain the queue now;
+    // anything left over is picked up by the cron call to /api/jobs/run
+    if (!jobQueue.running) {
+      jobQueue.drain().catch(error => {
+        console.error('❌ Inline queue drain failed:', error.message);
+      });
+    }
 
   } catch (error) {
-    // Only validation errors should reach here
-    console.error('❌ Webhook validation error:', error.message);
+    console.error('❌ Webhook error:', error.message);
     return res.status(500).json({
       success: false,
       error: 'Internal server error'
@@ -49,83 +62,85 @@ router.post('/inbound', async (req, res) => {
 
 /**
  * POST /api/emails/gmail-webhook
- * Gmail Pub/Sub webhook endpoint
+ * Gmail Pub/Sub push endpoint
+ * Responds once the sync is durably queued; Pub/Sub redelivers on any non-2xx
+ * Pushes must carry the subscription's OIDC token or verification token
  */
-router.post('/gmail-webhook', async (req, res) => {
+router.post('/gmail-webhook', verifyPubSubPush, async (req, res) => {
   console.log('📨 Gmail Pub/Sub notification received');
-  
-  // Send 200 immediately (required by Pub/Sub)
-  res.status(200).send('OK');
-  
+
+  let messageData;
   try {
-    if (!req.body.message || !req.body.message.data) {
-      console.log('⚠️  Invalid Pub/Sub message format');
-      return;
-    }
-    
-    // Decode Pub/Sub message
-    const messageData = JSON.parse(
-      Buffer.from(req.body.message.data, 'base64').toString()
-    );
-    
-    console.log('📧 Gmail change detected:', {
-      historyId: messageData.historyId,
-      emailAddress: messageData.emailAddress
-    });
-    
-    // Process the Gmail change asynchronously
-    processGmailChange(messageData).catch(error => {
-      console.error('Error processing Gmail change:', error);
+    messageData = JSON.parse(Buffer.from(req.body.message.data, 'base64').toString());
+  } catch (error) {
+    messageData = null;
+  }
+
+  // Redelivering a malformed message cannot fix it - acknowledge and drop it
+  if (!messageData?.emailAddress || !messageData?.historyId) {
+    console.log('⚠️  Invalid Pub/Sub message format');
+    return res.status(200).send('OK');
+  }
+
+  console.log('📧 Gmail change detected:', {
+    historyId: messageData.historyId,
+    emailAddress: messageData.emailAddress
+  });
+
+  try {
+    await jobQueue.enqueue(JOB_TYPES.SYNC_GMAIL, {
+      email_address: messageData.emailAddress,
+      history_id: String(messageData.historyId)
     });
-    
   } catch (error) {
-    console.error('❌ Error processing Gmail webhook:', error.message);
+    console.error('❌ Error queueing Gmail sync:', error.message);
+    return res.status(500).send('Error');
+  }
+
+  res.status(200).send('OK');
+
+  // Without a long-running worker (Vercel), drain the queue now
+  if (!jobQueue.running) {
+    jobQueue.drain().catch(error => {
+      console.error('❌ Inline queue drain failed:', error.message);
+    });
   }
 });
 
-// Function to process Gmail changes (runs asynchronously)
-async function processGmailChange(messageData) {
-  console.log('🔄 Processing Gmail change for historyId:', messageData.historyId);
-  
-  // TODO: This would need Gmail API credentials to fetch the actual email
-  // For now, we'll just log that we received the notification
-  
-  // In a full implementation, you would:
-  // 1. Use Gmail API to fetch the email details
-  // 2. Extract from_email, subject, body
-  // 3. Call your existing email ingestion service
-  
-  console.log('✅ Gmail change processed');
-}
+// Reading one email needs emails:read and the email in the role's scope
+const readEmail = requirePermission(PERMISSIONS.EMAILS_READ, { emailId: req => req.params.id });
 
 /**
- * 🚀 Background Email Processing Function
- * This runs AFTER the webhook has already responded
- * No timeout limits - can take as long as needed
+ * GET /api/emails
+ * List stored emails, newest first
+ * Query: status, priority, type (comma-separated), sender (address or domain), from, to,
+ *   has_attachments, min_confidence, max_confidence, q (full-text over subject and body),
+ *   sort (received_at|updated_at), order (asc|desc), limit, cursor (next_cursor of the previous page)
  */
-async function processEmailInBackground(payload) {
-  console.log('🔄 Background processing started');
-  
-  try {
-    // Use the EmailIngestionService to process the email properly
-    console.log('💾 Storing email in database...');
-    const result = await emailIngestionService.processIncomingEmail(payload);
-    
-    if (result.success) {
-      console.log(`✅ Email processed successfully with ID: ${result.email_id}`);
-    } else {
-      console.error('❌ Email processing failed:', result.error);
-    }
-    
-    console.log('✅ Background processing completed successfully');
+router.get('/', requirePermission(PERMISSIONS.EMAILS_READ), reviewAction(async (req, res) => {
+  const { emails, next_cursor } = await emailQueryService.listEmails(req.query, authService.emailScope(req.principal));
+  return res.status(200).json({ success: true, count: emails.length, emails, next_cursor });
+}, { requireReviewer: false }));
 
-  } catch (error) {
-    console.error('❌ Background processing failed:', error.message);
-    console.error('📍 Stack trace:', error.stack);
-    
-    // Don't throw - this is fire & forget
-    // The webhook has already responded successfully
-  }
-}
+/**
+ * GET /api/emails/:id
+ * Email with its analysis, workflow runs, sent replies and audit trail
+ */
+router.get('/:id', readEmail, reviewAction(async (req, res) => {
+  const details = await emailQueryService.getEmail(req.params.id);
+  return res.status(200).json({ success: true, ...details });
+}, { requireReviewer: false }));
+
+/**
+ * GET /api/emails/:id/timeline
+ * Status changes, classification, workflow runs and audit entries, oldest first
+ * Query: types (comma-separated: received, status, analysis, workflow, audit)
+ */
+router.get('/:id/timeline', readEmail, reviewAction(async (req, res) => {
+  const timeline = await emailTimelineService.getTimeline(req.params.id, {
+    types: req.query.types ? req.query.types.split(',').map(type => type.trim()) : undefined
+  });
+  return res.status(200).json({ success: true, ...timeline });
+}, { requireReviewer: false }));
 
 export default router;
@@ -0,0 +1,109 @@
+import express from 'express';
+import escalationService, { ESCALATION_STATUS } from '../services/EscalationService.js';
+import authService, { PERMISSIONS } from '../services/AuthService.js';
+import requirePermission from '../middleware/requirePermission.js';
+import { reviewAction } from './reviewerAction.js';
+
+const router = express.Router();
+
+const escalationEmailId = async req => (await escalationService.getEscalation(req.params.id)).email_id;
+
+/**
+ * GET /api/escalations
+ * List urgent-issue escalations, newest first
+ * Query: status (open, acknowledged, exhausted), limit
+ */
+router.get('/', requirePermission(PERMISSIONS.EMAILS_READ), reviewAction(async (req, res) => {
+  const escalations = await escalationService.listEscalations({
+    status: req.query.status,
+    limit: Math.min(parseInt(req.query.limit) || 50, 200)
+  });
+
+  const visible = await authService.filterByEmail(req.principal, escalations);
+  return res.status(200).json({ success: true, count: visible.length, escalations: visible });
+}, { requireReviewer: false }));
+
+/**
+ * GET /api/escalations/:id
+ * Get an escalation with its chain and every notification sent
+ */
+router.get('/:id', requirePermission(PERMISSIONS.EMAILS_READ, { emailId: escalationEmailId }), reviewAction(async (req, res) => {
+  const escalation = await escalationService.getEscalation(req.params.id);
+  return res.status(200).json({ success: true, escalation });
+}, { requireReviewer: false }));
+
+/**
+ * POST /api/escalations/:id/acknowledge
+ * Acknowledge on behalf of the reviewer (stops re-escalation)
+ */
+router.post('/:id/acknowledge', requirePermission(PERMISSIONS.ESCALATIONS_ACKNOWLEDGE, { emailId: escalationEmailId }), reviewAction(async (req, res, reviewer) => {
+  const escalation = await escalationService.acknowledge(req.params.id, reviewer, 'api');
+  return res.status(200).json({ success: true, escalation });
+}));
+
+/**
+ * Escape text for an HTML page
+ * @private
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Minimal HTML page for the acknowledgement link
+ * @private
+ */
+function ackPage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * GET /api/escalations/:id/ack?contact=...&expires=...&signature=...
+ * Confirmation page for the link in a page (the link is the credential)
+ * Only checks the link: link previews and mail scanners fetch it without anyone reading the page
+ */
+router.get('/:id/ack', reviewAction(async (req, res) => {
+  const { contact, expires, signature } = req.query;
+  const { escalation, contact_name } = await escalationService.verifyAckLink(req.params.id, contact, expires, signature);
+  const site = escalation.site_name || escalation.site_id;
+
+  if (escalation.status !== ESCALATION_STATUS.OPEN) {
+    return res.status(200).type('html').send(ackPage('Escalation closed',
+      `<p>The escalation for ${escapeHtml(site)} is ${escapeHtml(escalation.status)}` +
+      `${escalation.acknowledged_by ? ` (acknowledged by ${escapeHtml(escalation.acknowledged_by)})` : ''}.</p>`));
+  }
+
+  return res.status(200).type('html').send(ackPage('Acknowledge escalation', `<p>Urgent site issue at ${escapeHtml(site)}.</p>
+<form method="post">
+<input type="hidden" name="contact" value="${escapeHtml(contact)}">
+<input type="hidden" name="expires" value="${escapeHtml(expires)}">
+<input type="hidden" name="signature" value="${escapeHtml(signature)}">
+<button type="submit">Acknowledge as ${escapeHtml(contact_name)}</button>
+</form>
+<p>Acknowledging stops further escalation.</p>`));
+}, { requireReviewer: false }));
+
+/**
+ * POST /api/escalations/:id/ack
+ * Acknowledge from the confirmation page (form fields contact, expires, signature)
+ */
+router.post('/:id/ack', reviewAction(async (req, res) => {
+  const escalation = await escalationService.acknowledgeWithLink(
+    req.params.id,
+    req.body.contact,
+    req.body.expires,
+    req.body.signature
+  );
+
+  return res.status(200).type('html').send(ackPage('Escalation acknowledged',
+    `<p>Acknowledged by ${escapeHtml(escalation.acknowledged_by)}. Further escalation has been stopped.</p>`));
+}, { requireReviewer: false }));
+
+export default router;
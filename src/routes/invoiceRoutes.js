@@ -0,0 +1,68 @@
+import express from 'express';
+import invoiceService from '../services/InvoiceService.js';
+import authService, { PERMISSIONS } from '../services/AuthService.js';
+import requirePermission from '../middleware/requirePermission.js';
+import { reviewAction } from './reviewerAction.js';
+
+const router = express.Router();
+
+const invoiceEmailId = async req => (await invoiceService.getInvoice(req.params.id)).email_id;
+
+/**
+ * GET /api/invoices
+ * List extracted invoices, oldest first
+ * Query: status (ready, needs_review, duplicate, exported), limit
+ */
+router.get('/', requirePermission(PERMISSIONS.INVOICES_READ), reviewAction(async (req, res) => {
+  const invoices = await invoiceService.listInvoices({
+    status: req.query.status,
+    limit: Math.min(parseInt(req.query.limit) || 100, 500)
+  });
+
+  const visible = await authService.filterByEmail(req.principal, invoices);
+  return res.status(200).json({ success: true, count: visible.length, invoices: visible });
+}, { requireReviewer: false }));
+
+/**
+ * POST /api/invoices/export
+ * Export to accounts payable and mark the invoices exported
+ * Body: format (csv, iif, webhook), invoice_ids (default: every ready invoice)
+ * csv and iif respond with the file; webhook responds with the delivery result
+ */
+router.post('/export', requirePermission(PERMISSIONS.INVOICES_MANAGE), reviewAction(async (req, res, reviewer) => {
+  const { format, invoice_ids, output } = await invoiceService.exportInvoices({
+    format: req.body?.format,
+    invoice_ids: req.body?.invoice_ids
+  }, reviewer);
+
+  if (output.body !== undefined) {
+    res.set({
+      'Content-Type': output.contentType,
+      'Content-Disposition': `attachment; filename="${output.filename}"`,
+      'X-Invoice-Count': String(invoice_ids.length)
+    });
+    return res.status(200).send(output.body);
+  }
+
+  return res.status(200).json({ success: true, format, count: invoice_ids.length, invoice_ids, ...output });
+}));
+
+/**
+ * GET /api/invoices/:id
+ * Get a single invoice with line items and validation issues
+ */
+router.get('/:id', requirePermission(PERMISSIONS.INVOICES_READ, { emailId: invoiceEmailId }), reviewAction(async (req, res) => {
+  const invoice = await invoiceService.getInvoice(req.params.id);
+  return res.status(200).json({ success: true, invoice });
+}, { requireReviewer: false }));
+
+/**
+ * POST /api/invoices/:id/approve
+ * Clear a held invoice (validation issues or suspected duplicate) for export
+ */
+router.post('/:id/approve', requirePermission(PERMISSIONS.INVOICES_MANAGE, { emailId: invoiceEmailId }), reviewAction(async (req, res, reviewer) => {
+  const invoice = await invoiceService.approveInvoice(req.params.id, reviewer);
+  return res.status(200).json({ success: true, invoice });
+}));
+
+export default router;
@@ -0,0 +1,61 @@
+import express from 'express';
+import jobQueue from '../services/JobQueue.js';
+import requireCronSecret from '../middleware/requireCronSecret.js';
+import { PERMISSIONS } from '../services/AuthService.js';
+import requirePermission from '../middleware/requirePermission.js';
+
+const router = express.Router();
+
+/**
+ * GET|POST /api/jobs/run
+ * Drain due jobs for a bounded time (Vercel Cron calls this with GET)
+ */
+async function runJobs(req, res) {
+  try {
+    const processed = await jobQueue.drain();
+    return res.status(200).json({
+      success: true,
+      processed,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Job drain failed:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+router.get('/run', requireCronSecret, runJobs);
+router.post('/run', requireCronSecret, runJobs);
+
+/**
+ * GET /api/jobs
+ * List jobs, optionally filtered by status or email_id (e.g. ?status=dead)
+ */
+router.get('/', requirePermission(PERMISSIONS.SYSTEM_READ), async (req, res) => {
+  try {
+    const jobs = await jobQueue.store.list({
+      status: req.query.status,
+      email_id: req.query.email_id,
+      limit: Math.min(parseInt(req.query.limit) || 50, 200)
+    });
+    return res.status(200).json({ success: true, jobs });
+  } catch (error) {
+    console.error('❌ Failed to list jobs:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/retry
+ * Requeue a dead-lettered job
+ */
+router.post('/:id/retry', requirePermission(PERMISSIONS.SYSTEM_MANAGE), async (req, res) => {
+  try {
+    const job = await jobQueue.retryDeadJob(req.params.id);
+    return res.status(200).json({ success: true, job });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
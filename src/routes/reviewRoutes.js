@@ -0,0 +1,107 @@
+import express from 'express';
+import reviewService from '../services/ReviewService.js';
+import authService, { PERMISSIONS } from '../services/AuthService.js';
+import requirePermission from '../middleware/requirePermission.js';
+import { reviewAction } from './reviewerAction.js';
+
+const router = express.Router();
+
+// Acting on an email needs emails:review and the email in the role's scope
+const reviewEmail = requirePermission(PERMISSIONS.EMAILS_REVIEW, { emailId: req => req.params.id });
+
+/**
+ * GET /api/review
+ * List emails awaiting review with their analysis
+ * Query: status, assigned_to, unassigned=true, limit, offset
+ */
+router.get('/', requirePermission(PERMISSIONS.EMAILS_READ), reviewAction(async (req, res) => {
+  const items = await reviewService.listQueue({
+    status: req.query.status,
+    assigned_to: req.query.assigned_to,
+    unassigned: req.query.unassigned === 'true',
+    limit: Math.min(parseInt(req.query.limit) || 50, 200),
+    offset: parseInt(req.query.offset) || 0
+  });
+
+  // Out-of-scope emails are dropped, so a scoped page may hold fewer than limit items
+  const visible = items.filter(item => authService.canAccessEmail(req.principal, {
+    status: item.status,
+    email_type: item.analysis?.email_type || null
+  }));
+
+  return res.status(200).json({ success: true, count: visible.length, items: visible });
+}, { requireReviewer: false }));
+
+/**
+ * POST /api/review/:id/claim
+ * Claim an email (body.force=true takes over another reviewer's claim)
+ */
+router.post('/:id/claim', reviewEmail, reviewAction(async (req, res, reviewer) => {
+  const email = await reviewService.claim(req.params.id, reviewer, { force: req.body?.force === true });
+  return res.status(200).json({ success: true, email });
+}));
+
+/**
+ * POST /api/review/:id/release
+ * Return a claimed email to the queue
+ */
+router.post('/:id/release', reviewEmail, reviewAction(async (req, res, reviewer) => {
+  const email = await reviewService.release(req.params.id, reviewer);
+  return res.status(200).json({ success: true, email });
+}));
+
+/**
+ * POST /api/review/:id/close
+ * Close an email that needs no further action (body.reason optional)
+ */
+router.post('/:id/close', reviewEmail, reviewAction(async (req, res, reviewer) => {
+  const change = await reviewService.close(req.params.id, reviewer, req.body?.reason);
+  return res.status(200).json({ success: true, ...change });
+}));
+
+/**
+ * POST /api/review/:id/assign
+ * Assign an email to another reviewer (body.assignee)
+ */
+router.post('/:id/assign', reviewEmail, reviewAction(async (req, res, reviewer) => {
+  const email = await reviewService.assign(req.params.id, req.body?.assignee, reviewer);
+  return res.status(200).json({ success: true, email });
+}));
+
+/**
+ * PATCH /api/review/:id/classification
+ * Override the AI classification
+ * Body: email_type, urgency, reason, reprocess (re-run decision rules)
+ */
+router.patch('/:id/classification', reviewEmail, reviewAction(async (req, res, reviewer) => {
+  const analysis = await reviewService.overrideClassification(req.params.id, req.body || {}, reviewer, {
+    principal: req.principal
+  });
+  return res.status(200).json({ success: true, analysis });
+}));
+
+/**
+ * POST /api/review/:id/reply/draft
+ * Generate a suggested reply and store it as a pending draft
+ */
+router.post('/:id/reply/draft', reviewEmail, reviewAction(async (req, res, reviewer) => {
+  const draft = await reviewService.draftReply(req.params.id, reviewer);
+  return res.status(201).json({ success: true, draft });
+}));
+
+/**
+ * POST /api/review/:id/reply/send
+ * Send a reply: body.draft_id approves a stored draft (edited first when
+ * body.text/body.subject are given), body.text alone sends a reviewer-written
+ * reply, otherwise a freshly generated reply is approved and sent
+ */
+router.post('/:id/reply/send', reviewEmail, reviewAction(async (req, res, reviewer) => {
+  const result = await reviewService.sendReply(req.params.id, {
+    draft_id: req.body?.draft_id,
+    subject: req.body?.subject,
+    text: req.body?.text
+  }, reviewer);
+  return res.status(200).json({ success: true, result });
+}));
+
+export default router;
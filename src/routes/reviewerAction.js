@@ -0,0 +1,40 @@
+/**
+ * Shared handler wrapper for routes acted on by a named reviewer
+ */
+
+/**
+ * Identify the acting reviewer: the authenticated caller, or (with auth
+ * disabled) the X-Reviewer header or body.reviewer
+ */
+export function getReviewer(req) {
+  if (req.principal?.name) return req.principal.name;
+  return req.get('x-reviewer') || req.body?.reviewer || null;
+}
+
+/**
+ * Wrap a handler: require a reviewer and map HttpError to its status code
+ */
+export function reviewAction(handler, { requireReviewer = true } = {}) {
+  return async (req, res) => {
+    const reviewer = getReviewer(req);
+    if (requireReviewer && !reviewer) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reviewer is required (X-Reviewer header or reviewer field)'
+      });
+    }
+
+    try {
+      return await handler(req, res, reviewer);
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode >= 500) {
+        console.error('❌ Review action failed:', error.message);
+      }
+      return res.status(statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+}
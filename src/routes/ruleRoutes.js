@@ -0,0 +1,70 @@
+import express from 'express';
+import decisionEngine from '../services/DecisionEngine.js';
+import ruleSimulationService from '../services/RuleSimulationService.js';
+import { PERMISSIONS } from '../services/AuthService.js';
+import requirePermission from '../middleware/requirePermission.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/rules
+ * Active decision rules, as a readable table and as the raw rule set
+ */
+router.get('/', requirePermission(PERMISSIONS.RULES_READ), (req, res) => {
+  return res.status(200).json({
+    success: true,
+    rules: decisionEngine.getRules(),
+    variables: decisionEngine.getVariables(),
+    rule_set: decisionEngine.ruleSet
+  });
+});
+
+/**
+ * POST /api/rules/validate
+ * Dry-run a rule set against a sample analysis without changing anything
+ * Body: { rules?: <rule set, defaults to the active one>, analysis: { email_type,
+ *   confidence_score, urgency, from_email, has_attachments, attachment_info,
+ *   extracted_data, thread_depth } }
+ */
+router.post('/validate', requirePermission(PERMISSIONS.RULES_READ), (req, res) => {
+  const ruleSet = req.body?.rules || decisionEngine.ruleSet;
+  const sample = req.body?.analysis;
+
+  if (!sample || typeof sample !== 'object') {
+    return res.status(400).json({
+      success: false,
+      error: 'analysis is required (email_type, confidence_score, ...)'
+    });
+  }
+
+  const result = decisionEngine.dryRun(ruleSet, sample);
+  return res.status(result.valid ? 200 : 422).json({ success: result.valid, ...result });
+});
+
+/**
+ * POST /api/rules/simulate
+ * Backtest a candidate rule set against stored analyses and recorded workflows
+ * Body: { rules?, variables?: { confidenceThreshold, maxThreadDepth }, since?,
+ *   until?, email_type?, limit?, include_unchanged? }
+ */
+router.post('/simulate', requirePermission(PERMISSIONS.RULES_MANAGE), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await ruleSimulationService.simulate({
+      rules: body.rules,
+      variables: body.variables,
+      since: body.since,
+      until: body.until,
+      email_type: body.email_type,
+      limit: Math.min(parseInt(body.limit) || 500, 5000),
+      include_unchanged: body.include_unchanged === true
+    });
+
+    return res.status(result.valid ? 200 : 422).json({ success: result.valid, ...result });
+  } catch (error) {
+    console.error('❌ Rule simulation failed:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
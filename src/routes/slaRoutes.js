@@ -0,0 +1,37 @@
+import express from 'express';
+import slaService from '../services/SlaService.js';
+import requireCronSecret from '../middleware/requireCronSecret.js';
+import { PERMISSIONS } from '../services/AuthService.js';
+import requirePermission from '../middleware/requirePermission.js';
+import { reviewAction } from './reviewerAction.js';
+
+const router = express.Router();
+
+/**
+ * GET|POST /api/sla/run
+ * Record and alert on new SLA breaches (Vercel Cron calls this every 5 minutes with GET)
+ */
+async function runSlaCheck(req, res) {
+  try {
+    const result = await slaService.checkBreaches();
+    return res.status(200).json({ success: true, ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('❌ SLA check failed:', error.message);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+router.get('/run', requireCronSecret, runSlaCheck);
+router.post('/run', requireCronSecret, runSlaCheck);
+
+/**
+ * GET /api/sla/report
+ * Per-policy counts, overdue and at-risk emails, and breaches since a date
+ * Query: since (ISO 8601, default 30 days ago)
+ */
+router.get('/report', requirePermission(PERMISSIONS.SLA_READ), reviewAction(async (req, res) => {
+  const report = await slaService.getReport({ since: req.query.since });
+  return res.status(200).json({ success: true, report });
+}, { requireReviewer: false }));
+
+export default router;
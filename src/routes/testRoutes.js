@@ -1,8 +1,14 @@
 import express from 'express';
 import aiAnalysisService from '../services/AIAnalysisService.js';
+import llmService, { LLM_TASKS } from '../services/LLMService.js';
+import { PERMISSIONS } from '../services/AuthService.js';
+import requirePermission from '../middleware/requirePermission.js';
 
 const router = express.Router();
 
+// Debugging endpoints call the LLM and describe the environment: admins only
+router.use(requirePermission(PERMISSIONS.SYSTEM_MANAGE));
+
 /**
  * Test endpoint to check AI analysis service - STRICT MODE
  */
@@ -45,7 +51,6 @@ router.post('/test-ai', async (req, res) => {
     return res.status(500).json({
       success: false,
       error: error.message,
-      stack: error.stack,
       mode: 'STRICT - no fallbacks',
       message: 'AI analysis failed - this will help us identify the root cause'
     });
@@ -61,8 +66,8 @@ router.get('/test-env', (req, res) => {
     hasSupabaseUrl: !!process.env.SUPABASE_URL,
     hasSupabaseKey: !!(process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_KEY),
     hasSmtpConfig: !!(process.env.SMTP_HOST && process.env.SMTP_USER),
-    nodeEnv: process.env.NODE_ENV,
-    groqKeyPrefix: (process.env.GROQ_API_KEY || process.env.OPENAI_API_KEY || '').substring(0, 10) + '...'
+    mailTransport: process.env.MAIL_TRANSPORT || 'smtp',
+    nodeEnv: process.env.NODE_ENV
   };
   
   console.log('🔧 Environment check:', envCheck);
@@ -75,25 +80,15 @@ router.get('/test-env', (req, res) => {
 });
 
 /**
- * Test endpoint for quick Groq API check
+ * Test endpoint for a quick check of the configured LLM provider
+ * (/test-groq kept for existing scripts)
  */
-router.post('/test-groq', async (req, res) => {
+async function testLLM(req, res) {
   try {
-    console.log('🧪 Testing Groq API directly...');
-    
-    const { config } = await import('../config/index.js');
-    const OpenAI = (await import('openai')).default;
-    
-    const client = new OpenAI({
-      apiKey: config.openai.apiKey,
-      baseURL: 'https://api.groq.com/openai/v1',
-      timeout: 10000
-    });
-    
-    const startTime = Date.now();
-    
-    const completion = await client.chat.completions.create({
-      model: config.openai.model,
+    const task = req.body?.task === LLM_TASKS.REPLY ? LLM_TASKS.REPLY : LLM_TASKS.CLASSIFICATION;
+    console.log(`🧪 Testing LLM provider (${task})...`);
+
+    const completion = await llmService.complete(task, {
       messages: [
         {
           role: 'user',
@@ -101,29 +96,31 @@ router.post('/test-groq', async (req, res) => {
         }
       ],
       temperature: 0.1,
-      max_tokens: 100
+      maxTokens: 100
     });
-    
-    const endTime = Date.now();
-    const response = completion.choices[0]?.message?.content;
-    
-    console.log('✅ Groq API response:', response);
-    
+
+    console.log('✅ LLM response:', completion.text);
+
     return res.status(200).json({
       success: true,
-      duration: endTime - startTime,
-      response: response,
-      model: config.openai.model
+      duration: completion.duration_ms,
+      response: completion.text,
+      provider: completion.provider,
+      model: completion.model,
+      task
     });
-    
+
   } catch (error) {
-    console.error('❌ Groq API test failed:', error);
+    console.error('❌ LLM test failed:', error);
     return res.status(500).json({
       success: false,
       error: error.message,
       type: error.constructor.name
     });
   }
-});
+}
+
+router.post('/test-llm', testLLM);
+router.post('/test-groq', testLLM);
 
 export default router;
\ No newline at end of file
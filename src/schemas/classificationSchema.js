@@ -0,0 +1,31 @@
+import taxonomyRegistry from '../services/TaxonomyRegistry.js';
+
+/**
+ * JSON Schema for the email classification response
+ * The prompt, JSON-mode request and validation in AIAnalysisService all use it.
+ * email_type is limited to the types in the taxonomy registry.
+ */
+
+export const URGENCY_LEVELS = ['Low', 'Medium', 'High'];
+
+/**
+ * Build the schema for the current taxonomy
+ * @returns {Object} JSON Schema
+ */
+export function getClassificationSchema() {
+  return {
+    type: 'object',
+    required: ['email_type', 'urgency_level', 'confidence_score', 'reasoning'],
+    properties: {
+      email_type: { type: 'string', enum: taxonomyRegistry.getTypeNames() },
+      project_type: { type: ['string', 'null'] },
+      location: { type: ['string', 'null'] },
+      estimated_value: { type: ['number', 'null'], minimum: 0 },
+      deadline: { type: ['string', 'null'] },
+      language: { type: ['string', 'null'], maxLength: 10 },
+      urgency_level: { type: 'string', enum: URGENCY_LEVELS },
+      confidence_score: { type: 'number', minimum: 0, maximum: 1 },
+      reasoning: { type: 'string', maxLength: 1000 }
+    }
+  };
+}
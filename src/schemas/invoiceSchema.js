@@ -0,0 +1,56 @@
+/**
+ * JSON Schema for the invoice field extraction response
+ * Values are as written on the invoice; invoiceExtractor normalizes them
+ * and checks the arithmetic afterwards.
+ */
+
+const LOOSE_TEXT = { type: ['string', 'null'] };
+const LOOSE_NUMBER = { type: ['number', 'string', 'null'] };
+
+export const INVOICE_EXTRACTION_SCHEMA = {
+  type: 'object',
+  required: ['invoice_number', 'vendor', 'line_items', 'total'],
+  properties: {
+    invoice_number: LOOSE_TEXT,
+    vendor: {
+      type: ['object', 'null'],
+      properties: {
+        name: LOOSE_TEXT,
+        email: LOOSE_TEXT,
+        phone: LOOSE_TEXT,
+        address: LOOSE_TEXT
+      }
+    },
+    po_number: LOOSE_TEXT,
+    project: LOOSE_TEXT,
+    invoice_date: LOOSE_TEXT,
+    due_date: LOOSE_TEXT,
+    payment_terms: LOOSE_TEXT,
+    currency: LOOSE_TEXT,
+    line_items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['description'],
+        properties: {
+          description: { type: 'string', maxLength: 500 },
+          quantity: LOOSE_NUMBER,
+          unit: LOOSE_TEXT,
+          unit_price: LOOSE_NUMBER,
+          amount: LOOSE_NUMBER
+        }
+      }
+    },
+    subtotal: LOOSE_NUMBER,
+    tax: LOOSE_NUMBER,
+    retainage: {
+      type: ['object', 'null'],
+      properties: {
+        percent: LOOSE_NUMBER,
+        amount: LOOSE_NUMBER
+      }
+    },
+    total: LOOSE_NUMBER,
+    amount_due: LOOSE_NUMBER
+  }
+};
@@ -0,0 +1,108 @@
+/**
+ * JSON Schema for the RFQ field extraction response
+ * Values are as written in the email; rfqExtractor normalizes them afterwards,
+ * so dates, times and amounts are loosely typed here.
+ */
+
+const LOOSE_TEXT = { type: ['string', 'null'] };
+const LOOSE_NUMBER = { type: ['number', 'string', 'null'] };
+
+const EVENT = {
+  type: ['object', 'null'],
+  properties: {
+    date: LOOSE_TEXT,
+    time: LOOSE_TEXT,
+    timezone: LOOSE_TEXT,
+    location: LOOSE_TEXT,
+    mandatory: { type: ['boolean', 'null'] }
+  }
+};
+
+const STRING_LIST = { type: 'array', items: { type: 'string', maxLength: 500 } };
+
+export const RFQ_EXTRACTION_SCHEMA = {
+  type: 'object',
+  required: ['bid_due', 'trades', 'scope_items', 'contact'],
+  properties: {
+    project_name: LOOSE_TEXT,
+    bid_due: EVENT,
+    pre_bid_meeting: EVENT,
+    site_walk: EVENT,
+    trades: STRING_LIST,
+    csi_divisions: STRING_LIST,
+    scope_items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['description'],
+        properties: {
+          description: { type: 'string', maxLength: 500 },
+          quantity: LOOSE_NUMBER,
+          unit: LOOSE_TEXT
+        }
+      }
+    },
+    bonding: {
+      type: ['object', 'null'],
+      properties: {
+        bid_bond: LOOSE_NUMBER,
+        performance_bond: { type: ['boolean', 'null'] },
+        payment_bond: { type: ['boolean', 'null'] }
+      }
+    },
+    insurance_requirements: STRING_LIST,
+    plan_room_links: STRING_LIST,
+    contact: {
+      type: ['object', 'null'],
+      properties: {
+        name: LOOSE_TEXT,
+        company: LOOSE_TEXT,
+        role: LOOSE_TEXT,
+        email: LOOSE_TEXT,
+        phone: LOOSE_TEXT
+      }
+    },
+    estimated_value: LOOSE_NUMBER
+  }
+};
+
+/**
+ * CSI MasterFormat divisions (2016 numbering)
+ */
+export const CSI_DIVISIONS = {
+  '00': 'Procurement and Contracting Requirements',
+  '01': 'General Requirements',
+  '02': 'Existing Conditions',
+  '03': 'Concrete',
+  '04': 'Masonry',
+  '05': 'Metals',
+  '06': 'Wood, Plastics, and Composites',
+  '07': 'Thermal and Moisture Protection',
+  '08': 'Openings',
+  '09': 'Finishes',
+  '10': 'Specialties',
+  '11': 'Equipment',
+  '12': 'Furnishings',
+  '13': 'Special Construction',
+  '14': 'Conveying Equipment',
+  '21': 'Fire Suppression',
+  '22': 'Plumbing',
+  '23': 'Heating, Ventilating, and Air Conditioning (HVAC)',
+  '25': 'Integrated Automation',
+  '26': 'Electrical',
+  '27': 'Communications',
+  '28': 'Electronic Safety and Security',
+  '31': 'Earthwork',
+  '32': 'Exterior Improvements',
+  '33': 'Utilities',
+  '34': 'Transportation',
+  '35': 'Waterway and Marine Construction',
+  '40': 'Process Interconnections',
+  '41': 'Material Processing and Handling Equipment',
+  '42': 'Process Heating, Cooling, and Drying Equipment',
+  '43': 'Process Gas and Liquid Handling, Purification, and Storage Equipment',
+  '44': 'Pollution and Waste Control Equipment',
+  '45': 'Industry-Specific Manufacturing Equipment',
+  '46': 'Water and Wastewater Equipment',
+  '48': 'Electrical Power Generation'
+};
@@ -1,28 +1,71 @@
-import OpenAI from 'openai';
 import { config } from '../config/index.js';
 import databaseService from './DatabaseService.js';
 import auditLogger from './AuditLogger.js';
-import decisionEngine from './DecisionEngine.js';
+import llmService, { LLM_TASKS } from './LLMService.js';
+import { validateSchema } from '../utils/jsonSchema.js';
+import { getClassificationSchema, URGENCY_LEVELS } from '../schemas/classificationSchema.js';
+import taxonomyRegistry from './TaxonomyRegistry.js';
+import { summarizeAttachmentText } from './AttachmentExtractionService.js';
+import { FIELD_EXTRACTORS } from './extractors/index.js';
+
+// Room for the full JSON object; 200 tokens regularly truncated the reasoning
+const CLASSIFICATION_MAX_TOKENS = 500;
+
+/**
+ * Parse a JSON completion, tolerating code fences and surrounding prose
+ * @param {string} responseText - Raw response from the LLM
+ * @param {string} finishReason - Provider finish reason ('length' means the token limit cut it off)
+ * @returns {Object} { parsed, failure } - failure is { reason, errors } when no JSON was found
+ */
+function parseJsonResponse(responseText, finishReason) {
+  const text = (responseText || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    // Providers without JSON mode sometimes wrap the object in prose
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    try {
+      parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : undefined;
+    } catch (innerError) {
+      parsed = undefined;
+    }
+  }
+
+  if (parsed === undefined) {
+    const truncated = finishReason === 'length';
+    return {
+      parsed: undefined,
+      failure: {
+        reason: truncated ? 'truncated' : 'invalid_json',
+        errors: [truncated ? 'Response was cut off at the token limit' : 'Response is not valid JSON']
+      }
+    };
+  }
+
+  return { parsed, failure: null };
+}
 
 /**
  * AI Analysis Service
- * Uses Groq API (OpenAI-compatible) to classify emails and extract structured information
+ * Uses the configured LLM provider to classify emails and extract structured information
  */
 class AIAnalysisService {
   constructor() {
-    // Initialize OpenAI client (compatible with Groq)
-    this.client = new OpenAI({
-      apiKey: config.openai.apiKey,
-      baseURL: 'https://api.groq.com/openai/v1', // Groq API endpoint
-      timeout: 15000 // Increase to 15 seconds for local development
-    });
-    
-    this.model = config.openai.model;
-    
+    this.metrics = {
+      requests: 0,
+      reasks: 0,
+      reask_successes: 0,
+      fallbacks: 0,
+      failures: { truncated: 0, invalid_json: 0, schema: 0 },
+      extractions: { requests: 0, failures: 0 }
+    };
+
     console.log(`🤖 AI Analysis Service initialized`);
-    console.log(`   Model: ${this.model}`);
-    console.log(`   Timeout: 15000ms (local development)`);
-    console.log(`   API Key: ${config.openai.apiKey ? 'Present' : 'Missing'}`);
+    console.log(`   Provider: ${config.llm.provider}`);
+    console.log(`   Model: ${llmService.getModel(LLM_TASKS.CLASSIFICATION)}`);
+    console.log(`   Timeout: ${config.llm.timeoutMs}ms`);
     console.log(`   Mode: ASYNC (non-blocking)`);
   }
 
@@ -32,9 +75,11 @@ class AIAnalysisService {
    * @param {string} body - Email body
    * @param {boolean} hasAttachments - Whether email has attachments
    * @param {Array} attachmentInfo - Array of attachment metadata
+   * @param {Array} threadHistory - Earlier emails in the same conversation, oldest first
+   * @param {Array} attachmentExtractions - Text extracted from the attachments (attachment_extractions rows)
    * @returns {string} Formatted prompt
    */
-  buildPrompt(subject, body, hasAttachments = false, attachmentInfo = []) {
+  buildPrompt(subject, body, hasAttachments = false, attachmentInfo = [], threadHistory = [], attachmentExtractions = []) {
     let attachmentText = '';
     if (hasAttachments && attachmentInfo.length > 0) {
       attachmentText = `\n\nAttachments (${attachmentInfo.length}):\n`;
@@ -43,19 +88,39 @@ class AIAnalysisService {
       });
     }
 
+    // Bounded excerpts so a 40-page spec cannot crowd out the email itself
+    const attachmentExcerpt = summarizeAttachmentText(attachmentExtractions);
+    if (attachmentExcerpt) {
+      attachmentText += `\nAttachment contents (excerpts):\n${attachmentExcerpt}\n`;
+    }
+
+    // Only the most recent messages, truncated, to keep the prompt small
+    let historyText = '';
+    const recentHistory = threadHistory.slice(-3);
+    if (recentHistory.length > 0) {
+      historyText = `\n\nEarlier messages in this conversation (oldest first):\n`;
+      recentHistory.forEach((message, index) => {
+        historyText += `${index + 1}. From ${message.from_email} - ${message.subject}: ${message.body.substring(0, 300)}\n`;
+      });
+    }
+
+    // Types, descriptions and examples come from the taxonomy registry
+    const typeText = taxonomyRegistry.getTypes().map(type => {
+      const examples = (type.examples || []).slice(0, 2).map(example => `"${example}"`).join('; ');
+      return `- ${type.name}: ${type.description}${examples ? ` (e.g. ${examples})` : ''}`;
+    }).join('\n');
+
     return `You are an AI assistant analyzing construction-related emails.
 
 Classify the email into one of these types:
-- RFQ/Bid Request: Requests for quotes or bids on construction projects
-- Urgent Site Issue: Critical problems requiring immediate attention (safety issues, emergencies, critical failures)
-- Invoice/Billing: Payment requests or billing inquiries
-- Unknown/Unclear: Cannot be confidently classified
+${typeText}
 
-Extract the following information if present:
+Extract the following information if present in the email or its attachment contents:
 - project_type: Type of construction project (e.g., "Office Building", "Residential", "Infrastructure")
 - location: Project location (city, address, or general area)
 - estimated_value: Estimated project value in dollars (numeric value only, no currency symbols)
 - deadline: Any mentioned deadlines (in ISO date format if possible, or as mentioned)
+- language: Language the email is written in, as an ISO 639-1 code (e.g. "en", "es")
 - urgency_level: Low, Medium, or High
 
 Consider attachments when classifying - documents like blueprints, contracts, or invoices can provide important context.
@@ -64,88 +129,249 @@ Provide a confidence_score (0-1) indicating how confident you are in your classi
 Provide reasoning explaining your classification decision.
 
 Email Subject: ${subject}
-Email Body: ${body}${attachmentText}
+Email Body: ${body}${attachmentText}${historyText}
 
 Respond ONLY with valid JSON in this exact format:
 {
-  "email_type": "RFQ/Bid Request" | "Urgent Site Issue" | "Invoice/Billing" | "Unknown/Unclear",
+  "email_type": ${taxonomyRegistry.getTypeNames().map(type => JSON.stringify(type)).join(' | ')},
   "project_type": "string or null",
   "location": "string or null",
   "estimated_value": number or null,
   "deadline": "string or null",
-  "urgency_level": "Low" | "Medium" | "High",
+  "language": "string or null",
+  "urgency_level": ${URGENCY_LEVELS.map(level => JSON.stringify(level)).join(' | ')},
   "confidence_score": number between 0 and 1,
   "reasoning": "string explaining your classification"
 }`;
   }
 
   /**
-   * Parse and validate AI response
+   * Parse and validate AI response against the classification schema
    * @param {string} responseText - Raw response from AI
-   * @returns {Object} Parsed and validated analysis result
+   * @param {string} finishReason - Provider finish reason ('length' means the token limit cut it off)
+   * @returns {Object} { analysis, failure } - failure is { reason, errors } when unusable
    */
-  parseResponse(responseText) {
-    try {
-      // Try to extract JSON from response (in case there's extra text)
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No JSON found in response');
-      }
-
-      const parsed = JSON.parse(jsonMatch[0]);
+  parseResponse(responseText, finishReason = null) {
+    const { parsed, failure } = parseJsonResponse(responseText, finishReason);
+    if (failure) {
+      return { analysis: null, failure };
+    }
 
-      // Validate required fields
-      if (!parsed.email_type) {
-        throw new Error('Missing email_type in response');
-      }
+    const errors = validateSchema(getClassificationSchema(), parsed);
+    if (errors.length > 0) {
+      return { analysis: null, failure: { reason: 'schema', errors } };
+    }
 
-      if (!parsed.urgency_level) {
-        throw new Error('Missing urgency_level in response');
-      }
+    return {
+      analysis: {
+        project_type: null,
+        location: null,
+        estimated_value: null,
+        deadline: null,
+        language: null,
+        ...parsed
+      },
+      failure: null
+    };
+  }
 
-      if (typeof parsed.confidence_score !== 'number') {
-        throw new Error('Missing or invalid confidence_score in response');
+  /**
+   * Call the LLM for a classification, re-asking once with the validation
+   * errors when the response is unusable
+   * @param {string} email_id - Email ID
+   * @param {string} prompt - Classification prompt
+   * @returns {Promise<Object>} { analysis, completion, attempts }
+   */
+  async requestClassification(email_id, prompt) {
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are an expert at analyzing construction-related emails. Always respond with valid JSON only.'
+      },
+      {
+        role: 'user',
+        content: prompt
       }
+    ];
+
+    this.metrics.requests++;
+    let completion;
+    let failure;
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      console.log(`📤 Calling LLM for email ${email_id} (attempt ${attempt})...`);
+      completion = await llmService.complete(LLM_TASKS.CLASSIFICATION, {
+        messages,
+        temperature: 0.3,
+        maxTokens: CLASSIFICATION_MAX_TOKENS,
+        responseFormat: 'json'
+      });
 
-      // Ensure confidence_score is between 0 and 1
-      parsed.confidence_score = Math.max(0, Math.min(1, parsed.confidence_score));
+      console.log(`⏱️ ${completion.provider}/${completion.model} call completed in ${completion.duration_ms}ms`);
+      console.log(`📝 AI Response for ${email_id}:`, completion.text);
 
-      // Validate email_type
-      const validTypes = ['RFQ/Bid Request', 'Urgent Site Issue', 'Invoice/Billing', 'Unknown/Unclear'];
-      if (!validTypes.includes(parsed.email_type)) {
-        parsed.email_type = 'Unknown/Unclear';
-        parsed.confidence_score = 0;
+      const result = this.parseResponse(completion.text, completion.finish_reason);
+      if (!result.failure) {
+        if (attempt > 1) this.metrics.reask_successes++;
+        return { analysis: result.analysis, completion, attempts: attempt };
       }
 
-      // Validate urgency_level
-      const validUrgency = ['Low', 'Medium', 'High'];
-      if (!validUrgency.includes(parsed.urgency_level)) {
-        parsed.urgency_level = 'Medium';
-      }
+      failure = result.failure;
+      this.metrics.failures[failure.reason]++;
+      console.warn(`⚠️ Unusable classification for ${email_id} (${failure.reason}): ${failure.errors.join('; ')}`);
+      await auditLogger.logAIResponseInvalid(email_id, {
+        attempt,
+        reason: failure.reason,
+        errors: failure.errors,
+        finish_reason: completion.finish_reason,
+        provider: completion.provider,
+        model: completion.model,
+        response_length: (completion.text || '').length
+      });
 
-      // Ensure reasoning exists
-      if (!parsed.reasoning) {
-        parsed.reasoning = 'No reasoning provided';
+      if (attempt === 1) {
+        this.metrics.reasks++;
+        messages.push(
+          { role: 'assistant', content: completion.text || '' },
+          {
+            role: 'user',
+            content: `Your previous response could not be used (${failure.reason}): ${failure.errors.join('; ')}. ` +
+              'Respond again with ONLY a complete JSON object in the required format. Keep "reasoning" under 200 characters.'
+          }
+        );
       }
+    }
 
-      return parsed;
-
-    } catch (error) {
-      console.error('Failed to parse AI response:', error.message);
-      console.error('Response text:', responseText);
-      
-      // Return safe default
-      return {
-        email_type: 'Unknown/Unclear',
+    // Still unusable: a zero-confidence fallback type routes the email to Manual Review
+    this.metrics.fallbacks++;
+    return {
+      analysis: {
+        email_type: taxonomyRegistry.getFallbackType(),
         project_type: null,
         location: null,
         estimated_value: null,
         deadline: null,
+        language: null,
         urgency_level: 'Medium',
         confidence_score: 0,
-        reasoning: `Failed to parse AI response: ${error.message}`
-      };
+        reasoning: `Failed to parse AI response after retry (${failure.reason}): ${failure.errors.join('; ')}`
+      },
+      completion,
+      attempts: 2
+    };
+  }
+
+  /**
+   * Classification response counters since startup
+   * @returns {Object} Metrics snapshot
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      failures: { ...this.metrics.failures },
+      extractions: { ...this.metrics.extractions }
+    };
+  }
+
+  /**
+   * Type-specific field extraction (second LLM pass, e.g. bid dates and scope for RFQs)
+   * Validated against the extractor schema and re-asked once; best effort, never throws
+   * @param {string} email_id - Email ID
+   * @param {Object} extractor - Entry of FIELD_EXTRACTORS
+   * @param {Object} context - subject, body, attachmentExtractions, receivedAt
+   * @returns {Promise<Object>} { data, extraction } - data is null when extraction failed
+   */
+  async extractFields(email_id, extractor, { subject, body, attachmentExtractions = [], receivedAt = null }) {
+    const defaultTimezone = config.app.timezone;
+    const messages = [
+      {
+        role: 'system',
+        content: 'You extract structured fields from construction emails. Always respond with valid JSON only.'
+      },
+      {
+        role: 'user',
+        content: extractor.buildPrompt({
+          subject,
+          body,
+          attachmentExcerpt: summarizeAttachmentText(attachmentExtractions),
+          receivedAt,
+          defaultTimezone
+        })
+      }
+    ];
+
+    this.metrics.extractions.requests++;
+    let failure;
+    let completion = null;
+
+    try {
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        completion = await llmService.complete(LLM_TASKS.EXTRACTION, {
+          messages,
+          temperature: 0,
+          maxTokens: extractor.maxTokens,
+          responseFormat: 'json'
+        });
+
+        const result = parseJsonResponse(completion.text, completion.finish_reason);
+        failure = result.failure;
+        if (!failure) {
+          const errors = validateSchema(extractor.schema, result.parsed);
+          failure = errors.length > 0 ? { reason: 'schema', errors } : null;
+        }
+
+        if (!failure) {
+          const data = extractor.normalize(result.parsed, {
+            referenceDate: receivedAt ? new Date(receivedAt) : new Date(),
+            defaultTimezone
+          });
+          console.log(`🔎 ${extractor.id} fields extracted for ${email_id} (attempt ${attempt})`);
+          return {
+            data,
+            extraction: { extractor: extractor.id, success: true, model: completion.model }
+          };
+        }
+
+        console.warn(`⚠️ Unusable ${extractor.id} extraction for ${email_id} (${failure.reason}): ${failure.errors.join('; ')}`);
+        await auditLogger.logAIResponseInvalid(email_id, {
+          attempt,
+          task: LLM_TASKS.EXTRACTION,
+          extractor: extractor.id,
+          reason: failure.reason,
+          errors: failure.errors,
+          finish_reason: completion.finish_reason,
+          provider: completion.provider,
+          model: completion.model,
+          response_length: (completion.text || '').length
+        });
+
+        if (attempt === 1) {
+          messages.push(
+            { role: 'assistant', content: completion.text || '' },
+            {
+              role: 'user',
+              content: `Your previous response could not be used (${failure.reason}): ${failure.errors.join('; ')}. ` +
+                'Respond again with ONLY a complete JSON object with the required keys.'
+            }
+          );
+        }
+      }
+    } catch (error) {
+      // Classification already succeeded; a provider outage here only loses the extra fields
+      console.error(`❌ ${extractor.id} extraction failed for ${email_id}:`, error.message);
+      failure = { reason: 'error', errors: [error.message] };
     }
+
+    this.metrics.extractions.failures++;
+    return {
+      data: null,
+      extraction: {
+        extractor: extractor.id,
+        success: false,
+        model: completion?.model || null,
+        errors: failure.errors
+      }
+    };
   }
 
   /**
@@ -155,9 +381,13 @@ Respond ONLY with valid JSON in this exact format:
    * @param {string} body - Email body
    * @param {boolean} hasAttachments - Whether email has attachments
    * @param {Array} attachmentInfo - Array of attachment metadata
+   * @param {Object} options - Additional context
+   * @param {Array} options.threadHistory - Earlier emails in the same conversation
+   * @param {Array} options.attachmentExtractions - Text extracted from the attachments
+   * @param {string} options.receivedAt - When the email arrived (anchors relative dates in extracted fields)
    * @returns {Promise<Object>} Analysis results
    */
-  async analyzeEmail(email_id, subject, body, hasAttachments = false, attachmentInfo = []) {
+  async analyzeEmail(email_id, subject, body, hasAttachments = false, attachmentInfo = [], { threadHistory = [], attachmentExtractions = [], receivedAt = null } = {}) {
     console.log(`🤖 Starting AI analysis for email ${email_id}...`);
     console.log(`📋 Subject: ${subject}`);
     console.log(`📄 Body length: ${body.length} characters`);
@@ -170,48 +400,11 @@ Respond ONLY with valid JSON in this exact format:
     }
     
     try {
-      // Build prompt with attachment info
-      const prompt = this.buildPrompt(subject, body, hasAttachments, attachmentInfo);
+      // Build prompt with attachment info, attachment text and conversation history
+      const prompt = this.buildPrompt(subject, body, hasAttachments, attachmentInfo, threadHistory, attachmentExtractions);
 
-      console.log(`📤 Calling Groq API for email ${email_id} with model ${this.model}...`);
-      const startTime = Date.now();
-
-      // Call Groq API with reasonable timeout for local development
-      const completion = await Promise.race([
-        this.client.chat.completions.create({
-          model: this.model,
-          messages: [
-            {
-              role: 'system',
-              content: 'You are an expert at analyzing construction-related emails. Always respond with valid JSON only.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: 0.3,
-          max_tokens: 200 // Even smaller for faster response
-        }),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error(`Groq API timeout after 15 seconds`)), 15000) // 15 second timeout for local
-        )
-      ]);
-
-      const endTime = Date.now();
-      console.log(`⏱️ Groq API call completed in ${endTime - startTime}ms`);
-
-      // Extract response
-      const responseText = completion.choices[0]?.message?.content;
-      
-      if (!responseText) {
-        throw new Error('Empty response from Groq API - this should not happen');
-      }
-
-      console.log(`📝 AI Response for ${email_id}:`, responseText);
-
-      // Parse and validate response
-      const analysis = this.parseResponse(responseText);
+      // JSON-mode request, validated against the schema, re-asked once on failure
+      const { analysis, completion } = await this.requestClassification(email_id, prompt);
 
       console.log(`📊 Parsed analysis for ${email_id}:`, {
         type: analysis.email_type,
@@ -219,6 +412,38 @@ Respond ONLY with valid JSON in this exact format:
         confidence: analysis.confidence_score
       });
 
+      const extractedData = {
+        project_type: analysis.project_type,
+        location: analysis.location,
+        estimated_value: analysis.estimated_value,
+        deadline: analysis.deadline,
+        language: analysis.language
+      };
+
+      // Types with an extractor (taxonomy "extraction") get a second, type-specific pass
+      const extractor = FIELD_EXTRACTORS[taxonomyRegistry.getType(analysis.email_type).extraction];
+      if (extractor) {
+        const { data, extraction } = await this.extractFields(email_id, extractor, {
+          subject,
+          body,
+          attachmentExtractions,
+          receivedAt
+        });
+        extractedData[extractor.id] = data;
+        extractedData.extraction = extraction;
+
+        // Normalized values beat the classifier's free-text guesses
+        const summary = data ? extractor.summarize(data) : {};
+        if (summary.deadline) {
+          extractedData.deadline = summary.deadline;
+        }
+        if (extractedData.estimated_value === null && summary.estimated_value !== undefined) {
+          extractedData.estimated_value = summary.estimated_value;
+        }
+        analysis.deadline = extractedData.deadline;
+        analysis.estimated_value = extractedData.estimated_value;
+      }
+
       // Store analysis in database
       console.log(`💾 Storing analysis in database for ${email_id}...`);
       await databaseService.insertAnalysis({
@@ -226,12 +451,7 @@ Respond ONLY with valid JSON in this exact format:
         email_type: analysis.email_type,
         urgency: analysis.urgency_level,
         confidence_score: analysis.confidence_score,
-        extracted_data: {
-          project_type: analysis.project_type,
-          location: analysis.location,
-          estimated_value: analysis.estimated_value,
-          deadline: analysis.deadline
-        },
+        extracted_data: extractedData,
         reasoning: analysis.reasoning
       });
 
@@ -239,25 +459,13 @@ Respond ONLY with valid JSON in this exact format:
       await auditLogger.logAIAnalysisSuccess(email_id, {
         email_type: analysis.email_type,
         urgency: analysis.urgency_level,
-        confidence_score: analysis.confidence_score
+        confidence_score: analysis.confidence_score,
+        provider: completion.provider,
+        model: completion.model
       });
 
       console.log(`✅ Analysis complete for email ${email_id}: ${analysis.email_type} (confidence: ${analysis.confidence_score})`);
 
-      // Trigger Decision Engine - this MUST succeed
-      console.log(`🤖 Triggering decision engine for ${email_id}...`);
-      try {
-        await decisionEngine.makeDecision(
-          email_id,
-          analysis.email_type,
-          analysis.confidence_score
-        );
-        console.log(`✅ Decision engine completed for ${email_id}`);
-      } catch (decisionError) {
-        console.error(`❌ Decision engine FAILED for ${email_id}:`, decisionError.message);
-        throw new Error(`Decision engine failed: ${decisionError.message}`);
-      }
-
       return {
         success: true,
         analysis
@@ -273,7 +481,6 @@ Respond ONLY with valid JSON in this exact format:
       console.error('Error:', error.message);
       console.error('Subject:', subject);
       console.error('Stack:', error.stack);
-      console.error('🚨 TRIGGERING FALLBACK WORKFLOW 🚨');
       
       // Log the failure for debugging
       await auditLogger.logAIAnalysisFailure(email_id, error, {
@@ -282,20 +489,8 @@ Respond ONLY with valid JSON in this exact format:
         timestamp: new Date().toISOString()
       });
 
-      // 🚀 FALLBACK: Trigger decision engine with generic classification
-      console.log('🔄 Starting fallback workflow...');
-      try {
-        await decisionEngine.makeDecision(
-          email_id,
-          'Unknown/Unclear', // Generic classification
-          0.5 // Medium confidence to trigger manual review
-        );
-        console.log('✅ Fallback workflow triggered successfully');
-      } catch (decisionError) {
-        console.error('❌ Fallback workflow also failed:', decisionError.message);
-      }
-      
-      // Re-throw the error to maintain strict mode behavior
+      // Re-throw so the job queue retries with backoff; once attempts are
+      // exhausted the dead-letter handler routes the email to Manual Review
       throw new Error(`AI Analysis failed for email ${email_id}: ${error.message}`);
     }
   }
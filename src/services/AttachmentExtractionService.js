@@ -0,0 +1,332 @@
+import { spawn } from 'child_process';
+import { config } from '../config/index.js';
+import databaseService from './DatabaseService.js';
+import auditLogger from './AuditLogger.js';
+import { loadAttachmentContent } from './AttachmentStorageService.js';
+
+/**
+ * Outcome of extracting one attachment (attachment_extractions.status)
+ */
+export const EXTRACTION_STATUS = {
+  EXTRACTED: 'extracted',
+  EMPTY: 'empty',
+  UNSUPPORTED: 'unsupported',
+  TOO_LARGE: 'too_large',
+  NO_CONTENT: 'no_content',
+  QUARANTINED: 'quarantined',
+  OCR_UNAVAILABLE: 'ocr_unavailable',
+  FAILED: 'failed'
+};
+
+const KIND_BY_EXTENSION = {
+  pdf: 'pdf',
+  docx: 'docx',
+  xlsx: 'xlsx',
+  xlsm: 'xlsx',
+  csv: 'csv',
+  txt: 'text',
+  png: 'image',
+  jpg: 'image',
+  jpeg: 'image',
+  tif: 'image',
+  tiff: 'image',
+  bmp: 'image',
+  gif: 'image',
+  webp: 'image'
+};
+
+const KIND_BY_CONTENT_TYPE = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-excel.sheet.macroenabled.12': 'xlsx',
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'text/plain': 'text'
+};
+
+/**
+ * Work out which extractor handles an attachment
+ * Content type wins; the file extension covers generic types like application/octet-stream
+ * @param {string} name - File name
+ * @param {string} contentType - MIME type
+ * @returns {string|null} pdf, docx, xlsx, csv, text, image or null when unsupported
+ */
+export function detectAttachmentKind(name = '', contentType = '') {
+  const type = (contentType || '').toLowerCase().split(';')[0].trim();
+  if (KIND_BY_CONTENT_TYPE[type]) return KIND_BY_CONTENT_TYPE[type];
+  if (type.startsWith('image/')) return 'image';
+
+  const extension = (name || '').toLowerCase().split('.').pop();
+  return KIND_BY_EXTENSION[extension] || null;
+}
+
+/**
+ * Collapse the whitespace extractors leave behind (PDF line breaks, empty cells)
+ * @param {string} text - Raw extracted text
+ * @returns {string} Normalized text
+ */
+export function normalizeExtractedText(text) {
+  return (text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Build the bounded attachment excerpt that goes into the classification prompt
+ * @param {Array<Object>} extractions - attachment_extractions rows
+ * @param {Object} limits - perFile and total character budgets
+ * @returns {string} Excerpt text ('' when nothing was extracted)
+ */
+export function summarizeAttachmentText(extractions = [], {
+  perFile = config.attachments.promptCharsPerFile,
+  total = config.attachments.promptTotalChars
+} = {}) {
+  let remaining = total;
+  const sections = [];
+
+  extractions
+    .filter(extraction => extraction.status === EXTRACTION_STATUS.EXTRACTED && extraction.text)
+    .forEach(extraction => {
+      if (remaining <= 0) return;
+
+      const budget = Math.min(perFile, remaining);
+      const excerpt = extraction.text.length > budget
+        ? `${extraction.text.substring(0, budget)} [...]`
+        : extraction.text;
+      remaining -= Math.min(extraction.text.length, budget);
+
+      sections.push(`--- ${extraction.name} (${extraction.kind}${extraction.method === 'ocr' ? ', OCR' : ''}) ---\n${excerpt}`);
+    });
+
+  return sections.join('\n');
+}
+
+/**
+ * Run the local OCR engine (tesseract CLI) on an image
+ * @private
+ */
+function runOcr(buffer, { command, languages, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, ['stdin', 'stdout', '-l', languages], { stdio: ['pipe', 'pipe', 'pipe'] });
+    const stdout = [];
+    let stderr = '';
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`OCR timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      if (error.code === 'ENOENT') {
+        const unavailable = new Error(`OCR command "${command}" is not installed`);
+        unavailable.code = 'OCR_UNAVAILABLE';
+        return reject(unavailable);
+      }
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        return reject(new Error(`OCR exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+      }
+      resolve(Buffer.concat(stdout).toString('utf8'));
+    });
+
+    // Ignore EPIPE when the engine exits before reading all input
+    child.stdin.on('error', () => {});
+    child.stdin.end(buffer);
+  });
+}
+
+/**
+ * Default extractors by kind
+ * Parsers are imported on first use so startup stays fast when no attachments arrive
+ */
+const DEFAULT_EXTRACTORS = {
+  pdf: async buffer => {
+    const { default: pdfParse } = await import('pdf-parse/lib/pdf-parse.js');
+    // pdf.js reads the whole underlying ArrayBuffer; small Buffers are slices of a shared pool
+    const result = await pdfParse(new Uint8Array(buffer));
+    return result.text;
+  },
+  docx: async buffer => {
+    const { default: mammoth } = await import('mammoth');
+    const result = await mammoth.extractRawText({ buffer });
+    return result.value;
+  },
+  xlsx: async buffer => {
+    const { default: readExcelFile } = await import('read-excel-file/node');
+    const sheets = await readExcelFile(buffer);
+    return sheets.map(({ sheet, data }) => {
+      const rows = data
+        .map(row => row.filter(cell => cell !== null && cell !== '').map(cell =>
+          cell instanceof Date ? cell.toISOString().split('T')[0] : String(cell)).join(' | '))
+        .filter(Boolean);
+      return `[${sheet}]\n${rows.join('\n')}`;
+    }).join('\n\n');
+  },
+  csv: async buffer => buffer.toString('utf8'),
+  text: async buffer => buffer.toString('utf8'),
+  image: async (buffer, options) => runOcr(buffer, {
+    command: options.ocrCommand,
+    languages: options.ocrLanguages,
+    timeoutMs: options.ocrTimeoutMs
+  })
+};
+
+/**
+ * Attachment Extraction Service
+ * Turns attachment content (base64 or a storage URL) into plain text,
+ * stores it per attachment and never fails ingestion over a bad file
+ */
+class AttachmentExtractionService {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.extractors - Extractor functions by kind: (buffer, options) => text
+   * @param {Function} deps.fetch - fetch implementation for storage references
+   * @param {Object} deps.store - Provides upsertAttachmentExtractions
+   * @param {Object} deps.options - Extraction options (defaults to config.attachments)
+   */
+  constructor({ extractors = {}, fetch = globalThis.fetch, store = databaseService, options = config.attachments } = {}) {
+    this.extractors = { ...DEFAULT_EXTRACTORS, ...extractors };
+    this.fetch = fetch;
+    this.store = store;
+    this.options = options;
+  }
+
+  /**
+   * Attachment bytes: already loaded by AttachmentStorageService, else inline content or a storage URL
+   * @param {Object} attachment - { buffer } or { content } (base64/base64url) or { url }
+   * @returns {Promise<Buffer|null>} Content, or null when the payload only carried metadata
+   */
+  async loadContent(attachment) {
+    if (attachment.buffer) {
+      return attachment.buffer;
+    }
+    return loadAttachmentContent(attachment, {
+      fetch: this.fetch,
+      timeoutMs: this.options.fetchTimeoutMs,
+      maxBytes: this.options.maxBytes,
+      allowedHosts: this.options.urlHosts
+    });
+  }
+
+  /**
+   * Extract text from a single attachment
+   * @param {Object} attachment - { name, contentType, size, quarantined?, buffer? | content? | url? }
+   * @param {number} index - Position in attachment_info
+   * @returns {Promise<Object>} attachment_extractions row (without email_id)
+   */
+  async extractAttachment(attachment, index) {
+    const kind = detectAttachmentKind(attachment.name, attachment.contentType);
+    const result = {
+      attachment_index: index,
+      name: attachment.name || 'unnamed',
+      content_type: attachment.contentType || null,
+      size: attachment.size || null,
+      kind,
+      method: null,
+      status: EXTRACTION_STATUS.EXTRACTED,
+      text: null,
+      char_count: 0,
+      truncated: false,
+      error: null
+    };
+
+    // Infected files never reach a parser or the model
+    if (attachment.quarantined) {
+      return { ...result, status: EXTRACTION_STATUS.QUARANTINED };
+    }
+    if (!kind) {
+      return { ...result, status: EXTRACTION_STATUS.UNSUPPORTED };
+    }
+    if (attachment.size > this.options.maxBytes) {
+      return { ...result, status: EXTRACTION_STATUS.TOO_LARGE };
+    }
+
+    try {
+      const buffer = await this.loadContent(attachment);
+      if (!buffer) {
+        return { ...result, status: EXTRACTION_STATUS.NO_CONTENT };
+      }
+      if (buffer.length > this.options.maxBytes) {
+        return { ...result, size: buffer.length, status: EXTRACTION_STATUS.TOO_LARGE };
+      }
+
+      const method = kind === 'image' ? 'ocr' : kind;
+      const text = normalizeExtractedText(await this.extractors[kind](buffer, this.options));
+      const truncated = text.length > this.options.maxTextChars;
+
+      return {
+        ...result,
+        size: result.size || buffer.length,
+        method,
+        status: text ? EXTRACTION_STATUS.EXTRACTED : EXTRACTION_STATUS.EMPTY,
+        text: truncated ? text.substring(0, this.options.maxTextChars) : text,
+        char_count: text.length,
+        truncated
+      };
+
+    } catch (error) {
+      if (error.code === 'ATTACHMENT_TOO_LARGE') {
+        return { ...result, status: EXTRACTION_STATUS.TOO_LARGE };
+      }
+
+      console.warn(`⚠️  Could not extract ${result.name}: ${error.message}`);
+      return {
+        ...result,
+        method: kind === 'image' ? 'ocr' : kind,
+        status: error.code === 'OCR_UNAVAILABLE' ? EXTRACTION_STATUS.OCR_UNAVAILABLE : EXTRACTION_STATUS.FAILED,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Extract and store text for every attachment of an email
+   * Failures are recorded per attachment; storage errors are logged, not thrown
+   * @param {string} email_id - Email ID
+   * @param {Array<Object>} attachments - Attachments with a loaded buffer, content or url
+   * @returns {Promise<Array<Object>>} Extraction results
+   */
+  async extractForEmail(email_id, attachments = []) {
+    if (!this.options.extractionEnabled || attachments.length === 0) {
+      return [];
+    }
+
+    const extractions = [];
+    for (const [index, attachment] of attachments.entries()) {
+      extractions.push(await this.extractAttachment(attachment, index));
+    }
+
+    const extracted = extractions.filter(e => e.status === EXTRACTION_STATUS.EXTRACTED).length;
+    console.log(`📎 Extracted text from ${extracted}/${extractions.length} attachment(s) of ${email_id}`);
+
+    try {
+      await this.store.upsertAttachmentExtractions(email_id, extractions);
+    } catch (error) {
+      console.error(`❌ Failed to store attachment text for ${email_id}:`, error.message);
+      await auditLogger.logSystemError(error, {
+        email_id,
+        component: 'AttachmentExtractionService',
+        operation: 'extractForEmail'
+      });
+    }
+
+    return extractions;
+  }
+}
+
+export { AttachmentExtractionService };
+
+// Export singleton instance
+const attachmentExtractionService = new AttachmentExtractionService();
+export default attachmentExtractionService;
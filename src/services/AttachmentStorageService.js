@@ -0,0 +1,500 @@
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import databaseService from './DatabaseService.js';
+import auditLogger, { ACTION_TYPES } from './AuditLogger.js';
+import LocalAttachmentStore from './attachmentStores/LocalAttachmentStore.js';
+import SupabaseAttachmentStore from './attachmentStores/SupabaseAttachmentStore.js';
+import S3AttachmentStore from './attachmentStores/S3AttachmentStore.js';
+import ClamAVScanner from './attachmentScanners/ClamAVScanner.js';
+import { HttpError } from '../utils/httpError.js';
+import { signResource, verifyResourceSignature } from '../utils/signedUrl.js';
+
+/**
+ * What happened to an attachment's bytes (email_attachments.storage_status)
+ */
+export const STORAGE_STATUS = {
+  STORED: 'stored',
+  DISABLED: 'disabled',
+  NO_CONTENT: 'no_content',
+  TOO_LARGE: 'too_large',
+  FAILED: 'failed'
+};
+
+/**
+ * Virus scan outcome (attachment_blobs.scan_status)
+ */
+export const SCAN_STATUS = {
+  CLEAN: 'clean',
+  INFECTED: 'infected',
+  ERROR: 'error',
+  SKIPPED: 'skipped'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error for content over the size limit (code ATTACHMENT_TOO_LARGE)
+ * @private
+ */
+function tooLargeError(maxBytes) {
+  const error = new Error(`Attachment is larger than ${maxBytes} bytes`);
+  error.code = 'ATTACHMENT_TOO_LARGE';
+  return error;
+}
+
+/**
+ * Read a fetch response body, giving up as soon as it passes maxBytes
+ * @private
+ */
+async function readLimited(response, maxBytes) {
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    await response.body?.cancel();
+    throw tooLargeError(maxBytes);
+  }
+
+  const chunks = [];
+  let total = 0;
+  // Leaving the loop early cancels the stream
+  for await (const chunk of response.body || []) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      throw tooLargeError(maxBytes);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, total);
+}
+
+/**
+ * Resolve attachment bytes from inline base64 content or a storage URL
+ * URLs are only fetched over https from the configured storage hosts, without
+ * following redirects, so a payload cannot point the server at internal addresses
+ * @param {Object} attachment - { content } (base64/base64url) or { url }
+ * @param {Object} options - fetch implementation, timeoutMs, maxBytes and allowedHosts
+ * @returns {Promise<Buffer|null>} Content, or null when the payload only carried metadata
+ * @throws {Error} If the URL is not allowed or fails, or the content is over maxBytes (code ATTACHMENT_TOO_LARGE)
+ */
+export async function loadAttachmentContent(attachment, {
+  fetch = globalThis.fetch,
+  timeoutMs = config.attachments.fetchTimeoutMs,
+  maxBytes = config.attachments.maxBytes,
+  allowedHosts = config.attachments.urlHosts
+} = {}) {
+  if (attachment.content) {
+    return Buffer.from(attachment.content, 'base64');
+  }
+
+  if (attachment.url) {
+    let url;
+    try {
+      url = new URL(attachment.url);
+    } catch {
+      throw new Error('Invalid attachment URL');
+    }
+    if (url.protocol !== 'https:') {
+      throw new Error('Attachment URLs must use https');
+    }
+    if (!allowedHosts.includes(url.hostname)) {
+      throw new Error(`Attachment host ${url.hostname} is not a configured storage host`);
+    }
+
+    const response = await fetch(url.href, { signal: AbortSignal.timeout(timeoutMs), redirect: 'error' });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch attachment: HTTP ${response.status}`);
+    }
+    return readLimited(response, maxBytes);
+  }
+
+  return null;
+}
+
+/**
+ * Storage key for a content hash (fanned out by prefix)
+ * @param {string} sha256 - Content hash
+ * @returns {string} Key
+ */
+export function storageKey(sha256) {
+  return `sha256/${sha256.substring(0, 2)}/${sha256}`;
+}
+
+/**
+ * Create the attachment store selected by config
+ * @param {Object} storageConfig - config.attachments.storage
+ * @returns {Object|null} Store with put/get/delete, or null when storage is disabled
+ */
+export function createAttachmentStore(storageConfig = config.attachments.storage) {
+  switch (storageConfig.driver) {
+    case 'none':
+      return null;
+    case 'local':
+      return new LocalAttachmentStore({ directory: storageConfig.localDirectory });
+    case 's3':
+      return new S3AttachmentStore(storageConfig.s3);
+    case 'supabase':
+      return new SupabaseAttachmentStore({ client: databaseService.client, bucket: storageConfig.supabaseBucket });
+    default:
+      throw new Error(`Unknown attachment storage driver: ${storageConfig.driver} (use supabase, s3, local or none)`);
+  }
+}
+
+/**
+ * Create the virus scanner selected by config
+ * @param {Object} scanningConfig - config.attachments.scanning
+ * @returns {Object|null} Scanner with scan(buffer), or null when scanning is disabled
+ */
+export function createAttachmentScanner(scanningConfig = config.attachments.scanning) {
+  switch (scanningConfig.scanner) {
+    case 'none':
+      return null;
+    case 'clamav':
+      return new ClamAVScanner({
+        socket: scanningConfig.clamavSocket,
+        host: scanningConfig.clamavHost,
+        port: scanningConfig.clamavPort,
+        timeoutMs: scanningConfig.timeoutMs
+      });
+    default:
+      throw new Error(`Unknown attachment scanner: ${scanningConfig.scanner} (use clamav or none)`);
+  }
+}
+
+/**
+ * Attachment Storage Service
+ * Persists inbound attachment files once per content hash, scans them before
+ * analysis (quarantining infected files), applies retention and issues signed
+ * download links for reviewers
+ */
+class AttachmentStorageService {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.store - Attachment store (null disables storage)
+   * @param {Object} deps.scanner - Virus scanner (null disables scanning)
+   * @param {Object} deps.db - Provides the attachment_blobs / email_attachments methods
+   * @param {Function} deps.fetch - fetch implementation for storage references
+   * @param {Object} deps.options - Attachment options (defaults to config.attachments)
+   * @param {Function} deps.now - Clock returning epoch milliseconds
+   */
+  constructor({ store, scanner, db = databaseService, fetch = globalThis.fetch, options = config.attachments, now = () => Date.now() } = {}) {
+    this.store = store !== undefined ? store : createAttachmentStore(options.storage);
+    this.scanner = scanner !== undefined ? scanner : createAttachmentScanner(options.scanning);
+    this.db = db;
+    this.fetch = fetch;
+    this.options = options;
+    this.now = now;
+  }
+
+  /**
+   * Load, scan and store the attachments of an inbound email
+   * Never throws: failures are recorded per attachment
+   * @param {Array<Object>} attachments - Payload attachments ({ name, contentType, size, content? | url? })
+   * @returns {Promise<Array<Object>>} Per attachment: { info, buffer, blob, storage_status }
+   *   info is the metadata kept in emails.attachment_info (content stripped, sha256 and quarantined added)
+   */
+  async storeAttachments(attachments = []) {
+    const results = [];
+
+    for (const attachment of attachments) {
+      const { content, ...metadata } = attachment;
+      const result = { info: metadata, buffer: null, storage_status: STORAGE_STATUS.NO_CONTENT };
+      results.push(result);
+
+      if (attachment.size > this.options.maxBytes) {
+        result.storage_status = STORAGE_STATUS.TOO_LARGE;
+        continue;
+      }
+
+      try {
+        const buffer = await loadAttachmentContent(attachment, {
+          fetch: this.fetch,
+          timeoutMs: this.options.fetchTimeoutMs,
+          maxBytes: this.options.maxBytes,
+          allowedHosts: this.options.urlHosts
+        });
+        if (!buffer) continue;
+        if (buffer.length > this.options.maxBytes) {
+          result.storage_status = STORAGE_STATUS.TOO_LARGE;
+          continue;
+        }
+
+        const { blob, storage_status } = await this.storeBlob(buffer, attachment.contentType);
+        result.buffer = buffer;
+        result.blob = blob;
+        result.storage_status = storage_status;
+        result.info = { ...metadata, size: metadata.size || buffer.length, sha256: blob.sha256, quarantined: blob.quarantined };
+
+      } catch (error) {
+        console.error(`❌ Failed to load attachment ${attachment.name}:`, error.message);
+        result.storage_status = error.code === 'ATTACHMENT_TOO_LARGE' ? STORAGE_STATUS.TOO_LARGE : STORAGE_STATUS.FAILED;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Scan and store a file unless identical content is already stored
+   * A storage outage does not lose the scan result: the file is still scanned and analyzed
+   * @param {Buffer} buffer - File content
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} { blob, storage_status } - blob is the attachment_blobs row
+   */
+  async storeBlob(buffer, contentType) {
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    // Deduplicated: reuse the earlier upload and scan unless that scan failed
+    let existing = null;
+    try {
+      existing = this.store ? await this.db.getAttachmentBlob(sha256) : null;
+    } catch (error) {
+      console.error(`❌ Failed to look up attachment ${sha256.substring(0, 12)}:`, error.message);
+    }
+    if (existing && existing.scan_status !== SCAN_STATUS.ERROR) {
+      console.log(`♻️  Attachment ${sha256.substring(0, 12)} already stored`);
+      return { blob: existing, storage_status: STORAGE_STATUS.STORED };
+    }
+
+    const scan = await this.scan(buffer);
+    const blob = {
+      sha256,
+      size: buffer.length,
+      content_type: contentType || null,
+      storage_driver: this.store ? this.store.name : 'none',
+      storage_key: storageKey(sha256),
+      ...scan
+    };
+
+    if (!this.store) {
+      return { blob, storage_status: STORAGE_STATUS.DISABLED };
+    }
+
+    try {
+      await this.store.put(blob.storage_key, buffer, { contentType });
+      return { blob: await this.db.upsertAttachmentBlob(blob), storage_status: STORAGE_STATUS.STORED };
+    } catch (error) {
+      console.error(`❌ Failed to store attachment ${sha256.substring(0, 12)}:`, error.message);
+      await auditLogger.logSystemError(error, {
+        component: 'AttachmentStorageService',
+        operation: 'storeBlob'
+      });
+      return { blob, storage_status: STORAGE_STATUS.FAILED };
+    }
+  }
+
+  /**
+   * Run the virus scanner
+   * @param {Buffer} buffer - File content
+   * @returns {Promise<Object>} { scan_status, scan_signature, scanned_at, quarantined }
+   */
+  async scan(buffer) {
+    if (!this.scanner) {
+      return { scan_status: SCAN_STATUS.SKIPPED, scan_signature: null, scanned_at: null, quarantined: false };
+    }
+
+    const scanned_at = new Date(this.now()).toISOString();
+    try {
+      const { infected, signature } = await this.scanner.scan(buffer);
+      return {
+        scan_status: infected ? SCAN_STATUS.INFECTED : SCAN_STATUS.CLEAN,
+        scan_signature: signature,
+        scanned_at,
+        quarantined: infected
+      };
+    } catch (error) {
+      console.error(`❌ Attachment scan failed: ${error.message}`);
+      return {
+        scan_status: SCAN_STATUS.ERROR,
+        scan_signature: error.message,
+        scanned_at,
+        quarantined: this.options.scanning.failClosed
+      };
+    }
+  }
+
+  /**
+   * Record stored attachments against their email and audit quarantines
+   * @param {string} email_id - Email ID
+   * @param {Array<Object>} stored - Result of storeAttachments
+   * @returns {Promise<Array>} email_attachments rows
+   */
+  async recordForEmail(email_id, stored) {
+    const rows = stored.map((attachment, index) => ({
+      attachment_index: index,
+      name: attachment.info.name || 'unnamed',
+      content_type: attachment.info.contentType || null,
+      size: attachment.info.size || null,
+      sha256: attachment.storage_status === STORAGE_STATUS.STORED ? attachment.info.sha256 : null,
+      storage_status: attachment.storage_status,
+      quarantined: Boolean(attachment.info.quarantined)
+    }));
+
+    for (const attachment of stored.filter(a => a.info.quarantined)) {
+      console.warn(`☣️  Attachment ${attachment.info.name} of ${email_id} quarantined (${attachment.blob.scan_status}: ${attachment.blob.scan_signature})`);
+      await auditLogger.log(
+        ACTION_TYPES.ATTACHMENT_QUARANTINED,
+        `Attachment ${attachment.info.name} quarantined: ${attachment.blob.scan_signature || attachment.blob.scan_status}`,
+        false,
+        email_id,
+        {
+          name: attachment.info.name,
+          sha256: attachment.info.sha256,
+          scan_status: attachment.blob.scan_status,
+          scan_signature: attachment.blob.scan_signature
+        }
+      );
+    }
+
+    if (!this.store) return [];
+    return this.db.insertEmailAttachments(email_id, rows);
+  }
+
+  /**
+   * List an email's attachments
+   * @param {string} email_id - Email ID
+   * @returns {Promise<Array>} email_attachments rows
+   */
+  async listAttachments(email_id) {
+    return this.db.listEmailAttachments(email_id);
+  }
+
+  /**
+   * Issue a time-limited download link for a reviewer
+   * @param {string} attachment_id - email_attachments ID
+   * @param {string} reviewer - Reviewer requesting the link
+   * @returns {Promise<Object>} { url, expires_at }
+   */
+  async createDownloadUrl(attachment_id, reviewer) {
+    const attachment = await this.getDownloadableAttachment(attachment_id);
+
+    const expires = Math.floor(this.now() / 1000) + this.options.downloadUrlTtlSeconds;
+    const signature = signResource(this.options.signingSecret, attachment.id, expires);
+
+    await auditLogger.logReviewAction(attachment.email_id, ACTION_TYPES.ATTACHMENT_DOWNLOAD_LINK_ISSUED, reviewer,
+      `Download link for ${attachment.name} issued to ${reviewer}`, {
+        attachment_id: attachment.id,
+        expires_at: new Date(expires * 1000).toISOString()
+      });
+
+    return {
+      url: `/api/attachments/${attachment.id}/download?expires=${expires}&signature=${signature}`,
+      expires_at: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Verify a signed link and read the file
+   * @param {string} attachment_id - email_attachments ID
+   * @param {string} expires - expires query parameter
+   * @param {string} signature - signature query parameter
+   * @returns {Promise<Object>} { attachment, buffer }
+   * @throws {HttpError} 403 for bad or expired links, 404/410/423 when the file cannot be served
+   */
+  async openSignedDownload(attachment_id, expires, signature) {
+    this.requireSigningSecret();
+
+    const problem = verifyResourceSignature(this.options.signingSecret, attachment_id, expires, signature, this.now());
+    if (problem) {
+      throw new HttpError(problem === 'expired' ? 'Download link has expired' : 'Invalid download link', 403);
+    }
+
+    const attachment = await this.getDownloadableAttachment(attachment_id);
+    const buffer = await this.store.get(attachment.attachment_blobs.storage_key);
+    if (!buffer) {
+      throw new HttpError('Attachment file is no longer available', 410);
+    }
+
+    await auditLogger.log(ACTION_TYPES.ATTACHMENT_DOWNLOADED, `Attachment ${attachment.name} downloaded`, true,
+      attachment.email_id, { attachment_id: attachment.id, sha256: attachment.sha256 });
+
+    return { attachment, buffer };
+  }
+
+  /**
+   * Load an attachment that can be downloaded
+   * @private
+   */
+  async getDownloadableAttachment(attachment_id) {
+    this.requireSigningSecret();
+
+    const attachment = await this.db.getEmailAttachmentById(attachment_id);
+    if (!attachment) {
+      throw new HttpError('Attachment not found', 404);
+    }
+    if (attachment.quarantined || attachment.attachment_blobs?.quarantined) {
+      throw new HttpError('Attachment is quarantined', 423);
+    }
+    if (attachment.purged_at || !attachment.attachment_blobs) {
+      throw new HttpError('Attachment was removed by the retention policy', 410);
+    }
+    return attachment;
+  }
+
+  /**
+   * @private
+   */
+  requireSigningSecret() {
+    if (!this.store || !this.options.signingSecret) {
+      throw new HttpError('Attachment downloads are not configured (storage driver and ATTACHMENT_SIGNING_SECRET)', 503);
+    }
+  }
+
+  /**
+   * Retention period for an attachment in days
+   * @param {Object} attachment - Row from listAttachmentsForRetention
+   * @returns {number} Days to keep the file
+   */
+  getRetentionDays(attachment) {
+    const { retention } = this.options;
+    if (attachment.quarantined) return retention.quarantineDays;
+
+    const analyses = attachment.emails?.email_analysis;
+    const emailType = Array.isArray(analyses) ? analyses[0]?.email_type : analyses?.email_type;
+    return retention.policy[emailType] ?? retention.days;
+  }
+
+  /**
+   * Purge attachments past their retention period and delete files nothing references
+   * @returns {Promise<Object>} { examined, purged, files_deleted }
+   */
+  async applyRetention() {
+    const { retention } = this.options;
+    const result = { examined: 0, purged: 0, files_deleted: 0 };
+    if (!this.store) return result;
+
+    // Nothing younger than the shortest retention period can be due
+    const shortest = Math.min(retention.days, retention.quarantineDays, ...Object.values(retention.policy));
+    const before = new Date(this.now() - shortest * DAY_MS).toISOString();
+
+    const candidates = await this.db.listAttachmentsForRetention({ before, limit: retention.batchSize });
+    const expired = candidates.filter(attachment =>
+      Date.parse(attachment.created_at) + this.getRetentionDays(attachment) * DAY_MS <= this.now());
+
+    result.examined = candidates.length;
+    await this.db.markAttachmentsPurged(expired.map(attachment => attachment.id));
+    result.purged = expired.length;
+
+    for (const sha256 of new Set(expired.map(attachment => attachment.sha256))) {
+      if (await this.db.countAttachmentReferences(sha256) > 0) continue;
+
+      const blob = await this.db.getAttachmentBlob(sha256);
+      if (blob) {
+        await this.store.delete(blob.storage_key);
+        await this.db.deleteAttachmentBlob(sha256);
+        result.files_deleted++;
+      }
+    }
+
+    if (result.purged > 0) {
+      console.log(`🗑️  Retention purged ${result.purged} attachment(s), deleted ${result.files_deleted} file(s)`);
+      await auditLogger.log(ACTION_TYPES.ATTACHMENTS_PURGED,
+        `Retention purged ${result.purged} attachment(s)`, true, null, result);
+    }
+
+    return result;
+  }
+}
+
+export { AttachmentStorageService };
+
+// Export singleton instance
+const attachmentStorageService = new AttachmentStorageService();
+export default attachmentStorageService;
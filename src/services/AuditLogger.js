@@ -7,12 +7,47 @@ export const ACTION_TYPES = {
   EMAIL_RECEIVED: 'email_received',
   AI_ANALYSIS_SUCCESS: 'ai_analysis_success',
   AI_ANALYSIS_FAILURE: 'ai_analysis_failure',
+  AI_RESPONSE_INVALID: 'ai_response_invalid',
   WORKFLOW_EXECUTED: 'workflow_executed',
   AUTOMATION_BLOCKED: 'automation_blocked',
   MANUAL_REVIEW_TRIGGERED: 'manual_review_triggered',
   SYSTEM_ERROR: 'system_error',
   EMAIL_SENT: 'email_sent',
-  EMAIL_SEND_FAILED: 'email_send_failed'
+  EMAIL_SEND_FAILED: 'email_send_failed',
+  REPLY_SUPPRESSED: 'reply_suppressed',
+  EMAIL_BOUNCED: 'email_bounced',
+  BOUNCE_UNMATCHED: 'bounce_unmatched',
+  GMAIL_SYNC_RESET: 'gmail_sync_reset',
+  GMAIL_MESSAGE_REJECTED: 'gmail_message_rejected',
+  JOB_DEAD_LETTERED: 'job_dead_lettered',
+  WEBHOOK_REJECTED: 'webhook_rejected',
+  REVIEW_CLAIMED: 'review_claimed',
+  REVIEW_RELEASED: 'review_released',
+  REVIEW_ASSIGNED: 'review_assigned',
+  CLASSIFICATION_OVERRIDDEN: 'classification_overridden',
+  REVIEW_REPLY_SENT: 'review_reply_sent',
+  DRAFT_CREATED: 'draft_created',
+  DRAFT_EDITED: 'draft_edited',
+  DRAFT_APPROVED: 'draft_approved',
+  DRAFT_REJECTED: 'draft_rejected',
+  ATTACHMENT_QUARANTINED: 'attachment_quarantined',
+  ATTACHMENT_DOWNLOAD_LINK_ISSUED: 'attachment_download_link_issued',
+  ATTACHMENT_DOWNLOADED: 'attachment_downloaded',
+  ATTACHMENTS_PURGED: 'attachments_purged',
+  INVOICE_DUPLICATE_DETECTED: 'invoice_duplicate_detected',
+  INVOICE_APPROVED: 'invoice_approved',
+  INVOICES_EXPORTED: 'invoices_exported',
+  INVOICE_EXPORT_FAILED: 'invoice_export_failed',
+  ESCALATION_OPENED: 'escalation_opened',
+  ESCALATION_NOTIFICATION_SENT: 'escalation_notification_sent',
+  ESCALATION_NOTIFICATION_FAILED: 'escalation_notification_failed',
+  ESCALATION_REESCALATED: 'escalation_reescalated',
+  ESCALATION_ACKNOWLEDGED: 'escalation_acknowledged',
+  ESCALATION_EXHAUSTED: 'escalation_exhausted',
+  SLA_BREACHED: 'sla_breached',
+  EMAIL_CLOSED: 'email_closed',
+  API_KEY_CREATED: 'api_key_created',
+  API_KEY_REVOKED: 'api_key_revoked'
 };
 
 /**
@@ -68,6 +103,8 @@ class AuditLogger {
         email_type: analysisResults.email_type,
         urgency: analysisResults.urgency,
         confidence_score: analysisResults.confidence_score,
+        provider: analysisResults.provider,
+        model: analysisResults.model,
         analyzed_at: new Date().toISOString()
       }
     });
@@ -94,6 +131,24 @@ class AuditLogger {
     });
   }
 
+  /**
+   * Log an unusable (truncated, non-JSON or off-schema) LLM response
+   * @param {string} email_id - Email ID
+   * @param {Object} details - attempt, reason, errors, finish_reason, provider, model
+   */
+  async logAIResponseInvalid(email_id, details = {}) {
+    await this._safeLog({
+      action_type: ACTION_TYPES.AI_RESPONSE_INVALID,
+      related_email_id: email_id,
+      description: `AI response rejected (${details.reason}) on attempt ${details.attempt}`,
+      success: false,
+      metadata: {
+        ...details,
+        rejected_at: new Date().toISOString()
+      }
+    });
+  }
+
   /**
    * Log workflow execution
    * @param {string} email_id - Email ID
@@ -132,6 +187,7 @@ class AuditLogger {
         reason,
         email_type: context.email_type,
         confidence_score: context.confidence_score,
+        rule_id: context.rule_id,
         blocked_at: new Date().toISOString()
       }
     });
@@ -153,6 +209,7 @@ class AuditLogger {
         trigger_reason,
         email_type: context.email_type,
         confidence_score: context.confidence_score,
+        rule_id: context.rule_id,
         triggered_at: new Date().toISOString()
       }
     });
@@ -184,16 +241,23 @@ class AuditLogger {
    * @param {string} email_id - Email ID
    * @param {string} recipient - Recipient email address
    * @param {string} message_id - Email message ID (optional)
+   * @param {Object} delivery - Transport result (optional): transport, accepted, rejected, response, provider_message_id
    */
-  async logEmailSent(email_id, recipient, message_id = null) {
+  async logEmailSent(email_id, recipient, message_id = null, delivery = {}) {
+    const rejected = delivery.rejected || [];
     await this._safeLog({
       action_type: ACTION_TYPES.EMAIL_SENT,
       related_email_id: email_id,
-      description: `Email sent to ${recipient}`,
+      description: `Email sent to ${recipient}${rejected.length > 0 ? ` (rejected: ${rejected.join(', ')})` : ''}`,
       success: true,
       metadata: {
         recipient,
         message_id,
+        transport: delivery.transport || null,
+        accepted: delivery.accepted || [],
+        rejected,
+        response: delivery.response || null,
+        provider_message_id: delivery.provider_message_id || null,
         sent_at: new Date().toISOString()
       }
     });
@@ -204,8 +268,9 @@ class AuditLogger {
    * @param {string} email_id - Email ID
    * @param {string} recipient - Recipient email address
    * @param {Error} error - Error object
+   * @param {string} transport - Transport name (optional)
    */
-  async logEmailSendFailed(email_id, recipient, error) {
+  async logEmailSendFailed(email_id, recipient, error, transport = null) {
     await this._safeLog({
       action_type: ACTION_TYPES.EMAIL_SEND_FAILED,
       related_email_id: email_id,
@@ -213,12 +278,56 @@ class AuditLogger {
       success: false,
       metadata: {
         recipient,
+        transport,
         failed_at: new Date().toISOString()
       },
       error_details: error.stack || error.message
     });
   }
 
+  /**
+   * Log a job that exhausted its attempts
+   * @param {Object} job - Job record
+   * @param {Error} error - Final error
+   */
+  async logJobDeadLettered(job, error) {
+    await this._safeLog({
+      action_type: ACTION_TYPES.JOB_DEAD_LETTERED,
+      related_email_id: job.email_id || null,
+      description: `Job ${job.type} dead-lettered after ${job.attempts} attempt(s): ${error.message}`,
+      success: false,
+      metadata: {
+        job_id: job.id,
+        job_type: job.type,
+        attempts: job.attempts,
+        dead_lettered_at: new Date().toISOString()
+      },
+      error_details: error.stack || error.message
+    });
+  }
+
+  /**
+   * Log a reviewer action on the review queue
+   * @param {string} email_id - Email ID
+   * @param {string} action_type - One of the REVIEW_* / CLASSIFICATION_OVERRIDDEN action types
+   * @param {string} reviewer - Reviewer who performed the action
+   * @param {string} description - Human-readable description
+   * @param {Object} metadata - Additional metadata
+   */
+  async logReviewAction(email_id, action_type, reviewer, description, metadata = {}) {
+    await this._safeLog({
+      action_type,
+      related_email_id: email_id,
+      description,
+      success: true,
+      metadata: {
+        ...metadata,
+        reviewer,
+        performed_at: new Date().toISOString()
+      }
+    });
+  }
+
   /**
    * Generic log method for custom events
    * @param {string} action_type - Action type
@@ -0,0 +1,389 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { config } from '../config/index.js';
+import databaseService from './DatabaseService.js';
+import auditLogger, { ACTION_TYPES } from './AuditLogger.js';
+import taxonomyRegistry from './TaxonomyRegistry.js';
+import { EMAIL_STATUS } from '../utils/emailStatus.js';
+import { verifyJwt } from '../utils/jwt.js';
+import { HttpError } from '../utils/httpError.js';
+
+const DEFAULT_ROLES_PATH = new URL('../config/roles.json', import.meta.url);
+
+/**
+ * Permissions a role can be granted ("*" grants all)
+ */
+export const PERMISSIONS = {
+  EMAILS_READ: 'emails:read', // Emails, review queue, drafts, attachments, escalations
+  EMAILS_REVIEW: 'emails:review', // Claim, classify, reply, close; edit and approve drafts
+  INVOICES_READ: 'invoices:read',
+  INVOICES_MANAGE: 'invoices:manage', // Approve and export
+  ESCALATIONS_ACKNOWLEDGE: 'escalations:acknowledge',
+  SLA_READ: 'sla:read',
+  RULES_READ: 'rules:read', // List and validate decision rules
+  RULES_MANAGE: 'rules:manage', // Simulate rule sets against stored emails
+  SYSTEM_READ: 'system:read', // Metrics and job queue
+  SYSTEM_MANAGE: 'system:manage' // Retry jobs, API keys, test endpoints
+};
+
+/**
+ * Prefix of every API key (tells keys apart from JWTs in an Authorization header)
+ */
+export const API_KEY_PREFIX = 'cea_';
+
+// last_used_at is refreshed at most this often per key
+const LAST_USED_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - API key
+ * @returns {string} SHA-256 hex
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Validate a role document
+ * @param {Object} document - { roles: { name: { description, permissions, emailTypes, statuses } } }
+ * @param {Object} options - emailTypes: known email type names
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateRoles(document, { emailTypes = taxonomyRegistry.getTypeNames() } = {}) {
+  if (!document || typeof document.roles !== 'object' || Array.isArray(document.roles)) {
+    return ['Roles must have a roles object'];
+  }
+
+  const knownPermissions = Object.values(PERMISSIONS);
+  const knownStatuses = Object.values(EMAIL_STATUS);
+  const errors = [];
+
+  Object.entries(document.roles).forEach(([name, role]) => {
+    const label = `roles.${name}`;
+    if (!/^[a-z][a-z0-9-]*$/.test(name)) errors.push(`${label}: name must be lowercase letters, digits and dashes`);
+    if (!Array.isArray(role?.permissions) || role.permissions.length === 0) {
+      errors.push(`${label}: permissions needs at least one permission`);
+    } else {
+      const unknown = role.permissions.filter(permission => permission !== '*' && !knownPermissions.includes(permission));
+      if (unknown.length > 0) errors.push(`${label}: unknown permission(s) ${unknown.join(', ')}`);
+    }
+
+    [['emailTypes', emailTypes], ['statuses', knownStatuses]].forEach(([key, known]) => {
+      if (role?.[key] === undefined) return;
+      if (!Array.isArray(role[key]) || role[key].length === 0) {
+        errors.push(`${label}: ${key} must be a non-empty array (omit it to allow all)`);
+        return;
+      }
+      const unknown = role[key].filter(value => !known.includes(value));
+      if (unknown.length > 0) errors.push(`${label}: unknown ${key} ${unknown.join(', ')}`);
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Read a dotted claim path (e.g. app_metadata.role)
+ * @private
+ */
+function readClaim(claims, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+}
+
+/**
+ * Auth Service
+ * Authenticates API callers (JWT bearer tokens or API keys) and decides what
+ * their role lets them do: permissions per action, and which email types and
+ * statuses they can see or act on.
+ * Roles are loaded from src/config/roles.json or AUTH_ROLES_PATH.
+ */
+class AuthService {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.db - Provides the api_keys methods and getEmailScopes
+   * @param {Object} deps.roles - Role document (defaults to the configured file)
+   * @param {Object} deps.options - Auth options (defaults to config.auth)
+   * @param {Array<string>} deps.emailTypes - Known email types (defaults to the taxonomy)
+   * @param {Function} deps.now - Clock returning epoch milliseconds
+   */
+  constructor({ db = databaseService, roles, options = config.auth, emailTypes, now = () => Date.now() } = {}) {
+    this.db = db;
+    this.options = options;
+    this.now = now;
+    this.emailTypes = emailTypes;
+    this.load(roles || this.readFile(options.rolesPath || DEFAULT_ROLES_PATH));
+
+    if (!options.enabled) {
+      console.warn('⚠️  AUTH_ENABLED is off - API requests are NOT authenticated');
+    }
+  }
+
+  /**
+   * Replace the active roles
+   * @param {Object} document - Role document
+   * @throws {Error} If the document is invalid
+   */
+  load(document) {
+    const errors = validateRoles(document, this.emailTypes ? { emailTypes: this.emailTypes } : undefined);
+    if (errors.length > 0) {
+      throw new Error(`Invalid roles: ${errors.join('; ')}`);
+    }
+    this.roles = document.roles;
+  }
+
+  /**
+   * Read and parse a role file
+   * @private
+   */
+  readFile(path) {
+    try {
+      return JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load roles from ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the principal for an authenticated caller
+   * @private
+   */
+  toPrincipal({ type, id, name, role }) {
+    const definition = this.roles[role];
+    if (!definition) {
+      throw new HttpError(`Role "${role}" is not defined`, 403);
+    }
+    return {
+      type,
+      id,
+      name,
+      role,
+      permissions: definition.permissions,
+      emailTypes: definition.emailTypes || null,
+      statuses: definition.statuses || null
+    };
+  }
+
+  /**
+   * Identify the caller
+   * @param {Object} credentials - authorization (Authorization header), apiKey (X-API-Key header)
+   * @returns {Promise<Object>} Principal: { type, id, name, role, permissions, emailTypes, statuses }
+   * @throws {HttpError} 401 without valid credentials, 403 for an undefined role
+   */
+  async authenticate({ authorization, apiKey } = {}) {
+    if (!this.options.enabled) {
+      return { type: 'anonymous', id: null, name: null, role: null, permissions: ['*'], emailTypes: null, statuses: null };
+    }
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization || '')?.[1]?.trim();
+    if (apiKey || bearer?.startsWith(API_KEY_PREFIX)) {
+      return this.authenticateApiKey(apiKey || bearer);
+    }
+    if (bearer) {
+      return this.authenticateJwt(bearer);
+    }
+    throw new HttpError('Authentication required (Authorization: Bearer <token> or X-API-Key)', 401);
+  }
+
+  /**
+   * @private
+   */
+  authenticateJwt(token) {
+    const { jwt } = this.options;
+    if (!jwt.secret) {
+      throw new HttpError('Token authentication is not configured', 401);
+    }
+
+    const claims = verifyJwt(token, jwt.secret, {
+      issuer: jwt.issuer,
+      audience: jwt.audience,
+      clockSkewSeconds: jwt.clockSkewSeconds,
+      now: this.now()
+    });
+
+    const role = readClaim(claims, jwt.roleClaim);
+    if (typeof role !== 'string') {
+      throw new HttpError(`Token has no ${jwt.roleClaim} claim`, 403);
+    }
+    const name = readClaim(claims, jwt.nameClaim) || claims.sub;
+    if (!name) {
+      throw new HttpError('Token has no subject', 401);
+    }
+
+    return this.toPrincipal({ type: 'user', id: claims.sub || name, name, role });
+  }
+
+  /**
+   * @private
+   */
+  async authenticateApiKey(key) {
+    const record = key.startsWith(API_KEY_PREFIX) ? await this.db.findApiKeyByHash(hashApiKey(key)) : null;
+    if (!record || record.revoked_at) {
+      throw new HttpError('Invalid API key', 401);
+    }
+    if (record.expires_at && Date.parse(record.expires_at) <= this.now()) {
+      throw new HttpError('API key expired', 401);
+    }
+
+    if (!record.last_used_at || this.now() - Date.parse(record.last_used_at) > LAST_USED_INTERVAL_MS) {
+      this.db.updateApiKey(record.id, { last_used_at: new Date(this.now()).toISOString() }).catch(error => {
+        console.error('⚠️  Failed to record API key use:', error.message);
+      });
+    }
+
+    return this.toPrincipal({ type: 'api_key', id: record.id, name: record.name, role: record.role });
+  }
+
+  /**
+   * Whether the principal's role grants a permission
+   * @param {Object} principal - Authenticated caller
+   * @param {string} permission - One of PERMISSIONS
+   * @returns {boolean}
+   */
+  hasPermission(principal, permission) {
+    return principal.permissions.includes('*') || principal.permissions.includes(permission);
+  }
+
+  /**
+   * Email types and statuses the principal is limited to
+   * @param {Object} principal - Authenticated caller
+   * @returns {Object|null} { email_types, statuses } (either may be null), or null when unrestricted
+   */
+  emailScope(principal) {
+    if (!principal.emailTypes && !principal.statuses) return null;
+    return { email_types: principal.emailTypes, statuses: principal.statuses };
+  }
+
+  /**
+   * Whether the principal may see an email
+   * Emails not yet classified are only visible to roles without a type restriction
+   * @param {Object} principal - Authenticated caller
+   * @param {Object} email - status and email_type
+   * @returns {boolean}
+   */
+  canAccessEmail(principal, { status, email_type }) {
+    if (principal.statuses && !principal.statuses.includes(status)) return false;
+    return this.canAccessEmailType(principal, email_type);
+  }
+
+  /**
+   * Whether the principal's role covers an email type
+   * @param {Object} principal - Authenticated caller
+   * @param {string} email_type - Email type
+   * @returns {boolean}
+   */
+  canAccessEmailType(principal, email_type) {
+    return !principal.emailTypes || principal.emailTypes.includes(email_type);
+  }
+
+  /**
+   * Reject access to an email outside the principal's scope
+   * Unknown emails pass, so the route can answer 404 as usual
+   * @param {Object} principal - Authenticated caller
+   * @param {string} email_id - Email ID
+   * @throws {HttpError} 403 if the email is out of scope
+   */
+  async authorizeEmail(principal, email_id) {
+    if (!this.emailScope(principal)) return;
+
+    const [email] = await this.db.getEmailScopes([email_id]);
+    if (email && !this.canAccessEmail(principal, email)) {
+      throw new HttpError(`Role ${principal.role} cannot access this email`, 403);
+    }
+  }
+
+  /**
+   * Keep only records whose email is in the principal's scope
+   * @param {Object} principal - Authenticated caller
+   * @param {Array<Object>} records - Records referring to an email
+   * @param {Function} getEmailId - Record -> email ID (default record.email_id)
+   * @returns {Promise<Array<Object>>} Visible records, in order
+   */
+  async filterByEmail(principal, records, getEmailId = record => record.email_id) {
+    if (!this.emailScope(principal) || records.length === 0) return records;
+
+    const emails = await this.db.getEmailScopes([...new Set(records.map(getEmailId).filter(Boolean))]);
+    const visible = new Set(emails.filter(email => this.canAccessEmail(principal, email)).map(email => email.id));
+    return records.filter(record => visible.has(getEmailId(record)));
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} request - name, role, expires_at (optional ISO date)
+   * @param {string} actor - Who created it
+   * @returns {Promise<Object>} { api_key, key } - the key is only ever returned here
+   * @throws {HttpError} 400 for invalid input, 409 if an active key has the name
+   */
+  async createApiKey({ name, role, expires_at } = {}, actor = null) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 255) {
+      throw new HttpError('name is required');
+    }
+    if (!this.roles[role]) {
+      throw new HttpError(`role must be one of ${Object.keys(this.roles).join(', ')}`);
+    }
+    if (expires_at !== undefined && !(Date.parse(expires_at) > this.now())) {
+      throw new HttpError('expires_at must be a future ISO 8601 date');
+    }
+
+    const existing = await this.db.listApiKeys({ name: name.trim() });
+    if (existing.length > 0) {
+      throw new HttpError(`An active API key named "${name.trim()}" already exists`, 409);
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const { key_hash, ...apiKey } = await this.db.insertApiKey({
+      name: name.trim(),
+      role,
+      key_prefix: key.substring(0, API_KEY_PREFIX.length + 6),
+      key_hash: hashApiKey(key),
+      created_by: actor,
+      expires_at: expires_at ? new Date(expires_at).toISOString() : null
+    });
+
+    await auditLogger.log(ACTION_TYPES.API_KEY_CREATED, `API key "${apiKey.name}" (${role}) created${actor ? ` by ${actor}` : ''}`, true, null, {
+      api_key_id: apiKey.id,
+      role,
+      created_by: actor
+    });
+
+    return { api_key: apiKey, key };
+  }
+
+  /**
+   * List API keys (without hashes)
+   * @param {Object} filters - include_revoked
+   * @returns {Promise<Array>} API key records
+   */
+  async listApiKeys(filters) {
+    return this.db.listApiKeys(filters);
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} api_key_id - API key ID
+   * @param {string} actor - Who revoked it
+   * @returns {Promise<Object>} Revoked record
+   * @throws {HttpError} 404 if not found
+   */
+  async revokeApiKey(api_key_id, actor = null) {
+    const apiKey = await this.db.updateApiKey(api_key_id, {
+      revoked_at: new Date(this.now()).toISOString(),
+      revoked_by: actor
+    });
+    if (!apiKey) {
+      throw new HttpError(`API key not found: ${api_key_id}`, 404);
+    }
+
+    await auditLogger.log(ACTION_TYPES.API_KEY_REVOKED, `API key "${apiKey.name}" revoked${actor ? ` by ${actor}` : ''}`, true, null, {
+      api_key_id: apiKey.id,
+      revoked_by: actor
+    });
+
+    return apiKey;
+  }
+}
+
+export { AuthService };
+
+// Export singleton instance
+const authService = new AuthService();
+export default authService;
@@ -0,0 +1,147 @@
+import databaseService from './DatabaseService.js';
+import auditLogger, { ACTION_TYPES } from './AuditLogger.js';
+import { recipientKey } from './SendLimiter.js';
+import { EMAIL_STATUS, canTransition } from '../utils/emailStatus.js';
+
+/**
+ * Bounce Service
+ * Handles delivery failure reports parsed at ingestion (emails.delivery_report):
+ * links the report to the reply that bounced, suppresses addresses that failed
+ * permanently and puts the email we were answering back in front of a reviewer.
+ * Reports that match none of our replies are closed without acting on them, so
+ * forged bounces (backscatter) cannot get arbitrary addresses suppressed.
+ */
+class BounceService {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.db - Provides the email, outbound email and suppression methods
+   * @param {Function} deps.now - Clock returning epoch milliseconds
+   */
+  constructor({ db = databaseService, now = () => Date.now() } = {}) {
+    this.db = db;
+    this.now = now;
+  }
+
+  /**
+   * Process a stored delivery failure report
+   * @param {string} email_id - ID of the bounce email
+   * @returns {Promise<Object>} { matched, outbound_email_id, delivery_status, suppressed, manual_review }
+   */
+  async processBounce(email_id) {
+    const bounce = await this.db.getEmailById(email_id);
+    const report = bounce.delivery_report;
+    if (!report) {
+      throw new Error(`Email ${email_id} has no delivery report`);
+    }
+
+    const outbound = await this.db.findOutboundEmailByMessageIds(report.original_message_ids || []);
+    if (!outbound) {
+      const reason = 'Delivery failure report for a message we did not send';
+      console.log(`📭 ${reason} (${email_id})`);
+      await auditLogger.log(ACTION_TYPES.BOUNCE_UNMATCHED, reason, true, email_id, {
+        original_message_ids: report.original_message_ids
+      });
+      await this.close(email_id, reason);
+      return { matched: false };
+    }
+
+    const failures = this.failedRecipients(report, outbound);
+    const permanent = failures.filter(failure => failure.permanent);
+    const bouncedAt = new Date(this.now()).toISOString();
+    const delivery_status = permanent.length > 0 ? 'bounced' : 'delayed';
+
+    await this.db.updateOutboundEmail(outbound.id, {
+      delivery_status,
+      bounce_email_id: email_id,
+      bounce_details: failures,
+      bounced_at: bouncedAt
+    });
+
+    for (const failure of permanent) {
+      await this.db.upsertSuppressedRecipient({
+        address: failure.address,
+        reason: 'hard_bounce',
+        status_code: failure.status,
+        diagnostic: failure.diagnostic,
+        outbound_email_id: outbound.id,
+        bounce_email_id: email_id,
+        last_bounced_at: bouncedAt
+      });
+    }
+
+    const summary = failures.map(failure => `${failure.address} (${failure.status || failure.action})`).join(', ');
+    const description = `Reply ${outbound.message_id} ${delivery_status === 'bounced' ? 'bounced' : 'delayed'}: ${summary}`;
+    console.log(`📭 ${description}`);
+    await auditLogger.log(ACTION_TYPES.EMAIL_BOUNCED, description, delivery_status !== 'bounced', outbound.email_id, {
+      outbound_email_id: outbound.id,
+      bounce_email_id: email_id,
+      delivery_status,
+      recipients: failures,
+      suppressed: permanent.map(failure => failure.address)
+    });
+
+    // A delay is only a warning; a permanent failure means the sender never got our reply
+    const manual_review = permanent.length > 0 && await this.raiseForReview(outbound, `Reply to ${summary} bounced`, email_id);
+    await this.close(email_id, `Delivery failure report for reply ${outbound.message_id}`);
+
+    return {
+      matched: true,
+      outbound_email_id: outbound.id,
+      delivery_status,
+      suppressed: permanent.map(failure => failure.address),
+      manual_review
+    };
+  }
+
+  /**
+   * Failed recipients of the reply, limited to addresses it was actually sent to
+   * @param {Object} report - Parsed delivery report
+   * @param {Object} outbound - outbound_emails record
+   * @returns {Array<Object>} [{ address, action, status, diagnostic, permanent }]
+   */
+  failedRecipients(report, outbound) {
+    const sentTo = [...(outbound.to_addresses || []), ...(outbound.cc_addresses || []), ...(outbound.bcc_addresses || [])]
+      .map(address => recipientKey(address).recipient);
+
+    const named = report.recipients.filter(recipient => recipient.address && sentTo.includes(recipient.address));
+    if (named.length > 0) {
+      return named.map(({ address, action, status, diagnostic, permanent }) => ({ address, action, status, diagnostic, permanent }));
+    }
+
+    // Notices that do not say which address failed are about the reply's addressee
+    const { action, status, diagnostic, permanent } = report;
+    return [{ address: outbound.recipient || recipientKey(outbound.to_addresses?.[0]).recipient, action, status, diagnostic, permanent }];
+  }
+
+  /**
+   * Move the email the reply answered to Manual Review
+   * @private
+   */
+  async raiseForReview(outbound, reason, bounce_email_id) {
+    const original = await this.db.getEmailById(outbound.email_id);
+    if (!canTransition(original.status, EMAIL_STATUS.MANUAL_REVIEW)) {
+      console.warn(`⚠️ Email ${original.id} is ${original.status} - not moved to Manual Review after bounce`);
+      return false;
+    }
+
+    await this.db.updateEmailStatus(original.id, EMAIL_STATUS.MANUAL_REVIEW, {
+      source: 'bounce',
+      reason,
+      metadata: { outbound_email_id: outbound.id, bounce_email_id }
+    });
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  async close(email_id, reason) {
+    await this.db.updateEmailStatus(email_id, EMAIL_STATUS.CLOSED, { source: 'bounce', reason });
+  }
+}
+
+export { BounceService };
+
+// Export singleton instance
+const bounceService = new BounceService();
+export default bounceService;
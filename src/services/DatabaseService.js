@@ -1,5 +1,7 @@
 import { createClient } from '@supabase/supabase-js';
 import { config } from '../config/index.js';
+import { assertTransition } from '../utils/emailStatus.js';
+import { HttpError } from '../utils/httpError.js';
 
 /**
  * Sleep utility for retry delays
@@ -35,6 +37,11 @@ class DatabaseService {
       } catch (error) {
         lastError = error;
         
+        // Constraint violations and the like won't succeed on retry
+        if (error.retryable === false) {
+          throw error;
+        }
+
         if (attempt === maxRetries) {
           console.error(`Operation failed after ${maxRetries} attempts:`, error.message);
           throw error;
@@ -57,9 +64,26 @@ class DatabaseService {
    * @param {string} emailData.body - Email body
    * @param {boolean} emailData.hasAttachments - Whether email has attachments
    * @param {Array} emailData.attachmentInfo - Array of attachment metadata
+   * @param {string} emailData.message_id - RFC 5322 Message-ID (optional)
+   * @param {string} emailData.in_reply_to - In-Reply-To header (optional)
+   * @param {Array<string>} emailData.reference_ids - References header Message-IDs (optional)
+   * @param {string} emailData.thread_id - Thread ID (optional)
    * @returns {Promise<string>} Created email ID
+   * @throws {Error} With code '23505' and retryable=false on duplicate Message-ID
    */
-  async insertEmail({ from_email, subject, body, hasAttachments = false, attachmentInfo = [] }) {
+  async insertEmail({
+    from_email,
+    subject,
+    body,
+    hasAttachments = false,
+    attachmentInfo = [],
+    message_id = null,
+    in_reply_to = null,
+    reference_ids = [],
+    thread_id = null,
+    auto_reply_reason = null,
+    delivery_report = null
+  }) {
     return this.retryOperation(async () => {
       const { data, error } = await this.client
         .from('emails')
@@ -69,6 +93,12 @@ class DatabaseService {
           body,
           has_attachments: hasAttachments,
           attachment_info: attachmentInfo,
+          message_id,
+          in_reply_to,
+          reference_ids,
+          thread_id,
+          auto_reply_reason,
+          delivery_report,
           status: 'Received',
           received_at: new Date().toISOString()
         })
@@ -76,7 +106,10 @@ class DatabaseService {
         .single();
 
       if (error) {
-        throw new Error(`Failed to insert email: ${error.message}`);
+        const insertError = new Error(`Failed to insert email: ${error.message}`);
+        insertError.code = error.code;
+        insertError.retryable = error.code !== '23505';
+        throw insertError;
       }
 
       return data.id;
@@ -96,9 +129,10 @@ class DatabaseService {
    */
   async insertAnalysis({ email_id, email_type, urgency, confidence_score, extracted_data, reasoning }) {
     return this.retryOperation(async () => {
+      // Upsert so a retried analysis job overwrites rather than violating UNIQUE(email_id)
       const { error } = await this.client
         .from('email_analysis')
-        .insert({
+        .upsert({
           email_id,
           email_type,
           urgency,
@@ -106,7 +140,7 @@ class DatabaseService {
           extracted_data,
           reasoning,
           analyzed_at: new Date().toISOString()
-        });
+        }, { onConflict: 'email_id' });
 
       if (error) {
         throw new Error(`Failed to insert analysis: ${error.message}`);
@@ -120,11 +154,12 @@ class DatabaseService {
    * @param {string} workflowData.email_id - Email ID
    * @param {string} workflowData.workflow_type - Workflow type
    * @param {boolean} workflowData.automation_used - Whether automation was used
+   * @param {boolean} workflowData.automation_allowed - Whether the decision allowed automation
    * @param {Array<string>} workflowData.actions_taken - Actions performed
    * @param {boolean} workflowData.success - Whether workflow succeeded
    * @returns {Promise<void>}
    */
-  async insertWorkflow({ email_id, workflow_type, automation_used, actions_taken, success = true }) {
+  async insertWorkflow({ email_id, workflow_type, automation_used, automation_allowed = null, actions_taken, success = true }) {
     return this.retryOperation(async () => {
       const { error } = await this.client
         .from('workflows')
@@ -132,6 +167,7 @@ class DatabaseService {
           email_id,
           workflow_type,
           automation_used,
+          automation_allowed,
           actions_taken,
           success,
           executed_at: new Date().toISOString()
@@ -175,24 +211,91 @@ class DatabaseService {
   }
 
   /**
-   * Update email status
+   * Update email status, enforcing the status state machine and recording history
+   * Setting the current status again is a no-op (the SLA clock keeps running)
    * @param {string} email_id - Email ID
-   * @param {string} status - New status
-   * @returns {Promise<void>}
+   * @param {string} status - New status (see utils/emailStatus.js)
+   * @param {Object} change - Who/what made the change
+   * @param {string} change.changed_by - Reviewer (null for automated changes)
+   * @param {string} change.source - Component making the change (pipeline, decision_engine, workflow, review, ...)
+   * @param {string} change.reason - Why
+   * @param {Object} change.metadata - Extra details (rule_id, draft_id, ...)
+   * @returns {Promise<Object>} { from, to, changed }
+   * @throws {HttpError} 400 for an unknown status, 409 for an illegal transition
    */
-  async updateEmailStatus(email_id, status) {
-    return this.retryOperation(async () => {
-      const { error } = await this.client
+  async updateEmailStatus(email_id, status, { changed_by = null, source = 'system', reason = null, metadata = {} } = {}) {
+    const { status: from } = await this.getEmailById(email_id);
+    assertTransition(from, status);
+    if (from === status) {
+      return { from, to: status, changed: false };
+    }
+
+    const now = new Date().toISOString();
+    const updated = await this.retryOperation(async () => {
+      // Only from the status we validated against; a concurrent change wins
+      const { data, error } = await this.client
         .from('emails')
         .update({ 
           status,
-          updated_at: new Date().toISOString()
+          status_changed_at: now,
+          updated_at: now
         })
-        .eq('id', email_id);
+        .eq('id', email_id)
+        .eq('status', from)
+        .select('id')
+        .maybeSingle();
 
       if (error) {
         throw new Error(`Failed to update email status: ${error.message}`);
       }
+
+      return data;
+    });
+
+    if (!updated) {
+      throw new HttpError(`Email status changed while moving from ${from} to ${status} - try again`, 409);
+    }
+
+    await this.retryOperation(async () => {
+      const { error } = await this.client
+        .from('email_status_history')
+        .insert({
+          email_id,
+          from_status: from,
+          to_status: status,
+          changed_by,
+          source,
+          reason,
+          metadata,
+          created_at: now
+        });
+
+      if (error) {
+        throw new Error(`Failed to record status history: ${error.message}`);
+      }
+    });
+
+    return { from, to: status, changed: true };
+  }
+
+  /**
+   * Get the status history of an email, oldest first
+   * @param {string} email_id - Email ID
+   * @returns {Promise<Array>} email_status_history rows
+   */
+  async getStatusHistory(email_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('email_status_history')
+        .select('*')
+        .eq('email_id', email_id)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to get status history: ${error.message}`);
+      }
+
+      return data || [];
     });
   }
 
@@ -218,6 +321,50 @@ class DatabaseService {
     });
   }
 
+  /**
+   * Link an email to its conversation thread
+   * @param {string} email_id - Email ID
+   * @param {string} thread_id - Thread ID
+   * @returns {Promise<void>}
+   */
+  async setEmailThread(email_id, thread_id) {
+    return this.retryOperation(async () => {
+      const { error } = await this.client
+        .from('emails')
+        .update({
+          thread_id,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', email_id);
+
+      if (error) {
+        throw new Error(`Failed to set email thread: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Replace an email's attachment metadata (after storage added sha256 and quarantine flags)
+   * @param {string} email_id - Email ID
+   * @param {Array<Object>} attachment_info - Attachment metadata
+   * @returns {Promise<void>}
+   */
+  async updateEmailAttachmentInfo(email_id, attachment_info) {
+    return this.retryOperation(async () => {
+      const { error } = await this.client
+        .from('emails')
+        .update({
+          attachment_info,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', email_id);
+
+      if (error) {
+        throw new Error(`Failed to update attachment info: ${error.message}`);
+      }
+    });
+  }
+
   /**
    * Get email by ID
    * @param {string} email_id - Email ID
@@ -281,6 +428,48 @@ class DatabaseService {
     });
   }
 
+  /**
+   * Get analysis by email ID, or null when the email has not been analyzed
+   * @param {string} email_id - Email ID
+   * @returns {Promise<Object|null>} Analysis record
+   */
+  async findAnalysisByEmailId(email_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('email_analysis')
+        .select('*')
+        .eq('email_id', email_id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get analysis: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * List every workflow run for an email, oldest first
+   * @param {string} email_id - Email ID
+   * @returns {Promise<Array>} Workflow records
+   */
+  async listWorkflowsByEmailId(email_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('workflows')
+        .select('*')
+        .eq('email_id', email_id)
+        .order('executed_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to list workflows: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
   /**
    * Get audit logs by email ID
    * @param {string} email_id - Email ID
@@ -301,6 +490,1659 @@ class DatabaseService {
       return data || [];
     });
   }
+
+  /**
+   * Get Gmail sync state for a mailbox
+   * @param {string} email_address - Mailbox address
+   * @returns {Promise<Object|null>} Sync state record or null if never synced
+   */
+  async getGmailSyncState(email_address) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('gmail_sync_state')
+        .select('*')
+        .eq('email_address', email_address)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get Gmail sync state: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Save the last processed Gmail historyId for a mailbox
+   * @param {string} email_address - Mailbox address
+   * @param {string} history_id - Gmail historyId
+   * @returns {Promise<void>}
+   */
+  async saveGmailSyncState(email_address, history_id) {
+    return this.retryOperation(async () => {
+      const { error } = await this.client
+        .from('gmail_sync_state')
+        .upsert({
+          email_address,
+          history_id: String(history_id),
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'email_address' });
+
+      if (error) {
+        throw new Error(`Failed to save Gmail sync state: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Insert a new job
+   * @param {Object} jobData - Job data
+   * @param {string} jobData.type - Job type
+   * @param {Object} jobData.payload - Job payload
+   * @param {string} jobData.email_id - Related email ID (optional)
+   * @param {number} jobData.max_attempts - Attempts before dead-lettering
+   * @param {string} jobData.run_at - ISO timestamp the job becomes due
+   * @returns {Promise<Object>} Created job record
+   */
+  async insertJob({ type, payload, email_id = null, max_attempts, run_at }) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('jobs')
+        .insert({
+          type,
+          payload,
+          email_id,
+          max_attempts,
+          run_at,
+          status: 'pending'
+        })
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to insert job: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Lease due jobs to a worker (see claim_jobs in 004_create_jobs.sql)
+   * @param {string} worker_id - Worker identifier
+   * @param {number} batch_size - Maximum jobs to claim
+   * @param {number} lease_ms - Lease duration in milliseconds
+   * @returns {Promise<Array>} Claimed job records
+   */
+  async claimJobs(worker_id, batch_size, lease_ms) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client.rpc('claim_jobs', {
+        p_worker_id: worker_id,
+        p_batch_size: batch_size,
+        p_lease_seconds: Math.ceil(lease_ms / 1000)
+      });
+
+      if (error) {
+        throw new Error(`Failed to claim jobs: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Update a job record
+   * @param {string} job_id - Job ID
+   * @param {Object} fields - Columns to update
+   * @returns {Promise<void>}
+   */
+  async updateJob(job_id, fields) {
+    return this.retryOperation(async () => {
+      const { error } = await this.client
+        .from('jobs')
+        .update({
+          ...fields,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', job_id);
+
+      if (error) {
+        throw new Error(`Failed to update job: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} job_id - Job ID
+   * @returns {Promise<Object|null>} Job record
+   */
+  async getJobById(job_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('jobs')
+        .select('*')
+        .eq('id', job_id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get job: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.status - Job status
+   * @param {string} filters.email_id - Related email ID
+   * @param {number} filters.limit - Maximum rows
+   * @returns {Promise<Array>} Job records
+   */
+  async listJobs({ status, email_id, limit = 50 } = {}) {
+    return this.retryOperation(async () => {
+      let query = this.client
+        .from('jobs')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (status) query = query.eq('status', status);
+      if (email_id) query = query.eq('email_id', email_id);
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to list jobs: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Get email by RFC 5322 Message-ID
+   * @param {string} message_id - Normalized Message-ID
+   * @returns {Promise<Object|null>} Email record or null
+   */
+  async getEmailByMessageId(message_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('emails')
+        .select('*')
+        .eq('message_id', message_id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get email by Message-ID: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Find the thread containing any of the given Message-IDs
+   * @param {Array<string>} message_ids - Candidate Message-IDs
+   * @returns {Promise<string|null>} Thread ID or null
+   */
+  async findThreadIdByMessageIds(message_ids) {
+    if (!message_ids || message_ids.length === 0) return null;
+
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('emails')
+        .select('thread_id')
+        .in('message_id', message_ids)
+        .not('thread_id', 'is', null)
+        .order('received_at', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        throw new Error(`Failed to find thread: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0].thread_id : null;
+    });
+  }
+
+  /**
+   * Create a conversation thread
+   * @param {Object} threadData - Thread data
+   * @param {string} threadData.subject - Normalized subject
+   * @param {string} threadData.root_message_id - Message-ID of the first message
+   * @returns {Promise<string>} Created thread ID
+   */
+  async insertThread({ subject, root_message_id = null }) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('threads')
+        .insert({
+          subject,
+          root_message_id,
+          message_count: 0
+        })
+        .select('id')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to insert thread: ${error.message}`);
+      }
+
+      return data.id;
+    });
+  }
+
+  /**
+   * Get thread by ID
+   * @param {string} thread_id - Thread ID
+   * @returns {Promise<Object|null>} Thread record
+   */
+  async getThreadById(thread_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('threads')
+        .select('*')
+        .eq('id', thread_id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get thread: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Recount a thread's messages and bump last_message_at
+   * @param {string} thread_id - Thread ID
+   * @returns {Promise<Object>} Updated thread record
+   */
+  async refreshThread(thread_id) {
+    return this.retryOperation(async () => {
+      const { count, error: countError } = await this.client
+        .from('emails')
+        .select('id', { count: 'exact', head: true })
+        .eq('thread_id', thread_id);
+
+      if (countError) {
+        throw new Error(`Failed to count thread emails: ${countError.message}`);
+      }
+
+      const now = new Date().toISOString();
+      const { data, error } = await this.client
+        .from('threads')
+        .update({
+          message_count: count || 0,
+          last_message_at: now,
+          updated_at: now
+        })
+        .eq('id', thread_id)
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update thread: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Get all emails in a thread, oldest first
+   * @param {string} thread_id - Thread ID
+   * @returns {Promise<Array>} Email records
+   */
+  async getEmailsByThreadId(thread_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('emails')
+        .select('*')
+        .eq('thread_id', thread_id)
+        .order('received_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to get thread emails: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * List emails by status with their analysis row, oldest first
+   * @param {Array<string>} statuses - Statuses to include
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.assigned_to - Only emails assigned to this reviewer
+   * @param {boolean} filters.unassigned - Only unassigned emails
+   * @param {number} filters.limit - Maximum rows
+   * @param {number} filters.offset - Rows to skip
+   * @returns {Promise<Array>} Email records with email_analysis
+   */
+  async listEmailsByStatus(statuses, { assigned_to, unassigned = false, limit = 50, offset = 0 } = {}) {
+    return this.retryOperation(async () => {
+      let query = this.client
+        .from('emails')
+        .select('*, email_analysis(*)')
+        .in('status', statuses)
+        .order('received_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (assigned_to) query = query.eq('assigned_to', assigned_to);
+      if (unassigned) query = query.is('assigned_to', null);
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to list emails: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Assign an email to a reviewer
+   * Without force, only succeeds if the email is unassigned or already theirs
+   * @param {string} email_id - Email ID
+   * @param {string} reviewer - Reviewer identifier (null to release)
+   * @param {Object} options - force: overwrite an existing assignment
+   * @returns {Promise<Object|null>} Updated email, or null if held by someone else
+   */
+  async assignEmail(email_id, reviewer, { force = false } = {}) {
+    return this.retryOperation(async () => {
+      const now = new Date().toISOString();
+      let query = this.client
+        .from('emails')
+        .update({
+          assigned_to: reviewer,
+          claimed_at: reviewer ? now : null,
+          updated_at: now
+        })
+        .eq('id', email_id);
+
+      if (!force && reviewer) {
+        query = query.or(`assigned_to.is.null,assigned_to.eq."${reviewer.replace(/"/g, '')}"`);
+      }
+
+      const { data, error } = await query.select('*').maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to assign email: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Update the analysis row of an email
+   * @param {string} email_id - Email ID
+   * @param {Object} fields - Columns to update
+   * @returns {Promise<Object>} Updated analysis record
+   */
+  async updateAnalysis(email_id, fields) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('email_analysis')
+        .update(fields)
+        .eq('email_id', email_id)
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update analysis: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Insert a reply draft
+   * @param {Object} draftData - Draft data
+   * @param {string} draftData.email_id - Email ID
+   * @param {string} draftData.subject - Reply subject
+   * @param {string} draftData.text_body - Plain-text body
+   * @param {string} draftData.html_body - HTML body
+   * @param {string} draftData.model - Model that generated the text (optional)
+   * @param {string} draftData.prompt - Prompt used (optional)
+   * @param {string} draftData.generated_by - ai, fallback or reviewer
+   * @param {number} draftData.version - Draft version for this email
+   * @returns {Promise<Object>} Created draft
+   */
+  async insertReplyDraft({ email_id, subject, text_body, html_body, model = null, prompt = null, generated_by = 'ai', template_id = null, language = null, version = 1, edited_by = null }) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('reply_drafts')
+        .insert({
+          email_id,
+          subject,
+          text_body,
+          html_body,
+          model,
+          prompt,
+          generated_by,
+          template_id,
+          language,
+          version,
+          edited_by,
+          status: 'pending'
+        })
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to insert reply draft: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Update a reply draft
+   * @param {string} draft_id - Draft ID
+   * @param {Object} fields - Columns to update
+   * @returns {Promise<Object>} Updated draft
+   */
+  async updateReplyDraft(draft_id, fields) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('reply_drafts')
+        .update({
+          ...fields,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', draft_id)
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update reply draft: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Update a reply draft only while it is in one of the given statuses
+   * A single conditional UPDATE, so concurrent callers cannot both claim the draft
+   * @param {string} draft_id - Draft ID
+   * @param {Array<string>} statuses - Statuses the draft may be claimed from
+   * @param {Object} fields - Columns to update
+   * @returns {Promise<Object|null>} Updated draft, or null if it was not in those statuses
+   */
+  async claimReplyDraft(draft_id, statuses, fields) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('reply_drafts')
+        .update({
+          ...fields,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', draft_id)
+        .in('status', statuses)
+        .select('*')
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to claim reply draft: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Mark every pending draft of an email as superseded
+   * @param {string} email_id - Email ID
+   * @returns {Promise<void>}
+   */
+  async supersedePendingDrafts(email_id) {
+    return this.retryOperation(async () => {
+      const { error } = await this.client
+        .from('reply_drafts')
+        .update({
+          status: 'superseded',
+          updated_at: new Date().toISOString()
+        })
+        .eq('email_id', email_id)
+        .eq('status', 'pending');
+
+      if (error) {
+        throw new Error(`Failed to supersede drafts: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Get a reply draft by ID
+   * @param {string} draft_id - Draft ID
+   * @returns {Promise<Object|null>} Draft record
+   */
+  async getReplyDraftById(draft_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('reply_drafts')
+        .select('*')
+        .eq('id', draft_id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get reply draft: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * List reply drafts, newest first
+   * @param {Object} filters - status, email_id, limit
+   * @returns {Promise<Array>} Draft records
+   */
+  async listReplyDrafts({ status, email_id, limit = 50 } = {}) {
+    return this.retryOperation(async () => {
+      let query = this.client
+        .from('reply_drafts')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (status) query = query.eq('status', status);
+      if (email_id) query = query.eq('email_id', email_id);
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to list reply drafts: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * List analyzed emails with their recorded workflows (for rule backtesting)
+   * @param {Object} filters - since, until (analyzed_at), email_type, limit
+   * @returns {Promise<Array>} email_analysis rows with embedded emails and workflows
+   */
+  async listAnalysesForReplay({ since, until, email_type, limit = 500 } = {}) {
+    return this.retryOperation(async () => {
+      let query = this.client
+        .from('email_analysis')
+        .select('*, emails(id, from_email, subject, status, has_attachments, attachment_info, thread_id, received_at, workflows(workflow_type, automation_used, automation_allowed, success, executed_at))')
+        .order('analyzed_at', { ascending: true })
+        .limit(limit);
+
+      if (since) query = query.gte('analyzed_at', since);
+      if (until) query = query.lt('analyzed_at', until);
+      if (email_type) query = query.eq('email_type', email_type);
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to list analyses for replay: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Store text extracted from an email's attachments (replaces earlier rows)
+   * @param {string} email_id - Email ID
+   * @param {Array<Object>} extractions - attachment_index, name, content_type, size, kind, method, status, text, char_count, truncated, error
+   * @returns {Promise<Array>} Stored rows
+   */
+  async upsertAttachmentExtractions(email_id, extractions) {
+    if (extractions.length === 0) return [];
+
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('attachment_extractions')
+        .upsert(extractions.map(extraction => ({ ...extraction, email_id })), { onConflict: 'email_id,attachment_index' })
+        .select('*');
+
+      if (error) {
+        throw new Error(`Failed to store attachment extractions: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Get extracted attachment text for an email, in attachment order
+   * @param {string} email_id - Email ID
+   * @returns {Promise<Array>} attachment_extractions rows
+   */
+  async getAttachmentExtractions(email_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('attachment_extractions')
+        .select('*')
+        .eq('email_id', email_id)
+        .order('attachment_index', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to get attachment extractions: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Get a stored attachment file by content hash
+   * @param {string} sha256 - Content hash
+   * @returns {Promise<Object|null>} attachment_blobs row
+   */
+  async getAttachmentBlob(sha256) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('attachment_blobs')
+        .select('*')
+        .eq('sha256', sha256)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get attachment blob: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Insert or replace a stored attachment file record
+   * @param {Object} blob - sha256, size, content_type, storage_driver, storage_key, scan_status, scan_signature, scanned_at, quarantined
+   * @returns {Promise<Object>} attachment_blobs row
+   */
+  async upsertAttachmentBlob(blob) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('attachment_blobs')
+        .upsert(blob, { onConflict: 'sha256' })
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to store attachment blob: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Delete a stored attachment file record
+   * @param {string} sha256 - Content hash
+   */
+  async deleteAttachmentBlob(sha256) {
+    return this.retryOperation(async () => {
+      const { error } = await this.client
+        .from('attachment_blobs')
+        .delete()
+        .eq('sha256', sha256);
+
+      if (error) {
+        throw new Error(`Failed to delete attachment blob: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Record the attachments of an email
+   * @param {string} email_id - Email ID
+   * @param {Array<Object>} attachments - attachment_index, name, content_type, size, sha256, storage_status, quarantined
+   * @returns {Promise<Array>} email_attachments rows
+   */
+  async insertEmailAttachments(email_id, attachments) {
+    if (attachments.length === 0) return [];
+
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('email_attachments')
+        .upsert(attachments.map(attachment => ({ ...attachment, email_id })), { onConflict: 'email_id,attachment_index' })
+        .select('*');
+
+      if (error) {
+        throw new Error(`Failed to insert email attachments: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Get an email attachment with its stored file record
+   * @param {string} attachment_id - email_attachments ID
+   * @returns {Promise<Object|null>} Row with embedded attachment_blobs
+   */
+  async getEmailAttachmentById(attachment_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('email_attachments')
+        .select('*, attachment_blobs(*)')
+        .eq('id', attachment_id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get email attachment: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * List the attachments of an email, in attachment order
+   * @param {string} email_id - Email ID
+   * @returns {Promise<Array>} email_attachments rows with embedded attachment_blobs
+   */
+  async listEmailAttachments(email_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('email_attachments')
+        .select('*, attachment_blobs(size, scan_status, scan_signature, scanned_at, quarantined)')
+        .eq('email_id', email_id)
+        .order('attachment_index', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to list email attachments: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * List stored attachments created before a cutoff, oldest first (retention candidates)
+   * @param {Object} filters - before (ISO date), limit
+   * @returns {Promise<Array>} Rows with the email's classification and the file's quarantine flag
+   */
+  async listAttachmentsForRetention({ before, limit = 200 }) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('email_attachments')
+        .select('id, email_id, sha256, created_at, quarantined, emails(email_analysis(email_type))')
+        .is('purged_at', null)
+        .not('sha256', 'is', null)
+        .lt('created_at', before)
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        throw new Error(`Failed to list attachments for retention: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Mark attachments as purged by retention
+   * @param {Array<string>} attachment_ids - email_attachments IDs
+   */
+  async markAttachmentsPurged(attachment_ids) {
+    if (attachment_ids.length === 0) return;
+
+    return this.retryOperation(async () => {
+      const { error } = await this.client
+        .from('email_attachments')
+        .update({ purged_at: new Date().toISOString() })
+        .in('id', attachment_ids);
+
+      if (error) {
+        throw new Error(`Failed to mark attachments purged: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Count unpurged attachments still referencing a stored file
+   * @param {string} sha256 - Content hash
+   * @returns {Promise<number>} Reference count
+   */
+  async countAttachmentReferences(sha256) {
+    return this.retryOperation(async () => {
+      const { count, error } = await this.client
+        .from('email_attachments')
+        .select('id', { count: 'exact', head: true })
+        .eq('sha256', sha256)
+        .is('purged_at', null);
+
+      if (error) {
+        throw new Error(`Failed to count attachment references: ${error.message}`);
+      }
+
+      return count || 0;
+    });
+  }
+
+  /**
+   * Store an invoice extracted from an email (re-analysis replaces it)
+   * @param {Object} invoice - invoices row
+   * @returns {Promise<Object>} Stored row
+   */
+  async upsertInvoice(invoice) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('invoices')
+        .upsert({ ...invoice, updated_at: new Date().toISOString() }, { onConflict: 'email_id' })
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to store invoice: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Earlier invoices from the same vendor with the same number or the same total
+   * @param {Object} criteria - vendor_key, invoice_number_key, total, email_id (excluded)
+   * @returns {Promise<Array>} Candidate rows, oldest first
+   */
+  async findInvoiceDuplicates({ vendor_key, invoice_number_key, total, email_id }) {
+    const conditions = [];
+    if (invoice_number_key) conditions.push(`invoice_number_key.eq.${invoice_number_key}`);
+    if (total !== null && total !== undefined) conditions.push(`total.eq.${total}`);
+    if (conditions.length === 0) return [];
+
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('invoices')
+        .select('id, email_id, invoice_number, invoice_number_key, invoice_date, total, status, created_at')
+        .eq('vendor_key', vendor_key)
+        .neq('email_id', email_id)
+        .or(conditions.join(','))
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to find duplicate invoices: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Get an invoice by ID
+   * @param {string} invoice_id - Invoice ID
+   * @returns {Promise<Object|null>} Invoice record
+   */
+  async getInvoiceById(invoice_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('invoices')
+        .select('*')
+        .eq('id', invoice_id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get invoice: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * List invoices, oldest first
+   * @param {Object} filters - status, ids, limit
+   * @returns {Promise<Array>} Invoice records
+   */
+  async listInvoices({ status, ids, limit = 100 } = {}) {
+    return this.retryOperation(async () => {
+      let query = this.client
+        .from('invoices')
+        .select('*')
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+      if (status) query = query.eq('status', status);
+      if (ids) query = query.in('id', ids);
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to list invoices: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Update an invoice
+   * @param {string} invoice_id - Invoice ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated record
+   */
+  async updateInvoice(invoice_id, updates) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('invoices')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', invoice_id)
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update invoice: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Mark invoices as sent to accounts payable
+   * @param {Array<string>} invoice_ids - Invoice IDs
+   * @param {string} format - Export format (csv, iif, webhook)
+   */
+  async markInvoicesExported(invoice_ids, format) {
+    if (invoice_ids.length === 0) return;
+
+    return this.retryOperation(async () => {
+      const now = new Date().toISOString();
+      const { error } = await this.client
+        .from('invoices')
+        .update({ status: 'exported', exported_at: now, export_format: format, updated_at: now })
+        .in('id', invoice_ids);
+
+      if (error) {
+        throw new Error(`Failed to mark invoices exported: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Create an escalation
+   * @param {Object} escalation - escalations row
+   * @returns {Promise<Object>} Created row
+   */
+  async insertEscalation(escalation) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('escalations')
+        .insert(escalation)
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to insert escalation: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Get an escalation by ID
+   * @param {string} escalation_id - Escalation ID
+   * @returns {Promise<Object|null>} Escalation record
+   */
+  async getEscalationById(escalation_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('escalations')
+        .select('*')
+        .eq('id', escalation_id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get escalation: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Get the escalation of an email
+   * @param {string} email_id - Email ID
+   * @returns {Promise<Object|null>} Escalation record
+   */
+  async getEscalationByEmailId(email_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('escalations')
+        .select('*')
+        .eq('email_id', email_id)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get escalation: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * List escalations, newest first
+   * @param {Object} filters - status, limit
+   * @returns {Promise<Array>} Escalation records
+   */
+  async listEscalations({ status, limit = 50 } = {}) {
+    return this.retryOperation(async () => {
+      let query = this.client
+        .from('escalations')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (status) query = query.eq('status', status);
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to list escalations: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Update an escalation only if it is still in the expected state
+   * (a late acknowledgement and a re-escalation cannot both win)
+   * @param {string} escalation_id - Escalation ID
+   * @param {Object} expected - status and/or level the row must still have
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated record, or null if the state had changed
+   */
+  async updateEscalationIf(escalation_id, expected, updates) {
+    return this.retryOperation(async () => {
+      let query = this.client
+        .from('escalations')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', escalation_id);
+
+      if (expected.status) query = query.eq('status', expected.status);
+      if (expected.level !== undefined) query = query.eq('level', expected.level);
+
+      const { data, error } = await query.select('*').maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to update escalation: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Record notifications sent for an escalation
+   * @param {Array<Object>} notifications - escalation_notifications rows
+   */
+  async insertEscalationNotifications(notifications) {
+    if (notifications.length === 0) return;
+
+    return this.retryOperation(async () => {
+      const { error } = await this.client
+        .from('escalation_notifications')
+        .insert(notifications);
+
+      if (error) {
+        throw new Error(`Failed to record escalation notifications: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * List the notifications of an escalation, oldest first
+   * @param {string} escalation_id - Escalation ID
+   * @returns {Promise<Array>} escalation_notifications rows
+   */
+  async listEscalationNotifications(escalation_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('escalation_notifications')
+        .select('*')
+        .eq('escalation_id', escalation_id)
+        .order('sent_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to list escalation notifications: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Record SLA breaches, skipping ones already recorded
+   * @param {Array<Object>} breaches - sla_breaches rows
+   * @returns {Promise<Array>} Newly recorded breaches
+   */
+  async insertSlaBreaches(breaches) {
+    if (breaches.length === 0) return [];
+
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('sla_breaches')
+        .upsert(breaches, { onConflict: 'email_id,policy_id,started_at', ignoreDuplicates: true })
+        .select('*');
+
+      if (error) {
+        throw new Error(`Failed to record SLA breaches: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Update an SLA breach
+   * @param {string} breach_id - Breach ID
+   * @param {Object} fields - Columns to update
+   */
+  async updateSlaBreach(breach_id, fields) {
+    return this.retryOperation(async () => {
+      const { error } = await this.client
+        .from('sla_breaches')
+        .update(fields)
+        .eq('id', breach_id);
+
+      if (error) {
+        throw new Error(`Failed to update SLA breach: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * List SLA breaches
+   * @param {Object} filters
+   * @param {string} filters.since - Breached at or after (ISO 8601)
+   * @param {boolean} filters.unresolved - Only breaches still open
+   * @param {number} filters.limit - Maximum rows
+   * @returns {Promise<Array>} sla_breaches rows, newest first
+   */
+  async listSlaBreaches({ since, unresolved = false, limit = 1000 } = {}) {
+    return this.retryOperation(async () => {
+      let query = this.client
+        .from('sla_breaches')
+        .select('*')
+        .order('breached_at', { ascending: false })
+        .limit(limit);
+
+      if (since) query = query.gte('breached_at', since);
+      if (unresolved) query = query.is('resolved_at', null);
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to list SLA breaches: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Mark SLA breaches resolved (the email left the breached status)
+   * @param {Array<string>} breach_ids - Breach IDs
+   * @param {string} resolved_at - ISO 8601 timestamp
+   */
+  async resolveSlaBreaches(breach_ids, resolved_at) {
+    if (breach_ids.length === 0) return;
+
+    return this.retryOperation(async () => {
+      const { error } = await this.client
+        .from('sla_breaches')
+        .update({ resolved_at })
+        .in('id', breach_ids);
+
+      if (error) {
+        throw new Error(`Failed to resolve SLA breaches: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Get the status of several emails
+   * @param {Array<string>} email_ids - Email IDs
+   * @returns {Promise<Array>} { id, status, status_changed_at } rows
+   */
+  async getEmailStatuses(email_ids) {
+    if (email_ids.length === 0) return [];
+
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('emails')
+        .select('id, status, status_changed_at')
+        .in('id', email_ids);
+
+      if (error) {
+        throw new Error(`Failed to get email statuses: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Search emails with their analysis (keyset pagination on sort column + id)
+   * Filters are validated by EmailQueryService
+   * @param {Object} query
+   * @param {Array<string>} query.statuses - Status in
+   * @param {Array<string>} query.priorities - Priority in
+   * @param {Array<string>} query.email_types - Analysis email_type in
+   * @param {string} query.sender_pattern - ILIKE pattern on from_email
+   * @param {string} query.received_from - received_at >= (ISO 8601)
+   * @param {string} query.received_to - received_at < (ISO 8601)
+   * @param {boolean} query.has_attachments - Attachment flag
+   * @param {number} query.min_confidence - Analysis confidence_score >=
+   * @param {number} query.max_confidence - Analysis confidence_score <=
+   * @param {string} query.search - Full-text query (websearch syntax)
+   * @param {string} query.sort - received_at or updated_at
+   * @param {boolean} query.ascending - Sort direction
+   * @param {Object} query.after - Cursor { value, id }: rows strictly after it
+   * @param {number} query.limit - Maximum rows
+   * @returns {Promise<Array>} Email records with email_analysis
+   */
+  async searchEmails({
+    statuses,
+    priorities,
+    email_types,
+    sender_pattern,
+    received_from,
+    received_to,
+    has_attachments,
+    min_confidence,
+    max_confidence,
+    search,
+    sort = 'received_at',
+    ascending = false,
+    after,
+    limit = 25
+  } = {}) {
+    return this.retryOperation(async () => {
+      // Analysis filters need an inner join; otherwise emails not yet analyzed are listed too
+      const analysisFiltered = Boolean(email_types || min_confidence !== undefined || max_confidence !== undefined);
+      let query = this.client
+        .from('emails')
+        .select(`id, from_email, subject, body, status, priority, received_at, updated_at, status_changed_at, has_attachments, assigned_to, thread_id, email_analysis${analysisFiltered ? '!inner' : ''}(email_type, urgency, confidence_score)`)
+        .order(sort, { ascending })
+        .order('id', { ascending })
+        .limit(limit);
+
+      if (statuses) query = query.in('status', statuses);
+      if (priorities) query = query.in('priority', priorities);
+      if (email_types) query = query.in('email_analysis.email_type', email_types);
+      if (sender_pattern) query = query.ilike('from_email', sender_pattern);
+      if (received_from) query = query.gte('received_at', received_from);
+      if (received_to) query = query.lt('received_at', received_to);
+      if (has_attachments !== undefined) query = query.eq('has_attachments', has_attachments);
+      if (min_confidence !== undefined) query = query.gte('email_analysis.confidence_score', min_confidence);
+      if (max_confidence !== undefined) query = query.lte('email_analysis.confidence_score', max_confidence);
+      if (search) query = query.textSearch('search_document', search, { type: 'websearch', config: 'english' });
+
+      if (after) {
+        const op = ascending ? 'gt' : 'lt';
+        query = query.or(`${sort}.${op}."${after.value}",and(${sort}.eq."${after.value}",id.${op}.${after.id})`);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to search emails: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Insert an API key record
+   * @param {Object} apiKey - name, role, key_prefix, key_hash, created_by, expires_at
+   * @returns {Promise<Object>} Inserted record
+   */
+  async insertApiKey(apiKey) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('api_keys')
+        .insert(apiKey)
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to insert API key: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Find an API key by the hash of the key
+   * @param {string} key_hash - SHA-256 hex of the key
+   * @returns {Promise<Object|null>} API key record
+   */
+  async findApiKeyByHash(key_hash) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('api_keys')
+        .select('*')
+        .eq('key_hash', key_hash)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to find API key: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * List API keys, newest first (hashes are not returned)
+   * @param {Object} filters - name, include_revoked
+   * @returns {Promise<Array>} API key records
+   */
+  async listApiKeys({ name, include_revoked = false } = {}) {
+    return this.retryOperation(async () => {
+      let query = this.client
+        .from('api_keys')
+        .select('id, name, role, key_prefix, created_by, expires_at, last_used_at, revoked_at, revoked_by, created_at')
+        .order('created_at', { ascending: false });
+
+      if (name) query = query.eq('name', name);
+      if (!include_revoked) query = query.is('revoked_at', null);
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to list API keys: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * Update an API key
+   * @param {string} api_key_id - API key ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated record (without the hash), null if not found
+   */
+  async updateApiKey(api_key_id, updates) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('api_keys')
+        .update(updates)
+        .eq('id', api_key_id)
+        .select('id, name, role, key_prefix, created_by, expires_at, last_used_at, revoked_at, revoked_by, created_at')
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to update API key: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Get the status and classified type of emails (role scope checks)
+   * @param {Array<string>} email_ids - Email IDs
+   * @returns {Promise<Array>} [{ id, status, email_type }] - email_type is null until analyzed
+   */
+  async getEmailScopes(email_ids) {
+    if (email_ids.length === 0) return [];
+
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('emails')
+        .select('id, status, email_analysis(email_type)')
+        .in('id', email_ids);
+
+      if (error) {
+        throw new Error(`Failed to get email scopes: ${error.message}`);
+      }
+
+      return (data || []).map(({ email_analysis: analysis, ...email }) => ({
+        ...email,
+        email_type: (Array.isArray(analysis) ? analysis[0] : analysis)?.email_type || null
+      }));
+    });
+  }
+
+  /**
+   * Record a sent (or failed) outbound email
+   * @param {Object} outbound - outbound_emails row (email_id, draft_id, message_id, recipients, subject, bodies, status)
+   * @returns {Promise<Object>} Inserted record
+   */
+  async insertOutboundEmail(outbound) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('outbound_emails')
+        .insert(outbound)
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to insert outbound email: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Outbound emails sent in reply to an email, oldest first
+   * @param {string} email_id - Inbound email ID
+   * @returns {Promise<Array>} Outbound email records
+   */
+  async listOutboundEmailsByEmailId(email_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('outbound_emails')
+        .select('*')
+        .eq('email_id', email_id)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to list outbound emails: ${error.message}`);
+      }
+
+      return data || [];
+    });
+  }
+
+  /**
+   * The reply already sent for a draft
+   * @param {string} email_id - Inbound email ID
+   * @param {string} draft_id - Draft ID
+   * @returns {Promise<Object|null>} Sent outbound email record
+   */
+  async findSentOutboundEmailByDraftId(email_id, draft_id) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('outbound_emails')
+        .select('*')
+        .eq('email_id', email_id)
+        .eq('draft_id', draft_id)
+        .eq('status', 'sent')
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to find outbound email: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Count sent outbound emails since a time
+   * @param {Object} filters - since (ISO timestamp), optional recipient, recipient_domain, thread_id, automatic
+   * @returns {Promise<number>} Number of sent emails
+   */
+  async countOutboundEmails({ since, recipient, recipient_domain, thread_id, automatic }) {
+    return this.retryOperation(async () => {
+      let query = this.client
+        .from('outbound_emails')
+        .select('id', { count: 'exact', head: true })
+        .eq('status', 'sent')
+        .gte('created_at', since);
+
+      if (recipient) query = query.eq('recipient', recipient);
+      if (recipient_domain) query = query.eq('recipient_domain', recipient_domain);
+      if (thread_id) query = query.eq('thread_id', thread_id);
+      if (automatic !== undefined) query = query.eq('automatic', automatic);
+
+      const { count, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to count outbound emails: ${error.message}`);
+      }
+
+      return count || 0;
+    });
+  }
+
+  /**
+   * Most recent outbound email with one of the given Message-IDs
+   * @param {Array<string>} message_ids - Message-IDs, angle brackets included
+   * @returns {Promise<Object|null>} Outbound email record
+   */
+  async findOutboundEmailByMessageIds(message_ids) {
+    if (message_ids.length === 0) return null;
+
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('outbound_emails')
+        .select('*')
+        .in('message_id', message_ids)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to find outbound email: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Update an outbound email (delivery status)
+   * @param {string} outbound_email_id - Outbound email ID
+   * @param {Object} fields - Columns to set
+   * @returns {Promise<Object>} Updated record
+   */
+  async updateOutboundEmail(outbound_email_id, fields) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('outbound_emails')
+        .update(fields)
+        .eq('id', outbound_email_id)
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update outbound email: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Add an address to the suppression list (or refresh its latest bounce)
+   * @param {Object} suppression - suppressed_recipients row (address, reason, status_code, diagnostic, ...)
+   * @returns {Promise<Object>} Stored record
+   */
+  async upsertSuppressedRecipient(suppression) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('suppressed_recipients')
+        .upsert(suppression, { onConflict: 'address' })
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to store suppressed recipient: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Get the suppression entry of an address
+   * @param {string} address - Lower-cased email address
+   * @returns {Promise<Object|null>} suppressed_recipients record
+   */
+  async getSuppressedRecipient(address) {
+    return this.retryOperation(async () => {
+      const { data, error } = await this.client
+        .from('suppressed_recipients')
+        .select('*')
+        .eq('address', address)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to get suppressed recipient: ${error.message}`);
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Record the nonce of a verified inbound webhook
+   * @param {string} nonce - X-Webhook-Nonce value
+   * @param {string} expires_at - ISO date after which the row may be swept
+   * @returns {Promise<boolean>} False if the nonce was already recorded (replay)
+   */
+  async insertWebhookNonce(nonce, expires_at) {
+    return this.retryOperation(async () => {
+      const { error } = await this.client
+        .from('webhook_nonces')
+        .insert({ nonce, expires_at });
+
+      if (error?.code === '23505') return false;
+      if (error) {
+        throw new Error(`Failed to record webhook nonce: ${error.message}`);
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Delete webhook nonces whose timestamp window has closed
+   * @param {string} before - ISO date
+   */
+  async deleteExpiredWebhookNonces(before) {
+    return this.retryOperation(async () => {
+      const { error } = await this.client
+        .from('webhook_nonces')
+        .delete()
+        .lt('expires_at', before);
+
+      if (error) {
+        throw new Error(`Failed to delete expired webhook nonces: ${error.message}`);
+      }
+    });
+  }
 }
 
 // Export singleton instance
@@ -1,16 +1,37 @@
+import fs from 'fs';
 import { config } from '../config/index.js';
 import databaseService from './DatabaseService.js';
 import auditLogger from './AuditLogger.js';
-import workflowExecutor from './WorkflowExecutor.js';
+import taxonomyRegistry from './TaxonomyRegistry.js';
+import { buildFacts, evaluateRules, validateRuleSet, describeCondition } from '../utils/ruleEngine.js';
+
+const DEFAULT_RULES_PATH = new URL('../config/decisionRules.json', import.meta.url);
+
+/**
+ * Read a rule set from a JSON file
+ * @param {string|URL} path - File path
+ * @returns {Object} Rule set
+ */
+export function readRuleSet(path) {
+  try {
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read decision rules from ${path}: ${error.message}`);
+  }
+}
 
 /**
  * Decision Engine
  * Applies rule-based logic to determine automation eligibility
  * Pure deterministic rules - no AI involved
+ * Rules are data (src/config/decisionRules.json or DECISION_RULES_PATH),
+ * followed by each taxonomy type's default decision
  */
 class DecisionEngine {
   constructor() {
     this.confidenceThreshold = config.app.confidenceThreshold;
+    this.maxThreadDepth = config.app.maxThreadDepth;
+    this.loadRules(readRuleSet(config.rules.path || DEFAULT_RULES_PATH));
   }
 
   /**
@@ -18,49 +39,41 @@ class DecisionEngine {
    * @param {string} email_id - Email ID
    * @param {string} email_type - Email classification
    * @param {number} confidence_score - AI confidence score (0-1)
+   * @param {Object} context - Additional signals (see applyRules)
    * @returns {Promise<Object>} Decision result
    */
-  async makeDecision(email_id, email_type, confidence_score) {
+  async makeDecision(email_id, email_type, confidence_score, context = {}) {
     try {
       console.log(`Making decision for email ${email_id}...`);
       console.log(`  Type: ${email_type}, Confidence: ${confidence_score}`);
 
       // Apply decision rules in order
-      const decision = this.applyRules(email_type, confidence_score);
+      const decision = this.applyRules(email_type, confidence_score, context);
 
       console.log(`  Decision: automation_allowed=${decision.automation_allowed}, status=${decision.status}`);
-      console.log(`  Reason: ${decision.reason}`);
+      console.log(`  Reason: ${decision.reason} (rule: ${decision.rule_id})`);
 
       // Update email status in database
-      await databaseService.updateEmailStatus(email_id, decision.status);
+      await databaseService.updateEmailStatus(email_id, decision.status, {
+        source: 'decision_engine',
+        reason: decision.reason,
+        metadata: { rule_id: decision.rule_id, email_type, confidence_score }
+      });
 
       // Log decision
       if (!decision.automation_allowed) {
         await auditLogger.logAutomationBlocked(email_id, decision.reason, {
           email_type,
-          confidence_score
+          confidence_score,
+          rule_id: decision.rule_id
         });
       }
 
       if (decision.status === 'Manual Review') {
         await auditLogger.logManualReviewTriggered(email_id, decision.reason, {
-          email_type,
-          confidence_score
-        });
-      }
-
-      // Trigger workflow execution (async, non-blocking)
-      // Get analysis data for workflow
-      const analysis = await databaseService.getAnalysisByEmailId(email_id);
-      if (analysis) {
-        workflowExecutor.executeWorkflow(email_id, {
           email_type,
           confidence_score,
-          urgency_level: analysis.urgency,
-          extracted_data: analysis.extracted_data,
-          reasoning: analysis.reasoning
-        }, decision).catch(error => {
-          console.error('Workflow execution failed:', error.message);
+          rule_id: decision.rule_id
         });
       }
 
@@ -70,7 +83,8 @@ class DecisionEngine {
           email_id,
           automation_allowed: decision.automation_allowed,
           status: decision.status,
-          reason: decision.reason
+          reason: decision.reason,
+          rule_id: decision.rule_id
         }
       };
 
@@ -101,113 +115,97 @@ class DecisionEngine {
    * Apply decision rules (pure function)
    * @param {string} email_type - Email classification
    * @param {number} confidence_score - AI confidence score (0-1)
-   * @returns {Object} Decision result
+   * @param {Object} context - Additional signals
+   * @param {number} context.thread_depth - Inbound messages in the conversation
+   * @param {string} context.urgency - AI urgency level
+   * @param {string} context.from_email - Sender address
+   * @param {Array} context.attachment_info - Attachment metadata
+   * @param {Object} context.extracted_data - AI extracted fields
+   * @param {Object} ruleSet - Rule set to apply (defaults to the active one)
+   * @returns {Object} Decision result (rule_id, automation_allowed, status, reason)
    */
-  applyRules(email_type, confidence_score) {
-    // Rule 1: Urgent Site Issue → Never automate (always escalate)
-    // This rule must come FIRST - urgent issues are escalated regardless of confidence
-    if (email_type === 'Urgent Site Issue') {
-      return {
-        automation_allowed: false,
-        status: 'Escalated',
-        reason: 'Urgent site issues require immediate human attention'
-      };
-    }
+  applyRules(email_type, confidence_score, context = {}, ruleSet = this.ruleSet) {
+    const facts = buildFacts({ ...context, email_type, confidence_score });
+    return evaluateRules(ruleSet, facts, this.getVariables());
+  }
 
-    // Rule 2: Low confidence → Manual Review
-    if (confidence_score < this.confidenceThreshold) {
-      return {
-        automation_allowed: false,
-        status: 'Manual Review',
-        reason: `Low confidence score (${confidence_score} < ${this.confidenceThreshold})`
-      };
+  /**
+   * Validate a rule set and, when valid, evaluate it against a sample analysis
+   * Nothing is persisted; used by POST /api/rules/validate
+   * @param {Object} ruleSet - Candidate rule set (defaults to the active one)
+   * @param {Object} sample - email_type, confidence_score and any context fields
+   * @returns {Object} { valid, errors, facts, decision }
+   */
+  dryRun(ruleSet = this.ruleSet, sample = {}) {
+    ruleSet = this.composeRuleSet(ruleSet);
+    const errors = validateRuleSet(ruleSet, this.getVariables());
+    if (errors.length > 0) {
+      return { valid: false, errors, facts: null, decision: null };
     }
 
-    // Rule 3: Unknown/Unclear → Send generic acknowledgment if confidence > 0.3
-    if (email_type === 'Unknown/Unclear') {
-      if (confidence_score >= 0.3) {
-        return {
-          automation_allowed: true,
-          status: 'Generic Response',
-          reason: 'AI analysis failed - sending generic acknowledgment'
-        };
-      } else {
-        return {
-          automation_allowed: false,
-          status: 'Manual Review',
-          reason: 'Email type could not be confidently classified'
-        };
-      }
-    }
+    const { email_type, confidence_score, ...context } = sample;
+    return {
+      valid: true,
+      errors: [],
+      facts: buildFacts(sample),
+      decision: this.applyRules(email_type, confidence_score, context, ruleSet)
+    };
+  }
 
-    // Rule 4: RFQ/Bid Request with high confidence → Allow automation
-    if (email_type === 'RFQ/Bid Request') {
-      return {
-        automation_allowed: true,
-        status: 'Pending Review',
-        reason: 'High confidence RFQ - automation approved'
-      };
+  /**
+   * Replace the active rule set
+   * @param {Object} ruleSet - Rule set
+   * @throws {Error} If the rule set is invalid
+   */
+  loadRules(ruleSet) {
+    const composed = this.composeRuleSet(ruleSet);
+    const errors = validateRuleSet(composed, this.getVariables());
+    if (errors.length > 0) {
+      throw new Error(`Invalid decision rules: ${errors.join('; ')}`);
     }
+    this.ruleSet = composed;
+  }
 
-    // Rule 5: Invoice/Billing with high confidence → Allow automation
-    if (email_type === 'Invoice/Billing') {
-      return {
-        automation_allowed: true,
-        status: 'Finance Review',
-        reason: 'High confidence invoice - automation approved'
-      };
-    }
+  /**
+   * Append the taxonomy's per-type default rules to a rule set
+   * Rules the set already defines (same id) are not added twice
+   * @param {Object} ruleSet - Rule set from file or request
+   * @returns {Object} Rule set evaluated by the engine
+   */
+  composeRuleSet(ruleSet) {
+    if (!ruleSet || !Array.isArray(ruleSet.rules)) return ruleSet;
 
-    // Default: Unknown type → Manual Review
+    const ids = new Set(ruleSet.rules.map(rule => rule.id));
+    const typeRules = taxonomyRegistry.buildDecisionRules().filter(rule => !ids.has(rule.id));
+    return { ...ruleSet, rules: [...ruleSet.rules, ...typeRules] };
+  }
+
+  /**
+   * Values available to "$name" references in rules
+   * @returns {Object} Variables
+   */
+  getVariables() {
     return {
-      automation_allowed: false,
-      status: 'Manual Review',
-      reason: `Unknown email type: ${email_type}`
+      confidenceThreshold: this.confidenceThreshold,
+      maxThreadDepth: this.maxThreadDepth
     };
   }
 
   /**
    * Get decision rules as a table (for documentation/testing)
+   * Generated from the active rule set so it cannot drift from applyRules
    * @returns {Array} Array of rule objects
    */
   getRules() {
-    return [
-      {
-        priority: 1,
-        condition: 'email_type = "Urgent Site Issue"',
-        automation_allowed: false,
-        status: 'Escalated',
-        reason: 'Urgent issues require human attention (regardless of confidence)'
-      },
-      {
-        priority: 2,
-        condition: 'confidence_score < 0.7',
-        automation_allowed: false,
-        status: 'Manual Review',
-        reason: 'Low confidence score'
-      },
-      {
-        priority: 3,
-        condition: 'email_type = "Unknown/Unclear"',
-        automation_allowed: false,
-        status: 'Manual Review',
-        reason: 'Cannot confidently classify'
-      },
-      {
-        priority: 4,
-        condition: 'email_type = "RFQ/Bid Request" AND confidence_score >= 0.7',
-        automation_allowed: true,
-        status: 'Pending Review',
-        reason: 'High confidence RFQ'
-      },
-      {
-        priority: 5,
-        condition: 'email_type = "Invoice/Billing" AND confidence_score >= 0.7',
-        automation_allowed: true,
-        status: 'Finance Review',
-        reason: 'High confidence invoice'
-      }
-    ];
+    const variables = this.getVariables();
+    return this.ruleSet.rules.map((rule, index) => ({
+      priority: index + 1,
+      id: rule.id,
+      condition: describeCondition(rule.when, variables),
+      automation_allowed: rule.then.automation_allowed,
+      status: rule.then.status,
+      reason: rule.description || rule.then.reason
+    }));
   }
 }
 
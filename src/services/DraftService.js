@@ -0,0 +1,310 @@
+import { config } from '../config/index.js';
+import databaseService from './DatabaseService.js';
+import auditLogger, { ACTION_TYPES } from './AuditLogger.js';
+import emailSender from './EmailSenderNew.js';
+import { HttpError } from '../utils/httpError.js';
+import { EMAIL_STATUS, assertTransition } from '../utils/emailStatus.js';
+
+/**
+ * Reply modes per email type
+ */
+export const REPLY_MODES = {
+  AUTO: 'auto',
+  DRAFT: 'draft'
+};
+
+/**
+ * Draft statuses an approval may start from ('approved': an earlier send failed)
+ */
+const APPROVABLE_STATUSES = ['pending', 'approved'];
+
+/**
+ * Draft Service
+ * Stores generated replies for human approval; only approved drafts are sent
+ */
+class DraftService {
+  /**
+   * Decide whether replies for an email type are sent immediately or drafted
+   * @param {string} email_type - Email classification
+   * @returns {string} 'auto' or 'draft'
+   */
+  getReplyMode(email_type) {
+    const mode = config.replies.policy[email_type] || config.replies.mode;
+    return mode === REPLY_MODES.DRAFT ? REPLY_MODES.DRAFT : REPLY_MODES.AUTO;
+  }
+
+  /**
+   * Generate a reply from the reply templates and store it as a pending draft
+   * Any older pending draft for the email is superseded
+   * @param {Object} email - Email record
+   * @param {Object} analysis - email_type and extracted_data
+   * @param {string} createdBy - 'system' or the reviewer requesting it
+   * @returns {Promise<Object>} Created draft
+   */
+  async createDraft(email, analysis, createdBy = 'system') {
+    const reply = await emailSender.generateAIResponse(
+      email.subject,
+      email.body,
+      email.from_email,
+      analysis.email_type,
+      analysis.extracted_data
+    );
+
+    const draft = await this.storeDraft(email.id, {
+      subject: reply.subject,
+      text_body: reply.text,
+      html_body: reply.html,
+      model: reply.model,
+      prompt: reply.prompt,
+      generated_by: reply.generated_by,
+      template_id: reply.template_id,
+      language: reply.language
+    });
+
+    await auditLogger.log(ACTION_TYPES.DRAFT_CREATED,
+      `Reply draft v${draft.version} created for approval`, true, email.id, {
+        draft_id: draft.id,
+        created_by: createdBy,
+        generated_by: draft.generated_by,
+        template_id: draft.template_id,
+        model: draft.model
+      });
+
+    return draft;
+  }
+
+  /**
+   * Store a reviewer-written reply as a pending draft
+   * @param {Object} email - Email record
+   * @param {Object} reply - subject and text
+   * @param {string} reviewer - Author
+   * @returns {Promise<Object>} Created draft
+   */
+  async createReviewerDraft(email, { subject, text }, reviewer) {
+    if (!text) {
+      throw new HttpError('text is required');
+    }
+
+    const draft = await this.storeDraft(email.id, {
+      subject: subject || `Re: ${email.subject}`,
+      text_body: text,
+      html_body: emailSender.convertToHTML(text),
+      generated_by: 'reviewer',
+      edited_by: reviewer
+    });
+
+    await auditLogger.logReviewAction(email.id, ACTION_TYPES.DRAFT_CREATED, reviewer,
+      `Reply draft v${draft.version} written by ${reviewer}`, { draft_id: draft.id });
+
+    return draft;
+  }
+
+  /**
+   * Get a draft or fail with 404
+   * @param {string} draft_id - Draft ID
+   * @returns {Promise<Object>} Draft record
+   */
+  async getDraft(draft_id) {
+    const draft = await databaseService.getReplyDraftById(draft_id);
+    if (!draft) {
+      throw new HttpError(`Draft not found: ${draft_id}`, 404);
+    }
+    return draft;
+  }
+
+  /**
+   * List drafts
+   * @param {Object} filters - status, email_id, limit
+   * @returns {Promise<Array>} Draft records
+   */
+  async listDrafts(filters) {
+    return databaseService.listReplyDrafts(filters);
+  }
+
+  /**
+   * Edit a pending draft
+   * @param {string} draft_id - Draft ID
+   * @param {Object} changes - subject and/or text
+   * @param {string} reviewer - Editor
+   * @returns {Promise<Object>} Updated draft
+   */
+  async editDraft(draft_id, { subject, text }, reviewer) {
+    const draft = await this.requireStatus(draft_id, ['pending']);
+    if (!subject && !text) {
+      throw new HttpError('subject or text is required');
+    }
+
+    const updated = await databaseService.updateReplyDraft(draft_id, {
+      subject: subject || draft.subject,
+      text_body: text || draft.text_body,
+      html_body: text ? emailSender.convertToHTML(text) : draft.html_body,
+      edited_by: reviewer
+    });
+
+    await auditLogger.logReviewAction(draft.email_id, ACTION_TYPES.DRAFT_EDITED, reviewer,
+      `Reply draft v${draft.version} edited by ${reviewer}`, { draft_id });
+
+    return updated;
+  }
+
+  /**
+   * Approve a draft and send it
+   * The draft is claimed ('sending') with a conditional update first, so concurrent
+   * approvals send it once; a draft left 'approved' by a failed send can be approved
+   * again to retry, and a retry after a send that went out does not send it twice
+   * @param {string} draft_id - Draft ID
+   * @param {string} reviewer - Approver
+   * @returns {Promise<Object>} { draft, result }
+   * @throws {HttpError} 409 if the email can no longer be answered (e.g. closed) or the draft is already being sent
+   */
+  async approveDraft(draft_id, reviewer) {
+    const draft = await this.requireStatus(draft_id, APPROVABLE_STATUSES);
+    const email = await databaseService.getEmailById(draft.email_id);
+    // Check before sending: a reply to a closed email must not go out
+    assertTransition(email.status, EMAIL_STATUS.RESPONDED);
+
+    const claimed = await databaseService.claimReplyDraft(draft_id, APPROVABLE_STATUSES, {
+      status: 'sending',
+      reviewed_by: reviewer,
+      reviewed_at: new Date().toISOString()
+    });
+    if (!claimed) {
+      throw new HttpError('Draft is already being sent by another approval', 409);
+    }
+
+    try {
+      return await this.sendApproved(email, draft, reviewer);
+    } catch (error) {
+      // Hand the draft back so it can be approved again (unless it was already marked sent)
+      await databaseService.claimReplyDraft(draft_id, ['sending'], { status: 'approved' });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a claimed draft and record the reply
+   * @private
+   */
+  async sendApproved(email, draft, reviewer) {
+    const draft_id = draft.id;
+
+    // An earlier approval may have sent the reply and failed while recording it
+    const previous = await databaseService.findSentOutboundEmailByDraftId(email.id, draft_id);
+    let result;
+    if (previous) {
+      console.warn(`⚠️ Draft ${draft_id} was already sent as ${previous.message_id} - not sending again`);
+      result = { success: true, messageId: previous.message_id, already_sent: true };
+    } else {
+      const analysis = await databaseService.findAnalysisByEmailId(email.id);
+      result = await emailSender.sendReply(email, {
+        subject: draft.subject,
+        text: draft.text_body,
+        html: draft.html_body
+      }, { email_type: analysis?.email_type, draft_id });
+    }
+
+    if (result.suppressed) {
+      throw new HttpError(`Draft approved but not sent: ${result.error}`, 409);
+    }
+    if (result.rate_limited) {
+      throw new HttpError(`Draft approved but not sent: ${result.error}; approve again in ${result.retry_after_seconds}s`, 429);
+    }
+    if (!result.success) {
+      throw new HttpError(`Draft approved but sending failed: ${result.error}`, 502);
+    }
+
+    const sent = await databaseService.updateReplyDraft(draft_id, {
+      status: 'sent',
+      sent_at: new Date().toISOString(),
+      sent_message_id: result.messageId || null
+    });
+
+    await databaseService.insertWorkflow({
+      email_id: email.id,
+      workflow_type: 'Draft Approval',
+      automation_used: false,
+      actions_taken: [
+        `Sent ${draft.generated_by === 'reviewer' ? 'reviewer-written' : 'AI-generated'} reply (draft v${draft.version}) to ${email.from_email}`,
+        `Approved by ${reviewer}`
+      ],
+      success: true
+    });
+    await databaseService.updateEmailStatus(email.id, EMAIL_STATUS.RESPONDED, {
+      changed_by: reviewer,
+      source: 'review',
+      reason: 'Reply sent',
+      metadata: { draft_id }
+    });
+
+    await auditLogger.logReviewAction(email.id, ACTION_TYPES.DRAFT_APPROVED, reviewer,
+      `Reply draft v${draft.version} approved and sent by ${reviewer}`,
+      { draft_id, message_id: result.messageId, edited_by: draft.edited_by });
+
+    return { draft: sent, result };
+  }
+
+  /**
+   * Reject a pending draft
+   * @param {string} draft_id - Draft ID
+   * @param {string} reviewer - Reviewer
+   * @param {string} reason - Why it was rejected
+   * @returns {Promise<Object>} Updated draft
+   */
+  async rejectDraft(draft_id, reviewer, reason) {
+    const draft = await this.requireStatus(draft_id, ['pending']);
+
+    const updated = await databaseService.updateReplyDraft(draft_id, {
+      status: 'rejected',
+      reviewed_by: reviewer,
+      reviewed_at: new Date().toISOString(),
+      rejection_reason: reason || null
+    });
+
+    await auditLogger.logReviewAction(draft.email_id, ACTION_TYPES.DRAFT_REJECTED, reviewer,
+      `Reply draft v${draft.version} rejected by ${reviewer}`, { draft_id, reason: reason || null });
+
+    return updated;
+  }
+
+  /**
+   * Replace a pending draft with a freshly generated one
+   * @param {string} draft_id - Draft ID
+   * @param {string} reviewer - Reviewer requesting it
+   * @returns {Promise<Object>} New draft
+   */
+  async regenerateDraft(draft_id, reviewer) {
+    const draft = await this.requireStatus(draft_id, ['pending', 'rejected']);
+    const email = await databaseService.getEmailById(draft.email_id);
+    const analysis = await databaseService.getAnalysisByEmailId(draft.email_id);
+
+    return this.createDraft(email, analysis, reviewer);
+  }
+
+  /**
+   * Insert the next draft version, superseding older pending ones
+   * @private
+   */
+  async storeDraft(email_id, fields) {
+    const existing = await databaseService.listReplyDrafts({ email_id, limit: 1 });
+    const version = existing.length > 0 ? existing[0].version + 1 : 1;
+
+    await databaseService.supersedePendingDrafts(email_id);
+    return databaseService.insertReplyDraft({ email_id, version, ...fields });
+  }
+
+  /**
+   * Load a draft and check it is in one of the allowed statuses
+   * @private
+   */
+  async requireStatus(draft_id, statuses) {
+    const draft = await this.getDraft(draft_id);
+    if (!statuses.includes(draft.status)) {
+      throw new HttpError(`Draft is ${draft.status}; expected ${statuses.join(' or ')}`, 409);
+    }
+    return draft;
+  }
+}
+
+// Export singleton instance
+const draftService = new DraftService();
+export default draftService;
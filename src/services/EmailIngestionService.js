@@ -1,6 +1,11 @@
 import databaseService from './DatabaseService.js';
 import auditLogger from './AuditLogger.js';
-import aiAnalysisService from './AIAnalysisService.js';
+import jobQueue, { JOB_TYPES } from './JobQueue.js';
+import attachmentStorageService from './AttachmentStorageService.js';
+import attachmentExtractionService from './AttachmentExtractionService.js';
+import { normalizeMessageId, parseReferences, normalizeSubject } from '../utils/messageId.js';
+import { detectAutoResponse } from '../utils/autoResponder.js';
+import { parseBounce } from '../utils/dsnParser.js';
 
 /**
  * Email Ingestion Service - Clean and Simple
@@ -10,7 +15,8 @@ class EmailIngestionService {
    * Process incoming email
    */
   async processIncomingEmail(payload) {
-    console.log('📧 Raw payload received:', JSON.stringify(payload, null, 2));
+    console.log('📧 Raw payload received:', JSON.stringify(payload, (key, value) =>
+      key === 'content' && typeof value === 'string' ? `[${value.length} base64 chars]` : value, 2));
     console.log('🔍 Attachment fields check:');
     console.log('  hasAttachments:', payload.hasAttachments);
     console.log('  attachmentInfo:', payload.attachmentInfo);
@@ -34,6 +40,7 @@ class EmailIngestionService {
         'noreply@invextech.com',        // No-reply emails
         'automated@invextech.com',      // Automated responses
         'system@invextech.com',         // System notifications
+        process.env.MAIL_FROM,          // Your configured sender (any mail transport)
         process.env.SMTP_FROM,          // Your configured SMTP sender
         process.env.SMTP_USER           // Your SMTP user (fallback)
       ].filter(Boolean); // Remove any undefined values
@@ -48,60 +55,93 @@ class EmailIngestionService {
         };
       }
 
-      // 🔄 Skip email chains that are getting too long (Re: Re: Re:...)
-      const reCount = (payload.subject.match(/Re:/g) || []).length;
-      if (reCount >= 3) {
-        console.log(`🔄 Skipping long email chain (${reCount} Re:s): ${payload.subject}`);
-        return {
-          success: true,
-          message: 'Long email chain skipped to prevent spam',
-          skipped: true
-        };
+      // 🔁 Idempotent on Message-ID: forwarder retries and Gmail re-notifications
+      const messageId = normalizeMessageId(payload.message_id);
+      if (messageId) {
+        const existing = await databaseService.getEmailByMessageId(messageId);
+        if (existing) {
+          console.log(`🔁 Duplicate Message-ID ${messageId} - already stored as ${existing.id}`);
+          await this.resumeIngestion(existing, payload);
+          return {
+            success: true,
+            duplicate: true,
+            email_id: existing.id,
+            message: 'Duplicate email ignored'
+          };
+        }
       }
 
-      // Sanitize inputs
+      // Sanitize inputs (attachment files are stored once the email row exists)
+      const attachmentInfo = Array.isArray(payload.attachmentInfo) ? payload.attachmentInfo : [];
       const sanitizedData = {
         from_email: this.sanitizeInput(payload.from_email),
         subject: this.sanitizeInput(payload.subject),
         body: this.sanitizeInput(payload.body),
         hasAttachments: Boolean(payload.hasAttachments),
-        attachmentInfo: payload.attachmentInfo || []
+        attachmentInfo: attachmentInfo.map(({ content, ...metadata }) => metadata),
+        message_id: messageId,
+        in_reply_to: normalizeMessageId(payload.in_reply_to),
+        reference_ids: parseReferences(payload.references)
       };
 
+      // 🤖 Out-of-office, autoresponder and list mail is stored and classified but never answered
+      sanitizedData.auto_reply_reason = detectAutoResponse({ ...sanitizedData, headers: payload.headers });
+      if (sanitizedData.auto_reply_reason) {
+        console.log(`🤖 Automated email from ${sanitizedData.from_email} (${sanitizedData.auto_reply_reason}) - replies suppressed`);
+      }
+
+      // 📭 Bounces are matched to the reply that failed instead of being classified
+      sanitizedData.delivery_report = parseBounce({
+        ...sanitizedData,
+        headers: payload.headers,
+        delivery_status: payload.delivery_status,
+        attachmentInfo: payload.attachmentInfo
+      });
+      if (sanitizedData.delivery_report) {
+        console.log(`📭 Delivery failure report from ${sanitizedData.from_email} (${sanitizedData.delivery_report.action}, ${sanitizedData.delivery_report.status || 'no status code'})`);
+      }
+
       console.log('🧹 Sanitized data:');
       console.log('  hasAttachments:', sanitizedData.hasAttachments);
       console.log('  attachmentInfo:', sanitizedData.attachmentInfo);
 
-      // Store email in database
-      const email_id = await databaseService.insertEmail(sanitizedData);
+      // Store email in database before anything else, so a duplicate delivery
+      // that loses the insert race leaves no thread or attachment behind
+      let email_id;
+      try {
+        email_id = await databaseService.insertEmail(sanitizedData);
+      } catch (error) {
+        // Lost a race with a concurrent delivery of the same message
+        if (error.code === '23505' && messageId) {
+          const existing = await databaseService.getEmailByMessageId(messageId);
+          console.log(`🔁 Duplicate Message-ID ${messageId} inserted concurrently as ${existing?.id}`);
+          return {
+            success: true,
+            duplicate: true,
+            email_id: existing?.id,
+            message: 'Duplicate email ignored'
+          };
+        }
+        throw error;
+      }
 
       console.log(`📧 Construction email received: ${email_id} from ${sanitizedData.from_email}`);
-      
-      // Log attachment info if present
-      if (sanitizedData.hasAttachments && sanitizedData.attachmentInfo.length > 0) {
-        console.log(`📎 Email has ${sanitizedData.attachmentInfo.length} attachment(s):`);
-        sanitizedData.attachmentInfo.forEach((attachment, index) => {
-          console.log(`  ${index + 1}. ${attachment.name} (${attachment.contentType}, ${attachment.size} bytes)`);
-        });
-      }
 
-      // 🚀 Start AI analysis asynchronously
-      setImmediate(() => {
-        console.log(`🚀 Starting async AI analysis for email ${email_id}...`);
-        aiAnalysisService.analyzeEmail(
-          email_id,
-          sanitizedData.subject,
-          sanitizedData.body,
-          sanitizedData.hasAttachments,
-          sanitizedData.attachmentInfo
-        ).catch(error => {
-          console.error(`❌ Async AI analysis failed for email ${email_id}:`, error.message);
-        });
-      });
+      const thread = await this.completeIngestion({
+        id: email_id,
+        thread_id: null,
+        subject: sanitizedData.subject,
+        message_id: messageId,
+        in_reply_to: sanitizedData.in_reply_to,
+        reference_ids: sanitizedData.reference_ids,
+        delivery_report: sanitizedData.delivery_report
+      }, attachmentInfo);
 
       return {
         success: true,
         email_id,
+        thread_id: thread.id,
+        thread_depth: thread.message_count,
         message: 'Construction email received and stored successfully'
       };
 
@@ -147,9 +187,122 @@ class EmailIngestionService {
       errors.push('from_email must be a valid email address');
     }
 
+    if (payload.message_id !== undefined && payload.message_id !== null && typeof payload.message_id !== 'string') {
+      errors.push('message_id must be a string');
+    }
+
+    if (payload.in_reply_to !== undefined && payload.in_reply_to !== null && typeof payload.in_reply_to !== 'string') {
+      errors.push('in_reply_to must be a string');
+    }
+
+    if (payload.headers !== undefined && payload.headers !== null && (typeof payload.headers !== 'object' || Array.isArray(payload.headers))) {
+      errors.push('headers must be an object of header names to values');
+    }
+
+    if (payload.delivery_status !== undefined && payload.delivery_status !== null && typeof payload.delivery_status !== 'string') {
+      errors.push('delivery_status must be a string');
+    }
+
+    if (payload.attachmentInfo !== undefined && payload.attachmentInfo !== null) {
+      if (!Array.isArray(payload.attachmentInfo)) {
+        errors.push('attachmentInfo must be an array');
+      } else if (payload.attachmentInfo.some(a => !a || (a.content !== undefined && typeof a.content !== 'string'))) {
+        errors.push('attachmentInfo[].content must be a base64 string');
+      }
+    }
+
     return { valid: errors.length === 0, errors };
   }
 
+  /**
+   * First pipeline job for a stored email: bounce processing for delivery
+   * failure reports, AI analysis for everything else
+   * @param {Object} email - Email record (delivery_report)
+   * @returns {string} Job type
+   */
+  firstJobType(email) {
+    return email.delivery_report ? JOB_TYPES.PROCESS_BOUNCE : JOB_TYPES.ANALYZE_EMAIL;
+  }
+
+  /**
+   * Thread, attachment and pipeline steps that follow the email insert
+   * Safe to repeat: threads are only created for unthreaded emails and attachment
+   * storage, records and extractions are keyed by content hash and attachment index
+   * @param {Object} email - Stored email (id, thread_id, subject, message_id, in_reply_to, reference_ids, delivery_report)
+   * @param {Array<Object>} attachmentInfo - Payload attachments ({ name, contentType, size, content? | url? })
+   * @returns {Promise<Object>} Thread record
+   */
+  async completeIngestion(email, attachmentInfo = []) {
+    // 🧵 Attach to an existing conversation or start a new one
+    let thread_id = email.thread_id;
+    if (!thread_id) {
+      thread_id = await this.resolveThread(email);
+      await databaseService.setEmailThread(email.id, thread_id);
+    }
+
+    const thread = await databaseService.refreshThread(thread_id);
+    console.log(`🧵 Thread ${thread.id} now has ${thread.message_count} message(s)`);
+
+    // 📦 Store and virus-scan attachment files; the email row only keeps metadata
+    const attachments = await attachmentStorageService.storeAttachments(attachmentInfo);
+    if (attachments.length > 0) {
+      console.log(`📎 Email has ${attachments.length} attachment(s):`);
+      attachments.forEach(({ info }, index) => {
+        console.log(`  ${index + 1}. ${info.name} (${info.contentType}, ${info.size} bytes)`);
+      });
+      await databaseService.updateEmailAttachmentInfo(email.id, attachments.map(attachment => attachment.info));
+    }
+
+    await attachmentStorageService.recordForEmail(email.id, attachments);
+
+    // 📄 Pull text out of PDFs, Office files and scans so classification sees the content
+    // (quarantined files are skipped)
+    await attachmentExtractionService.extractForEmail(email.id,
+      attachments.map(attachment => ({ ...attachment.info, buffer: attachment.buffer })));
+
+    // 🚀 Queue AI analysis, or bounce processing (durable - survives restarts and retries on failure)
+    await jobQueue.enqueue(this.firstJobType(email), { email_id: email.id }, { email_id: email.id });
+
+    return thread;
+  }
+
+  /**
+   * Finish ingesting a stored email that never got a pipeline job
+   * (e.g. the process died or a step failed between insertEmail and enqueue)
+   * @param {Object} email - Email record
+   * @param {Object} payload - Redelivered payload (attachment content)
+   */
+  async resumeIngestion(email, payload) {
+    if (email.status !== 'Received') return;
+
+    const jobs = await jobQueue.store.list({ email_id: email.id, limit: 1 });
+    if (jobs.length === 0) {
+      console.log(`🩹 Email ${email.id} has no pipeline job - completing its ingestion`);
+      await this.completeIngestion(email, Array.isArray(payload.attachmentInfo) ? payload.attachmentInfo : []);
+    }
+  }
+
+  /**
+   * Find the thread this email belongs to, creating one if it starts a conversation
+   * Matches In-Reply-To first, then References newest to oldest
+   * @param {Object} emailData - Sanitized email data
+   * @returns {Promise<string>} Thread ID
+   */
+  async resolveThread({ message_id, in_reply_to, reference_ids, subject }) {
+    const references = reference_ids || [];
+    const candidates = [...new Set([in_reply_to, ...[...references].reverse()].filter(Boolean))];
+
+    const thread_id = await databaseService.findThreadIdByMessageIds(candidates);
+    if (thread_id) {
+      return thread_id;
+    }
+
+    return databaseService.insertThread({
+      subject: normalizeSubject(subject),
+      root_message_id: references[0] || in_reply_to || message_id
+    });
+  }
+
   /**
    * Validate email address format
    */
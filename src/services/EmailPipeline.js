@@ -0,0 +1,221 @@
+import databaseService from './DatabaseService.js';
+import auditLogger from './AuditLogger.js';
+import emailIngestionService from './EmailIngestionService.js';
+import aiAnalysisService from './AIAnalysisService.js';
+import decisionEngine from './DecisionEngine.js';
+import workflowExecutor from './WorkflowExecutor.js';
+import escalationService from './EscalationService.js';
+import bounceService from './BounceService.js';
+import gmailSyncService from './GmailSyncService.js';
+import jobQueue, { JOB_TYPES, NonRetryableJobError } from './JobQueue.js';
+import { EMAIL_STATUS } from '../utils/emailStatus.js';
+
+/**
+ * Email Pipeline
+ * Job handlers for ingestion → analysis → decision → workflow
+ * (delivery failure reports go from ingestion to bounce processing).
+ * Each stage enqueues the next one only after its own work is persisted,
+ * so a crash at any point resumes from the last completed stage.
+ */
+
+/**
+ * Store an inbound email (enqueued by POST /api/emails/inbound)
+ * @param {Object} payload - Raw webhook payload
+ */
+async function handleIngestEmail(payload) {
+  const result = await emailIngestionService.processIncomingEmail(payload);
+
+  if (!result.success) {
+    if (result.details) {
+      throw new NonRetryableJobError(`Invalid payload: ${result.details.join(', ')}`);
+    }
+    throw new Error(result.error);
+  }
+
+  return result;
+}
+
+/**
+ * Ingestion payload without attachment content (kept on completed jobs)
+ * The files are in attachment storage by then; only their metadata is worth keeping
+ * @param {Object} payload - Raw webhook payload
+ * @returns {Object} Payload with attachmentInfo[].content removed
+ */
+export function withoutAttachmentContent(payload) {
+  if (!Array.isArray(payload?.attachmentInfo)) return payload;
+  return {
+    ...payload,
+    attachmentInfo: payload.attachmentInfo.map(attachment => {
+      if (!attachment || attachment.content === undefined) return attachment;
+      const { content, ...metadata } = attachment;
+      return { ...metadata, content_removed: true };
+    })
+  };
+}
+
+/**
+ * Sync a Gmail mailbox up to a Pub/Sub notification (enqueued by POST /api/emails/gmail-webhook)
+ * Messages that failed to ingest are retried: the stored historyId stops before them
+ * @param {Object} payload - { email_address, history_id }
+ */
+async function handleSyncGmail({ email_address, history_id }) {
+  if (!email_address || !history_id) {
+    throw new NonRetryableJobError('Gmail notification missing emailAddress or historyId');
+  }
+
+  const result = await gmailSyncService.handleNotification(email_address, history_id);
+
+  if (result.failed > 0) {
+    throw new Error(`${result.failed} Gmail message(s) for ${email_address} failed to ingest`);
+  }
+
+  return result;
+}
+
+/**
+ * Classify a stored email
+ * @param {Object} payload - { email_id }
+ * @param {Object} queue - Queue to enqueue the decision stage on
+ */
+async function handleAnalyzeEmail({ email_id }, queue) {
+  const email = await databaseService.getEmailById(email_id);
+  await databaseService.updateEmailStatus(email_id, EMAIL_STATUS.ANALYZING, { source: 'pipeline', reason: 'Classification started' });
+
+  // Earlier messages in the conversation give the model context
+  const threadEmails = email.thread_id
+    ? await databaseService.getEmailsByThreadId(email.thread_id)
+    : [email];
+  const threadHistory = threadEmails.filter(message =>
+    message.id !== email_id && Date.parse(message.received_at) <= Date.parse(email.received_at));
+
+  const attachmentExtractions = email.has_attachments
+    ? await databaseService.getAttachmentExtractions(email_id)
+    : [];
+
+  const { analysis } = await aiAnalysisService.analyzeEmail(
+    email_id,
+    email.subject,
+    email.body,
+    email.has_attachments,
+    email.attachment_info || [],
+    { threadHistory, attachmentExtractions, receivedAt: email.received_at }
+  );
+
+  await queue.enqueue(JOB_TYPES.MAKE_DECISION, {
+    email_id,
+    email_type: analysis.email_type,
+    confidence_score: analysis.confidence_score,
+    thread_depth: threadHistory.length + 1
+  }, { email_id });
+}
+
+/**
+ * Apply decision rules to an analyzed email
+ * @param {Object} payload - { email_id, email_type, confidence_score, thread_depth }
+ * @param {Object} queue - Queue to enqueue the workflow stage on
+ */
+async function handleMakeDecision({ email_id, email_type, confidence_score, thread_depth = 1 }, queue) {
+  const email = await databaseService.getEmailById(email_id);
+  const analysis = await databaseService.getAnalysisByEmailId(email_id);
+
+  const result = await decisionEngine.makeDecision(email_id, email_type, confidence_score, {
+    thread_depth,
+    urgency: analysis.urgency,
+    from_email: email.from_email,
+    has_attachments: email.has_attachments,
+    attachment_info: email.attachment_info || [],
+    extracted_data: analysis.extracted_data || {}
+  });
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  await queue.enqueue(JOB_TYPES.EXECUTE_WORKFLOW, {
+    email_id,
+    decision: result.decision,
+    queued_at: new Date().toISOString()
+  }, { email_id });
+}
+
+/**
+ * Run the workflow for a decided email
+ * Idempotent: a retry after an earlier attempt recorded the workflow does nothing, and
+ * a failure after a reply went out is not retried (retrying would send the reply again).
+ * Workflows recorded before the job was queued (e.g. before a reclassification) do not count.
+ * @param {Object} payload - { email_id, decision, queued_at }
+ * @param {Object} job - Job record (created_at, for jobs queued without queued_at)
+ */
+async function handleExecuteWorkflow({ email_id, decision, queued_at }, job = {}) {
+  const since = Date.parse(queued_at || job.created_at) || 0;
+  const recorded = (await databaseService.listWorkflowsByEmailId(email_id))
+    .find(workflow => Date.parse(workflow.executed_at) >= since);
+  if (recorded) {
+    console.log(`⏭️  Workflow for email ${email_id} already recorded (${recorded.workflow_type}) - not running it again`);
+    return { success: true, skipped: true };
+  }
+
+  const analysis = await databaseService.getAnalysisByEmailId(email_id);
+
+  const result = await workflowExecutor.executeWorkflow(email_id, {
+    email_type: analysis.email_type,
+    confidence_score: analysis.confidence_score,
+    urgency_level: analysis.urgency,
+    extracted_data: analysis.extracted_data,
+    reasoning: analysis.reasoning
+  }, decision);
+
+  if (!result.success) {
+    const replies = await databaseService.listOutboundEmailsByEmailId(email_id);
+    if (replies.some(reply => reply.status === 'sent')) {
+      throw new NonRetryableJobError(`Workflow failed after the reply was sent: ${result.error}`);
+    }
+    throw new Error(result.error);
+  }
+
+  return result;
+}
+
+/**
+ * Match a delivery failure report to our reply and suppress the failed address
+ * @param {Object} payload - { email_id }
+ */
+async function handleProcessBounce({ email_id }) {
+  return bounceService.processBounce(email_id);
+}
+
+/**
+ * Give up on automation for an email whose job was dead-lettered
+ * @param {Object} job - Dead job
+ * @param {Error} error - Final error
+ */
+async function handleDeadLetter(job, error) {
+  if (!job.email_id) return;
+
+  const reason = `Processing failed at ${job.type} after ${job.attempts} attempt(s): ${error.message}`;
+  await databaseService.updateEmailStatus(job.email_id, EMAIL_STATUS.MANUAL_REVIEW, {
+    source: 'pipeline',
+    reason,
+    metadata: { job_id: job.id, job_type: job.type }
+  });
+  await auditLogger.logManualReviewTriggered(job.email_id, reason, {
+    email_type: job.payload?.email_type,
+    confidence_score: job.payload?.confidence_score
+  });
+}
+
+/**
+ * Register all pipeline handlers on a queue
+ * @param {Object} queue - JobQueue instance
+ */
+export function registerEmailPipeline(queue = jobQueue) {
+  queue.registerHandler(JOB_TYPES.INGEST_EMAIL, handleIngestEmail, { compactPayload: withoutAttachmentContent });
+  queue.registerHandler(JOB_TYPES.SYNC_GMAIL, handleSyncGmail);
+  queue.registerHandler(JOB_TYPES.ANALYZE_EMAIL, payload => handleAnalyzeEmail(payload, queue));
+  queue.registerHandler(JOB_TYPES.MAKE_DECISION, payload => handleMakeDecision(payload, queue));
+  queue.registerHandler(JOB_TYPES.EXECUTE_WORKFLOW, handleExecuteWorkflow);
+  queue.registerHandler(JOB_TYPES.PROCESS_BOUNCE, handleProcessBounce);
+  // Enqueued without an email_id: a failed check must not send the email to Manual Review
+  queue.registerHandler(JOB_TYPES.CHECK_ESCALATION, payload => escalationService.checkEscalation(payload));
+  queue.onDeadLetter(handleDeadLetter);
+}
@@ -0,0 +1,228 @@
+import databaseService from './DatabaseService.js';
+import taxonomyRegistry from './TaxonomyRegistry.js';
+import { EMAIL_STATUS } from '../utils/emailStatus.js';
+import { HttpError } from '../utils/httpError.js';
+
+/**
+ * Email priorities (emails.priority)
+ */
+export const EMAIL_PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+export const EMAIL_SORTS = ['received_at', 'updated_at'];
+
+export const MAX_PAGE_SIZE = 100;
+
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Opaque cursor for the row after which the next page starts
+ * @param {string} sort - Sort column
+ * @param {Object} email - Last email on the page
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor(sort, email) {
+  return Buffer.from(JSON.stringify({ s: sort, v: email[sort], id: email.id })).toString('base64url');
+}
+
+/**
+ * @private
+ */
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new HttpError('cursor is invalid');
+  }
+  if (!decoded || typeof decoded.id !== 'string' || Number.isNaN(Date.parse(decoded.v))) {
+    throw new HttpError('cursor is invalid');
+  }
+  if (decoded.s !== sort) {
+    throw new HttpError('cursor was issued for a different sort');
+  }
+  // Cursor values end up inside a PostgREST filter
+  if (!/^[0-9a-f-]{36}$/i.test(decoded.id) || !/^[0-9T:.+\-Z ]+$/.test(decoded.v)) {
+    throw new HttpError('cursor is invalid');
+  }
+  return { value: decoded.v, id: decoded.id };
+}
+
+/**
+ * @private
+ */
+function parseList(value, name, allowed) {
+  if (value === undefined || value === '') return undefined;
+  const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const unknown = values.filter(item => !allowed.includes(item));
+  if (unknown.length > 0) {
+    throw new HttpError(`${name} must be among ${allowed.join(', ')}`);
+  }
+  return values;
+}
+
+/**
+ * @private
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === '') return undefined;
+  if (Number.isNaN(Date.parse(value))) {
+    throw new HttpError(`${name} must be an ISO 8601 date`);
+  }
+  return new Date(value).toISOString();
+}
+
+/**
+ * @private
+ */
+function parseConfidence(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0 || number > 1) {
+    throw new HttpError(`${name} must be between 0 and 1`);
+  }
+  return number;
+}
+
+/**
+ * Turn sender into an ILIKE pattern: a full address matches exactly, a bare
+ * domain ("acme.com" or "@acme.com") matches any address at it
+ * @private
+ */
+function senderPattern(sender) {
+  if (!sender) return undefined;
+  const escaped = sender.trim().toLowerCase().replace(/[\\%_]/g, match => `\\${match}`);
+  if (!escaped || /[,()"]/.test(escaped)) {
+    throw new HttpError('sender must be an email address or domain');
+  }
+  if (escaped.startsWith('@')) return `%${escaped}`;
+  return escaped.includes('@') ? escaped : `%@${escaped}`;
+}
+
+/**
+ * Validate GET /api/emails query parameters
+ * @param {Object} params - status, priority, type, sender, from, to, has_attachments,
+ *   min_confidence, max_confidence, q, sort, order, cursor, limit (strings as received)
+ * @returns {Object} Query for DatabaseService.searchEmails
+ * @throws {HttpError} 400 for invalid parameters
+ */
+export function parseEmailQuery(params = {}) {
+  const sort = params.sort || 'received_at';
+  if (!EMAIL_SORTS.includes(sort)) {
+    throw new HttpError(`sort must be one of ${EMAIL_SORTS.join(', ')}`);
+  }
+  if (params.order && !['asc', 'desc'].includes(params.order)) {
+    throw new HttpError('order must be asc or desc');
+  }
+
+  const limit = params.limit === undefined ? 25 : parseInt(params.limit);
+  if (!(limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+    throw new HttpError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  if (params.has_attachments !== undefined && !['true', 'false'].includes(params.has_attachments)) {
+    throw new HttpError('has_attachments must be true or false');
+  }
+
+  const query = {
+    statuses: parseList(params.status, 'status', Object.values(EMAIL_STATUS)),
+    priorities: parseList(params.priority, 'priority', EMAIL_PRIORITIES),
+    email_types: parseList(params.type, 'type', taxonomyRegistry.getTypeNames()),
+    sender_pattern: senderPattern(params.sender),
+    received_from: parseDate(params.from, 'from'),
+    received_to: parseDate(params.to, 'to'),
+    has_attachments: params.has_attachments === undefined ? undefined : params.has_attachments === 'true',
+    min_confidence: parseConfidence(params.min_confidence, 'min_confidence'),
+    max_confidence: parseConfidence(params.max_confidence, 'max_confidence'),
+    search: params.q?.trim() || undefined,
+    sort,
+    ascending: params.order === 'asc',
+    after: params.cursor ? decodeCursor(params.cursor, sort) : undefined,
+    limit
+  };
+
+  if (query.min_confidence !== undefined && query.max_confidence !== undefined && query.min_confidence > query.max_confidence) {
+    throw new HttpError('min_confidence must not exceed max_confidence');
+  }
+  if (query.received_from && query.received_to && query.received_from >= query.received_to) {
+    throw new HttpError('from must be before to');
+  }
+  if (query.search && query.search.length > 200) {
+    throw new HttpError('q must be at most 200 characters');
+  }
+
+  return query;
+}
+
+/**
+ * Email Query Service
+ * Read access to stored emails: filtered, searchable listing and full details
+ */
+class EmailQueryService {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.db - Provides searchEmails and the per-email getters
+   */
+  constructor({ db = databaseService } = {}) {
+    this.db = db;
+  }
+
+  /**
+   * List emails
+   * @param {Object} params - Query parameters (see parseEmailQuery)
+   * @param {Object|null} scope - Email types and statuses the caller may see (AuthService.emailScope)
+   * @returns {Promise<Object>} { emails, next_cursor } - next_cursor is null on the last page
+   */
+  async listEmails(params, scope = null) {
+    const query = parseEmailQuery(params);
+
+    // Narrow the filters to the caller's scope; nothing left means nothing to list
+    for (const [key, allowed] of [['statuses', scope?.statuses], ['email_types', scope?.email_types]]) {
+      if (!allowed) continue;
+      query[key] = query[key] ? query[key].filter(value => allowed.includes(value)) : allowed;
+      if (query[key].length === 0) return { emails: [], next_cursor: null };
+    }
+
+    // One extra row tells whether there is another page
+    const rows = await this.db.searchEmails({ ...query, limit: query.limit + 1 });
+    const page = rows.slice(0, query.limit);
+
+    return {
+      emails: page.map(({ body, email_analysis: analysisRows, ...email }) => ({
+        ...email,
+        snippet: body.length > SNIPPET_LENGTH ? `${body.substring(0, SNIPPET_LENGTH)}...` : body,
+        analysis: Array.isArray(analysisRows) ? analysisRows[0] || null : analysisRows || null
+      })),
+      next_cursor: rows.length > query.limit ? encodeCursor(query.sort, page[page.length - 1]) : null
+    };
+  }
+
+  /**
+   * Get an email with its analysis, workflow runs, sent replies and audit trail
+   * @param {string} email_id - Email ID
+   * @returns {Promise<Object>} { email, analysis, workflows, outbound_emails, audit_logs }
+   * @throws {HttpError} 404 if not found
+   */
+  async getEmail(email_id) {
+    let email;
+    try {
+      email = await this.db.getEmailById(email_id);
+    } catch (error) {
+      throw new HttpError(`Email not found: ${email_id}`, 404);
+    }
+
+    const [analysis, workflows, outboundEmails, auditLogs] = await Promise.all([
+      this.db.findAnalysisByEmailId(email_id),
+      this.db.listWorkflowsByEmailId(email_id),
+      this.db.listOutboundEmailsByEmailId(email_id),
+      this.db.getAuditLogsByEmailId(email_id)
+    ]);
+
+    return { email, analysis, workflows, outbound_emails: outboundEmails, audit_logs: auditLogs };
+  }
+}
+
+export { EmailQueryService };
+
+// Export singleton instance
+const emailQueryService = new EmailQueryService();
+export default emailQueryService;
@@ -1,7 +1,7 @@
 import nodemailer from 'nodemailer';
-import OpenAI from 'openai';
 import { config } from '../config/index.js';
 import auditLogger from './AuditLogger.js';
+import llmService, { LLM_TASKS } from './LLMService.js';
 
 class EmailSender {
   constructor() {
@@ -15,12 +15,6 @@ class EmailSender {
       }
     });
 
-    this.groqClient = new OpenAI({
-      apiKey: config.openai.apiKey,
-      baseURL: 'https://api.groq.com/openai/v1',
-      timeout: 10000
-    });
-
     this.fromAddress = config.smtp.from;
     this.maxRetries = 2;
   }
@@ -60,18 +54,17 @@ INCOMING EMAIL:
 
 Generate a personalized email response. Address sender as "${senderName}". Acknowledge their specific request. Keep professional but warm. Maximum 150 words. Generate ONLY the email body text.`;
 
-      const completion = await this.groqClient.chat.completions.create({
-        model: 'llama-3.1-8b-instant',
+      const completion = await llmService.complete(LLM_TASKS.REPLY, {
         messages: [
           { role: 'system', content: 'You are a professional customer service representative.' },
           { role: 'user', content: prompt }
         ],
         temperature: 0.7,
-        max_tokens: 300
+        maxTokens: 300
       });
 
-      const aiResponse = completion.choices[0]?.message?.content;
-      if (!aiResponse) throw new Error('Empty response from Groq API');
+      const aiResponse = completion.text;
+      if (!aiResponse) throw new Error(`Empty response from ${completion.provider}`);
 
       return {
         subject: `Re: ${originalSubject}`,
@@ -1,123 +1,134 @@
-import nodemailer from 'nodemailer';
-import OpenAI from 'openai';
 import { config } from '../config/index.js';
 import auditLogger from './AuditLogger.js';
+import databaseService from './DatabaseService.js';
+import { createGmailClient } from './GmailSyncService.js';
+import replyTemplateService from './ReplyTemplateService.js';
+import sendLimiter, { recipientKey } from './SendLimiter.js';
+import SmtpMailTransport from './mailTransports/SmtpMailTransport.js';
+import GmailApiMailTransport from './mailTransports/GmailApiMailTransport.js';
+import HttpApiMailTransport from './mailTransports/HttpApiMailTransport.js';
+import FileMailTransport from './mailTransports/FileMailTransport.js';
+import { buildReplyReferences, createMessageId } from '../utils/messageId.js';
+import { quoteAttribution, quotedBody, quoteText } from '../utils/replyQuote.js';
 
-class EmailSenderNew {
-  constructor() {
-    this.transporter = nodemailer.createTransport({
-      host: config.smtp.host,
-      port: config.smtp.port,
-      secure: config.smtp.port === 465,
-      auth: {
-        user: config.smtp.user,
-        pass: config.smtp.password
-      }
-    });
+const ANY_TYPE = '*';
 
-    this.groqClient = new OpenAI({
-      apiKey: config.openai.apiKey,
-      baseURL: 'https://api.groq.com/openai/v1',
-      timeout: 10000
-    });
+/**
+ * Check REPLY_COPIES: { "<email type>" | "*": { cc: [addresses], bcc: [addresses] } }
+ * @param {Object} copies - Copy recipients per email type
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateReplyCopies(copies) {
+  if (!copies || typeof copies !== 'object' || Array.isArray(copies)) {
+    return ['REPLY_COPIES must be an object keyed by email type'];
+  }
+  return Object.entries(copies).flatMap(([type, entry]) => ['cc', 'bcc'].flatMap(field => {
+    const addresses = entry?.[field];
+    if (addresses === undefined) return [];
+    if (!Array.isArray(addresses) || addresses.some(address => !/^[^@\s]+@[^@\s]+$/.test(address))) {
+      return [`REPLY_COPIES["${type}"].${field} must be a list of email addresses`];
+    }
+    return [];
+  }));
+}
 
-    this.fromAddress = config.smtp.from;
-    this.maxRetries = 2;
+/**
+ * Create the outbound mail transport selected by config
+ * @param {Object} mailConfig - config.mail
+ * @param {Object} deps - smtpConfig, gmailConfig, fetch
+ * @returns {Object} Transport with name and send(message)
+ */
+export function createMailTransport(mailConfig = config.mail, { smtpConfig = config.smtp, gmailConfig = config.gmail, fetch = globalThis.fetch } = {}) {
+  switch (mailConfig.transport) {
+    case 'smtp':
+      return new SmtpMailTransport(smtpConfig);
+    case 'gmail':
+      return new GmailApiMailTransport({ gmail: createGmailClient(gmailConfig), userId: gmailConfig.userId });
+    case 'http':
+      return new HttpApiMailTransport({ ...mailConfig.http, fetch });
+    case 'file':
+      return new FileMailTransport({ directory: mailConfig.fileDirectory });
+    default:
+      throw new Error(`Unknown mail transport: ${mailConfig.transport} (use smtp, gmail, http or file)`);
   }
+}
+
+class EmailSenderNew {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.transport - Provides name and send(message) (defaults to MAIL_TRANSPORT)
+   * @param {Object} deps.db - Provides insertOutboundEmail
+   * @param {Object} deps.limiter - Provides checkBounced (suppression list) and checkGlobal (per-minute send cap)
+   * @param {Object} deps.options - Reply options (defaults to config.replies)
+   * @param {number} deps.maxRetries - Send retries after the first attempt
+   */
+  constructor({ transport, db = databaseService, limiter = sendLimiter, options = config.replies, maxRetries = 2 } = {}) {
+    this.transport = transport || createMailTransport();
 
-  extractSenderName(email) {
-    if (!email) return 'there';
-    const localPart = email.split('@')[0];
-    const parts = localPart.split(/[._-]/);
-    if (parts.length > 1) {
-      return parts.map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+    const errors = validateReplyCopies(options.copies || {});
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
     }
-    return 'there';
+
+    this.db = db;
+    this.limiter = limiter;
+    this.options = options;
+    this.fromAddress = config.mail.from;
+    this.maxRetries = maxRetries;
   }
 
   convertToHTML(text) {
-    return text.split('\n\n').map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`).join('\n');
+    const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    return escaped.split('\n\n').map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`).join('\n');
   }
 
   async generateAIResponse(originalSubject, originalBody, senderEmail, emailType, projectDetails = {}) {
-    try {
-      console.log(`🤖 Generating AI response for ${emailType} email...`);
-      const senderName = this.extractSenderName(senderEmail);
-      
-      const prompt = `You are a professional customer service representative for InvexTech, a construction company.
-
-COMPANY INFO:
-- Company: InvexTech
-- Address: 30 N Gould St, Ste N, Sheridan, WY 82801, United States
-- Phone: +1 (787) 710-2725
-- Email: info@invextech.com
-
-INCOMING EMAIL:
-- From: ${senderEmail}
-- Subject: ${originalSubject}
-- Type: ${emailType}
-- Content: ${originalBody.substring(0, 500)}...
-
-Generate a personalized email response. Address sender as "${senderName}". Acknowledge their specific request. Keep professional but warm. Maximum 150 words. Generate ONLY the email body text.`;
-
-      const completion = await this.groqClient.chat.completions.create({
-        model: 'llama-3.1-8b-instant',
-        messages: [
-          { role: 'system', content: 'You are a professional customer service representative.' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 300
-      });
-
-      const aiResponse = completion.choices[0]?.message?.content;
-      if (!aiResponse) throw new Error('Empty response from Groq API');
-
-      return {
-        subject: `Re: ${originalSubject}`,
-        text: aiResponse,
-        html: this.convertToHTML(aiResponse)
-      };
-
-    } catch (error) {
-      console.error('❌ AI response generation failed:', error.message);
-      const senderName = this.extractSenderName(senderEmail);
-      const fallbackText = `Dear ${senderName},
-
-Thank you for contacting InvexTech. We have received your message and our team will review it promptly.
-
-We aim to respond to all inquiries within 24 hours.
-
-Best regards,
-
-InvexTech
-30 N Gould St, Ste N, Sheridan, WY 82801, United States
-Phone: +1 (787) 710-2725
-Email: info@invextech.com`;
+    // Template, language and how much the LLM writes are decided by the reply templates
+    const reply = await replyTemplateService.compose({
+      subject: originalSubject,
+      body: originalBody,
+      from_email: senderEmail,
+      email_type: emailType,
+      extracted_data: projectDetails
+    });
 
-      return {
-        subject: `Re: ${originalSubject}`,
-        text: fallbackText,
-        html: this.convertToHTML(fallbackText)
-      };
-    }
+    return { ...reply, html: this.convertToHTML(reply.text) };
   }
 
-  async sendWithRetry(to, subject, text, html, email_id) {
+  // headers: optional { cc, bcc, messageId, inReplyTo, references }; a fixed messageId keeps retries recognizable as one message
+  async sendWithRetry(to, subject, text, html, email_id, headers = {}) {
     let lastError;
-    for (let attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
+    let attempt;
+    for (attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
       try {
-        console.log(`Sending email to ${to} (attempt ${attempt}/${this.maxRetries + 1})...`);
-        const info = await this.transporter.sendMail({
+        console.log(`Sending email to ${to} via ${this.transport.name} (attempt ${attempt}/${this.maxRetries + 1})...`);
+        const info = await this.transport.send({
           from: this.fromAddress,
-          to, subject, text, html
+          to, subject, text, html,
+          ...headers
         });
+        const accepted = info.accepted || [];
+        const rejected = info.rejected || [];
+        if (accepted.length === 0 && rejected.length > 0) {
+          const error = new Error(`All recipients rejected: ${rejected.join(', ')}`);
+          error.retryable = false;
+          throw error;
+        }
+
         console.log(`✅ Email sent successfully: ${info.messageId}`);
-        await auditLogger.logEmailSent(email_id, to, info.messageId);
-        return { success: true, messageId: info.messageId, attempt };
+        await auditLogger.logEmailSent(email_id, to, info.messageId, {
+          transport: this.transport.name,
+          accepted,
+          rejected,
+          response: info.response,
+          provider_message_id: info.providerMessageId
+        });
+        return { success: true, messageId: info.messageId, attempt, transport: this.transport.name, accepted, rejected };
       } catch (error) {
         lastError = error;
         console.error(`❌ Email send attempt ${attempt} failed:`, error.message);
+        // Permanent failures (bad request, rejected recipients) fail the same way on every attempt
+        if (error.retryable === false) break;
         if (attempt < this.maxRetries + 1) {
           const delay = Math.pow(2, attempt - 1) * 1000;
           console.log(`   Retrying in ${delay}ms...`);
@@ -125,22 +136,113 @@ Email: info@invextech.com`;
         }
       }
     }
-    console.error(`❌ All email send attempts failed for ${to}`);
-    await auditLogger.logEmailSendFailed(email_id, to, lastError);
-    return { success: false, error: lastError.message, attempts: this.maxRetries + 1 };
+    const attempts = Math.min(attempt, this.maxRetries + 1);
+    console.error(`❌ Email to ${to} not sent after ${attempts} attempt(s)`);
+    await auditLogger.logEmailSendFailed(email_id, to, lastError, this.transport.name);
+    return { success: false, error: lastError.message, attempts, transport: this.transport.name };
+  }
+
+  // Internal mailboxes copied on replies to an email type ("*" applies to every type)
+  getCopies(emailType, recipient) {
+    const copies = this.options.copies || {};
+    const pick = field => [...new Set([...(copies[ANY_TYPE]?.[field] || []), ...(copies[emailType]?.[field] || [])])]
+      .filter(address => address.toLowerCase() !== (recipient || '').toLowerCase());
+    const cc = pick('cc');
+    return { cc, bcc: pick('bcc').filter(address => !cc.includes(address)) };
+  }
+
+  // Reply text and HTML with the original message quoted below (when REPLY_QUOTE_ORIGINAL is on)
+  withQuote(email, text, html) {
+    if (!this.options.quoteOriginal || !email.body) {
+      return { text, html, quoted: false };
+    }
+    return {
+      text: `${text}\n\n${quoteText(email, config.app.timezone)}`,
+      html: `${html}\n${this.convertToHTML(quoteAttribution(email, config.app.timezone))}\n` +
+        `<blockquote style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">\n${this.convertToHTML(quotedBody(email.body))}\n</blockquote>`,
+      quoted: true
+    };
   }
 
-  async sendAIResponse(email_id, recipientEmail, originalSubject, originalBody, emailType, projectDetails = {}) {
+  /**
+   * Send a reply to an inbound email in the sender's conversation
+   * Sets In-Reply-To/References from the stored Message-ID, copies the internal
+   * mailboxes for the email type and records the message in outbound_emails.
+   * Nothing is sent to an address that hard-bounced or while the per-minute send cap is reached.
+   * @param {Object} email - Inbound email record
+   * @param {Object} reply - subject, text and html
+   * @param {Object} context - email_type, the draft_id it was sent from (if any) and
+   *   whether a workflow sent it without approval (automatic)
+   * @returns {Promise<Object>} sendWithRetry result, { success: false, suppressed, error } for a bounced address,
+   *   or { success: false, rate_limited: true, error, retry_after_seconds }
+   */
+  async sendReply(email, { subject, text, html }, { email_type = null, draft_id = null, automatic = false } = {}) {
+    const bounced = await this.limiter.checkBounced(email.from_email);
+    if (bounced) {
+      console.warn(`📭 Reply to ${email.from_email} not sent: ${bounced.reason}`);
+      return { success: false, suppressed: bounced.code, error: bounced.reason };
+    }
+
+    const block = await this.limiter.checkGlobal();
+    if (block) {
+      console.warn(`⏳ Reply to ${email.from_email} not sent: ${block.reason}`);
+      return { success: false, rate_limited: true, error: block.reason, retry_after_seconds: block.retry_after_seconds };
+    }
+
+    const { inReplyTo, references } = buildReplyReferences(email);
+    const { cc, bcc } = this.getCopies(email_type, email.from_email);
+    const body = this.withQuote(email, text, html || this.convertToHTML(text));
+    const messageId = createMessageId(this.fromAddress);
+
+    const headers = { messageId };
+    if (inReplyTo) Object.assign(headers, { inReplyTo, references });
+    if (cc.length > 0) headers.cc = cc;
+    if (bcc.length > 0) headers.bcc = bcc;
+
+    const result = await this.sendWithRetry(email.from_email, subject, body.text, body.html, email.id, headers);
+
     try {
-      console.log(`📧 NEW EmailSender - sendAIResponse called for email ${email_id}`);
-      console.log(`   Recipient: ${recipientEmail}`);
-      console.log(`   Subject: ${originalSubject}`);
+      await this.db.insertOutboundEmail({
+        email_id: email.id,
+        draft_id,
+        message_id: result.messageId || messageId,
+        in_reply_to: inReplyTo,
+        reference_ids: references,
+        from_address: this.fromAddress,
+        to_addresses: [email.from_email],
+        ...recipientKey(email.from_email),
+        thread_id: email.thread_id || null,
+        automatic,
+        cc_addresses: cc,
+        bcc_addresses: bcc,
+        subject,
+        text_body: body.text,
+        html_body: body.html,
+        quoted_original: body.quoted,
+        status: result.success ? 'sent' : 'failed',
+        attempts: result.attempt || result.attempts,
+        error: result.error || null,
+        sent_at: result.success ? new Date().toISOString() : null
+      });
+    } catch (error) {
+      // The reply went out (or failed) regardless; losing the record must not change that
+      console.error(`❌ Failed to record outbound email for ${email.id}:`, error.message);
+    }
+
+    return { ...result, messageId: result.messageId || (result.success ? messageId : undefined) };
+  }
+
+  async sendAIResponse(email, emailType, projectDetails = {}) {
+    try {
+      console.log(`📧 NEW EmailSender - sendAIResponse called for email ${email.id}`);
+      console.log(`   Recipient: ${email.from_email}`);
+      console.log(`   Subject: ${email.subject}`);
       console.log(`   Type: ${emailType}`);
 
-      const template = await this.generateAIResponse(originalSubject, originalBody, recipientEmail, emailType, projectDetails);
+      const template = await this.generateAIResponse(email.subject, email.body, email.from_email, emailType, projectDetails);
       console.log(`📧 Generated template:`, template.subject);
 
-      const result = await this.sendWithRetry(recipientEmail, template.subject, template.text, template.html, email_id);
+      const result = await this.sendReply(email, template, { email_type: emailType, automatic: true });
       console.log(`📧 Final send result:`, result);
       return result;
 
@@ -151,5 +253,8 @@ Email: info@invextech.com`;
   }
 }
 
+export { EmailSenderNew };
+
+// Export singleton instance
 const emailSenderNew = new EmailSenderNew();
-export default emailSenderNew;
\ No newline at end of file
+export default emailSenderNew;
@@ -0,0 +1,123 @@
+import databaseService from './DatabaseService.js';
+import { HttpError } from '../utils/httpError.js';
+
+/**
+ * Kinds of timeline events
+ */
+export const TIMELINE_EVENT_TYPES = ['received', 'status', 'analysis', 'workflow', 'audit'];
+
+/**
+ * Email Timeline Service
+ * One chronological view of everything that happened to an email:
+ * status changes, classification, workflow runs and audit log entries
+ */
+class EmailTimelineService {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.db - Provides getEmailById, getStatusHistory, findAnalysisByEmailId,
+   *   listWorkflowsByEmailId and getAuditLogsByEmailId
+   */
+  constructor({ db = databaseService } = {}) {
+    this.db = db;
+  }
+
+  /**
+   * Build the timeline of an email
+   * @param {string} email_id - Email ID
+   * @param {Object} options - types: event types to include (default all)
+   * @returns {Promise<Object>} { email, events } - events oldest first
+   * @throws {HttpError} 404 if not found, 400 for unknown event types
+   */
+  async getTimeline(email_id, { types = TIMELINE_EVENT_TYPES } = {}) {
+    const unknown = types.filter(type => !TIMELINE_EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new HttpError(`types must be among ${TIMELINE_EVENT_TYPES.join(', ')}`);
+    }
+
+    let email;
+    try {
+      email = await this.db.getEmailById(email_id);
+    } catch (error) {
+      throw new HttpError(`Email not found: ${email_id}`, 404);
+    }
+
+    const [history, analysis, workflows, auditLogs] = await Promise.all([
+      this.db.getStatusHistory(email_id),
+      this.db.findAnalysisByEmailId(email_id),
+      this.db.listWorkflowsByEmailId(email_id),
+      this.db.getAuditLogsByEmailId(email_id)
+    ]);
+
+    const events = [
+      {
+        type: 'received',
+        at: email.received_at,
+        summary: `Received from ${email.from_email}`,
+        details: { subject: email.subject, message_id: email.message_id || null, thread_id: email.thread_id || null }
+      },
+      ...history.map(change => ({
+        type: 'status',
+        at: change.created_at,
+        summary: `${change.from_status || 'New'} → ${change.to_status}${change.changed_by ? ` by ${change.changed_by}` : ''}`,
+        details: {
+          from_status: change.from_status,
+          to_status: change.to_status,
+          changed_by: change.changed_by,
+          source: change.source,
+          reason: change.reason,
+          metadata: change.metadata
+        }
+      })),
+      ...(analysis ? [{
+        type: 'analysis',
+        at: analysis.analyzed_at,
+        summary: `Classified as ${analysis.email_type} (confidence ${analysis.confidence_score}, urgency ${analysis.urgency})`,
+        details: {
+          email_type: analysis.email_type,
+          urgency: analysis.urgency,
+          confidence_score: analysis.confidence_score,
+          reasoning: analysis.reasoning,
+          original_email_type: analysis.original_email_type || null,
+          overridden_by: analysis.overridden_by || null
+        }
+      }] : []),
+      ...workflows.map(workflow => ({
+        type: 'workflow',
+        at: workflow.executed_at,
+        summary: `${workflow.workflow_type} workflow ${workflow.success ? 'completed' : 'failed'}${workflow.automation_used ? ' (automated)' : ''}`,
+        details: { actions_taken: workflow.actions_taken, automation_used: workflow.automation_used, success: workflow.success }
+      })),
+      ...auditLogs.map(log => ({
+        type: 'audit',
+        at: log.timestamp,
+        summary: log.description,
+        details: { action_type: log.action_type, success: log.success, metadata: log.metadata, error_details: log.error_details }
+      }))
+    ];
+
+    // Stable sort keeps same-instant events in source order (received, status, analysis, workflow, audit)
+    const timeline = events
+      .filter(event => types.includes(event.type) && event.at)
+      .sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+
+    return {
+      email: {
+        id: email.id,
+        subject: email.subject,
+        from_email: email.from_email,
+        status: email.status,
+        priority: email.priority,
+        assigned_to: email.assigned_to || null,
+        received_at: email.received_at,
+        status_changed_at: email.status_changed_at || null
+      },
+      events: timeline
+    };
+  }
+}
+
+export { EmailTimelineService };
+
+// Export singleton instance
+const emailTimelineService = new EmailTimelineService();
+export default emailTimelineService;
@@ -0,0 +1,459 @@
+import { config } from '../config/index.js';
+import databaseService from './DatabaseService.js';
+import auditLogger, { ACTION_TYPES } from './AuditLogger.js';
+import emailSender from './EmailSenderNew.js';
+import jobQueue, { JOB_TYPES, JOB_STATUS } from './JobQueue.js';
+import onCallSchedule from './OnCallSchedule.js';
+import EmailNotificationChannel from './notificationChannels/EmailNotificationChannel.js';
+import ChatWebhookChannel from './notificationChannels/ChatWebhookChannel.js';
+import SmsNotificationChannel from './notificationChannels/SmsNotificationChannel.js';
+import StubSmsProvider from './smsProviders/StubSmsProvider.js';
+import TwilioSmsProvider from './smsProviders/TwilioSmsProvider.js';
+import { HttpError } from '../utils/httpError.js';
+import { signResource, verifyResourceSignature } from '../utils/signedUrl.js';
+
+/**
+ * @private
+ */
+function truncate(text, length) {
+  return text.length > length ? `${text.substring(0, length - 3)}...` : text;
+}
+
+/**
+ * Escalation lifecycle (escalations.status)
+ */
+export const ESCALATION_STATUS = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  EXHAUSTED: 'exhausted'
+};
+
+/**
+ * Create the SMS provider selected by config
+ * @param {Object} smsConfig - config.escalation.sms
+ * @param {Object} deps - fetch
+ * @returns {Object} Provider with send(to, body)
+ */
+export function createSmsProvider(smsConfig = config.escalation.sms, { fetch = globalThis.fetch } = {}) {
+  switch (smsConfig.provider) {
+    case 'stub':
+      return new StubSmsProvider();
+    case 'twilio':
+      return new TwilioSmsProvider({ ...smsConfig.twilio, fetch });
+    default:
+      throw new Error(`Unknown SMS provider: ${smsConfig.provider} (use twilio or stub)`);
+  }
+}
+
+/**
+ * Create the notification channels enabled in config
+ * @param {Object} options - config.escalation
+ * @param {Object} deps - sender (email), fetch
+ * @returns {Array<Object>} Channels with name and send(message)
+ */
+export function createNotificationChannels(options = config.escalation, { sender = emailSender, fetch = globalThis.fetch } = {}) {
+  return options.channels.map(name => {
+    switch (name) {
+      case 'email':
+        return new EmailNotificationChannel({ sender, to: options.emailTo });
+      case 'chat':
+        if (!options.chatWebhookUrl) {
+          console.warn('⚠️  Escalation chat channel enabled without ESCALATION_CHAT_WEBHOOK_URL - skipping it');
+          return null;
+        }
+        return new ChatWebhookChannel({ url: options.chatWebhookUrl, fetch });
+      case 'sms':
+        return new SmsNotificationChannel({ provider: createSmsProvider(options.sms, { fetch }) });
+      default:
+        throw new Error(`Unknown escalation channel: ${name} (use email, chat or sms)`);
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Escalation Service
+ * Pages the on-call contact for an Urgent Site Issue on every configured
+ * channel, then re-escalates down the site's chain each time a page goes
+ * unacknowledged for ackTimeoutMinutes
+ */
+class EscalationService {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.db - Provides the escalations methods and getEmailById
+   * @param {Object} deps.schedule - OnCallSchedule
+   * @param {Array<Object>} deps.channels - Notification channels
+   * @param {Object} deps.queue - Job queue for delayed re-escalation checks
+   * @param {Object} deps.options - Escalation options (defaults to config.escalation)
+   * @param {Function} deps.now - Clock returning epoch milliseconds
+   */
+  constructor({ db = databaseService, schedule = onCallSchedule, channels, queue = jobQueue, options = config.escalation, now = () => Date.now() } = {}) {
+    this.db = db;
+    this.schedule = schedule;
+    this.channels = channels || createNotificationChannels(options);
+    this.queue = queue;
+    this.options = options;
+    this.now = now;
+  }
+
+  /**
+   * Page the on-call contact for an urgent email
+   * Idempotent per email: a retried workflow does not page twice
+   * @param {Object} email - Email record
+   * @param {Object} analysis - AI analysis results (location and project help find the site)
+   * @returns {Promise<Object>} { escalation, created, notifications }
+   */
+  async openEscalation(email, analysis = {}) {
+    const existing = await this.db.getEscalationByEmailId(email.id);
+    if (existing) {
+      await this.ensureCheckScheduled(existing);
+      return { escalation: existing, created: false, notifications: [] };
+    }
+
+    const extracted = analysis.extracted_data || {};
+    const site = this.schedule.findSite([email.subject, email.body, extracted.location, extracted.project_type].filter(Boolean).join('\n'));
+    const chain = this.schedule.getChain(site, this.now());
+
+    const escalation = await this.db.insertEscalation({
+      email_id: email.id,
+      site_id: site.id,
+      site_name: site.name || site.id,
+      chain,
+      level: 0,
+      status: ESCALATION_STATUS.OPEN,
+      next_escalation_at: new Date(this.now() + this.ackTimeoutMs()).toISOString()
+    });
+
+    await auditLogger.log(ACTION_TYPES.ESCALATION_OPENED, `Urgent issue escalated to ${chain[0].name} (${escalation.site_name})`, true, email.id, {
+      escalation_id: escalation.id,
+      site_id: site.id,
+      chain: chain.map(contact => contact.id)
+    });
+
+    const notifications = await this.notify(escalation, email, chain[0]);
+    await this.scheduleCheck(escalation);
+
+    return { escalation, created: true, notifications };
+  }
+
+  /**
+   * Re-escalate if the current level has not been acknowledged (CHECK_ESCALATION job)
+   * @param {Object} payload - { escalation_id, level }
+   * @returns {Promise<Object>} { action } - skipped, reescalated or exhausted
+   */
+  async checkEscalation({ escalation_id, level }) {
+    const escalation = await this.db.getEscalationById(escalation_id);
+    if (!escalation || escalation.status !== ESCALATION_STATUS.OPEN || escalation.level !== level) {
+      // A retry of a check that re-escalated but failed to schedule the next one lands here
+      if (escalation) await this.ensureCheckScheduled(escalation);
+      return { action: 'skipped' };
+    }
+
+    const email = await this.db.getEmailById(escalation.email_id);
+    const nextLevel = level + 1;
+
+    if (nextLevel >= escalation.chain.length) {
+      const exhausted = await this.db.updateEscalationIf(escalation_id, { status: ESCALATION_STATUS.OPEN, level }, {
+        status: ESCALATION_STATUS.EXHAUSTED,
+        next_escalation_at: null
+      });
+      if (!exhausted) return { action: 'skipped' };
+
+      await auditLogger.log(ACTION_TYPES.ESCALATION_EXHAUSTED,
+        `Nobody acknowledged the urgent issue after paging ${escalation.chain.length} contact(s)`, false, escalation.email_id, {
+          escalation_id
+        });
+      // Last resort: the internal list and chat, without a single person to text
+      await this.notify(exhausted, email, null);
+      return { action: 'exhausted' };
+    }
+
+    const updated = await this.db.updateEscalationIf(escalation_id, { status: ESCALATION_STATUS.OPEN, level }, {
+      level: nextLevel,
+      next_escalation_at: new Date(this.now() + this.ackTimeoutMs()).toISOString()
+    });
+    if (!updated) return { action: 'skipped' };
+
+    const contact = updated.chain[nextLevel];
+    await auditLogger.log(ACTION_TYPES.ESCALATION_REESCALATED,
+      `${escalation.chain[level].name} did not acknowledge within ${this.options.ackTimeoutMinutes} min - escalated to ${contact.name}`,
+      true, escalation.email_id, {
+        escalation_id,
+        level: nextLevel,
+        contact_id: contact.id
+      });
+
+    await this.notify(updated, email, contact);
+    await this.scheduleCheck(updated);
+    return { action: 'reescalated' };
+  }
+
+  /**
+   * Acknowledge an escalation (stops re-escalation)
+   * @param {string} escalation_id - Escalation ID
+   * @param {string} acknowledgedBy - Contact name or reviewer
+   * @param {string} via - link or api
+   * @returns {Promise<Object>} Updated escalation
+   * @throws {HttpError} 404 if not found, 409 if already acknowledged
+   */
+  async acknowledge(escalation_id, acknowledgedBy, via = 'api') {
+    const escalation = await this.getEscalationRecord(escalation_id);
+    if (escalation.status === ESCALATION_STATUS.ACKNOWLEDGED) {
+      throw new HttpError(`Escalation was already acknowledged by ${escalation.acknowledged_by}`, 409);
+    }
+
+    // An exhausted escalation can still be picked up late
+    const updated = await this.db.updateEscalationIf(escalation_id, { status: escalation.status }, {
+      status: ESCALATION_STATUS.ACKNOWLEDGED,
+      acknowledged_by: acknowledgedBy,
+      acknowledged_at: new Date(this.now()).toISOString(),
+      acknowledged_via: via,
+      next_escalation_at: null
+    });
+    if (!updated) {
+      throw new HttpError('Escalation changed while acknowledging - try again', 409);
+    }
+
+    const minutes = Math.round((this.now() - Date.parse(escalation.created_at)) / 60000);
+    await auditLogger.log(ACTION_TYPES.ESCALATION_ACKNOWLEDGED,
+      `Urgent issue acknowledged by ${acknowledgedBy} after ${minutes} min (level ${escalation.level + 1})`, true, escalation.email_id, {
+        escalation_id,
+        acknowledged_by: acknowledgedBy,
+        via,
+        level: escalation.level,
+        minutes_to_acknowledge: minutes
+      });
+
+    return updated;
+  }
+
+  /**
+   * Check a signed acknowledgement link without acting on it
+   * @param {string} escalation_id - Escalation ID
+   * @param {string} contact_id - Contact the link was sent to
+   * @param {string} expires - expires query parameter
+   * @param {string} signature - signature query parameter
+   * @returns {Promise<Object>} { escalation, contact_name }
+   * @throws {HttpError} 403 for bad or expired links, 404 if the escalation does not exist
+   */
+  async verifyAckLink(escalation_id, contact_id, expires, signature) {
+    if (!this.options.signingSecret) {
+      throw new HttpError('Acknowledgement links are not configured (set ESCALATION_SIGNING_SECRET)', 503);
+    }
+
+    const problem = verifyResourceSignature(this.options.signingSecret, `escalation:${escalation_id}:${contact_id}`, expires, signature, this.now());
+    if (problem) {
+      throw new HttpError(problem === 'expired' ? 'Acknowledgement link has expired' : 'Invalid acknowledgement link', 403);
+    }
+
+    const escalation = await this.getEscalationRecord(escalation_id);
+    const contact = escalation.chain.find(candidate => candidate.id === contact_id);
+    return { escalation, contact_name: contact?.name || contact_id };
+  }
+
+  /**
+   * Acknowledge from the signed link in a page
+   * @param {string} escalation_id - Escalation ID
+   * @param {string} contact_id - Contact the link was sent to
+   * @param {string} expires - expires query parameter
+   * @param {string} signature - signature query parameter
+   * @returns {Promise<Object>} Updated escalation
+   * @throws {HttpError} 403 for bad or expired links, 404/409 as acknowledge
+   */
+  async acknowledgeWithLink(escalation_id, contact_id, expires, signature) {
+    const { contact_name } = await this.verifyAckLink(escalation_id, contact_id, expires, signature);
+    return this.acknowledge(escalation_id, contact_name, 'link');
+  }
+
+  /**
+   * Get an escalation with its notifications
+   * @param {string} escalation_id - Escalation ID
+   * @returns {Promise<Object>} Escalation with notifications
+   * @throws {HttpError} 404 if not found
+   */
+  async getEscalation(escalation_id) {
+    const escalation = await this.getEscalationRecord(escalation_id);
+    const notifications = await this.db.listEscalationNotifications(escalation_id);
+    return { ...escalation, notifications };
+  }
+
+  /**
+   * List escalations
+   * @param {Object} filters - status, limit
+   * @returns {Promise<Array>} Escalations
+   */
+  async listEscalations({ status, limit } = {}) {
+    if (status && !Object.values(ESCALATION_STATUS).includes(status)) {
+      throw new HttpError(`status must be one of ${Object.values(ESCALATION_STATUS).join(', ')}`);
+    }
+    return this.db.listEscalations({ status, limit });
+  }
+
+  /**
+   * @private
+   */
+  async getEscalationRecord(escalation_id) {
+    const escalation = await this.db.getEscalationById(escalation_id);
+    if (!escalation) {
+      throw new HttpError('Escalation not found', 404);
+    }
+    return escalation;
+  }
+
+  /**
+   * @private
+   */
+  ackTimeoutMs() {
+    return this.options.ackTimeoutMinutes * 60 * 1000;
+  }
+
+  /**
+   * Check back after the acknowledgement timeout
+   * @private
+   */
+  async scheduleCheck(escalation) {
+    await this.queue.enqueue(JOB_TYPES.CHECK_ESCALATION, {
+      escalation_id: escalation.id,
+      level: escalation.level
+    }, { email_id: escalation.email_id, delayMs: this.ackTimeoutMs() });
+  }
+
+  /**
+   * Schedule the check of an open escalation that has none pending
+   * Paging and scheduling are separate steps; if scheduling failed, the retry finds the escalation already open
+   * @private
+   */
+  async ensureCheckScheduled(escalation) {
+    if (escalation.status !== ESCALATION_STATUS.OPEN) return;
+
+    const jobs = await this.queue.store.list({ email_id: escalation.email_id, limit: 200 });
+    const pending = jobs.some(job => job.type === JOB_TYPES.CHECK_ESCALATION &&
+      (job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.RUNNING) &&
+      job.payload.escalation_id === escalation.id &&
+      job.payload.level === escalation.level);
+
+    if (!pending) {
+      console.warn(`⚠️  Escalation ${escalation.id} had no check scheduled for level ${escalation.level} - scheduling it`);
+      await this.scheduleCheck(escalation);
+    }
+  }
+
+  /**
+   * Signed acknowledgement link for a contact (null without a signing secret)
+   * @private
+   */
+  ackLink(escalation, contact) {
+    if (!this.options.signingSecret || !contact) return null;
+
+    const expires = Math.floor(this.now() / 1000) + this.options.ackLinkTtlHours * 3600;
+    const signature = signResource(this.options.signingSecret, `escalation:${escalation.id}:${contact.id}`, expires);
+    return `${this.options.publicBaseUrl}/api/escalations/${escalation.id}/ack?contact=${encodeURIComponent(contact.id)}&expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Page text for a contact (null contact: nobody acknowledged)
+   * @private
+   */
+  buildMessage(escalation, email, contact) {
+    const level = escalation.level;
+    const next = escalation.chain[level + 1];
+    const link = this.ackLink(escalation, contact);
+    const site = escalation.site_name;
+
+    if (!contact) {
+      return {
+        subject: `UNACKNOWLEDGED URGENT ISSUE: ${email.subject}`,
+        text: [
+          `Nobody acknowledged this urgent site issue (${site}) after paging ${escalation.chain.map(member => member.name).join(', ')}.`,
+          `From: ${email.from_email}`,
+          `Subject: ${email.subject}`,
+          '',
+          email.body.substring(0, 1000)
+        ].join('\n'),
+        shortText: `UNACKNOWLEDGED urgent issue (${site}): ${email.subject}`
+      };
+    }
+
+    const lines = [
+      `Urgent site issue for ${site} - you are on call (${contact.name}, level ${level + 1} of ${escalation.chain.length}).`,
+      `From: ${email.from_email}`,
+      `Subject: ${email.subject}`,
+      '',
+      email.body.substring(0, 1000),
+      '',
+      next
+        ? `If this is not acknowledged within ${this.options.ackTimeoutMinutes} minutes it goes to ${next.name}.`
+        : `You are the last contact in the chain for ${site}.`
+    ];
+    if (link) lines.push(`Acknowledge: ${link}`);
+
+    return {
+      subject: `${level > 0 ? `URGENT (re-escalated, level ${level + 1})` : 'URGENT'}: ${email.subject}`,
+      text: lines.join('\n'),
+      // Keep the link intact when SMS trims long pages
+      shortText: `URGENT ${site}: ${truncate(email.subject, 80)} (from ${email.from_email}).${link ? ` Ack: ${link}` : ' Acknowledge in the inbox dashboard.'}`
+    };
+  }
+
+  /**
+   * Send a page on every channel; failures are recorded, never thrown
+   * @private
+   * @returns {Promise<Array<Object>>} Notification rows
+   */
+  async notify(escalation, email, contact) {
+    const message = { ...this.buildMessage(escalation, email, contact), contact, email_id: email.id };
+    const notifications = [];
+
+    for (const channel of this.channels) {
+      if (!contact && channel.name === 'sms') continue;
+
+      const notification = {
+        escalation_id: escalation.id,
+        level: escalation.level,
+        contact_id: contact?.id || null,
+        channel: channel.name,
+        recipients: [],
+        status: 'sent',
+        error: null,
+        sent_at: new Date(this.now()).toISOString()
+      };
+
+      try {
+        notification.recipients = await channel.send(message);
+        await auditLogger.log(ACTION_TYPES.ESCALATION_NOTIFICATION_SENT,
+          `Escalation ${channel.name} sent to ${notification.recipients.join(', ')}`, true, email.id, {
+            escalation_id: escalation.id,
+            level: escalation.level,
+            channel: channel.name,
+            contact_id: notification.contact_id
+          });
+      } catch (error) {
+        console.error(`❌ Escalation ${channel.name} notification failed for ${email.id}:`, error.message);
+        notification.status = 'failed';
+        notification.error = error.message;
+        await auditLogger.log(ACTION_TYPES.ESCALATION_NOTIFICATION_FAILED,
+          `Escalation ${channel.name} notification failed: ${error.message}`, false, email.id, {
+            escalation_id: escalation.id,
+            level: escalation.level,
+            channel: channel.name,
+            contact_id: notification.contact_id
+          }, error.stack || error.message);
+      }
+
+      notifications.push(notification);
+    }
+
+    try {
+      await this.db.insertEscalationNotifications(notifications);
+    } catch (error) {
+      console.error(`❌ Failed to record escalation notifications for ${email.id}:`, error.message);
+    }
+
+    return notifications;
+  }
+}
+
+export { EscalationService };
+
+// Export singleton instance
+const escalationService = new EscalationService();
+export default escalationService;
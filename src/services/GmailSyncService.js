@@ -0,0 +1,301 @@
+import { google } from 'googleapis';
+import { config } from '../config/index.js';
+import databaseService from './DatabaseService.js';
+import emailIngestionService from './EmailIngestionService.js';
+import auditLogger, { ACTION_TYPES } from './AuditLogger.js';
+import { parseGmailMessage } from '../utils/mimeParser.js';
+
+// Labels that mark messages we sent or haven't sent yet - never ingest these
+const SKIPPED_LABELS = ['DRAFT', 'SENT'];
+
+/**
+ * Create a Gmail API client from config
+ * Without OAuth credentials requests go out unauthenticated, which is only
+ * useful against a local stub configured via GMAIL_API_ROOT_URL
+ * @param {Object} gmailConfig - Gmail config section
+ * @returns {Object} googleapis Gmail client
+ */
+export function createGmailClient(gmailConfig = config.gmail) {
+  const options = { version: 'v1' };
+
+  if (gmailConfig.clientId && gmailConfig.refreshToken) {
+    const auth = new google.auth.OAuth2(gmailConfig.clientId, gmailConfig.clientSecret);
+    auth.setCredentials({ refresh_token: gmailConfig.refreshToken });
+    options.auth = auth;
+  }
+
+  if (gmailConfig.apiRootUrl) {
+    options.rootUrl = gmailConfig.apiRootUrl;
+  }
+
+  return google.gmail(options);
+}
+
+/**
+ * Compare two Gmail historyIds (numeric strings that may exceed 2^53)
+ * @private
+ */
+function compareHistoryIds(a, b) {
+  const left = BigInt(a);
+  const right = BigInt(b);
+  return left === right ? 0 : (left > right ? 1 : -1);
+}
+
+/**
+ * Last history record fully ingested before the first failed message
+ * @private
+ */
+function checkpointBefore(messages, failedIndex, fallback) {
+  const failedRecord = messages[failedIndex].historyId;
+  const done = messages
+    .slice(0, failedIndex)
+    .filter(message => compareHistoryIds(message.historyId, failedRecord) < 0);
+  return done.length > 0 ? done[done.length - 1].historyId : fallback;
+}
+
+/**
+ * Gmail Sync Service
+ * Turns Pub/Sub historyId notifications into ingested emails using
+ * users.history.list and users.messages.get
+ */
+class GmailSyncService {
+  /**
+   * @param {Object} deps - Optional dependency overrides (used by tests)
+   * @param {Object} deps.gmail - googleapis Gmail client
+   * @param {Object} deps.stateStore - Provides getGmailSyncState/saveGmailSyncState
+   * @param {Object} deps.ingestionService - Provides processIncomingEmail
+   */
+  constructor({ gmail = null, stateStore = databaseService, ingestionService = emailIngestionService } = {}) {
+    this.gmail = gmail;
+    this.stateStore = stateStore;
+    this.ingestionService = ingestionService;
+    this.userId = config.gmail.userId;
+    this.labelId = config.gmail.labelId;
+
+    // Per-mailbox promise chain so overlapping notifications sync sequentially
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Lazily create the Gmail client
+   * @returns {Object} Gmail client
+   */
+  getClient() {
+    if (!this.gmail) {
+      this.gmail = createGmailClient();
+    }
+    return this.gmail;
+  }
+
+  /**
+   * Handle a Pub/Sub notification for a mailbox
+   * @param {string} emailAddress - Mailbox that changed
+   * @param {string|number} historyId - historyId from the notification
+   * @returns {Promise<Object>} Sync result
+   */
+  async handleNotification(emailAddress, historyId) {
+    const previous = this.inFlight.get(emailAddress) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => this.syncMailbox(emailAddress, String(historyId)));
+
+    this.inFlight.set(emailAddress, next);
+
+    try {
+      return await next;
+    } finally {
+      if (this.inFlight.get(emailAddress) === next) {
+        this.inFlight.delete(emailAddress);
+      }
+    }
+  }
+
+  /**
+   * Fetch and ingest all messages added since the last processed historyId
+   * @param {string} emailAddress - Mailbox address
+   * @param {string} notifiedHistoryId - historyId from the notification
+   * @returns {Promise<Object>} Sync result
+   */
+  async syncMailbox(emailAddress, notifiedHistoryId) {
+    const state = await this.stateStore.getGmailSyncState(emailAddress);
+
+    // First notification for this mailbox - nothing to diff against yet
+    if (!state) {
+      console.log(`📌 No Gmail sync state for ${emailAddress}, starting at historyId ${notifiedHistoryId}`);
+      await this.stateStore.saveGmailSyncState(emailAddress, notifiedHistoryId);
+      return { success: true, processed: 0, baseline: true, historyId: notifiedHistoryId };
+    }
+
+    if (compareHistoryIds(notifiedHistoryId, state.history_id) <= 0) {
+      console.log(`⏭️  historyId ${notifiedHistoryId} already processed for ${emailAddress}`);
+      return { success: true, processed: 0, historyId: state.history_id };
+    }
+
+    let messages;
+    let latestHistoryId;
+    try {
+      ({ messages, latestHistoryId } = await this.listAddedMessages(state.history_id));
+    } catch (error) {
+      // startHistoryId too old (Gmail keeps roughly a week) - reset the baseline
+      if (error.code === 404 || error.response?.status === 404) {
+        console.warn(`⚠️  historyId ${state.history_id} expired for ${emailAddress}, resetting to ${notifiedHistoryId}`);
+        await this.stateStore.saveGmailSyncState(emailAddress, notifiedHistoryId);
+        await auditLogger.log(ACTION_TYPES.GMAIL_SYNC_RESET, `Gmail history expired for ${emailAddress}`, false, null, {
+          email_address: emailAddress,
+          stale_history_id: state.history_id,
+          new_history_id: notifiedHistoryId
+        });
+        return { success: true, processed: 0, reset: true, historyId: notifiedHistoryId };
+      }
+      throw error;
+    }
+
+    console.log(`📬 ${messages.length} new Gmail message(s) for ${emailAddress}`);
+
+    const results = [];
+    for (const message of messages) {
+      results.push(await this.ingestMessage(message.id));
+    }
+
+    // Only move past history Gmail returned and every message in it that was ingested,
+    // so failed messages are listed again by the next sync
+    const firstFailure = results.findIndex(r => !r.success);
+    const newHistoryId = firstFailure === -1
+      ? latestHistoryId
+      : checkpointBefore(messages, firstFailure, state.history_id);
+
+    if (compareHistoryIds(newHistoryId, state.history_id) > 0) {
+      await this.stateStore.saveGmailSyncState(emailAddress, newHistoryId);
+    }
+
+    return {
+      success: true,
+      processed: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length,
+      historyId: newHistoryId,
+      results
+    };
+  }
+
+  /**
+   * Page through users.history.list collecting added message IDs
+   * @param {string} startHistoryId - History ID to start from
+   * @returns {Promise<{messages: Array<{id: string, historyId: string}>, latestHistoryId: string}>}
+   *   Messages in history order with the ID of the history record that added them,
+   *   and the mailbox historyId Gmail reported (startHistoryId when it reported none)
+   */
+  async listAddedMessages(startHistoryId) {
+    const gmail = this.getClient();
+    const messages = [];
+    let latestHistoryId = startHistoryId;
+    let pageToken;
+
+    do {
+      const { data } = await gmail.users.history.list({
+        userId: this.userId,
+        startHistoryId,
+        historyTypes: ['messageAdded'],
+        labelId: this.labelId,
+        pageToken
+      });
+
+      for (const record of data.history || []) {
+        for (const added of record.messagesAdded || []) {
+          const message = added.message || {};
+          const labels = message.labelIds || [];
+          if (labels.some(label => SKIPPED_LABELS.includes(label))) continue;
+          if (message.id && !messages.some(m => m.id === message.id)) {
+            messages.push({ id: message.id, historyId: String(record.id) });
+          }
+        }
+      }
+
+      if (data.historyId) {
+        latestHistoryId = String(data.historyId);
+      }
+      pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    return { messages, latestHistoryId };
+  }
+
+  /**
+   * Fetch a single message and hand it to the ingestion service
+   * @param {string} messageId - Gmail message ID
+   * @returns {Promise<Object>} Ingestion result
+   */
+  async ingestMessage(messageId) {
+    try {
+      const { data: message } = await this.getClient().users.messages.get({
+        userId: this.userId,
+        id: messageId,
+        format: 'full'
+      });
+
+      const payload = parseGmailMessage(message);
+      console.log(`📧 Gmail message ${messageId} from ${payload.from_email}: ${payload.subject}`);
+
+      await this.fetchAttachmentContent(messageId, payload.attachmentInfo);
+
+      const result = await this.ingestionService.processIncomingEmail(payload);
+
+      // Invalid messages fail the same way on every retry - record them and move past
+      if (!result.success && result.details) {
+        console.warn(`⚠️  Gmail message ${messageId} rejected, skipping: ${result.details.join('; ')}`);
+        await auditLogger.log(ACTION_TYPES.GMAIL_MESSAGE_REJECTED, `Gmail message ${messageId} failed validation`, false, null, {
+          gmail_message_id: messageId,
+          from_email: payload.from_email,
+          errors: result.details
+        });
+        return { gmail_message_id: messageId, success: true, skipped: true, rejected: true, details: result.details };
+      }
+
+      return { gmail_message_id: messageId, ...result };
+
+    } catch (error) {
+      // Message deleted between notification and fetch
+      if (error.code === 404 || error.response?.status === 404) {
+        console.warn(`⚠️  Gmail message ${messageId} no longer exists, skipping`);
+        return { gmail_message_id: messageId, success: true, skipped: true };
+      }
+
+      console.error(`❌ Failed to ingest Gmail message ${messageId}:`, error.message);
+      await auditLogger.logSystemError(error, {
+        component: 'GmailSyncService',
+        operation: 'ingestMessage'
+      });
+      return { gmail_message_id: messageId, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Download attachment bodies so their text can be extracted at ingestion
+   * Oversized files and failed downloads keep metadata only
+   * @param {string} messageId - Gmail message ID
+   * @param {Array<Object>} attachments - attachmentInfo from parseGmailMessage (mutated)
+   */
+  async fetchAttachmentContent(messageId, attachments) {
+    if (!config.attachments.extractionEnabled) return;
+
+    for (const attachment of attachments) {
+      if (attachment.content || !attachment.attachmentId || attachment.size > config.attachments.maxBytes) continue;
+
+      try {
+        const { data } = await this.getClient().users.messages.attachments.get({
+          userId: this.userId,
+          messageId,
+          id: attachment.attachmentId
+        });
+        attachment.content = data.data;
+      } catch (error) {
+        console.warn(`⚠️  Could not download attachment ${attachment.name} of ${messageId}: ${error.message}`);
+      }
+    }
+  }
+}
+
+export { GmailSyncService };
+
+// Export singleton instance
+const gmailSyncService = new GmailSyncService();
+export default gmailSyncService;
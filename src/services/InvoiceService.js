@@ -0,0 +1,301 @@
+import { config } from '../config/index.js';
+import databaseService from './DatabaseService.js';
+import auditLogger, { ACTION_TYPES } from './AuditLogger.js';
+import CsvInvoiceExporter from './invoiceExporters/CsvInvoiceExporter.js';
+import QuickBooksIIFExporter from './invoiceExporters/QuickBooksIIFExporter.js';
+import WebhookInvoiceExporter from './invoiceExporters/WebhookInvoiceExporter.js';
+import { HttpError } from '../utils/httpError.js';
+
+/**
+ * Where an invoice stands on its way to accounts payable (invoices.status)
+ */
+export const INVOICE_STATUS = {
+  READY: 'ready',
+  NEEDS_REVIEW: 'needs_review',
+  DUPLICATE: 'duplicate',
+  EXPORTED: 'exported'
+};
+
+export const EXPORT_FORMATS = ['csv', 'iif', 'webhook'];
+
+const VENDOR_SUFFIXES = new Set(['inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'co', 'corp', 'corporation', 'company', 'the']);
+
+/**
+ * Vendor name as a comparison key ("The Acme Supply Co., Inc." -> "acme supply")
+ * @param {string} name - Vendor name
+ * @returns {string|null} Key
+ */
+export function vendorKey(name) {
+  if (!name) return null;
+  const words = name.toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !VENDOR_SUFFIXES.has(word));
+  return words.length > 0 ? words.join(' ') : null;
+}
+
+/**
+ * Invoice number as a comparison key ("INV-0042", "Invoice #42" and "42" all -> "42")
+ * @param {string} number - Invoice number
+ * @returns {string|null} Key
+ */
+export function invoiceNumberKey(number) {
+  if (!number) return null;
+  const key = number.toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .replace(/^(?:INVOICE|INV|NO)(?=\d)/, '')
+    .replace(/^0+(?=.)/, '');
+  return key || null;
+}
+
+/**
+ * Create the exporter for a format
+ * @param {string} format - csv, iif or webhook
+ * @param {Object} options - config.invoices
+ * @param {Object} deps - fetch (webhook)
+ * @returns {Object} Exporter with export(invoices, { now })
+ */
+export function createInvoiceExporter(format, options = config.invoices, { fetch = globalThis.fetch } = {}) {
+  switch (format) {
+    case 'csv':
+      return new CsvInvoiceExporter();
+    case 'iif':
+      return new QuickBooksIIFExporter(options.quickbooks);
+    case 'webhook':
+      if (!options.webhook.url) {
+        throw new HttpError('AP webhook export is not configured (set AP_WEBHOOK_URL)', 503);
+      }
+      return new WebhookInvoiceExporter({ ...options.webhook, fetch });
+    default:
+      throw new HttpError(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Invoice Service
+ * Records invoices extracted from Invoice/Billing emails, flags duplicates
+ * and arithmetic problems for finance, and exports clean invoices to AP
+ */
+class InvoiceService {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.db - Provides the invoices methods
+   * @param {Object} deps.options - Invoice options (defaults to config.invoices)
+   * @param {Function} deps.fetch - fetch implementation for the AP webhook
+   * @param {Function} deps.now - Clock returning epoch milliseconds
+   */
+  constructor({ db = databaseService, options = config.invoices, fetch = globalThis.fetch, now = () => Date.now() } = {}) {
+    this.db = db;
+    this.options = options;
+    this.fetch = fetch;
+    this.now = now;
+  }
+
+  /**
+   * Record the invoice extracted from an email and check it against earlier invoices
+   * @param {Object} email - Email record
+   * @param {Object} invoice - Normalized invoice (extracted_data.invoice)
+   * @returns {Promise<Object>} { invoice, duplicate_of } - the stored row and the matching earlier invoice, if any
+   */
+  async recordInvoice(email, invoice) {
+    const row = {
+      email_id: email.id,
+      vendor_name: invoice.vendor?.name || null,
+      vendor_email: invoice.vendor?.email || email.from_email || null,
+      // Without a vendor name the sender address still groups a vendor's invoices
+      vendor_key: vendorKey(invoice.vendor?.name) || (invoice.vendor?.email || email.from_email || '').toLowerCase(),
+      invoice_number: invoice.invoice_number,
+      invoice_number_key: invoiceNumberKey(invoice.invoice_number),
+      po_number: invoice.po_number,
+      project: invoice.project,
+      invoice_date: invoice.invoice_date,
+      due_date: invoice.due_date,
+      payment_terms: invoice.payment_terms,
+      currency: invoice.currency,
+      line_items: invoice.line_items,
+      subtotal: invoice.subtotal,
+      tax: invoice.tax,
+      retainage_percent: invoice.retainage?.percent ?? null,
+      retainage_amount: invoice.retainage?.amount ?? null,
+      total: invoice.total,
+      amount_due: invoice.amount_due ?? (invoice.total !== null ? Math.round((invoice.total - (invoice.retainage?.amount || 0)) * 100) / 100 : null)
+    };
+
+    const issues = [...invoice.validation.issues];
+    // Compare against originals only; earlier copies already point at them
+    const candidates = (await this.db.findInvoiceDuplicates({
+      vendor_key: row.vendor_key,
+      invoice_number_key: row.invoice_number_key,
+      total: row.total,
+      email_id: email.id
+    })).filter(candidate => candidate.status !== INVOICE_STATUS.DUPLICATE);
+
+    // Same vendor and number is a resend; same vendor, total and date under another number may be one
+    const duplicate = row.invoice_number_key
+      ? candidates.find(candidate => candidate.invoice_number_key === row.invoice_number_key)
+      : null;
+    if (!duplicate) {
+      candidates
+        .filter(candidate => row.total !== null && Number(candidate.total) === row.total &&
+          (!row.invoice_number_key || !candidate.invoice_number_key || candidate.invoice_date === row.invoice_date))
+        .forEach(candidate => issues.push({
+          code: 'possible_duplicate',
+          message: `Same vendor and total as invoice ${candidate.invoice_number || candidate.id} received ${candidate.created_at.split('T')[0]}`
+        }));
+    }
+
+    const status = duplicate ? INVOICE_STATUS.DUPLICATE
+      : issues.length > 0 ? INVOICE_STATUS.NEEDS_REVIEW
+        : INVOICE_STATUS.READY;
+
+    const stored = await this.db.upsertInvoice({
+      ...row,
+      validation_issues: issues,
+      status,
+      duplicate_of: duplicate ? duplicate.id : null
+    });
+
+    if (duplicate) {
+      await auditLogger.log(ACTION_TYPES.INVOICE_DUPLICATE_DETECTED,
+        `Invoice ${row.invoice_number} from ${row.vendor_name || row.vendor_email} was already received`, true, email.id, {
+          invoice_id: stored.id,
+          duplicate_of: duplicate.id,
+          duplicate_email_id: duplicate.email_id
+        });
+    }
+
+    return { invoice: stored, duplicate_of: duplicate || null };
+  }
+
+  /**
+   * Get an invoice
+   * @param {string} invoice_id - Invoice ID
+   * @returns {Promise<Object>} Invoice record
+   * @throws {HttpError} 404 if not found
+   */
+  async getInvoice(invoice_id) {
+    const invoice = await this.db.getInvoiceById(invoice_id);
+    if (!invoice) {
+      throw new HttpError('Invoice not found', 404);
+    }
+    return invoice;
+  }
+
+  /**
+   * List invoices
+   * @param {Object} filters - status, limit
+   * @returns {Promise<Array>} Invoice records
+   */
+  async listInvoices({ status, limit } = {}) {
+    if (status && !Object.values(INVOICE_STATUS).includes(status)) {
+      throw new HttpError(`status must be one of ${Object.values(INVOICE_STATUS).join(', ')}`);
+    }
+    return this.db.listInvoices({ status, limit });
+  }
+
+  /**
+   * Clear an invoice for export after finance has checked it
+   * (validation issues reviewed, or a suspected duplicate confirmed as new)
+   * @param {string} invoice_id - Invoice ID
+   * @param {string} reviewer - Acting reviewer
+   * @returns {Promise<Object>} Updated invoice
+   * @throws {HttpError} 404 if not found, 409 if already ready or exported, 422 without a total
+   */
+  async approveInvoice(invoice_id, reviewer) {
+    const invoice = await this.getInvoice(invoice_id);
+
+    if (![INVOICE_STATUS.NEEDS_REVIEW, INVOICE_STATUS.DUPLICATE].includes(invoice.status)) {
+      throw new HttpError(`Invoice is ${invoice.status}, only needs_review or duplicate invoices can be approved`, 409);
+    }
+    if (invoice.total === null) {
+      throw new HttpError('Invoice has no total and cannot be exported', 422);
+    }
+
+    const updated = await this.db.updateInvoice(invoice_id, {
+      status: INVOICE_STATUS.READY,
+      approved_by: reviewer,
+      approved_at: new Date(this.now()).toISOString()
+    });
+
+    await auditLogger.logReviewAction(invoice.email_id, ACTION_TYPES.INVOICE_APPROVED, reviewer,
+      `Invoice ${invoice.invoice_number || invoice.id} approved for export by ${reviewer}`, {
+        invoice_id,
+        previous_status: invoice.status,
+        validation_issues: invoice.validation_issues
+      });
+
+    return updated;
+  }
+
+  /**
+   * Export invoices to accounts payable and mark them exported
+   * Without invoice_ids every ready invoice is exported; listed invoices may be re-exported
+   * @param {Object} request - format (csv, iif, webhook), invoice_ids
+   * @param {string} reviewer - Acting reviewer (or 'system' for automatic exports)
+   * @returns {Promise<Object>} { format, invoice_ids, output } - output is { contentType, filename, body } or { delivered, status_code }
+   * @throws {HttpError} 400 for a bad request, 404 when nothing is exportable, 409 for unapproved invoices, 502 when the webhook fails
+   */
+  async exportInvoices({ format, invoice_ids } = {}, reviewer) {
+    const exporter = createInvoiceExporter(format, this.options, { fetch: this.fetch });
+
+    let invoices;
+    if (invoice_ids !== undefined) {
+      if (!Array.isArray(invoice_ids) || invoice_ids.length === 0) {
+        throw new HttpError('invoice_ids must be a non-empty array');
+      }
+      invoices = await this.db.listInvoices({ ids: invoice_ids, limit: invoice_ids.length });
+      const missing = invoice_ids.filter(id => !invoices.some(invoice => invoice.id === id));
+      if (missing.length > 0) {
+        throw new HttpError(`Invoices not found: ${missing.join(', ')}`, 404);
+      }
+      const blocked = invoices.filter(invoice => ![INVOICE_STATUS.READY, INVOICE_STATUS.EXPORTED].includes(invoice.status));
+      if (blocked.length > 0) {
+        throw new HttpError(`Invoices must be approved before export: ${blocked.map(invoice => invoice.id).join(', ')}`, 409);
+      }
+    } else {
+      invoices = await this.db.listInvoices({ status: INVOICE_STATUS.READY, limit: 1000 });
+    }
+
+    if (invoices.length === 0) {
+      throw new HttpError('No invoices ready for export', 404);
+    }
+
+    const ids = invoices.map(invoice => invoice.id);
+    let output;
+    try {
+      output = await exporter.export(invoices, { now: new Date(this.now()) });
+    } catch (error) {
+      await auditLogger.log(ACTION_TYPES.INVOICE_EXPORT_FAILED, `AP ${format} export failed: ${error.message}`, false, null, {
+        format,
+        invoice_ids: ids,
+        reviewer
+      }, error.stack || error.message);
+      throw new HttpError(`AP export failed: ${error.message}`, 502);
+    }
+
+    await this.db.markInvoicesExported(ids, format);
+    await auditLogger.log(ACTION_TYPES.INVOICES_EXPORTED, `${ids.length} invoice(s) exported as ${format} by ${reviewer}`, true, null, {
+      format,
+      invoice_ids: ids,
+      reviewer
+    });
+
+    console.log(`🧾 Exported ${ids.length} invoice(s) as ${format}`);
+    return { format, invoice_ids: ids, output };
+  }
+
+  /**
+   * Whether recorded invoices are pushed to the AP webhook without review
+   * @returns {boolean}
+   */
+  isAutoExportEnabled() {
+    return Boolean(this.options.webhook.autoExport && this.options.webhook.url);
+  }
+}
+
+export { InvoiceService };
+
+// Export singleton instance
+const invoiceService = new InvoiceService();
+export default invoiceService;
@@ -0,0 +1,344 @@
+import { hostname } from 'os';
+import { config } from '../config/index.js';
+import auditLogger from './AuditLogger.js';
+import MemoryJobStore from './jobStores/MemoryJobStore.js';
+import PostgresJobStore from './jobStores/PostgresJobStore.js';
+
+/**
+ * Job types for the email processing pipeline
+ */
+export const JOB_TYPES = {
+  INGEST_EMAIL: 'ingest_email',
+  SYNC_GMAIL: 'sync_gmail', // Gmail Pub/Sub notification: fetch and ingest new messages
+  ANALYZE_EMAIL: 'analyze_email',
+  PROCESS_BOUNCE: 'process_bounce', // Delivery failure reports skip analysis
+  MAKE_DECISION: 'make_decision',
+  EXECUTE_WORKFLOW: 'execute_workflow',
+  CHECK_ESCALATION: 'check_escalation' // Delayed: re-escalate an unacknowledged page
+};
+
+/**
+ * Job statuses - completed and dead are terminal
+ */
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  DEAD: 'dead'
+};
+
+/**
+ * Thrown by handlers for failures that retrying cannot fix (e.g. invalid payload)
+ */
+export class NonRetryableJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NonRetryableJobError';
+  }
+}
+
+/**
+ * Create the job store selected by config
+ * @param {string} driver - postgres | memory
+ * @returns {Object} Job store
+ */
+export function createJobStore(driver = config.jobs.driver) {
+  if (driver === 'memory') {
+    return new MemoryJobStore();
+  }
+  return new PostgresJobStore();
+}
+
+/**
+ * Job Queue
+ * Persists pipeline work, leases it to a polling worker, retries failures
+ * with exponential backoff and dead-letters jobs that exhaust their attempts
+ */
+class JobQueue {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.store - Job store
+   * @param {Object} deps.options - Queue options (defaults to config.jobs)
+   * @param {Function} deps.now - Clock returning epoch milliseconds
+   */
+  constructor({ store = createJobStore(), options = config.jobs, now = () => Date.now() } = {}) {
+    this.store = store;
+    this.options = options;
+    this.now = now;
+    this.workerId = `${hostname()}:${process.pid}`;
+    this.handlers = new Map();
+    this.payloadCompactors = new Map();
+    this.deadLetterHandlers = [];
+
+    this.running = false;
+    this.timer = null;
+    this.currentTick = null;
+  }
+
+  /**
+   * Register the handler for a job type
+   * Handlers receive (payload, job); throwing marks the attempt as failed
+   * @param {string} type - Job type
+   * @param {Function} handler - Async handler
+   * @param {Object} options - compactPayload: payload -> payload kept once the job completes
+   *   (drops data only needed to run it, e.g. attachment content; dead jobs keep theirs for retries)
+   */
+  registerHandler(type, handler, { compactPayload = null } = {}) {
+    this.handlers.set(type, handler);
+    if (compactPayload) {
+      this.payloadCompactors.set(type, compactPayload);
+    } else {
+      this.payloadCompactors.delete(type);
+    }
+  }
+
+  /**
+   * Register a callback invoked when a job is dead-lettered
+   * @param {Function} handler - Async (job, error) callback
+   */
+  onDeadLetter(handler) {
+    this.deadLetterHandlers.push(handler);
+  }
+
+  /**
+   * Persist a new job
+   * @param {string} type - Job type
+   * @param {Object} payload - Job payload (must be JSON-serializable)
+   * @param {Object} options - email_id, maxAttempts, delayMs
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueue(type, payload = {}, { email_id = null, maxAttempts = this.options.maxAttempts, delayMs = 0 } = {}) {
+    const job = await this.store.insert({
+      type,
+      payload,
+      email_id,
+      max_attempts: maxAttempts,
+      run_at: new Date(this.now() + delayMs).toISOString()
+    });
+
+    console.log(`📥 Enqueued ${type} job ${job.id}${email_id ? ` for email ${email_id}` : ''}`);
+    this.kick();
+    return job;
+  }
+
+  /**
+   * Backoff before the next attempt
+   * @param {number} attempt - Attempt number that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  computeBackoff(attempt) {
+    const delay = Math.pow(2, attempt - 1) * this.options.backoffBaseMs;
+    return Math.min(delay, this.options.backoffMaxMs);
+  }
+
+  /**
+   * Claim and process one batch of due jobs
+   * @returns {Promise<number>} Number of jobs processed
+   */
+  async runOnce() {
+    const jobs = await this.store.claim(
+      this.workerId,
+      this.options.batchSize,
+      this.options.leaseMs,
+      this.now()
+    );
+
+    for (const job of jobs) {
+      await this.processJob(job);
+    }
+
+    return jobs.length;
+  }
+
+  /**
+   * Run a single leased job to completion, retry or dead letter
+   * @param {Object} job - Claimed job
+   * @returns {Promise<void>}
+   */
+  async processJob(job) {
+    const handler = this.handlers.get(job.type);
+
+    if (!handler) {
+      await this.deadLetter(job, new NonRetryableJobError(`No handler registered for job type ${job.type}`));
+      return;
+    }
+
+    // Reclaimed after a crash on its final attempt
+    if (job.attempts > job.max_attempts) {
+      await this.deadLetter(job, new Error(`Lease expired after ${job.max_attempts} attempt(s)`));
+      return;
+    }
+
+    try {
+      console.log(`⚙️  Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+      await handler(job.payload, job);
+
+      const compactPayload = this.payloadCompactors.get(job.type);
+      await this.store.update(job.id, {
+        ...(compactPayload ? { payload: compactPayload(job.payload) } : {}),
+        status: JOB_STATUS.COMPLETED,
+        locked_by: null,
+        locked_until: null,
+        last_error: null,
+        completed_at: new Date(this.now()).toISOString()
+      });
+      console.log(`✅ Job ${job.id} completed`);
+
+    } catch (error) {
+      if (error instanceof NonRetryableJobError || job.attempts >= job.max_attempts) {
+        await this.deadLetter(job, error);
+        return;
+      }
+
+      const delay = this.computeBackoff(job.attempts);
+      console.warn(`⚠️  Job ${job.id} failed (attempt ${job.attempts}): ${error.message} - retrying in ${delay}ms`);
+
+      await this.store.update(job.id, {
+        status: JOB_STATUS.PENDING,
+        locked_by: null,
+        locked_until: null,
+        last_error: error.message,
+        run_at: new Date(this.now() + delay).toISOString()
+      });
+    }
+  }
+
+  /**
+   * Move a job to the dead-letter state and notify listeners
+   * @param {Object} job - Job
+   * @param {Error} error - Final error
+   * @returns {Promise<void>}
+   */
+  async deadLetter(job, error) {
+    console.error(`💀 Job ${job.id} (${job.type}) dead-lettered: ${error.message}`);
+
+    await this.store.update(job.id, {
+      status: JOB_STATUS.DEAD,
+      locked_by: null,
+      locked_until: null,
+      last_error: error.message,
+      completed_at: new Date(this.now()).toISOString()
+    });
+
+    await auditLogger.logJobDeadLettered(job, error);
+
+    for (const handler of this.deadLetterHandlers) {
+      try {
+        await handler(job, error);
+      } catch (hookError) {
+        console.error(`❌ Dead-letter handler failed for job ${job.id}:`, hookError.message);
+      }
+    }
+  }
+
+  /**
+   * Requeue a dead job for another round of attempts
+   * @param {string} job_id - Job ID
+   * @returns {Promise<Object>} Updated job
+   */
+  async retryDeadJob(job_id) {
+    const job = await this.store.get(job_id);
+    if (!job) {
+      throw new Error(`Job not found: ${job_id}`);
+    }
+    if (job.status !== JOB_STATUS.DEAD) {
+      throw new Error(`Only dead jobs can be retried (job is ${job.status})`);
+    }
+
+    await this.store.update(job_id, {
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      run_at: new Date(this.now()).toISOString(),
+      completed_at: null
+    });
+    this.kick();
+
+    return this.store.get(job_id);
+  }
+
+  /**
+   * Process due jobs until none are left or the time limit is reached
+   * Used by the cron endpoint when no long-running worker exists (Vercel)
+   * @param {Object} options - timeLimitMs
+   * @returns {Promise<number>} Number of jobs processed
+   */
+  async drain({ timeLimitMs = this.options.drainTimeLimitMs } = {}) {
+    const deadline = Date.now() + timeLimitMs;
+    let processed = 0;
+
+    while (Date.now() < deadline) {
+      const count = await this.runOnce();
+      if (count === 0) break;
+      processed += count;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Start the polling worker loop
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log(`👷 Job worker ${this.workerId} started (poll every ${this.options.pollIntervalMs}ms)`);
+    this.schedule(0);
+  }
+
+  /**
+   * Stop the worker loop, waiting for the current batch to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.currentTick) {
+      await this.currentTick;
+    }
+    console.log(`👷 Job worker ${this.workerId} stopped`);
+  }
+
+  /**
+   * Wake the worker immediately (e.g. right after enqueueing)
+   */
+  kick() {
+    if (this.running && !this.currentTick) {
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * @private
+   */
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  /**
+   * @private
+   */
+  async tick() {
+    if (!this.running) return;
+
+    let processed = 0;
+    this.currentTick = this.runOnce()
+      .then(count => { processed = count; })
+      .catch(error => console.error('❌ Job worker poll failed:', error.message));
+
+    await this.currentTick;
+    this.currentTick = null;
+
+    if (this.running) {
+      // Keep going straight away while there is a backlog
+      this.schedule(processed > 0 ? 0 : this.options.pollIntervalMs);
+    }
+  }
+}
+
+export { JobQueue };
+
+// Export singleton instance
+const jobQueue = new JobQueue();
+export default jobQueue;
@@ -0,0 +1,106 @@
+import { config } from '../config/index.js';
+import OpenAICompatibleProvider from './llmProviders/OpenAICompatibleProvider.js';
+import MockLLMProvider from './llmProviders/MockLLMProvider.js';
+
+/**
+ * Tasks the LLM is used for; each can run on its own model
+ */
+export const LLM_TASKS = {
+  CLASSIFICATION: 'classification',
+  EXTRACTION: 'extraction',
+  REPLY: 'reply'
+};
+
+/**
+ * Supported providers with their defaults
+ * Azure has no default model: models are deployment names
+ */
+export const LLM_PROVIDERS = {
+  groq: { baseURL: 'https://api.groq.com/openai/v1', model: 'llama-3.1-8b-instant', requiresKey: true },
+  openai: { baseURL: 'https://api.openai.com/v1', model: 'gpt-4o-mini', requiresKey: true },
+  azure: { baseURL: null, model: null, requiresKey: true },
+  ollama: { baseURL: 'http://localhost:11434/v1', model: 'llama3.1', requiresKey: false },
+  mock: { baseURL: null, model: 'mock', requiresKey: false }
+};
+
+/**
+ * Create the provider selected by config
+ * @param {Object} llmConfig - config.llm
+ * @returns {Object} Provider with complete({ task, model, messages, temperature, maxTokens })
+ */
+export function createLLMProvider(llmConfig = config.llm) {
+  const defaults = LLM_PROVIDERS[llmConfig.provider];
+  if (!defaults) {
+    throw new Error(`Unknown LLM provider: ${llmConfig.provider} (use ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+  }
+
+  if (llmConfig.provider === 'mock') {
+    return new MockLLMProvider();
+  }
+
+  return new OpenAICompatibleProvider({
+    name: llmConfig.provider,
+    apiKey: llmConfig.apiKey || 'not-needed',
+    baseURL: llmConfig.baseUrl || defaults.baseURL,
+    timeoutMs: llmConfig.timeoutMs,
+    azure: llmConfig.provider === 'azure' ? llmConfig.azure : null,
+    jsonMode: llmConfig.jsonMode !== false
+  });
+}
+
+/**
+ * LLM Service
+ * Routes completions to the configured provider and picks the model per task
+ */
+class LLMService {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.provider - Provider instance
+   * @param {Object} deps.options - LLM options (defaults to config.llm)
+   */
+  constructor({ provider, options = config.llm } = {}) {
+    this.options = options;
+    this.provider = provider || createLLMProvider(options);
+  }
+
+  /**
+   * Model used for a task (config override, else the provider default)
+   * @param {string} task - One of LLM_TASKS
+   * @returns {string} Model name
+   */
+  getModel(task) {
+    const model = this.options.models?.[task] || LLM_PROVIDERS[this.options.provider]?.model;
+    if (!model) {
+      throw new Error(`No model configured for LLM task "${task}" (set LLM_${task.toUpperCase()}_MODEL)`);
+    }
+    return model;
+  }
+
+  /**
+   * Run a chat completion for a task
+   * @param {string} task - One of LLM_TASKS
+   * @param {Object} request - messages, temperature, maxTokens, responseFormat ('json')
+   * @returns {Promise<Object>} { text, model, provider, finish_reason, duration_ms, usage }
+   */
+  async complete(task, { messages, temperature = 0.3, maxTokens = 300, responseFormat }) {
+    const model = this.getModel(task);
+    const startTime = Date.now();
+
+    const result = await this.provider.complete({ task, model, messages, temperature, maxTokens, responseFormat });
+
+    return {
+      text: result.text,
+      model: result.model || model,
+      provider: this.provider.name,
+      finish_reason: result.finishReason || null,
+      duration_ms: Date.now() - startTime,
+      usage: result.usage
+    };
+  }
+}
+
+export { LLMService };
+
+// Export singleton instance
+const llmService = new LLMService();
+export default llmService;
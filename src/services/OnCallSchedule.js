@@ -0,0 +1,167 @@
+import fs from 'fs';
+import { config } from '../config/index.js';
+import { zonedDateTimeToIso } from '../utils/normalize.js';
+
+const DEFAULT_SCHEDULE_PATH = new URL('../config/onCallSchedule.json', import.meta.url);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate an on-call schedule document
+ * @param {Object} schedule - { timezone, contacts, sites: [{ id, name, match, rotation, backup }], default }
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateOnCallSchedule(schedule) {
+  if (!schedule || typeof schedule.contacts !== 'object' || !schedule.default) {
+    return ['Schedule must have contacts and a default rotation'];
+  }
+
+  const errors = [];
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+  } catch (error) {
+    errors.push(`timezone "${schedule.timezone}" is not a valid IANA timezone`);
+  }
+
+  Object.entries(schedule.contacts).forEach(([id, contact]) => {
+    if (!contact?.name) errors.push(`contacts.${id}: name is required`);
+    if (!contact?.email && !contact?.phone) errors.push(`contacts.${id}: email or phone is required`);
+  });
+
+  const checkMembers = (label, members) => (members || []).forEach(member => {
+    if (!schedule.contacts[member]) errors.push(`${label}: unknown contact "${member}"`);
+  });
+
+  const ids = new Set();
+  [...(schedule.sites || []), { ...schedule.default, id: 'default', match: ['*'] }].forEach((site, index) => {
+    const label = site.id === 'default' ? 'default' : `sites[${index}]${site.id ? ` (${site.id})` : ''}`;
+    if (!site.id || ids.has(site.id)) errors.push(`${label}: id is missing or duplicated`);
+    if (!Array.isArray(site.match) || site.match.length === 0) errors.push(`${label}: match needs at least one keyword`);
+
+    const rotation = site.rotation;
+    if (!rotation || !Array.isArray(rotation.members) || rotation.members.length === 0) {
+      errors.push(`${label}: rotation needs at least one member`);
+    } else {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(rotation.start || '')) errors.push(`${label}: rotation.start must be YYYY-MM-DD`);
+      if (rotation.handoff !== undefined && !/^\d{2}:\d{2}$/.test(rotation.handoff)) errors.push(`${label}: rotation.handoff must be HH:MM`);
+      if (rotation.shiftDays !== undefined && !(rotation.shiftDays > 0)) errors.push(`${label}: rotation.shiftDays must be positive`);
+      checkMembers(`${label}.rotation`, rotation.members);
+      (rotation.overrides || []).forEach((override, overrideIndex) => {
+        if (!override.member || Number.isNaN(Date.parse(override.start)) || Number.isNaN(Date.parse(override.end))) {
+          errors.push(`${label}.rotation.overrides[${overrideIndex}]: member, start and end are required`);
+        }
+        checkMembers(`${label}.rotation.overrides[${overrideIndex}]`, [override.member]);
+      });
+    }
+    checkMembers(`${label}.backup`, site.backup);
+    ids.add(site.id);
+  });
+
+  return errors;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @private
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * On-Call Schedule
+ * Who gets paged for an urgent site issue, per project/site: the current
+ * member of the site's rotation first, then the rest of the rotation, then backups.
+ * Loaded from src/config/onCallSchedule.json or ONCALL_SCHEDULE_PATH.
+ */
+class OnCallSchedule {
+  /**
+   * @param {Object} schedule - Schedule document (defaults to the configured file)
+   */
+  constructor(schedule) {
+    this.load(schedule || this.readFile(config.escalation.schedulePath || DEFAULT_SCHEDULE_PATH));
+  }
+
+  /**
+   * Replace the active schedule
+   * @param {Object} schedule - Schedule document
+   * @throws {Error} If the schedule is invalid
+   */
+  load(schedule) {
+    const errors = validateOnCallSchedule(schedule);
+    if (errors.length > 0) {
+      throw new Error(`Invalid on-call schedule: ${errors.join('; ')}`);
+    }
+    this.schedule = schedule;
+  }
+
+  /**
+   * @private
+   */
+  readFile(path) {
+    try {
+      return JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read on-call schedule from ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the site an email is about by its match keywords (case-insensitive)
+   * @param {string} text - Subject, body and extracted location/project
+   * @returns {Object} Site definition (the default rotation when nothing matches)
+   */
+  findSite(text = '') {
+    const haystack = text.toLowerCase();
+    const site = (this.schedule.sites || []).find(candidate =>
+      candidate.match.some(keyword => haystack.includes(keyword.toLowerCase())));
+    return site || { ...this.schedule.default, id: 'default' };
+  }
+
+  /**
+   * Member of a rotation on shift at a point in time
+   * Shifts hand off at rotation.handoff (schedule timezone) every shiftDays days from rotation.start
+   * @param {Object} rotation - Rotation definition
+   * @param {number} at - Epoch milliseconds
+   * @returns {string} Contact ID
+   */
+  getOnShift(rotation, at) {
+    const override = (rotation.overrides || []).find(candidate =>
+      Date.parse(candidate.start) <= at && at < Date.parse(candidate.end));
+    if (override) return override.member;
+
+    const shiftDays = rotation.shiftDays || 7;
+    const handoffAt = shift => Date.parse(zonedDateTimeToIso(addDays(rotation.start, shift * shiftDays), rotation.handoff || '00:00', this.schedule.timezone));
+
+    // Estimate from elapsed time, then correct for DST shifts around the handoff
+    let shift = Math.floor((at - handoffAt(0)) / (shiftDays * DAY_MS));
+    if (handoffAt(shift + 1) <= at) shift++;
+    if (handoffAt(shift) > at) shift--;
+
+    const members = rotation.members;
+    return members[((shift % members.length) + members.length) % members.length];
+  }
+
+  /**
+   * Escalation chain for a site: on-shift member, the rest of the rotation in order, then backups
+   * @param {Object} site - Site definition
+   * @param {number} at - Epoch milliseconds
+   * @returns {Array<Object>} Contacts ({ id, name, email, phone }) without repeats
+   */
+  getChain(site, at = Date.now()) {
+    const members = site.rotation.members;
+    const onShift = this.getOnShift(site.rotation, at);
+    const start = Math.max(members.indexOf(onShift), 0);
+    const rotationOrder = [...members.slice(start), ...members.slice(0, start)];
+
+    return [...new Set([onShift, ...rotationOrder, ...(site.backup || [])])]
+      .map(id => ({ id, ...this.schedule.contacts[id] }));
+  }
+}
+
+export { OnCallSchedule };
+
+// Export singleton instance
+const onCallSchedule = new OnCallSchedule();
+export default onCallSchedule;
@@ -0,0 +1,452 @@
+import fs from 'fs';
+import { config } from '../config/index.js';
+import llmService, { LLM_TASKS } from './LLMService.js';
+import taxonomyRegistry from './TaxonomyRegistry.js';
+import { parseTemplate, renderTemplate, templatePaths } from '../utils/templateEngine.js';
+
+const DEFAULT_TEMPLATES_PATH = new URL('../config/replyTemplates.json', import.meta.url);
+const DEFAULT_PROFILE_PATH = new URL('../config/companyProfile.json', import.meta.url);
+
+/**
+ * How much of a reply the LLM writes
+ */
+export const REPLY_GENERATION = {
+  TEMPLATE: 'template', // Template only, slots use their fallback text
+  SLOTS: 'slots', // LLM writes the template's slots, nothing else
+  FULL: 'full' // LLM writes the whole body; the template is the fallback
+};
+
+const ANY_TYPE = '*';
+const LANGUAGE_CODE = /^[a-z]{2}$/;
+const SLOT_PREFIX = 'slots.';
+
+/**
+ * Validate a reply template document
+ * @param {Object} document - { defaultLanguage, templates: [{ id, email_types, language, generation, subject, body, slots }] }
+ * @param {Array<string>} emailTypes - Known email types
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateReplyTemplates(document, emailTypes = taxonomyRegistry.getTypeNames()) {
+  if (!document || !Array.isArray(document.templates)) {
+    return ['Reply templates must have a templates array'];
+  }
+
+  const errors = [];
+  if (!LANGUAGE_CODE.test(document.defaultLanguage || '')) {
+    errors.push('defaultLanguage must be a two-letter language code');
+  }
+
+  const ids = new Set();
+  document.templates.forEach((template, index) => {
+    const label = `templates[${index}]${template?.id ? ` (${template.id})` : ''}`;
+    if (!template.id || ids.has(template.id)) errors.push(`${label}: id is missing or duplicated`);
+    ids.add(template.id);
+
+    if (!Array.isArray(template.email_types) || template.email_types.length === 0) {
+      errors.push(`${label}: email_types needs at least one type (or "${ANY_TYPE}")`);
+    } else {
+      const unknown = template.email_types.filter(type => type !== ANY_TYPE && !emailTypes.includes(type));
+      if (unknown.length > 0) errors.push(`${label}: unknown email type(s) ${unknown.join(', ')}`);
+    }
+    if (!LANGUAGE_CODE.test(template.language || '')) errors.push(`${label}: language must be a two-letter language code`);
+    if (template.generation !== undefined && !Object.values(REPLY_GENERATION).includes(template.generation)) {
+      errors.push(`${label}: generation must be one of ${Object.values(REPLY_GENERATION).join(', ')}`);
+    }
+
+    const paths = [];
+    ['subject', 'body'].forEach(key => {
+      if (typeof template[key] !== 'string' || !template[key].trim()) {
+        errors.push(`${label}: ${key} is required`);
+        return;
+      }
+      try {
+        parseTemplate(template[key]);
+        paths.push(...templatePaths(template[key]));
+      } catch (error) {
+        errors.push(`${label}: ${key}: ${error.message}`);
+      }
+    });
+
+    const slots = template.slots || {};
+    Object.entries(slots).forEach(([name, slot]) => {
+      if (typeof slot?.instruction !== 'string' || typeof slot?.fallback !== 'string') {
+        errors.push(`${label}: slot ${name} needs instruction and fallback text`);
+      }
+      if (slot?.maxWords !== undefined && !(Number.isInteger(slot.maxWords) && slot.maxWords > 0)) {
+        errors.push(`${label}: slot ${name} maxWords must be a positive integer`);
+      }
+    });
+    const used = paths.filter(path => path.startsWith(SLOT_PREFIX)).map(path => path.slice(SLOT_PREFIX.length));
+    used.filter(name => !Object.hasOwn(slots, name)).forEach(name => errors.push(`${label}: slot ${name} is used but not defined`));
+    Object.keys(slots).filter(name => !used.includes(name)).forEach(name => errors.push(`${label}: slot ${name} is defined but not used`));
+  });
+
+  const hasDefault = document.templates.some(template =>
+    template.language === document.defaultLanguage && template.email_types?.includes(ANY_TYPE));
+  if (!hasDefault) {
+    errors.push(`A "${ANY_TYPE}" template in the default language is required`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a company profile
+ * @param {Object} profile - { name, address, phone, email, website, signature }
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateCompanyProfile(profile) {
+  if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+    return ['Company profile must have a name'];
+  }
+
+  const errors = [];
+  const signatures = typeof profile.signature === 'string' ? { default: profile.signature } : profile.signature;
+  if (!signatures || typeof signatures !== 'object' || Object.keys(signatures).length === 0) {
+    errors.push('signature must be a template, or templates keyed by language');
+  } else {
+    Object.entries(signatures).forEach(([language, signature]) => {
+      try {
+        parseTemplate(String(signature));
+      } catch (error) {
+        errors.push(`signature (${language}): ${error.message}`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Display name from an address like jane.doe@example.com ("Jane Doe"), or null
+ * @private
+ */
+function nameFromAddress(address) {
+  const parts = (address || '').split('@')[0].split(/[._-]/).filter(Boolean);
+  if (parts.length < 2 || parts.some(part => /\d/.test(part))) return null;
+  return parts.map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase()).join(' ');
+}
+
+/**
+ * Date-only deadlines as a calendar date, timestamps in the configured zone,
+ * anything else (e.g. "end of next week") as written
+ * @private
+ */
+function formatDeadline(value, language, timeZone) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Intl.DateTimeFormat(language, { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(`${value}T00:00:00Z`));
+  }
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value))) {
+    return new Intl.DateTimeFormat(language, {
+      year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short', timeZone
+    }).format(new Date(value));
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function formatMoney(amount, currency, language) {
+  if (typeof amount !== 'number') return null;
+  return new Intl.NumberFormat(language, { style: 'currency', currency: currency || 'USD' }).format(amount);
+}
+
+/**
+ * @private
+ */
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * @private
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Reply Template Service
+ * Composes replies from per-type, per-language templates filled with the
+ * company profile and the email's extracted data. Depending on the
+ * generation mode the LLM writes nothing, only the template's slots, or
+ * the whole body; anything it fails to write falls back to template text.
+ * Loaded from src/config/replyTemplates.json and src/config/companyProfile.json,
+ * or REPLY_TEMPLATES_PATH and COMPANY_PROFILE_PATH.
+ */
+class ReplyTemplateService {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.templates - Reply template document (defaults to the configured file)
+   * @param {Object} deps.profile - Company profile (defaults to the configured file)
+   * @param {Object} deps.llm - Provides complete(task, options)
+   * @param {Object} deps.options - Reply options (defaults to config.replies)
+   * @param {string} deps.timeZone - Zone for deadline timestamps (defaults to config.app.timezone)
+   */
+  constructor({ templates, profile, llm = llmService, options = config.replies, timeZone = config.app.timezone } = {}) {
+    if (!Object.values(REPLY_GENERATION).includes(options.generation)) {
+      throw new Error(`Unsupported REPLY_GENERATION "${options.generation}" (use ${Object.values(REPLY_GENERATION).join(', ')})`);
+    }
+    this.llm = llm;
+    this.options = options;
+    this.timeZone = timeZone;
+    this.load(
+      templates || this.readFile(options.templatesPath || DEFAULT_TEMPLATES_PATH, 'reply templates'),
+      profile || this.readFile(options.companyProfilePath || DEFAULT_PROFILE_PATH, 'company profile')
+    );
+  }
+
+  /**
+   * Replace the active templates and company profile
+   * @param {Object} document - Reply template document
+   * @param {Object} profile - Company profile
+   * @throws {Error} If either is invalid
+   */
+  load(document, profile) {
+    const errors = [...validateReplyTemplates(document), ...validateCompanyProfile(profile)];
+    if (errors.length > 0) {
+      throw new Error(`Invalid reply templates: ${errors.join('; ')}`);
+    }
+    this.defaultLanguage = document.defaultLanguage;
+    this.templates = document.templates.map(template => ({
+      ...template,
+      slots: template.slots || {},
+      subjectNodes: parseTemplate(template.subject),
+      bodyNodes: parseTemplate(template.body)
+    }));
+    const { signature, ...company } = profile;
+    this.company = company;
+    this.signatures = typeof signature === 'string' ? { [this.defaultLanguage]: signature } : signature;
+  }
+
+  /**
+   * @private
+   */
+  readFile(path, label) {
+    try {
+      return JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read ${label} from ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Template for an email type and language, falling back to the default
+   * language and then to the "*" templates
+   * @param {string} email_type - Email classification
+   * @param {string} language - Detected language (e.g. "es" or "es-MX"), optional
+   * @returns {Object} Template
+   */
+  selectTemplate(email_type, language) {
+    const requested = (language || '').toLowerCase().slice(0, 2);
+    const languages = [...new Set([requested, this.defaultLanguage].filter(Boolean))];
+    const candidates = [email_type, ANY_TYPE].flatMap(type => languages.map(code => [type, code]));
+
+    for (const [type, code] of candidates) {
+      const template = this.templates.find(candidate => candidate.language === code && candidate.email_types.includes(type));
+      if (template) return template;
+    }
+    // validateReplyTemplates guarantees a "*" template in the default language
+    return null;
+  }
+
+  /**
+   * Values available to templates
+   * @param {Object} email - subject, from_email, email_type, extracted_data
+   * @param {string} language - Template language
+   * @returns {Object} { email, sender, company, signature, project, invoice, language }
+   */
+  buildContext({ subject, from_email, email_type, extracted_data }, language) {
+    const data = extracted_data || {};
+    const rfq = data.rfq || {};
+    const invoice = data.invoice || {};
+
+    return {
+      language,
+      email: { subject, from_email, type: email_type },
+      sender: {
+        name: rfq.contact?.name || nameFromAddress(from_email),
+        email: from_email
+      },
+      company: this.company,
+      signature: renderTemplate(this.signatures[language] || this.signatures[this.defaultLanguage] || Object.values(this.signatures)[0], {
+        company: this.company
+      }),
+      project: {
+        name: rfq.project_name || null,
+        type: data.project_type || null,
+        location: data.location || null,
+        deadline: formatDeadline(data.deadline, language, this.timeZone),
+        trades: rfq.trades || [],
+        estimated_value: formatMoney(data.estimated_value, 'USD', language)
+      },
+      invoice: {
+        number: invoice.invoice_number || null,
+        amount_due: formatMoney(invoice.amount_due, invoice.currency, language),
+        due_date: formatDeadline(invoice.due_date, language, this.timeZone)
+      }
+    };
+  }
+
+  /**
+   * Compose a reply to an email
+   * @param {Object} email - subject, body, from_email, email_type, extracted_data (with optional language)
+   * @returns {Promise<Object>} { subject, text, model, prompt, generated_by, template_id, language }
+   *   generated_by is 'template' (slots from the LLM or fallback text by design), 'ai' (LLM-written body)
+   *   or 'fallback' (the LLM failed and template fallbacks were used)
+   */
+  async compose(email) {
+    const template = this.selectTemplate(email.email_type, email.extracted_data?.language);
+    const context = this.buildContext(email, template.language);
+    const generation = template.generation || this.options.generation;
+    const fallbackSlots = Object.fromEntries(Object.entries(template.slots).map(([name, slot]) => [name, slot.fallback]));
+
+    const reply = {
+      subject: renderTemplate(template.subjectNodes, context),
+      template_id: template.id,
+      language: template.language
+    };
+    const fromTemplate = (slots, extra) => ({
+      ...reply,
+      text: renderTemplate(template.bodyNodes, { ...context, slots }),
+      model: null,
+      prompt: null,
+      ...extra
+    });
+
+    if (generation === REPLY_GENERATION.TEMPLATE || (generation === REPLY_GENERATION.SLOTS && Object.keys(template.slots).length === 0)) {
+      return fromTemplate(fallbackSlots, { generated_by: 'template' });
+    }
+
+    try {
+      console.log(`🤖 Generating ${generation} reply for ${email.email_type} email with template ${template.id}...`);
+      if (generation === REPLY_GENERATION.FULL) {
+        const { text, model, prompt } = await this.writeBody(template, context, email);
+        return { ...reply, text: `${text}\n\n${context.signature}`, model, prompt, generated_by: 'ai' };
+      }
+      const { slots, model, prompt } = await this.fillSlots(template, context, email);
+      return fromTemplate(slots, { model, prompt, generated_by: 'template' });
+    } catch (error) {
+      console.error(`❌ Reply generation failed for template ${template.id}:`, error.message);
+      return fromTemplate(fallbackSlots, { generated_by: 'fallback' });
+    }
+  }
+
+  /**
+   * Ask the LLM for the template's slots; slots it leaves empty or overlong keep their fallback
+   * @private
+   */
+  async fillSlots(template, context, email) {
+    const outline = renderTemplate(template.bodyNodes, {
+      ...context,
+      slots: Object.fromEntries(Object.keys(template.slots).map(name => [name, `[[${name}]]`]))
+    });
+    const slotText = Object.entries(template.slots)
+      .map(([name, slot]) => `- ${name}${slot.maxWords ? ` (at most ${slot.maxWords} words)` : ''}: ${slot.instruction}`)
+      .join('\n');
+
+    const prompt = `You are writing parts of an email reply for ${this.company.name}, a construction company.
+
+${this.describeEmail(context, email)}
+
+The reply is built from this template; each [[name]] marks a part you write:
+---
+${outline}
+---
+
+Write each part in ${languageName(template.language)}. Do not repeat the greeting, sign-off or signature, and do not invent prices, dates or commitments.
+${slotText}
+
+Respond ONLY with valid JSON in this exact format:
+{
+${Object.keys(template.slots).map(name => `  "${name}": "string"`).join(',\n')}
+}`;
+
+    const completion = await this.llm.complete(LLM_TASKS.REPLY, {
+      messages: [
+        { role: 'system', content: 'You are a professional customer service representative. Always respond with valid JSON only.' },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.7,
+      maxTokens: 400,
+      responseFormat: 'json'
+    });
+
+    const parsed = JSON.parse(completion.text || '');
+    if (!parsed || typeof parsed !== 'object') throw new Error(`Slot response from ${completion.provider} is not an object`);
+
+    const slots = Object.fromEntries(Object.entries(template.slots).map(([name, slot]) => {
+      const value = typeof parsed[name] === 'string' ? parsed[name].replace(/\s+/g, ' ').trim() : '';
+      const usable = value && (!slot.maxWords || countWords(value) <= slot.maxWords * 1.5);
+      if (!usable) console.warn(`⚠️ Slot ${name} of template ${template.id} unusable; using fallback text`);
+      return [name, usable ? value : slot.fallback];
+    }));
+
+    return { slots, model: completion.model, prompt };
+  }
+
+  /**
+   * Ask the LLM for the whole body (greeting to sign-off); the signature is appended
+   * @private
+   */
+  async writeBody(template, context, email) {
+    const prompt = `You are a professional customer service representative for ${this.company.name}, a construction company.
+
+COMPANY INFO:
+${[['Company', this.company.name], ['Address', this.company.address], ['Phone', this.company.phone], ['Email', this.company.email], ['Website', this.company.website]]
+    .filter(([, value]) => value).map(([label, value]) => `- ${label}: ${value}`).join('\n')}
+
+${this.describeEmail(context, email)}
+
+Generate a personalized email response in ${languageName(template.language)}. ${context.sender.name ? `Address the sender as "${context.sender.name}".` : 'Greet the sender without a name.'} Acknowledge their specific request and refer to the project details above where relevant. Keep professional but warm. Do not invent prices, dates or commitments. Maximum 150 words. Generate ONLY the email body text, ending with a sign-off but no signature.`;
+
+    const completion = await this.llm.complete(LLM_TASKS.REPLY, {
+      messages: [
+        { role: 'system', content: 'You are a professional customer service representative.' },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.7,
+      maxTokens: 300
+    });
+
+    const text = (completion.text || '').trim();
+    if (!text) throw new Error(`Empty response from ${completion.provider}`);
+    return { text, model: completion.model, prompt };
+  }
+
+  /**
+   * Incoming email and known project details, for prompts
+   * @private
+   */
+  describeEmail(context, email) {
+    const { project } = context;
+    const details = [
+      ['Project', project.name],
+      ['Project type', project.type],
+      ['Location', project.location],
+      ['Deadline', project.deadline],
+      ['Trades', project.trades.length > 0 ? project.trades.join(', ') : null],
+      ['Estimated value', project.estimated_value]
+    ].filter(([, value]) => value);
+
+    return `INCOMING EMAIL:
+- From: ${email.from_email}
+- Subject: ${email.subject}
+- Type: ${email.email_type}
+- Content: ${(email.body || '').substring(0, 1500)}${details.length > 0 ? `
+
+PROJECT DETAILS:
+${details.map(([label, value]) => `- ${label}: ${value}`).join('\n')}` : ''}`;
+  }
+}
+
+export { ReplyTemplateService };
+
+// Export singleton instance
+const replyTemplateService = new ReplyTemplateService();
+export default replyTemplateService;
@@ -0,0 +1,279 @@
+import databaseService from './DatabaseService.js';
+import auditLogger, { ACTION_TYPES } from './AuditLogger.js';
+import draftService from './DraftService.js';
+import jobQueue, { JOB_TYPES } from './JobQueue.js';
+import { HttpError } from '../utils/httpError.js';
+import taxonomyRegistry from './TaxonomyRegistry.js';
+import slaService from './SlaService.js';
+import authService from './AuthService.js';
+import { URGENCY_LEVELS } from '../schemas/classificationSchema.js';
+import { EMAIL_STATUS } from '../utils/emailStatus.js';
+
+/**
+ * Statuses that need a human (set by DecisionEngine.applyRules)
+ */
+export const REVIEW_STATUSES = ['Manual Review', 'Escalated', 'Pending Review', 'Finance Review'];
+
+/**
+ * Review Service
+ * Lets staff work emails the decision engine held back from automation
+ */
+class ReviewService {
+  /**
+   * List emails waiting for review with their analysis
+   * @param {Object} filters - status, assigned_to, unassigned, limit, offset
+   * @returns {Promise<Array>} Review items
+   */
+  async listQueue({ status, assigned_to, unassigned = false, limit = 50, offset = 0 } = {}) {
+    const statuses = status ? [status] : REVIEW_STATUSES;
+    const invalid = statuses.filter(s => !REVIEW_STATUSES.includes(s));
+    if (invalid.length > 0) {
+      throw new HttpError(`status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    const emails = await databaseService.listEmailsByStatus(statuses, {
+      assigned_to,
+      unassigned,
+      limit,
+      offset
+    });
+
+    return emails.map(email => this.toReviewItem(email));
+  }
+
+  /**
+   * Get a single email awaiting review
+   * @param {string} email_id - Email ID
+   * @returns {Promise<Object>} Email record
+   */
+  async getReviewEmail(email_id) {
+    let email;
+    try {
+      email = await databaseService.getEmailById(email_id);
+    } catch (error) {
+      throw new HttpError(`Email not found: ${email_id}`, 404);
+    }
+
+    if (!REVIEW_STATUSES.includes(email.status)) {
+      throw new HttpError(`Email is not awaiting review (status: ${email.status})`, 409);
+    }
+
+    return email;
+  }
+
+  /**
+   * Claim an email for the calling reviewer
+   * @param {string} email_id - Email ID
+   * @param {string} reviewer - Reviewer identifier
+   * @param {Object} options - force: take over another reviewer's claim
+   * @returns {Promise<Object>} Updated email
+   */
+  async claim(email_id, reviewer, { force = false } = {}) {
+    const email = await this.getReviewEmail(email_id);
+
+    const updated = await databaseService.assignEmail(email_id, reviewer, { force });
+    if (!updated) {
+      throw new HttpError(`Email already claimed by ${email.assigned_to}`, 409);
+    }
+
+    await auditLogger.logReviewAction(email_id, ACTION_TYPES.REVIEW_CLAIMED, reviewer,
+      `Review claimed by ${reviewer}${force && email.assigned_to && email.assigned_to !== reviewer ? ` (taken over from ${email.assigned_to})` : ''}`,
+      { previous_assignee: email.assigned_to || null });
+
+    return updated;
+  }
+
+  /**
+   * Release a claimed email back to the queue
+   * @param {string} email_id - Email ID
+   * @param {string} reviewer - Reviewer releasing it
+   * @returns {Promise<Object>} Updated email
+   */
+  async release(email_id, reviewer) {
+    const email = await this.getReviewEmail(email_id);
+
+    if (email.assigned_to && email.assigned_to !== reviewer) {
+      throw new HttpError(`Email is claimed by ${email.assigned_to}`, 409);
+    }
+
+    const updated = await databaseService.assignEmail(email_id, null, { force: true });
+
+    await auditLogger.logReviewAction(email_id, ACTION_TYPES.REVIEW_RELEASED, reviewer,
+      `Review released by ${reviewer}`);
+
+    return updated;
+  }
+
+  /**
+   * Close an email: no further action needed
+   * @param {string} email_id - Email ID
+   * @param {string} reviewer - Reviewer closing it
+   * @param {string} reason - Why (optional)
+   * @returns {Promise<Object>} { from, to, changed }
+   * @throws {HttpError} 404 if not found, 409 if already closed or the transition is not allowed
+   */
+  async close(email_id, reviewer, reason) {
+    let email;
+    try {
+      email = await databaseService.getEmailById(email_id);
+    } catch (error) {
+      throw new HttpError(`Email not found: ${email_id}`, 404);
+    }
+
+    if (email.status === EMAIL_STATUS.CLOSED) {
+      throw new HttpError('Email is already closed', 409);
+    }
+
+    const change = await databaseService.updateEmailStatus(email_id, EMAIL_STATUS.CLOSED, {
+      changed_by: reviewer,
+      source: 'review',
+      reason: reason || null
+    });
+    if (email.assigned_to) {
+      await databaseService.assignEmail(email_id, null, { force: true });
+    }
+
+    await auditLogger.logReviewAction(email_id, ACTION_TYPES.EMAIL_CLOSED, reviewer,
+      `Email closed by ${reviewer}${reason ? `: ${reason}` : ''}`,
+      { previous_status: email.status, reason: reason || null });
+
+    return change;
+  }
+
+  /**
+   * Assign an email to another reviewer
+   * @param {string} email_id - Email ID
+   * @param {string} assignee - Reviewer receiving the email
+   * @param {string} assignedBy - Reviewer making the assignment
+   * @returns {Promise<Object>} Updated email
+   */
+  async assign(email_id, assignee, assignedBy) {
+    if (!assignee) {
+      throw new HttpError('assignee is required');
+    }
+
+    const email = await this.getReviewEmail(email_id);
+    const updated = await databaseService.assignEmail(email_id, assignee, { force: true });
+
+    await auditLogger.logReviewAction(email_id, ACTION_TYPES.REVIEW_ASSIGNED, assignedBy,
+      `Review assigned to ${assignee} by ${assignedBy}`,
+      { assignee, previous_assignee: email.assigned_to || null });
+
+    return updated;
+  }
+
+  /**
+   * Override the AI classification
+   * @param {string} email_id - Email ID
+   * @param {Object} override - email_type, urgency, reason, reprocess
+   * @param {string} reviewer - Reviewer making the change
+   * @param {Object} options - principal: caller whose role must also cover the new type
+   * @returns {Promise<Object>} Updated analysis
+   * @throws {HttpError} 403 if the new type is outside the caller's scope
+   */
+  async overrideClassification(email_id, { email_type, urgency, reason, reprocess = false }, reviewer, { principal } = {}) {
+    if (!email_type || !taxonomyRegistry.hasType(email_type)) {
+      throw new HttpError(`email_type must be one of: ${taxonomyRegistry.getTypeNames().join(', ')}`);
+    }
+    // The route only checked the current type; a scoped role must not move emails out of its scope
+    if (principal && !authService.canAccessEmailType(principal, email_type)) {
+      throw new HttpError(`Role ${principal.role} cannot classify emails as ${email_type}`, 403);
+    }
+    if (urgency && !URGENCY_LEVELS.includes(urgency)) {
+      throw new HttpError(`urgency must be one of: ${URGENCY_LEVELS.join(', ')}`);
+    }
+
+    await this.getReviewEmail(email_id);
+    const analysis = await databaseService.getAnalysisByEmailId(email_id);
+
+    const updated = await databaseService.updateAnalysis(email_id, {
+      email_type,
+      urgency: urgency || analysis.urgency,
+      original_email_type: analysis.original_email_type || analysis.email_type,
+      overridden_by: reviewer,
+      overridden_at: new Date().toISOString(),
+      override_reason: reason || null
+    });
+
+    await auditLogger.logReviewAction(email_id, ACTION_TYPES.CLASSIFICATION_OVERRIDDEN, reviewer,
+      `Classification changed from ${analysis.email_type} to ${email_type} by ${reviewer}`,
+      { from_email_type: analysis.email_type, to_email_type: email_type, reason: reason || null, reprocess });
+
+    // Human-confirmed classification goes back through the decision rules
+    if (reprocess) {
+      await jobQueue.enqueue(JOB_TYPES.MAKE_DECISION, {
+        email_id,
+        email_type,
+        confidence_score: 1
+      }, { email_id });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Generate a suggested reply and store it as a pending draft
+   * @param {string} email_id - Email ID
+   * @param {string} reviewer - Reviewer requesting the draft
+   * @returns {Promise<Object>} Draft record
+   */
+  async draftReply(email_id, reviewer) {
+    const email = await this.getReviewEmail(email_id);
+    const analysis = await databaseService.getAnalysisByEmailId(email_id);
+
+    return draftService.createDraft(email, analysis, reviewer);
+  }
+
+  /**
+   * Send a reply approved (optionally edited) by a reviewer
+   * Sends the given draft, or a new draft from the supplied text, or a freshly generated one
+   * @param {string} email_id - Email ID
+   * @param {Object} reply - draft_id, subject and text
+   * @param {string} reviewer - Reviewer approving the reply
+   * @returns {Promise<Object>} Send result
+   */
+  async sendReply(email_id, { draft_id, subject, text } = {}, reviewer) {
+    const email = await this.getReviewEmail(email_id);
+
+    if (email.assigned_to && email.assigned_to !== reviewer) {
+      throw new HttpError(`Email is claimed by ${email.assigned_to}`, 409);
+    }
+
+    let draft;
+    if (draft_id) {
+      draft = await draftService.getDraft(draft_id);
+      if (draft.email_id !== email_id) {
+        throw new HttpError(`Draft ${draft_id} does not belong to email ${email_id}`);
+      }
+      if (subject || text) {
+        draft = await draftService.editDraft(draft_id, { subject, text }, reviewer);
+      }
+    } else if (text) {
+      draft = await draftService.createReviewerDraft(email, { subject, text }, reviewer);
+    } else {
+      draft = await this.draftReply(email_id, reviewer);
+    }
+
+    const { draft: sent, result } = await draftService.approveDraft(draft.id, reviewer);
+
+    await auditLogger.logReviewAction(email_id, ACTION_TYPES.REVIEW_REPLY_SENT, reviewer,
+      `Reply sent to ${email.from_email} by ${reviewer}`,
+      { draft_id: sent.id, edited: Boolean(sent.edited_by), message_id: result.messageId, subject: sent.subject });
+
+    return { ...result, subject: sent.subject, draft_id: sent.id, edited: Boolean(sent.edited_by) };
+  }
+
+  /**
+   * Flatten the embedded email_analysis relation and add the SLA position
+   * @private
+   */
+  toReviewItem(email) {
+    const { email_analysis: analysisRows, ...rest } = email;
+    const analysis = Array.isArray(analysisRows) ? analysisRows[0] || null : analysisRows || null;
+    return { ...rest, analysis, sla: slaService.evaluate(rest, analysis) };
+  }
+}
+
+// Export singleton instance
+const reviewService = new ReviewService();
+export default reviewService;
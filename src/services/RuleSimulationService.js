@@ -0,0 +1,193 @@
+import databaseService from './DatabaseService.js';
+import decisionEngine from './DecisionEngine.js';
+import { buildFacts, evaluateRules, validateRuleSet } from '../utils/ruleEngine.js';
+import { EMAIL_STATUS } from '../utils/emailStatus.js';
+
+/**
+ * Workflows written by people rather than the automated pipeline
+ */
+const HUMAN_WORKFLOW_TYPES = ['Manual Reply', 'Draft Approval'];
+
+/**
+ * Email statuses set before or after the decision (the decided status is not visible)
+ */
+const POST_DECISION_STATUSES = [
+  EMAIL_STATUS.RECEIVED,
+  EMAIL_STATUS.ANALYZING,
+  EMAIL_STATUS.AWAITING_APPROVAL,
+  EMAIL_STATUS.RESPONDED,
+  EMAIL_STATUS.CLOSED
+];
+
+/**
+ * Replay stored analyses through a rule set and diff against recorded outcomes
+ * Pure function: rows come from DatabaseService.listAnalysesForReplay
+ * @param {Array} rows - email_analysis rows with embedded emails and workflows
+ * @param {Object} ruleSet - Candidate rule set
+ * @param {Object} variables - Rule variables (confidenceThreshold, maxThreadDepth)
+ * @param {Object} options - include_unchanged: list every email, not just changes
+ * @returns {Object} { summary, emails }
+ */
+export function replayDecisions(rows, ruleSet, variables, { include_unchanged = false } = {}) {
+  const depths = threadDepths(rows);
+  const summary = {
+    total: 0,
+    status_changed: 0,
+    automation_changed: 0,
+    newly_automated: 0,
+    newly_blocked: 0,
+    status_not_comparable: 0,
+    automation_not_comparable: 0,
+    no_recorded_workflow: 0,
+    by_rule: {}
+  };
+  const emails = [];
+
+  rows.forEach(row => {
+    const email = row.emails || {};
+    const workflow = pipelineWorkflow(email.workflows);
+
+    const decision = evaluateRules(ruleSet, buildFacts({
+      email_type: row.email_type,
+      confidence_score: Number(row.confidence_score),
+      urgency: row.urgency,
+      from_email: email.from_email,
+      has_attachments: email.has_attachments,
+      attachment_info: email.attachment_info || [],
+      extracted_data: row.extracted_data || {},
+      thread_depth: depths.get(row.email_id) || 1
+    }), variables);
+
+    const recorded = {
+      status: email.status || null,
+      workflow_type: workflow ? workflow.workflow_type : null,
+      automation_used: workflow ? workflow.automation_used : null,
+      automation_allowed: workflow ? recordedAutomationAllowed(workflow) : null
+    };
+
+    const statusComparable = Boolean(recorded.status) && !POST_DECISION_STATUSES.includes(recorded.status);
+    const statusChanged = statusComparable && recorded.status !== decision.status;
+    // Candidate automation is compared with what the recorded decision allowed
+    const automationComparable = recorded.automation_allowed !== null;
+    const automationChanged = automationComparable && decision.automation_allowed !== recorded.automation_allowed;
+
+    summary.total++;
+    summary.by_rule[decision.rule_id] = (summary.by_rule[decision.rule_id] || 0) + 1;
+    if (!statusComparable) summary.status_not_comparable++;
+    if (!workflow) summary.no_recorded_workflow++;
+    else if (!automationComparable) summary.automation_not_comparable++;
+    if (statusChanged) summary.status_changed++;
+    if (automationChanged) {
+      summary.automation_changed++;
+      if (decision.automation_allowed) summary.newly_automated++;
+      else summary.newly_blocked++;
+    }
+
+    if (include_unchanged || statusChanged || automationChanged) {
+      emails.push({
+        email_id: row.email_id,
+        subject: email.subject,
+        email_type: row.email_type,
+        confidence_score: Number(row.confidence_score),
+        recorded,
+        simulated: decision,
+        status_changed: statusChanged,
+        automation_changed: automationChanged
+      });
+    }
+  });
+
+  return { summary, emails };
+}
+
+/**
+ * The workflow the automated pipeline recorded (first non-human one)
+ * @private
+ */
+function pipelineWorkflow(workflows = []) {
+  const automated = (workflows || [])
+    .filter(w => !HUMAN_WORKFLOW_TYPES.includes(w.workflow_type))
+    .sort((a, b) => Date.parse(a.executed_at) - Date.parse(b.executed_at));
+  return automated[0] || null;
+}
+
+/**
+ * Whether the recorded decision allowed automation
+ * Workflows written before automation_allowed was stored only say whether a reply
+ * was sent: true implies the decision allowed it, false could be either (draft mode)
+ * @private
+ */
+function recordedAutomationAllowed(workflow) {
+  if (typeof workflow.automation_allowed === 'boolean') return workflow.automation_allowed;
+  return workflow.automation_used ? true : null;
+}
+
+/**
+ * Position of each email in its thread, counted within the replayed rows only
+ * @private
+ */
+function threadDepths(rows) {
+  const byThread = new Map();
+  rows.forEach(row => {
+    const threadId = row.emails?.thread_id;
+    if (!threadId) return;
+    if (!byThread.has(threadId)) byThread.set(threadId, []);
+    byThread.get(threadId).push(row);
+  });
+
+  const depths = new Map();
+  byThread.forEach(threadRows => {
+    threadRows
+      .sort((a, b) => Date.parse(a.emails.received_at) - Date.parse(b.emails.received_at))
+      .forEach((row, index) => depths.set(row.email_id, index + 1));
+  });
+  return depths;
+}
+
+/**
+ * Rule Simulation Service
+ * Backtests a candidate rule set or threshold against historical emails
+ */
+class RuleSimulationService {
+  /**
+   * Run a simulation
+   * @param {Object} options
+   * @param {Object} options.rules - Candidate rule set (defaults to the active one)
+   * @param {Object} options.variables - Overrides, e.g. { confidenceThreshold: 0.8 }
+   * @param {string} options.since - ISO date (analyzed_at >=)
+   * @param {string} options.until - ISO date (analyzed_at <)
+   * @param {string} options.email_type - Only replay one email type
+   * @param {number} options.limit - Maximum emails to replay
+   * @param {boolean} options.include_unchanged - List unchanged emails too
+   * @returns {Promise<Object>} { valid, errors, summary, emails }
+   */
+  async simulate({ rules, variables = {}, since, until, email_type, limit = 500, include_unchanged = false } = {}) {
+    const ruleSet = rules ? decisionEngine.composeRuleSet(rules) : decisionEngine.ruleSet;
+    const mergedVariables = { ...decisionEngine.getVariables(), ...variables };
+
+    const errors = validateRuleSet(ruleSet, mergedVariables);
+    Object.entries(variables).forEach(([name, value]) => {
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        errors.push(`variables.${name} must be a number`);
+      }
+    });
+    if (errors.length > 0) {
+      return { valid: false, errors, summary: null, emails: [] };
+    }
+
+    const rows = await databaseService.listAnalysesForReplay({ since, until, email_type, limit });
+    const result = replayDecisions(rows, ruleSet, mergedVariables, { include_unchanged });
+
+    return {
+      valid: true,
+      errors: [],
+      variables: mergedVariables,
+      window: { since: since || null, until: until || null, email_type: email_type || null, limit },
+      ...result
+    };
+  }
+}
+
+// Export singleton instance
+const ruleSimulationService = new RuleSimulationService();
+export default ruleSimulationService;
@@ -0,0 +1,137 @@
+import { config } from '../config/index.js';
+import databaseService from './DatabaseService.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Why a reply was held back
+ */
+export const SEND_BLOCKS = {
+  AUTO_RESPONDER: 'auto_responder', // The inbound email is automated (out-of-office, list, bounce)
+  BOUNCED: 'bounced', // The address hard-bounced a previous reply
+  THREAD_COOLDOWN: 'thread_cooldown', // Already auto-replied to this sender in this thread
+  RECIPIENT_LIMIT: 'recipient_limit', // Too many auto-replies to this address
+  DOMAIN_LIMIT: 'domain_limit', // Too many auto-replies to this domain
+  GLOBAL_LIMIT: 'global_limit' // Too many emails sent this minute
+};
+
+// Webmail domains are shared by unrelated senders, so they only get per-address limits
+const SHARED_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com',
+  'yahoo.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com'
+];
+
+/**
+ * Recipient address and domain as stored on outbound_emails
+ * @param {string} address - Email address
+ * @returns {Object} { recipient, recipient_domain }
+ */
+export function recipientKey(address) {
+  const recipient = (address || '').trim().toLowerCase();
+  return { recipient, recipient_domain: recipient.split('@')[1] || null };
+}
+
+/**
+ * Send Limiter
+ * Caps outbound email per minute across all instances and throttles automatic
+ * replies per thread, address and domain, counting from outbound_emails.
+ * Checks are not atomic: concurrent sends can overshoot a cap by a few messages.
+ */
+class SendLimiter {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.db - Provides countOutboundEmails and getSuppressedRecipient
+   * @param {Object} deps.options - Limits (defaults to config.sendLimits)
+   * @param {Function} deps.now - Clock returning epoch milliseconds
+   */
+  constructor({ db = databaseService, options = config.sendLimits, now = () => Date.now() } = {}) {
+    this.db = db;
+    this.options = options;
+    this.now = now;
+  }
+
+  /**
+   * Block replies to automated email, whatever the reply mode
+   * @param {Object} email - Email record (auto_reply_reason)
+   * @returns {Object|null} { code, reason } or null
+   */
+  checkAutomated(email) {
+    return email.auto_reply_reason
+      ? { code: SEND_BLOCKS.AUTO_RESPONDER, reason: `Inbound email is automated (${email.auto_reply_reason})` }
+      : null;
+  }
+
+  /**
+   * Block sends to an address that hard-bounced, whatever the reply mode
+   * @param {string} address - Recipient address
+   * @returns {Promise<Object|null>} { code, reason } or null
+   */
+  async checkBounced(address) {
+    const { recipient } = recipientKey(address);
+    const suppression = await this.db.getSuppressedRecipient(recipient);
+    return suppression
+      ? { code: SEND_BLOCKS.BOUNCED, reason: `${recipient} bounced a previous reply (${suppression.status_code || suppression.reason})` }
+      : null;
+  }
+
+  /**
+   * Block replies to automated email and to addresses that bounced
+   * @param {Object} email - Email record (from_email, auto_reply_reason)
+   * @returns {Promise<Object|null>} { code, reason } or null
+   */
+  async checkRecipient(email) {
+    return this.checkAutomated(email) || this.checkBounced(email.from_email);
+  }
+
+  /**
+   * Whether an automatic reply to an email may be sent now
+   * @param {Object} email - Email record (from_email, thread_id, auto_reply_reason)
+   * @returns {Promise<Object|null>} { code, reason, retry_after_seconds } or null when allowed
+   */
+  async checkAutomaticReply(email) {
+    const blocked = await this.checkRecipient(email);
+    if (blocked) return blocked;
+
+    const { threadCooldownHours, recipientPerDay, domainPerHour } = this.options;
+    const { recipient, recipient_domain } = recipientKey(email.from_email);
+
+    if (email.thread_id && await this.count({ recipient, thread_id: email.thread_id, automatic: true }, threadCooldownHours * HOUR_MS) > 0) {
+      return { code: SEND_BLOCKS.THREAD_COOLDOWN, reason: `Already auto-replied to ${recipient} in this conversation within ${threadCooldownHours}h` };
+    }
+    if (await this.count({ recipient, automatic: true }, 24 * HOUR_MS) >= recipientPerDay) {
+      return { code: SEND_BLOCKS.RECIPIENT_LIMIT, reason: `${recipientPerDay} automatic replies to ${recipient} in the last 24h` };
+    }
+    if (recipient_domain && !SHARED_DOMAINS.includes(recipient_domain) &&
+        await this.count({ recipient_domain, automatic: true }, HOUR_MS) >= domainPerHour) {
+      return { code: SEND_BLOCKS.DOMAIN_LIMIT, reason: `${domainPerHour} automatic replies to ${recipient_domain} in the last hour` };
+    }
+
+    return this.checkGlobal();
+  }
+
+  /**
+   * Whether any email may be sent now under the per-minute cap
+   * @returns {Promise<Object|null>} { code, reason, retry_after_seconds } or null when allowed
+   */
+  async checkGlobal() {
+    const { perMinute } = this.options;
+    if (await this.count({}, MINUTE_MS) >= perMinute) {
+      return { code: SEND_BLOCKS.GLOBAL_LIMIT, reason: `Send limit of ${perMinute} emails per minute reached`, retry_after_seconds: 60 };
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  async count(filters, windowMs) {
+    return this.db.countOutboundEmails({ ...filters, since: new Date(this.now() - windowMs).toISOString() });
+  }
+}
+
+export { SendLimiter };
+
+// Export singleton instance
+const sendLimiter = new SendLimiter();
+export default sendLimiter;
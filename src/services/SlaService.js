@@ -0,0 +1,363 @@
+import fs from 'fs';
+import { config } from '../config/index.js';
+import databaseService from './DatabaseService.js';
+import auditLogger, { ACTION_TYPES } from './AuditLogger.js';
+import { createNotificationChannels } from './EscalationService.js';
+import { BusinessCalendar, validateBusinessCalendar } from '../utils/businessCalendar.js';
+import { HttpError } from '../utils/httpError.js';
+
+const DEFAULT_POLICIES_PATH = new URL('../config/slaPolicies.json', import.meta.url);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Where an email stands against its SLA
+ */
+export const SLA_STATES = {
+  ON_TRACK: 'on_track',
+  AT_RISK: 'at_risk',
+  BREACHED: 'breached',
+  MET: 'met'
+};
+
+/**
+ * What stops the clock: a reviewer claiming the email, or the email leaving the status
+ */
+const SLA_UNTIL = ['claimed', 'resolved'];
+
+/**
+ * Validate an SLA policy document
+ * @param {Object} document - { calendar, atRiskPercent, policies: [{ id, description, when, target, businessHours, until }] }
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateSlaPolicies(document) {
+  if (!document || !Array.isArray(document.policies)) {
+    return ['SLA policies must have a policies array'];
+  }
+
+  const errors = validateBusinessCalendar(document.calendar);
+  if (document.atRiskPercent !== undefined && !(document.atRiskPercent > 0 && document.atRiskPercent < 100)) {
+    errors.push('atRiskPercent must be between 0 and 100');
+  }
+
+  const ids = new Set();
+  document.policies.forEach((policy, index) => {
+    const label = `policies[${index}]${policy?.id ? ` (${policy.id})` : ''}`;
+    if (!policy.id || ids.has(policy.id)) errors.push(`${label}: id is missing or duplicated`);
+    if (!Array.isArray(policy.when?.statuses) || policy.when.statuses.length === 0) {
+      errors.push(`${label}: when.statuses needs at least one status`);
+    }
+    ['email_types', 'priorities'].forEach(key => {
+      if (policy.when?.[key] !== undefined && !Array.isArray(policy.when[key])) errors.push(`${label}: when.${key} must be an array`);
+    });
+
+    const units = Object.keys(policy.target || {});
+    if (units.length !== 1 || !['minutes', 'hours', 'businessDays'].includes(units[0]) || !(policy.target[units[0]] > 0)) {
+      errors.push(`${label}: target must be one positive minutes, hours or businessDays value`);
+    }
+    if (policy.until !== undefined && !SLA_UNTIL.includes(policy.until)) {
+      errors.push(`${label}: until must be one of ${SLA_UNTIL.join(', ')}`);
+    }
+    ids.add(policy.id);
+  });
+
+  return errors;
+}
+
+/**
+ * SLA Service
+ * Holds emails awaiting review to per-type/priority deadlines. Clocks start
+ * when the email enters its status and can be limited to business hours;
+ * a scheduled check records breaches and alerts the team.
+ * Loaded from src/config/slaPolicies.json or SLA_POLICIES_PATH.
+ */
+class SlaService {
+  /**
+   * @param {Object} deps - Optional overrides (used by tests)
+   * @param {Object} deps.db - Provides listEmailsByStatus, getEmailStatuses and the sla_breaches methods
+   * @param {Object} deps.policies - SLA policy document (defaults to the configured file)
+   * @param {Array<Object>} deps.channels - Notification channels for breach alerts
+   * @param {Object} deps.options - SLA options (defaults to config.sla)
+   * @param {Function} deps.now - Clock returning epoch milliseconds
+   */
+  constructor({ db = databaseService, policies, channels, options = config.sla, now = () => Date.now() } = {}) {
+    this.db = db;
+    this.options = options;
+    this.now = now;
+    this.load(policies || this.readFile(options.path || DEFAULT_POLICIES_PATH));
+
+    const unsupported = options.channels.filter(channel => !['email', 'chat'].includes(channel));
+    if (!channels && unsupported.length > 0) {
+      throw new Error(`Unsupported SLA alert channel(s): ${unsupported.join(', ')} (use email or chat)`);
+    }
+    this.channels = channels || createNotificationChannels(options);
+  }
+
+  /**
+   * Replace the active policies
+   * @param {Object} document - SLA policy document
+   * @throws {Error} If the document is invalid
+   */
+  load(document) {
+    const errors = validateSlaPolicies(document);
+    if (errors.length > 0) {
+      throw new Error(`Invalid SLA policies: ${errors.join('; ')}`);
+    }
+    this.document = document;
+    this.calendar = new BusinessCalendar(document.calendar);
+    this.atRiskPercent = document.atRiskPercent || 75;
+    this.statuses = [...new Set(document.policies.flatMap(policy => policy.when.statuses))];
+  }
+
+  /**
+   * @private
+   */
+  readFile(path) {
+    try {
+      return JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read SLA policies from ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * First policy matching an email's status, type and priority
+   * @param {Object} email - Email record
+   * @param {Object} analysis - Analysis record (email_type)
+   * @returns {Object|null} Policy
+   */
+  findPolicy(email, analysis) {
+    return this.document.policies.find(({ when }) =>
+      when.statuses.includes(email.status) &&
+      (!when.email_types || when.email_types.includes(analysis?.email_type)) &&
+      (!when.priorities || when.priorities.includes(email.priority))) || null;
+  }
+
+  /**
+   * Deadline for a policy when the clock started at `start`
+   * @param {Object} policy - SLA policy
+   * @param {number} start - Epoch milliseconds
+   * @returns {number} Epoch milliseconds
+   */
+  getDueAt(policy, start) {
+    const { minutes, hours, businessDays } = policy.target;
+    if (businessDays) return this.calendar.addBusinessDays(start, businessDays);
+
+    const targetMinutes = minutes || hours * 60;
+    return policy.businessHours
+      ? this.calendar.addBusinessMinutes(start, targetMinutes)
+      : start + targetMinutes * 60000;
+  }
+
+  /**
+   * SLA position of an email in its current status
+   * @param {Object} email - Email record (status, priority, status_changed_at, claimed_at)
+   * @param {Object} analysis - Analysis record (email_type)
+   * @returns {Object|null} { policy_id, description, started_at, due_at, state, minutes_remaining }, or null without a policy
+   */
+  evaluate(email, analysis) {
+    const policy = this.findPolicy(email, analysis);
+    if (!policy) return null;
+
+    const start = Date.parse(email.status_changed_at || email.updated_at || email.received_at);
+    const dueAt = this.getDueAt(policy, start);
+    const now = this.now();
+
+    let state;
+    if (policy.until === 'claimed' && email.claimed_at && Date.parse(email.claimed_at) >= start) {
+      state = SLA_STATES.MET;
+    } else if (now >= dueAt) {
+      state = SLA_STATES.BREACHED;
+    } else if (now - start >= (dueAt - start) * this.atRiskPercent / 100) {
+      state = SLA_STATES.AT_RISK;
+    } else {
+      state = SLA_STATES.ON_TRACK;
+    }
+
+    return {
+      policy_id: policy.id,
+      description: policy.description,
+      started_at: new Date(start).toISOString(),
+      due_at: new Date(dueAt).toISOString(),
+      state,
+      minutes_remaining: Math.round((dueAt - now) / 60000)
+    };
+  }
+
+  /**
+   * Record new breaches, alert on them and resolve breaches whose email has moved on
+   * (called by the SLA cron)
+   * @returns {Promise<Object>} { examined, breached, resolved }
+   */
+  async checkBreaches() {
+    const items = await this.listTracked();
+    const breachedAt = new Date(this.now()).toISOString();
+
+    const rows = items
+      .filter(item => item.sla.state === SLA_STATES.BREACHED)
+      .map(({ email, analysis, sla }) => ({
+        email_id: email.id,
+        policy_id: sla.policy_id,
+        status: email.status,
+        email_type: analysis?.email_type || null,
+        priority: email.priority || null,
+        assigned_to: email.assigned_to || null,
+        started_at: sla.started_at,
+        due_at: sla.due_at,
+        breached_at: breachedAt
+      }));
+
+    const recorded = await this.db.insertSlaBreaches(rows);
+    if (recorded.length > 0) {
+      await this.alert(recorded, items);
+    }
+
+    const resolved = await this.resolveBreaches();
+    return { examined: items.length, breached: recorded.length, resolved };
+  }
+
+  /**
+   * SLA report: where every tracked email stands now, and breaches over a period
+   * @param {Object} options - since (ISO 8601, default 30 days ago)
+   * @returns {Promise<Object>} { generated_at, policies, overdue, at_risk, breaches }
+   */
+  async getReport({ since } = {}) {
+    if (since !== undefined && Number.isNaN(Date.parse(since))) {
+      throw new HttpError('since must be an ISO 8601 date');
+    }
+    const from = since ? new Date(since).toISOString() : new Date(this.now() - 30 * DAY_MS).toISOString();
+
+    const items = await this.listTracked();
+    const breaches = await this.db.listSlaBreaches({ since: from });
+
+    const policies = this.document.policies.map(policy => {
+      const current = items.filter(item => item.sla.policy_id === policy.id);
+      const recorded = breaches.filter(breach => breach.policy_id === policy.id);
+      return {
+        policy_id: policy.id,
+        description: policy.description,
+        open: current.length,
+        ...Object.fromEntries(Object.values(SLA_STATES).map(state => [state, current.filter(item => item.sla.state === state).length])),
+        breaches: recorded.length,
+        breaches_resolved: recorded.filter(breach => breach.resolved_at).length
+      };
+    });
+
+    const listItems = state => items
+      .filter(item => item.sla.state === state)
+      .sort((a, b) => a.sla.minutes_remaining - b.sla.minutes_remaining)
+      .map(({ email, analysis, sla }) => ({
+        email_id: email.id,
+        subject: email.subject,
+        from_email: email.from_email,
+        status: email.status,
+        priority: email.priority,
+        email_type: analysis?.email_type || null,
+        assigned_to: email.assigned_to || null,
+        ...sla
+      }));
+
+    return {
+      generated_at: new Date(this.now()).toISOString(),
+      since: from,
+      policies,
+      overdue: listItems(SLA_STATES.BREACHED),
+      at_risk: listItems(SLA_STATES.AT_RISK),
+      breaches: {
+        total: breaches.length,
+        resolved: breaches.filter(breach => breach.resolved_at).length
+      }
+    };
+  }
+
+  /**
+   * Emails in tracked statuses with their SLA position
+   * @private
+   */
+  async listTracked() {
+    const emails = await this.db.listEmailsByStatus(this.statuses, { limit: this.options.batchSize });
+    return emails
+      .map(({ email_analysis: analysisRows, ...email }) => {
+        const analysis = Array.isArray(analysisRows) ? analysisRows[0] || null : analysisRows || null;
+        return { email, analysis, sla: this.evaluate(email, analysis) };
+      })
+      .filter(item => item.sla);
+  }
+
+  /**
+   * Resolve open breaches once the email has left the status (or been claimed, for claim policies)
+   * @private
+   */
+  async resolveBreaches() {
+    const open = await this.db.listSlaBreaches({ unresolved: true });
+    if (open.length === 0) return 0;
+
+    const emails = new Map((await this.db.getEmailStatuses([...new Set(open.map(breach => breach.email_id))]))
+      .map(email => [email.id, email]));
+
+    const resolved = open.filter(breach => {
+      const email = emails.get(breach.email_id);
+      if (!email || email.status !== breach.status) return true;
+      if (Date.parse(email.status_changed_at) !== Date.parse(breach.started_at)) return true;
+
+      const policy = this.document.policies.find(candidate => candidate.id === breach.policy_id);
+      return policy?.until === 'claimed' && email.claimed_at && Date.parse(email.claimed_at) >= Date.parse(breach.started_at);
+    });
+
+    await this.db.resolveSlaBreaches(resolved.map(breach => breach.id), new Date(this.now()).toISOString());
+    return resolved.length;
+  }
+
+  /**
+   * One alert per check listing every new breach; failures are logged, never thrown
+   * @private
+   */
+  async alert(breaches, items) {
+    const formatTime = iso => new Date(iso).toLocaleString('en-US', {
+      timeZone: this.calendar.timezone, dateStyle: 'medium', timeStyle: 'short'
+    });
+
+    const lines = breaches.map(breach => {
+      const email = items.find(item => item.email.id === breach.email_id)?.email || {};
+      return `- "${email.subject}" from ${email.from_email}: ${breach.status}${breach.priority ? ` (${breach.priority})` : ''}, ` +
+        `due ${formatTime(breach.due_at)} [${breach.policy_id}]${breach.assigned_to ? `, assigned to ${breach.assigned_to}` : ', unassigned'}`;
+    });
+    const message = {
+      subject: `SLA breached: ${breaches.length} email(s) overdue`,
+      text: [`${breaches.length} email(s) passed their review deadline:`, ...lines].join('\n'),
+      contact: null,
+      email_id: null
+    };
+
+    const notified = [];
+    for (const channel of this.channels) {
+      try {
+        await channel.send(message);
+        notified.push(channel.name);
+      } catch (error) {
+        console.error(`❌ SLA breach ${channel.name} alert failed:`, error.message);
+      }
+    }
+
+    for (const breach of breaches) {
+      await this.db.updateSlaBreach(breach.id, { notified_channels: notified });
+      await auditLogger.log(ACTION_TYPES.SLA_BREACHED,
+        `SLA ${breach.policy_id} breached: due ${breach.due_at} while ${breach.status}`, true, breach.email_id, {
+          breach_id: breach.id,
+          policy_id: breach.policy_id,
+          status: breach.status,
+          due_at: breach.due_at,
+          assigned_to: breach.assigned_to,
+          notified_channels: notified
+        });
+    }
+
+    console.log(`⏰ ${breaches.length} SLA breach(es) recorded, alerted via ${notified.join(', ') || 'no channel'}`);
+  }
+}
+
+export { SlaService };
+
+// Export singleton instance
+const slaService = new SlaService();
+export default slaService;
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import { config } from '../config/index.js';
+import { FIELD_EXTRACTORS } from './extractors/index.js';
+import { DECISION_STATUSES } from '../utils/emailStatus.js';
+
+const DEFAULT_TAXONOMY_PATH = new URL('../config/emailTaxonomy.json', import.meta.url);
+
+/**
+ * Workflows an email type can be routed to (handled by WorkflowExecutor)
+ */
+export const WORKFLOWS = ['rfq', 'urgent', 'invoice', 'unknown', 'acknowledge', 'route', 'ignore'];
+
+/**
+ * Validate a taxonomy document
+ * @param {Object} taxonomy - { fallback, types: [{ id, name, description, examples, workflow, extraction, team, decision }] }
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateTaxonomy(taxonomy) {
+  if (!taxonomy || !Array.isArray(taxonomy.types) || taxonomy.types.length === 0) {
+    return ['Taxonomy must have a non-empty types array'];
+  }
+
+  const errors = [];
+  const ids = new Set();
+  const names = new Set();
+
+  taxonomy.types.forEach((type, index) => {
+    const label = `types[${index}]${type?.name ? ` (${type.name})` : ''}`;
+
+    if (!type.id || ids.has(type.id)) errors.push(`${label}: id is missing or duplicated`);
+    if (!type.name || names.has(type.name)) errors.push(`${label}: name is missing or duplicated`);
+    if (type.name && type.name.length > 50) errors.push(`${label}: name must be at most 50 characters`);
+    if (!type.description) errors.push(`${label}: description is required`);
+    if (type.examples !== undefined && !Array.isArray(type.examples)) errors.push(`${label}: examples must be an array`);
+    if (type.extraction !== undefined && !FIELD_EXTRACTORS[type.extraction]) {
+      errors.push(`${label}: extraction must be one of ${Object.keys(FIELD_EXTRACTORS).join(', ')}`);
+    }
+    if (!WORKFLOWS.includes(type.workflow)) errors.push(`${label}: workflow must be one of ${WORKFLOWS.join(', ')}`);
+    if (!type.decision || typeof type.decision.automation_allowed !== 'boolean' || !type.decision.status || !type.decision.reason) {
+      errors.push(`${label}: decision needs automation_allowed, status and reason`);
+    } else if (!DECISION_STATUSES.includes(type.decision.status)) {
+      errors.push(`${label}: decision.status must be one of ${DECISION_STATUSES.join(', ')}`);
+    }
+
+    ids.add(type.id);
+    names.add(type.name);
+  });
+
+  if (!names.has(taxonomy.fallback)) {
+    errors.push(`fallback "${taxonomy.fallback}" is not one of the defined types`);
+  }
+
+  return errors;
+}
+
+/**
+ * Taxonomy Registry
+ * Single source for email types: the classification prompt, output schema,
+ * per-type decision rules and workflow routing are all derived from it.
+ * Loaded from src/config/emailTaxonomy.json or EMAIL_TAXONOMY_PATH.
+ */
+class TaxonomyRegistry {
+  /**
+   * @param {Object} taxonomy - Taxonomy document (defaults to the configured file)
+   */
+  constructor(taxonomy) {
+    this.load(taxonomy || this.readFile(config.taxonomy.path || DEFAULT_TAXONOMY_PATH));
+  }
+
+  /**
+   * Replace the active taxonomy
+   * @param {Object} taxonomy - Taxonomy document
+   * @throws {Error} If the taxonomy is invalid
+   */
+  load(taxonomy) {
+    const errors = validateTaxonomy(taxonomy);
+    if (errors.length > 0) {
+      throw new Error(`Invalid email taxonomy: ${errors.join('; ')}`);
+    }
+    this.taxonomy = taxonomy;
+    this.byName = new Map(taxonomy.types.map(type => [type.name, type]));
+  }
+
+  /**
+   * @private
+   */
+  readFile(path) {
+    try {
+      return JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read email taxonomy from ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * All type definitions in prompt order
+   * @returns {Array<Object>} Types
+   */
+  getTypes() {
+    return this.taxonomy.types;
+  }
+
+  /**
+   * Names of all types (the classification enum)
+   * @returns {Array<string>} Type names
+   */
+  getTypeNames() {
+    return this.taxonomy.types.map(type => type.name);
+  }
+
+  /**
+   * Type used when nothing else fits
+   * @returns {string} Fallback type name
+   */
+  getFallbackType() {
+    return this.taxonomy.fallback;
+  }
+
+  /**
+   * Look up a type, falling back to the fallback type for unknown names
+   * @param {string} name - Type name
+   * @returns {Object} Type definition
+   */
+  getType(name) {
+    return this.byName.get(name) || this.byName.get(this.taxonomy.fallback);
+  }
+
+  /**
+   * Whether a name is a registered type
+   * @param {string} name - Type name
+   * @returns {boolean}
+   */
+  hasType(name) {
+    return this.byName.has(name);
+  }
+
+  /**
+   * Per-type default decision rules, evaluated after the explicit decision rules
+   * @returns {Array<Object>} Rules in rule-engine format
+   */
+  buildDecisionRules() {
+    return this.taxonomy.types.map(type => ({
+      id: `type:${type.id}`,
+      description: `Default decision for ${type.name}`,
+      when: { email_type: { eq: type.name } },
+      then: type.decision
+    }));
+  }
+}
+
+export { TaxonomyRegistry };
+
+// Export singleton instance
+const taxonomyRegistry = new TaxonomyRegistry();
+export default taxonomyRegistry;
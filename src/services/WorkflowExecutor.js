@@ -1,10 +1,17 @@
 import databaseService from './DatabaseService.js';
 import emailSender from './EmailSenderNew.js';
-import auditLogger from './AuditLogger.js';
+import auditLogger, { ACTION_TYPES } from './AuditLogger.js';
+import draftService, { REPLY_MODES } from './DraftService.js';
+import taxonomyRegistry from './TaxonomyRegistry.js';
+import invoiceService, { INVOICE_STATUS } from './InvoiceService.js';
+import escalationService from './EscalationService.js';
+import sendLimiter, { SEND_BLOCKS } from './SendLimiter.js';
+import { EMAIL_STATUS } from '../utils/emailStatus.js';
 
 /**
  * Workflow Executor
  * Routes to and executes appropriate workflow based on email classification
+ * (the taxonomy registry maps each email type to one of the workflows below)
  */
 class WorkflowExecutor {
   /**
@@ -23,20 +30,27 @@ class WorkflowExecutor {
       // Get email details
       const email = await databaseService.getEmailById(email_id);
 
-      // Route to appropriate workflow
+      // Route to the workflow registered for this type in the taxonomy
+      const definition = taxonomyRegistry.getType(analysis.email_type);
       let result;
-      switch (analysis.email_type) {
-        case 'RFQ/Bid Request':
+      switch (definition.workflow) {
+        case 'rfq':
           result = await this.executeRFQWorkflow(email, analysis, decision);
           break;
-        case 'Urgent Site Issue':
+        case 'urgent':
           result = await this.executeUrgentIssueWorkflow(email, analysis, decision);
           break;
-        case 'Invoice/Billing':
+        case 'invoice':
           result = await this.executeInvoiceWorkflow(email, analysis, decision);
           break;
-        case 'Unknown/Unclear':
-          result = await this.executeUnknownWorkflow(email, analysis, decision);
+        case 'acknowledge':
+          result = await this.executeAcknowledgeWorkflow(email, analysis, decision, definition);
+          break;
+        case 'route':
+          result = await this.executeRouteWorkflow(email, analysis, decision, definition);
+          break;
+        case 'ignore':
+          result = await this.executeIgnoreWorkflow(email, analysis, decision);
           break;
         default:
           result = await this.executeUnknownWorkflow(email, analysis, decision);
@@ -47,6 +61,7 @@ class WorkflowExecutor {
         email_id,
         workflow_type: analysis.email_type,
         automation_used: decision.automation_allowed && result.email_sent,
+        automation_allowed: decision.automation_allowed,
         actions_taken: result.actions_taken,
         success: result.success
       });
@@ -124,23 +139,12 @@ class WorkflowExecutor {
           };
         }
         
-        const sendResult = await emailSender.sendAIResponse(
-          email.id,
-          email.from_email,
-          email.subject,
-          email.body,
-          analysis.email_type,
-          analysis.extracted_data
-        );
-
-        console.log(`📧 sendAIResponse result:`, sendResult);
-
-        if (sendResult.success) {
-          actions.push(`Sent AI-generated acknowledgment email to ${email.from_email}`);
-          emailSent = true;
-        } else {
-          actions.push(`Failed to send email: ${sendResult.error}`);
-        }
+        const reply = await this.sendOrDraftReply(email, analysis);
+
+        console.log(`📧 Reply result:`, reply);
+
+        actions.push(reply.action);
+        emailSent = reply.email_sent;
       } else {
         console.log(`❌ Automation blocked - no email sent`);
         actions.push('Automation blocked - no email sent');
@@ -183,15 +187,30 @@ class WorkflowExecutor {
       await databaseService.updateEmailPriority(email.id, 'Critical');
       actions.push('Flagged as Critical');
 
-      // Record escalation
-      actions.push('Escalated for immediate human attention');
+      // Page the on-call contact for the site
+      const { escalation, created, notifications } = await escalationService.openEscalation(email, analysis);
+      if (created) {
+        const contact = escalation.chain[0];
+        const sent = notifications.filter(notification => notification.status === 'sent');
+        const failed = notifications.filter(notification => notification.status === 'failed');
+        actions.push(sent.length > 0
+          ? `Paged ${contact.name} (${escalation.site_name}) via ${sent.map(notification => notification.channel).join(', ')}`
+          : `Failed to page ${contact.name} (${escalation.site_name}) on any channel`);
+        failed.forEach(notification => actions.push(`${notification.channel} notification failed: ${notification.error}`));
+        if (escalation.chain.length > 1) {
+          actions.push(`Re-escalates to ${escalation.chain[1].name} if not acknowledged within ${escalationService.options.ackTimeoutMinutes} min`);
+        }
+      } else {
+        actions.push(`Escalation already open (${escalation.status}, level ${escalation.level + 1})`);
+      }
       actions.push('NO automated email sent (safety protocol)');
 
       return {
         success: true,
         email_sent: false,
         actions_taken: actions,
-        priority: 'Critical'
+        priority: 'Critical',
+        escalation_id: escalation.id
       };
 
     } catch (error) {
@@ -207,6 +226,8 @@ class WorkflowExecutor {
 
   /**
    * Execute Invoice/Billing workflow
+   * Records the extracted invoice for accounts payable (duplicates and invoices
+   * that do not add up are held for finance review) and acknowledges receipt
    * @param {Object} email - Email record
    * @param {Object} analysis - AI analysis results
    * @param {Object} decision - Decision engine results
@@ -216,29 +237,86 @@ class WorkflowExecutor {
     const actions = [];
 
     try {
-      // Send acknowledgment if automation allowed
-      let emailSent = false;
-      if (decision.automation_allowed) {
-        const sendResult = await emailSender.sendAIResponse(
-          email.id,
-          email.from_email,
-          email.subject,
-          email.body,
-          analysis.email_type,
-          analysis.extracted_data
-        );
-
-        if (sendResult.success) {
-          actions.push(`Sent AI-generated acknowledgment email to ${email.from_email}`);
-          emailSent = true;
+      let invoice = null;
+      const extracted = analysis.extracted_data?.invoice;
+      if (extracted) {
+        const recorded = await invoiceService.recordInvoice(email, extracted);
+        invoice = recorded.invoice;
+        actions.push(`Recorded invoice ${invoice.invoice_number || '(no number)'} from ${invoice.vendor_name || invoice.vendor_email}` +
+          (invoice.total !== null ? ` for ${invoice.currency} ${Number(invoice.total).toFixed(2)}` : ''));
+
+        if (invoice.status === INVOICE_STATUS.DUPLICATE) {
+          actions.push(`Duplicate of invoice ${recorded.duplicate_of.id} - held for finance review`);
+        } else if (invoice.status === INVOICE_STATUS.NEEDS_REVIEW) {
+          actions.push(`Held for finance review: ${invoice.validation_issues.map(issue => issue.message).join('; ')}`);
+        } else if (invoiceService.isAutoExportEnabled()) {
+          try {
+            await invoiceService.exportInvoices({ format: 'webhook', invoice_ids: [invoice.id] }, 'system');
+            actions.push('Exported to accounts payable (webhook)');
+          } catch (error) {
+            actions.push(`AP webhook export failed, invoice left ready for export: ${error.message}`);
+          }
         } else {
-          actions.push(`Failed to send email: ${sendResult.error}`);
+          actions.push('Ready for accounts payable export');
         }
+      } else {
+        actions.push('Invoice fields could not be extracted - routed to finance for manual entry');
+      }
+
+      // Send acknowledgment if automation allowed; a resent invoice was already acknowledged
+      let emailSent = false;
+      if (invoice?.status === INVOICE_STATUS.DUPLICATE) {
+        actions.push('Duplicate invoice - no acknowledgment sent');
+      } else if (decision.automation_allowed) {
+        const reply = await this.sendOrDraftReply(email, analysis);
+        actions.push(reply.action);
+        emailSent = reply.email_sent;
       } else {
         actions.push('Automation blocked - no email sent');
       }
 
-      actions.push('Routed to finance team for processing');
+      return {
+        success: true,
+        email_sent: emailSent,
+        actions_taken: actions,
+        invoice_id: invoice?.id || null,
+        invoice_status: invoice?.status || null
+      };
+
+    } catch (error) {
+      actions.push(`Error: ${error.message}`);
+      return {
+        success: false,
+        email_sent: false,
+        actions_taken: actions,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Execute acknowledge workflow (RFIs, submittals, compliance documents)
+   * Replies with an acknowledgment when allowed and routes to the owning team
+   * @param {Object} email - Email record
+   * @param {Object} analysis - AI analysis results
+   * @param {Object} decision - Decision engine results
+   * @param {Object} definition - Taxonomy type definition
+   * @returns {Promise<Object>} Workflow result
+   */
+  async executeAcknowledgeWorkflow(email, analysis, decision, definition) {
+    const actions = [];
+
+    try {
+      let emailSent = false;
+      if (decision.automation_allowed) {
+        const reply = await this.sendOrDraftReply(email, analysis);
+        actions.push(reply.action);
+        emailSent = reply.email_sent;
+      } else {
+        actions.push('Automation blocked - no email sent');
+      }
+
+      actions.push(`Routed to ${definition.team || 'the office'} for follow-up`);
 
       return {
         success: true,
@@ -257,6 +335,77 @@ class WorkflowExecutor {
     }
   }
 
+  /**
+   * Execute route workflow (change orders, permit/inspection notices)
+   * Never replies automatically - a person owns the response
+   * @param {Object} email - Email record
+   * @param {Object} analysis - AI analysis results
+   * @param {Object} decision - Decision engine results
+   * @param {Object} definition - Taxonomy type definition
+   * @returns {Promise<Object>} Workflow result
+   */
+  async executeRouteWorkflow(email, analysis, decision, definition) {
+    const actions = [];
+
+    try {
+      const priority = analysis.urgency_level === 'High' ? 'High' : 'Medium';
+      await databaseService.updateEmailPriority(email.id, priority);
+      actions.push(`Set priority to ${priority}`);
+
+      actions.push(`Routed to ${definition.team || 'the office'} for review`);
+      actions.push('NO automated email sent');
+
+      return {
+        success: true,
+        email_sent: false,
+        actions_taken: actions,
+        priority
+      };
+
+    } catch (error) {
+      actions.push(`Error: ${error.message}`);
+      return {
+        success: false,
+        email_sent: false,
+        actions_taken: actions,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Execute ignore workflow (vendor spam)
+   * @param {Object} email - Email record
+   * @param {Object} analysis - AI analysis results
+   * @param {Object} decision - Decision engine results
+   * @returns {Promise<Object>} Workflow result
+   */
+  async executeIgnoreWorkflow(email, analysis, decision) {
+    const actions = [];
+
+    try {
+      await databaseService.updateEmailPriority(email.id, 'Low');
+      actions.push('Set priority to Low');
+      actions.push(`Classified as ${analysis.email_type} - no reply sent`);
+
+      return {
+        success: true,
+        email_sent: false,
+        actions_taken: actions,
+        priority: 'Low'
+      };
+
+    } catch (error) {
+      actions.push(`Error: ${error.message}`);
+      return {
+        success: false,
+        email_sent: false,
+        actions_taken: actions,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Execute Unknown/Unclear workflow
    * @param {Object} email - Email record
@@ -271,32 +420,24 @@ class WorkflowExecutor {
       // Check if this is a fallback case (AI failed)
       if (decision.status === 'Generic Response' && decision.automation_allowed) {
         // Send AI-generated generic response
-        const sendResult = await emailSender.sendAIResponse(
-          email.id,
-          email.from_email,
-          email.subject,
-          email.body,
-          analysis.email_type,
-          analysis.extracted_data
-        );
-
-        if (sendResult.success) {
-          actions.push(`Sent AI-generated acknowledgment email to ${email.from_email}`);
-          actions.push('AI analysis failed - used fallback response');
-          return {
-            success: true,
-            email_sent: true,
-            actions_taken: actions
-          };
-        } else {
-          actions.push(`Failed to send AI email: ${sendResult.error}`);
+        const reply = await this.sendOrDraftReply(email, analysis);
+        actions.push(reply.action);
+
+        if (reply.error) {
           return {
             success: false,
             email_sent: false,
             actions_taken: actions,
-            error: sendResult.error
+            error: reply.error
           };
         }
+
+        actions.push('AI analysis failed - used fallback response');
+        return {
+          success: true,
+          email_sent: reply.email_sent,
+          actions_taken: actions
+        };
       } else {
         // Normal unknown workflow - no email sent
         actions.push('Email type unclear - flagged for manual review');
@@ -320,6 +461,65 @@ class WorkflowExecutor {
       };
     }
   }
+  /**
+   * Send the AI reply, or hold it as a draft when the reply policy for
+   * this email type requires approval or the send limit is reached
+   * Automated inbound email and senders inside their auto-reply cooldown get no reply.
+   * @param {Object} email - Email record
+   * @param {Object} analysis - AI analysis results
+   * @returns {Promise<Object>} { email_sent, action, error, suppressed }
+   */
+  async sendOrDraftReply(email, analysis) {
+    const draftMode = draftService.getReplyMode(analysis.email_type) === REPLY_MODES.DRAFT;
+    const block = draftMode ? await sendLimiter.checkRecipient(email) : await sendLimiter.checkAutomaticReply(email);
+
+    if (block && block.code !== SEND_BLOCKS.GLOBAL_LIMIT) {
+      console.log(`🔇 Reply to ${email.from_email} suppressed: ${block.reason}`);
+      await auditLogger.log(ACTION_TYPES.REPLY_SUPPRESSED, `Reply suppressed: ${block.reason}`, true, email.id, {
+        code: block.code,
+        recipient: email.from_email
+      });
+      return {
+        email_sent: false,
+        action: `Reply suppressed: ${block.reason}`,
+        suppressed: block.code
+      };
+    }
+
+    // Over the per-minute cap the reply waits for a reviewer instead of being lost
+    if (draftMode || block) {
+      const draft = await draftService.createDraft(email, analysis);
+      const reason = draftMode ? 'AI reply drafted for approval' : `${block.reason} - AI reply drafted for approval`;
+      await databaseService.updateEmailStatus(email.id, EMAIL_STATUS.AWAITING_APPROVAL, {
+        source: 'workflow',
+        reason,
+        metadata: { draft_id: draft.id }
+      });
+      return {
+        email_sent: false,
+        action: `${reason} (draft ${draft.id})`
+      };
+    }
+
+    const sendResult = await emailSender.sendAIResponse(
+      email,
+      analysis.email_type,
+      analysis.extracted_data
+    );
+
+    if (sendResult.success) {
+      return {
+        email_sent: true,
+        action: `Sent AI-generated acknowledgment email to ${email.from_email}`
+      };
+    }
+
+    return {
+      email_sent: false,
+      action: `Failed to send email: ${sendResult.error}`,
+      error: sendResult.error
+    };
+  }
 }
 
 // Export singleton instance
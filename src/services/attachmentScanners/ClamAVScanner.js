@@ -0,0 +1,64 @@
+import net from 'net';
+
+// clamd rejects INSTREAM chunks above StreamMaxLength; 64KB chunks stay well below it
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * ClamAV scanner (clamd INSTREAM over a local socket or TCP)
+ */
+class ClamAVScanner {
+  /**
+   * @param {Object} options
+   * @param {string} options.socket - Unix socket path (preferred)
+   * @param {string} options.host - clamd host when no socket is set
+   * @param {number} options.port - clamd port
+   * @param {number} options.timeoutMs - Scan timeout
+   */
+  constructor({ socket, host = '127.0.0.1', port = 3310, timeoutMs = 30000 } = {}) {
+    this.name = 'clamav';
+    this.connectOptions = socket ? { path: socket } : { host, port };
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Scan a file
+   * @param {Buffer} buffer - File content
+   * @returns {Promise<Object>} { infected, signature }
+   * @throws {Error} If clamd is unreachable, times out or reports an error
+   */
+  scan(buffer) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.connectOptions);
+      let reply = '';
+
+      socket.setTimeout(this.timeoutMs, () => {
+        socket.destroy(new Error(`ClamAV scan timed out after ${this.timeoutMs}ms`));
+      });
+      socket.on('error', reject);
+      socket.on('data', chunk => { reply += chunk.toString('utf8'); });
+      socket.on('end', () => {
+        // "stream: OK", "stream: Eicar-Signature FOUND" or "... ERROR"
+        const result = reply.replace(/\0/g, '').trim();
+        const found = result.match(/^stream: (.+) FOUND$/);
+
+        if (found) return resolve({ infected: true, signature: found[1] });
+        if (result === 'stream: OK') return resolve({ infected: false, signature: null });
+        reject(new Error(`Unexpected ClamAV reply: ${result || '(empty)'}`));
+      });
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0');
+        for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+          const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+          socket.write(length);
+          socket.write(chunk);
+        }
+        socket.end(Buffer.alloc(4));
+      });
+    });
+  }
+}
+
+export default ClamAVScanner;
@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Local filesystem attachment store
+ * For development and tests; Vercel's filesystem is read-only and ephemeral.
+ */
+class LocalAttachmentStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Root directory for stored files
+   */
+  constructor({ directory }) {
+    this.name = 'local';
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Resolve a key inside the root directory
+   * @private
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid attachment key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store a file (overwrites: keys are content hashes)
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File content
+   */
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} Content, or null if missing
+   */
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file (missing files are ignored)
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+export default LocalAttachmentStore;
@@ -0,0 +1,71 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+/**
+ * S3-compatible attachment store (AWS S3, MinIO, Cloudflare R2, ...)
+ */
+class S3AttachmentStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.region - Region
+   * @param {string} options.endpoint - Custom endpoint for S3-compatible services
+   * @param {string} options.accessKeyId - Access key (falls back to the AWS credential chain)
+   * @param {string} options.secretAccessKey - Secret key
+   * @param {boolean} options.forcePathStyle - Path-style URLs (MinIO)
+   * @param {Object} options.client - Pre-built S3 client (used by tests)
+   */
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle = false, client } = {}) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 attachment store');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = client || new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File content
+   * @param {Object} options - contentType
+   */
+  async put(key, buffer, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType || 'application/octet-stream'
+    }));
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} Content, or null if missing
+   */
+  async get(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a file
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+export default S3AttachmentStore;
@@ -0,0 +1,63 @@
+/**
+ * Supabase Storage attachment store
+ * The bucket must exist and be private; downloads go through the signed
+ * /api/attachments endpoint, never a public bucket URL.
+ */
+class SupabaseAttachmentStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - Supabase client (service role)
+   * @param {string} options.bucket - Storage bucket name
+   */
+  constructor({ client, bucket }) {
+    this.name = 'supabase';
+    this.client = client;
+    this.bucket = bucket;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File content
+   * @param {Object} options - contentType
+   */
+  async put(key, buffer, { contentType } = {}) {
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType: contentType || 'application/octet-stream', upsert: true });
+
+    if (error) {
+      throw new Error(`Failed to upload attachment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read a file
+   * @param {string} key - Storage key
+   * @returns {Promise<Buffer|null>} Content, or null if missing
+   */
+  async get(key) {
+    const { data, error } = await this.client.storage.from(this.bucket).download(key);
+
+    if (error) {
+      if (error.statusCode === '404' || error.status === 404 || /not found/i.test(error.message)) return null;
+      throw new Error(`Failed to download attachment: ${error.message}`);
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  /**
+   * Delete a file
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    const { error } = await this.client.storage.from(this.bucket).remove([key]);
+
+    if (error) {
+      throw new Error(`Failed to delete attachment: ${error.message}`);
+    }
+  }
+}
+
+export default SupabaseAttachmentStore;
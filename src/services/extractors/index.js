@@ -0,0 +1,11 @@
+import rfqExtractor from './rfqExtractor.js';
+import invoiceExtractor from './invoiceExtractor.js';
+
+/**
+ * Field extractors by id, referenced from a taxonomy type's "extraction"
+ * Each provides { id, schema, maxTokens, buildPrompt(context), normalize(raw, options), summarize(data) }
+ */
+export const FIELD_EXTRACTORS = {
+  [rfqExtractor.id]: rfqExtractor,
+  [invoiceExtractor.id]: invoiceExtractor
+};
@@ -0,0 +1,229 @@
+import { INVOICE_EXTRACTION_SCHEMA } from '../../schemas/invoiceSchema.js';
+import {
+  normalizeCurrency,
+  normalizePercent,
+  normalizeQuantity,
+  normalizeUnit,
+  normalizeDate,
+  normalizePhone,
+  normalizeEmailAddress
+} from '../../utils/normalize.js';
+
+/**
+ * Invoice field extractor
+ * Second LLM pass for vendor invoices: the fields accounts payable keys in,
+ * with the arithmetic checked so a misread total never reaches the AP system
+ */
+
+export const INVOICE_SCHEMA_VERSION = 1;
+
+const CURRENCY_CODES = { '$': 'USD', US$: 'USD', USD: 'USD', CAD: 'CAD', C$: 'CAD', EUR: 'EUR', '€': 'EUR', GBP: 'GBP', '£': 'GBP' };
+
+/**
+ * Round to cents; amounts are compared in cents to avoid float noise
+ * @private
+ */
+function cents(amount) {
+  return Math.round(amount * 100);
+}
+
+/**
+ * @private
+ */
+function cleanText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Check that an invoice adds up
+ * Only compares values that were actually on the invoice; missing ones are not errors
+ * @param {Object} invoice - Normalized invoice (without validation)
+ * @returns {Array<Object>} Issues: { code, message }
+ */
+export function validateInvoiceTotals(invoice) {
+  const issues = [];
+  const money = amount => amount.toFixed(2);
+
+  if (!invoice.invoice_number) {
+    issues.push({ code: 'missing_invoice_number', message: 'Invoice number not found' });
+  }
+  if (!invoice.vendor?.name) {
+    issues.push({ code: 'missing_vendor', message: 'Vendor name not found' });
+  }
+  if (invoice.total === null) {
+    issues.push({ code: 'missing_total', message: 'Invoice total not found' });
+  }
+
+  invoice.line_items.forEach((item, index) => {
+    if (item.quantity !== null && item.unit_price !== null && item.amount !== null &&
+        cents(item.quantity * item.unit_price) !== cents(item.amount)) {
+      issues.push({
+        code: 'line_amount_mismatch',
+        message: `Line ${index + 1}: ${item.quantity} x ${money(item.unit_price)} is not ${money(item.amount)}`
+      });
+    }
+  });
+
+  const lineAmounts = invoice.line_items.map(item => item.amount);
+  if (invoice.subtotal !== null && lineAmounts.length > 0 && lineAmounts.every(amount => amount !== null)) {
+    const lineTotal = lineAmounts.reduce((sum, amount) => sum + amount, 0);
+    if (cents(lineTotal) !== cents(invoice.subtotal)) {
+      issues.push({ code: 'subtotal_mismatch', message: `Line items add up to ${money(lineTotal)}, subtotal is ${money(invoice.subtotal)}` });
+    }
+  }
+
+  if (invoice.subtotal !== null && invoice.total !== null) {
+    const expected = invoice.subtotal + (invoice.tax || 0);
+    if (cents(expected) !== cents(invoice.total)) {
+      issues.push({ code: 'total_mismatch', message: `Subtotal plus tax is ${money(expected)}, total is ${money(invoice.total)}` });
+    }
+  }
+
+  const retainage = invoice.retainage;
+  if (retainage && retainage.percent !== null && retainage.amount !== null) {
+    // Retainage is held on the work (subtotal) or, on some forms, on the total
+    const bases = [invoice.subtotal, invoice.total].filter(base => base !== null);
+    if (bases.length > 0 && !bases.some(base => cents(base * retainage.percent / 100) === cents(retainage.amount))) {
+      issues.push({ code: 'retainage_mismatch', message: `Retainage of ${money(retainage.amount)} is not ${retainage.percent}% of the invoice` });
+    }
+  }
+
+  if (invoice.amount_due !== null && invoice.total !== null) {
+    const expected = invoice.total - (retainage?.amount || 0);
+    if (cents(expected) !== cents(invoice.amount_due)) {
+      issues.push({ code: 'amount_due_mismatch', message: `Total less retainage is ${money(expected)}, amount due is ${money(invoice.amount_due)}` });
+    }
+  }
+
+  if (invoice.invoice_date && invoice.due_date && invoice.due_date < invoice.invoice_date) {
+    issues.push({ code: 'due_before_invoice_date', message: `Due date ${invoice.due_date} is before the invoice date ${invoice.invoice_date}` });
+  }
+
+  return issues;
+}
+
+/**
+ * Turn the raw extraction into typed fields and check the arithmetic
+ * @param {Object} raw - Response matching INVOICE_EXTRACTION_SCHEMA
+ * @param {Object} options - referenceDate (email received_at)
+ * @returns {Object} Normalized invoice with validation { valid, issues }
+ */
+export function normalizeInvoice(raw, { referenceDate } = {}) {
+  const lineItems = (raw.line_items || [])
+    .filter(item => cleanText(item.description))
+    .map(item => {
+      const quantity = normalizeQuantity(item.quantity);
+      const unitPrice = normalizeCurrency(item.unit_price);
+      const amount = normalizeCurrency(item.amount);
+      return {
+        description: item.description.trim(),
+        quantity,
+        unit: normalizeUnit(item.unit),
+        unit_price: unitPrice,
+        amount: amount === null && quantity !== null && unitPrice !== null ? cents(quantity * unitPrice) / 100 : amount
+      };
+    });
+
+  const subtotal = normalizeCurrency(raw.subtotal);
+  const total = normalizeCurrency(raw.total);
+
+  let retainage = null;
+  if (raw.retainage) {
+    const percent = normalizePercent(raw.retainage.percent);
+    let amount = normalizeCurrency(raw.retainage.amount);
+    const base = subtotal ?? total;
+    if (amount === null && percent !== null && base !== null) {
+      amount = cents(base * percent / 100) / 100;
+    }
+    retainage = percent === null && amount === null ? null : { percent, amount };
+  }
+
+  const writtenCurrency = cleanText(raw.currency)?.toUpperCase();
+  const vendor = raw.vendor
+    ? {
+        name: cleanText(raw.vendor.name),
+        email: normalizeEmailAddress(raw.vendor.email),
+        phone: normalizePhone(raw.vendor.phone),
+        address: cleanText(raw.vendor.address)
+      }
+    : null;
+
+  const invoice = {
+    schema_version: INVOICE_SCHEMA_VERSION,
+    invoice_number: cleanText(raw.invoice_number),
+    vendor: vendor && Object.values(vendor).some(Boolean) ? vendor : null,
+    po_number: cleanText(raw.po_number),
+    project: cleanText(raw.project),
+    invoice_date: normalizeDate(raw.invoice_date, { referenceDate }),
+    due_date: normalizeDate(raw.due_date, { referenceDate }),
+    payment_terms: cleanText(raw.payment_terms),
+    currency: writtenCurrency ? CURRENCY_CODES[writtenCurrency] || writtenCurrency : 'USD',
+    line_items: lineItems,
+    subtotal,
+    tax: normalizeCurrency(raw.tax),
+    retainage,
+    total,
+    amount_due: normalizeCurrency(raw.amount_due)
+  };
+
+  const issues = validateInvoiceTotals(invoice);
+  return { ...invoice, validation: { valid: issues.length === 0, issues } };
+}
+
+/**
+ * Headline values for extracted_data: the payment due date is the deadline
+ * @param {Object} invoice - Normalized invoice
+ * @returns {Object} { deadline, estimated_value }
+ */
+export function summarizeInvoice(invoice) {
+  return {
+    deadline: invoice.due_date,
+    estimated_value: invoice.total
+  };
+}
+
+/**
+ * Build the invoice extraction prompt
+ * @param {Object} context - subject, body, attachmentExcerpt, receivedAt
+ * @returns {string} Prompt
+ */
+export function buildInvoicePrompt({ subject, body, attachmentExcerpt = '', receivedAt }) {
+  const attachmentText = attachmentExcerpt ? `\n\nAttachment contents (excerpts):\n${attachmentExcerpt}` : '';
+
+  return `You are helping an accounts payable clerk key in a vendor invoice.
+Extract the following fields from the email and the invoice attachment. Use null (or an empty list) for anything not stated - never guess or calculate missing values.
+
+- invoice_number: Invoice number as written (e.g. "INV-00421")
+- vendor: The company billing us - { "name", "email", "phone", "address" }
+- po_number: Purchase order number, if referenced
+- project: Project or job name/number, if referenced
+- invoice_date: Invoice date as written
+- due_date: Payment due date as written
+- payment_terms: Terms as written (e.g. "Net 30")
+- currency: Currency code or symbol
+- line_items: [{ "description", "quantity", "unit", "unit_price", "amount" }] exactly as printed
+- subtotal: Subtotal before tax
+- tax: Sales tax amount
+- retainage: Retainage withheld - { "percent", "amount" }
+- total: Invoice total
+- amount_due: Amount due this invoice (after retainage), if printed separately
+
+The email was received ${receivedAt || 'recently'}.
+
+Email Subject: ${subject}
+Email Body: ${body}${attachmentText}
+
+Respond ONLY with a JSON object with exactly these keys:
+{"invoice_number": ..., "vendor": ..., "po_number": ..., "project": ..., "invoice_date": ..., "due_date": ..., "payment_terms": ..., "currency": ..., "line_items": [...], "subtotal": ..., "tax": ..., "retainage": ..., "total": ..., "amount_due": ...}`;
+}
+
+const invoiceExtractor = {
+  id: 'invoice',
+  schema: INVOICE_EXTRACTION_SCHEMA,
+  maxTokens: 1500,
+  buildPrompt: buildInvoicePrompt,
+  normalize: normalizeInvoice,
+  summarize: summarizeInvoice
+};
+
+export default invoiceExtractor;
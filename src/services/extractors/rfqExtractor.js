@@ -0,0 +1,199 @@
+import { RFQ_EXTRACTION_SCHEMA, CSI_DIVISIONS } from '../../schemas/rfqSchema.js';
+import {
+  normalizeCurrency,
+  normalizePercent,
+  normalizeQuantity,
+  normalizeUnit,
+  normalizeDateTime,
+  normalizePhone,
+  normalizeEmailAddress,
+  normalizeUrl
+} from '../../utils/normalize.js';
+
+/**
+ * RFQ field extractor
+ * Second LLM pass for bid requests: what estimators need to decide whether
+ * and how to bid (due date, site walk, trades, quantities, bonding, contact)
+ */
+
+export const RFQ_SCHEMA_VERSION = 1;
+
+/**
+ * Resolve a CSI division from "03", "Div. 3", "03 30 00", "033000" or "Concrete"
+ * @param {string} value - Division as written
+ * @returns {Object|null} { code, name }
+ */
+export function normalizeCsiDivision(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const text = value.trim();
+
+  const numbered = text.match(/^(?:div(?:ision)?\.?\s*)?(\d{1,2})(?=\D|$)/i) || text.match(/^(\d{2})\d{4}$/);
+  if (numbered) {
+    const code = numbered[1].padStart(2, '0');
+    return CSI_DIVISIONS[code] ? { code, name: CSI_DIVISIONS[code] } : null;
+  }
+
+  const lower = text.toLowerCase();
+  const byName = Object.entries(CSI_DIVISIONS).find(([, name]) =>
+    name.toLowerCase() === lower || name.toLowerCase().split(/,| and /)[0].trim() === lower);
+  return byName ? { code: byName[0], name: byName[1] } : null;
+}
+
+/**
+ * Trim, drop empties and de-duplicate (case-insensitive) a list of strings
+ * @private
+ */
+function cleanList(values = []) {
+  const seen = new Set();
+  return values
+    .filter(value => typeof value === 'string')
+    .map(value => value.trim())
+    .filter(value => {
+      const key = value.toLowerCase();
+      if (!value || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * @private
+ */
+function cleanText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Normalize a meeting (pre-bid meeting or site walk)
+ * @private
+ */
+function normalizeEvent(event, options) {
+  const when = normalizeDateTime(event, options);
+  const location = cleanText(event?.location);
+  if (!when && !location) return null;
+
+  return {
+    ...(when || { date: null, time: null, timezone: null, datetime: null, timezone_assumed: false }),
+    location,
+    mandatory: typeof event.mandatory === 'boolean' ? event.mandatory : null
+  };
+}
+
+/**
+ * Turn the raw extraction into typed fields
+ * @param {Object} raw - Response matching RFQ_EXTRACTION_SCHEMA
+ * @param {Object} options - referenceDate (email received_at), defaultTimezone
+ * @returns {Object} Normalized RFQ fields
+ */
+export function normalizeRfq(raw, options = {}) {
+  const csiDivisions = [];
+  (raw.csi_divisions || []).forEach(value => {
+    const division = normalizeCsiDivision(value);
+    if (division && !csiDivisions.some(existing => existing.code === division.code)) {
+      csiDivisions.push(division);
+    }
+  });
+
+  const scopeItems = (raw.scope_items || [])
+    .filter(item => cleanText(item.description))
+    .map(item => {
+      // "1,200 SF" in the quantity field carries its own unit
+      const writtenUnit = typeof item.quantity === 'string' ? item.quantity.replace(/[\d,.\s~]|approx\.?/gi, '') : '';
+      return {
+        description: item.description.trim(),
+        quantity: normalizeQuantity(item.quantity),
+        unit: normalizeUnit(item.unit) || normalizeUnit(writtenUnit)
+      };
+    });
+
+  const bonding = raw.bonding
+    ? {
+        bid_bond_percent: normalizePercent(raw.bonding.bid_bond),
+        performance_bond: typeof raw.bonding.performance_bond === 'boolean' ? raw.bonding.performance_bond : null,
+        payment_bond: typeof raw.bonding.payment_bond === 'boolean' ? raw.bonding.payment_bond : null
+      }
+    : null;
+
+  const contact = raw.contact
+    ? {
+        name: cleanText(raw.contact.name),
+        company: cleanText(raw.contact.company),
+        role: cleanText(raw.contact.role),
+        email: normalizeEmailAddress(raw.contact.email),
+        phone: normalizePhone(raw.contact.phone)
+      }
+    : null;
+
+  return {
+    schema_version: RFQ_SCHEMA_VERSION,
+    project_name: cleanText(raw.project_name),
+    bid_due: normalizeDateTime(raw.bid_due, options),
+    pre_bid_meeting: normalizeEvent(raw.pre_bid_meeting, options),
+    site_walk: normalizeEvent(raw.site_walk, options),
+    trades: cleanList(raw.trades),
+    csi_divisions: csiDivisions,
+    scope_items: scopeItems,
+    bonding,
+    insurance_requirements: cleanList(raw.insurance_requirements),
+    plan_room_links: [...new Set((raw.plan_room_links || []).map(normalizeUrl).filter(Boolean))],
+    contact: contact && Object.values(contact).some(Boolean) ? contact : null,
+    estimated_value: normalizeCurrency(raw.estimated_value)
+  };
+}
+
+/**
+ * Headline values for extracted_data: the bid due date is the deadline
+ * @param {Object} rfq - Normalized RFQ fields
+ * @returns {Object} { deadline, estimated_value }
+ */
+export function summarizeRfq(rfq) {
+  return {
+    deadline: rfq.bid_due ? rfq.bid_due.datetime || rfq.bid_due.date : null,
+    estimated_value: rfq.estimated_value
+  };
+}
+
+/**
+ * Build the RFQ extraction prompt
+ * @param {Object} context - subject, body, attachmentExcerpt, receivedAt, defaultTimezone
+ * @returns {string} Prompt
+ */
+export function buildRfqPrompt({ subject, body, attachmentExcerpt = '', receivedAt, defaultTimezone }) {
+  const attachmentText = attachmentExcerpt ? `\n\nAttachment contents (excerpts):\n${attachmentExcerpt}` : '';
+
+  return `You are helping a construction estimator read a bid request (RFQ / invitation to bid).
+Extract the following fields. Use null (or an empty list) for anything not stated - never guess.
+
+- project_name: Project name as written
+- bid_due: When bids are due - { "date", "time", "timezone" } exactly as written (e.g. "Oct 24", "2:00 PM", "EST")
+- pre_bid_meeting: Pre-bid meeting - { "date", "time", "timezone", "location", "mandatory" (true/false/null) }
+- site_walk: Site walk / job walk - same fields as pre_bid_meeting
+- trades: Trades or bid packages requested (e.g. "Concrete", "Electrical")
+- csi_divisions: CSI MasterFormat divisions mentioned (e.g. "Division 03", "26 00 00")
+- scope_items: Scope items with quantities - [{ "description", "quantity", "unit" }]
+- bonding: { "bid_bond" (percent as written, e.g. "5%"), "performance_bond" (true/false/null), "payment_bond" (true/false/null) }
+- insurance_requirements: Insurance requirements, one per entry (e.g. "GL $2M aggregate")
+- plan_room_links: URLs for plans, specs or the plan room
+- contact: The GC/owner contact for the bid - { "name", "company", "role", "email", "phone" }
+- estimated_value: Estimated project value as written
+
+The email was received ${receivedAt || 'recently'}. Relative dates ("next Friday") are relative to that.
+If no timezone is stated, leave timezone null (the company default is ${defaultTimezone}).
+
+Email Subject: ${subject}
+Email Body: ${body}${attachmentText}
+
+Respond ONLY with a JSON object with exactly these keys:
+{"project_name": ..., "bid_due": ..., "pre_bid_meeting": ..., "site_walk": ..., "trades": [...], "csi_divisions": [...], "scope_items": [...], "bonding": ..., "insurance_requirements": [...], "plan_room_links": [...], "contact": ..., "estimated_value": ...}`;
+}
+
+const rfqExtractor = {
+  id: 'rfq',
+  schema: RFQ_EXTRACTION_SCHEMA,
+  maxTokens: 1200,
+  buildPrompt: buildRfqPrompt,
+  normalize: normalizeRfq,
+  summarize: summarizeRfq
+};
+
+export default rfqExtractor;
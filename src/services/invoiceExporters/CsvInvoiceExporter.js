@@ -0,0 +1,60 @@
+const COLUMNS = [
+  'invoice_id',
+  'email_id',
+  'vendor_name',
+  'vendor_email',
+  'invoice_number',
+  'po_number',
+  'project',
+  'invoice_date',
+  'due_date',
+  'payment_terms',
+  'currency',
+  'subtotal',
+  'tax',
+  'retainage_amount',
+  'total',
+  'amount_due'
+];
+
+/**
+ * Quote a CSV field; text starting with a formula character is prefixed with '
+ * so spreadsheets do not execute it
+ * @private
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV export: one row per invoice, for spreadsheet review or AP bulk import
+ */
+class CsvInvoiceExporter {
+  constructor() {
+    this.name = 'csv';
+  }
+
+  /**
+   * Render invoices as CSV
+   * @param {Array<Object>} invoices - invoices rows
+   * @param {Object} options - now (file name timestamp)
+   * @returns {Promise<Object>} { contentType, filename, body }
+   */
+  async export(invoices, { now = new Date() } = {}) {
+    const rows = invoices.map(invoice => COLUMNS.map(column =>
+      csvField(column === 'invoice_id' ? invoice.id : invoice[column])).join(','));
+
+    return {
+      contentType: 'text/csv; charset=utf-8',
+      filename: `invoices-${now.toISOString().split('T')[0]}.csv`,
+      body: [COLUMNS.join(','), ...rows].join('\r\n') + '\r\n'
+    };
+  }
+}
+
+export default CsvInvoiceExporter;
@@ -0,0 +1,99 @@
+/**
+ * QuickBooks Desktop IIF export (File > Utilities > Import > IIF Files)
+ * Each invoice becomes a BILL: a credit to Accounts Payable for the amount due,
+ * debits to the expense and tax accounts, and a credit to Retainage Payable for
+ * the amount held back. The splits of every transaction sum to zero.
+ */
+
+const HEADER = [
+  '!TRNS\tTRNSID\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO\tDUEDATE',
+  '!SPL\tSPLID\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO',
+  '!ENDTRNS'
+];
+
+/**
+ * IIF fields are tab-separated with one record per line
+ * @private
+ */
+function iifField(value) {
+  return value === null || value === undefined ? '' : String(value).replace(/[\t\r\n"]+/g, ' ').trim();
+}
+
+/**
+ * YYYY-MM-DD to MM/DD/YYYY
+ * @private
+ */
+function iifDate(value) {
+  if (!value) return '';
+  const [year, month, day] = String(value).split('T')[0].split('-');
+  return `${month}/${day}/${year}`;
+}
+
+/**
+ * @private
+ */
+function amount(value) {
+  return (Math.round(value * 100) / 100).toFixed(2);
+}
+
+class QuickBooksIIFExporter {
+  /**
+   * @param {Object} accounts - apAccount, expenseAccount, taxAccount, retainageAccount
+   */
+  constructor(accounts) {
+    this.name = 'iif';
+    this.accounts = accounts;
+  }
+
+  /**
+   * Transaction lines for one invoice
+   * @private
+   */
+  billLines(invoice) {
+    const date = iifDate(invoice.invoice_date || invoice.created_at);
+    const vendor = iifField(invoice.vendor_name || invoice.vendor_email);
+    const docnum = iifField(invoice.invoice_number);
+    const total = Number(invoice.total);
+    const tax = Number(invoice.tax || 0);
+    const retainage = Number(invoice.retainage_amount || 0);
+    const memo = iifField([invoice.po_number && `PO ${invoice.po_number}`, invoice.project].filter(Boolean).join(' - '));
+
+    // Line items only when they account for the pre-tax amount exactly
+    const lines = (invoice.line_items || []).filter(line => line.amount !== null);
+    const linesTotal = lines.reduce((sum, line) => sum + Number(line.amount), 0);
+    const expenseSplits = lines.length > 0 && Math.round(linesTotal * 100) === Math.round((total - tax) * 100)
+      ? lines.map(line => ({ amount: Number(line.amount), memo: line.description }))
+      : [{ amount: total - tax, memo }];
+
+    const splits = [
+      ...expenseSplits.map(split => ({ account: this.accounts.expenseAccount, ...split })),
+      tax ? { account: this.accounts.taxAccount, amount: tax, memo: 'Sales tax' } : null,
+      retainage ? { account: this.accounts.retainageAccount, amount: -retainage, memo: 'Retainage held' } : null
+    ].filter(Boolean);
+
+    return [
+      ['TRNS', '', 'BILL', date, iifField(this.accounts.apAccount), vendor, amount(-(total - retainage)), docnum, memo, iifDate(invoice.due_date)].join('\t'),
+      ...splits.map(split =>
+        ['SPL', '', 'BILL', date, iifField(split.account), vendor, amount(split.amount), docnum, iifField(split.memo)].join('\t')),
+      'ENDTRNS'
+    ];
+  }
+
+  /**
+   * Render invoices as an IIF file
+   * @param {Array<Object>} invoices - invoices rows (total required)
+   * @param {Object} options - now (file name timestamp)
+   * @returns {Promise<Object>} { contentType, filename, body }
+   */
+  async export(invoices, { now = new Date() } = {}) {
+    const lines = [...HEADER, ...invoices.flatMap(invoice => this.billLines(invoice))];
+
+    return {
+      contentType: 'application/octet-stream',
+      filename: `invoices-${now.toISOString().split('T')[0]}.iif`,
+      body: lines.join('\r\n') + '\r\n'
+    };
+  }
+}
+
+export default QuickBooksIIFExporter;
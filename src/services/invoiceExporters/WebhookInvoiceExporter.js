@@ -0,0 +1,73 @@
+import { signRequest } from '../../utils/webhookSignature.js';
+
+/**
+ * Generic AP webhook export
+ * POSTs { event: 'invoices.exported', invoices } as JSON, signed with the
+ * v1 webhook signature headers when a secret is configured
+ */
+class WebhookInvoiceExporter {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Endpoint of the AP system
+   * @param {string} options.secret - Shared signing secret
+   * @param {number} options.timeoutMs - Request timeout
+   * @param {Function} options.fetch - fetch implementation
+   */
+  constructor({ url, secret, timeoutMs = 10000, fetch = globalThis.fetch }) {
+    this.name = 'webhook';
+    this.url = url;
+    this.secret = secret;
+    this.timeoutMs = timeoutMs;
+    this.fetch = fetch;
+  }
+
+  /**
+   * Deliver invoices to the AP system
+   * @param {Array<Object>} invoices - invoices rows
+   * @param {Object} options - now (event timestamp)
+   * @returns {Promise<Object>} { delivered, status_code }
+   * @throws {Error} If the endpoint is unreachable or rejects the delivery
+   */
+  async export(invoices, { now = new Date() } = {}) {
+    const body = JSON.stringify({
+      event: 'invoices.exported',
+      exported_at: now.toISOString(),
+      invoices: invoices.map(invoice => ({
+        id: invoice.id,
+        email_id: invoice.email_id,
+        vendor: { name: invoice.vendor_name, email: invoice.vendor_email },
+        invoice_number: invoice.invoice_number,
+        po_number: invoice.po_number,
+        project: invoice.project,
+        invoice_date: invoice.invoice_date,
+        due_date: invoice.due_date,
+        payment_terms: invoice.payment_terms,
+        currency: invoice.currency,
+        line_items: invoice.line_items,
+        subtotal: invoice.subtotal,
+        tax: invoice.tax,
+        retainage: { percent: invoice.retainage_percent, amount: invoice.retainage_amount },
+        total: invoice.total,
+        amount_due: invoice.amount_due
+      }))
+    });
+
+    const response = await this.fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.secret ? signRequest(this.secret, body, now.getTime()) : {})
+      },
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`AP webhook responded with ${response.status}`);
+    }
+
+    return { delivered: true, status_code: response.status };
+  }
+}
+
+export default WebhookInvoiceExporter;
@@ -0,0 +1,104 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * In-memory job store
+ * Same contract as PostgresJobStore, used for tests and local development.
+ * Jobs do not survive a restart.
+ */
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Insert a new pending job
+   * @param {Object} job - Job fields (type, payload, email_id, max_attempts, run_at)
+   * @returns {Promise<Object>} Created job
+   */
+  async insert({ type, payload, email_id = null, max_attempts, run_at }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: randomUUID(),
+      type,
+      payload,
+      email_id,
+      status: 'pending',
+      attempts: 0,
+      max_attempts,
+      run_at,
+      locked_by: null,
+      locked_until: null,
+      last_error: null,
+      created_at: now,
+      updated_at: now,
+      completed_at: null
+    };
+    this.jobs.set(job.id, job);
+    return { ...job };
+  }
+
+  /**
+   * Lease due jobs (and jobs with an expired lease) to a worker
+   * @param {string} workerId - Worker identifier
+   * @param {number} batchSize - Maximum jobs to claim
+   * @param {number} leaseMs - Lease duration in milliseconds
+   * @param {number} now - Current time in epoch milliseconds
+   * @returns {Promise<Array>} Claimed jobs
+   */
+  async claim(workerId, batchSize, leaseMs, now = Date.now()) {
+    const due = [...this.jobs.values()]
+      .filter(job =>
+        (job.status === 'pending' && Date.parse(job.run_at) <= now) ||
+        (job.status === 'running' && Date.parse(job.locked_until) <= now))
+      .sort((a, b) => Date.parse(a.run_at) - Date.parse(b.run_at))
+      .slice(0, batchSize);
+
+    return due.map(job => {
+      job.status = 'running';
+      job.attempts += 1;
+      job.locked_by = workerId;
+      job.locked_until = new Date(now + leaseMs).toISOString();
+      job.updated_at = new Date(now).toISOString();
+      return { ...job };
+    });
+  }
+
+  /**
+   * Update job fields
+   * @param {string} id - Job ID
+   * @param {Object} fields - Fields to update
+   * @returns {Promise<void>}
+   */
+  async update(id, fields) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error(`Job not found: ${id}`);
+    }
+    Object.assign(job, fields, { updated_at: new Date().toISOString() });
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Job
+   */
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - status, email_id, limit
+   * @returns {Promise<Array>} Jobs
+   */
+  async list({ status, email_id, limit = 50 } = {}) {
+    return [...this.jobs.values()]
+      .filter(job => (!status || job.status === status) && (!email_id || job.email_id === email_id))
+      .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))
+      .slice(0, limit)
+      .map(job => ({ ...job }));
+  }
+}
+
+export default MemoryJobStore;
@@ -0,0 +1,29 @@
+import databaseService from '../DatabaseService.js';
+
+/**
+ * Postgres (Supabase) job store
+ * Leasing is done atomically by the claim_jobs SQL function.
+ */
+class PostgresJobStore {
+  async insert(job) {
+    return databaseService.insertJob(job);
+  }
+
+  async claim(workerId, batchSize, leaseMs) {
+    return databaseService.claimJobs(workerId, batchSize, leaseMs);
+  }
+
+  async update(id, fields) {
+    return databaseService.updateJob(id, fields);
+  }
+
+  async get(id) {
+    return databaseService.getJobById(id);
+  }
+
+  async list(filters) {
+    return databaseService.listJobs(filters);
+  }
+}
+
+export default PostgresJobStore;
@@ -0,0 +1,131 @@
+import taxonomyRegistry from '../TaxonomyRegistry.js';
+
+/**
+ * Deterministic LLM provider for tests and offline development
+ * Classifies by keyword, extracts no fields and writes a fixed acknowledgment, so the whole
+ * pipeline can run without network access or API keys.
+ */
+
+const CLASSIFICATION_KEYWORDS = [
+  { email_type: 'Urgent Site Issue', urgency_level: 'High', pattern: /\b(urgent|emergency|injur\w*|leak\w*|collapse\w*|flood\w*|fire)\b/i },
+  { email_type: 'Change Order', urgency_level: 'Medium', pattern: /\b(change order|CO #?\d+)\b/i },
+  { email_type: 'RFI', urgency_level: 'Medium', pattern: /\b(rfi|request for information)\b/i },
+  { email_type: 'Submittal', urgency_level: 'Medium', pattern: /\b(submittal|shop drawings?)\b/i },
+  { email_type: 'Permit/Inspection Notice', urgency_level: 'Medium', pattern: /\b(permit|inspection|inspector)\b/i },
+  { email_type: 'Subcontractor Compliance', urgency_level: 'Low', pattern: /\b(certificate of insurance|lien waiver|w-9)\b/i },
+  { email_type: 'Invoice/Billing', urgency_level: 'Medium', pattern: /\b(invoice|payment|billing|remittance|past due)\b/i },
+  { email_type: 'RFQ/Bid Request', urgency_level: 'Medium', pattern: /\b(rfq|bid|quote|quotation|proposal|tender)\b/i },
+  { email_type: 'Vendor Spam', urgency_level: 'Low', pattern: /(unsubscribe|limited time|newsletter|\d+% off)/i }
+];
+
+class MockLLMProvider {
+  /**
+   * @param {Object} options
+   * @param {Function} options.respond - Optional ({ task, model, messages }) => string override
+   */
+  constructor({ respond } = {}) {
+    this.name = 'mock';
+    this.respond = respond || null;
+    this.calls = [];
+  }
+
+  /**
+   * Return a canned completion
+   * @param {Object} request - { task, model, messages }
+   * @returns {Promise<Object>} { text, model, finishReason, usage }
+   */
+  async complete({ task, model, messages, responseFormat }) {
+    this.calls.push({ task, model, messages, responseFormat });
+
+    const text = this.respond
+      ? await this.respond({ task, model, messages })
+      : task === 'classification' ? this.classify(messages)
+        : task === 'extraction' ? this.extract(messages)
+          : this.reply(messages, responseFormat);
+
+    return { text, model, finishReason: 'stop', usage: null };
+  }
+
+  /**
+   * Keyword classification of the email section of the prompt
+   * @private
+   */
+  classify(messages) {
+    const prompt = messages[messages.length - 1]?.content || '';
+    const emailSection = prompt.match(/Email Subject:[\s\S]*?(?=\n\nRespond ONLY|$)/)?.[0] || prompt;
+    const match = CLASSIFICATION_KEYWORDS.find(candidate =>
+      taxonomyRegistry.hasType(candidate.email_type) && candidate.pattern.test(emailSection));
+
+    return JSON.stringify({
+      email_type: match ? match.email_type : taxonomyRegistry.getFallbackType(),
+      project_type: null,
+      location: null,
+      estimated_value: null,
+      deadline: null,
+      urgency_level: match ? match.urgency_level : 'Low',
+      confidence_score: match ? 0.9 : 0.4,
+      reasoning: match ? `Mock provider matched ${match.pattern}` : 'Mock provider found no keywords'
+    });
+  }
+
+  /**
+   * Field extraction that finds nothing (valid against the RFQ and invoice extraction schemas)
+   * @private
+   */
+  extract(messages) {
+    const prompt = messages[messages.length - 1]?.content || '';
+
+    if (prompt.includes('"invoice_number"')) {
+      return JSON.stringify({
+        invoice_number: null,
+        vendor: null,
+        po_number: null,
+        project: null,
+        invoice_date: null,
+        due_date: null,
+        payment_terms: null,
+        currency: null,
+        line_items: [],
+        subtotal: null,
+        tax: null,
+        retainage: null,
+        total: null,
+        amount_due: null
+      });
+    }
+
+    return JSON.stringify({
+      project_name: null,
+      bid_due: null,
+      pre_bid_meeting: null,
+      site_walk: null,
+      trades: [],
+      csi_divisions: [],
+      scope_items: [],
+      bonding: null,
+      insurance_requirements: [],
+      plan_room_links: [],
+      contact: null,
+      estimated_value: null
+    });
+  }
+
+  /**
+   * Fixed acknowledgment text; for JSON requests (reply template slots) every
+   * slot in the requested format gets the acknowledgment
+   * @private
+   */
+  reply(messages, responseFormat) {
+    const prompt = messages[messages.length - 1]?.content || '';
+    const subject = prompt.match(/- Subject: (.*)/)?.[1] || 'your message';
+    const text = `Thank you for your email regarding "${subject}". We have received it and our team will follow up shortly.`;
+
+    if (responseFormat === 'json') {
+      const format = prompt.slice(prompt.lastIndexOf('{'));
+      return JSON.stringify(Object.fromEntries([...format.matchAll(/"(\w+)":/g)].map(([, slot]) => [slot, text])));
+    }
+    return text;
+  }
+}
+
+export default MockLLMProvider;
@@ -0,0 +1,60 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+
+/**
+ * OpenAI-compatible chat completions provider
+ * Covers Groq, OpenAI, Azure OpenAI and local servers such as Ollama,
+ * which all speak the same /chat/completions API.
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name (for logs and audit metadata)
+   * @param {string} options.apiKey - API key (local servers accept any value)
+   * @param {string} options.baseURL - API base URL
+   * @param {number} options.timeoutMs - Request timeout
+   * @param {Object} options.azure - { endpoint, apiVersion } for Azure OpenAI
+   * @param {boolean} options.jsonMode - Send response_format for JSON requests
+   * @param {Object} options.client - Pre-built client (used by tests)
+   */
+  constructor({ name, apiKey, baseURL, timeoutMs, azure, jsonMode = true, client } = {}) {
+    this.name = name;
+    this.jsonMode = jsonMode;
+    this.client = client || (azure
+      ? new AzureOpenAI({ apiKey, endpoint: azure.endpoint, apiVersion: azure.apiVersion, timeout: timeoutMs })
+      : new OpenAI({ apiKey, baseURL, timeout: timeoutMs }));
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request
+   * @param {string} request.model - Model (Azure: deployment name)
+   * @param {Array} request.messages - Chat messages
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.maxTokens - Completion token limit
+   * @param {string} request.responseFormat - 'json' to request a JSON object
+   * @returns {Promise<Object>} { text, model, finishReason, usage }
+   */
+  async complete({ model, messages, temperature, maxTokens, responseFormat }) {
+    const request = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (responseFormat === 'json' && this.jsonMode) {
+      request.response_format = { type: 'json_object' };
+    }
+
+    const completion = await this.client.chat.completions.create(request);
+    const choice = completion.choices[0];
+
+    return {
+      text: choice?.message?.content || '',
+      model: completion.model || model,
+      finishReason: choice?.finish_reason || null,
+      usage: completion.usage || null
+    };
+  }
+}
+
+export default OpenAICompatibleProvider;
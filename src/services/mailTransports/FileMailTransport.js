@@ -0,0 +1,47 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { buildMimeMessage, listRecipients } from '../../utils/mimeBuilder.js';
+
+/**
+ * File sink transport
+ * Writes each message as an .eml file into a maildir-style directory
+ * (tmp/ then renamed into new/) instead of sending it. For development and tests.
+ */
+class FileMailTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Maildir root
+   */
+  constructor({ directory }) {
+    this.name = 'file';
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Write a message
+   * @param {Object} message - Nodemailer message
+   * @returns {Promise<Object>} { messageId, accepted, rejected, response, path }
+   */
+  async send(message) {
+    const raw = await buildMimeMessage(message, { keepBcc: true });
+    const name = `${Date.now()}.${randomUUID()}.eml`;
+    const tmpPath = path.join(this.directory, 'tmp', name);
+    const filePath = path.join(this.directory, 'new', name);
+
+    await fs.mkdir(path.dirname(tmpPath), { recursive: true });
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, raw);
+    await fs.rename(tmpPath, filePath);
+
+    return {
+      messageId: message.messageId,
+      accepted: listRecipients(message),
+      rejected: [],
+      response: `Written to ${filePath}`,
+      path: filePath
+    };
+  }
+}
+
+export default FileMailTransport;
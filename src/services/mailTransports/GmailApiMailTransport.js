@@ -0,0 +1,64 @@
+import { buildMimeMessage, listRecipients } from '../../utils/mimeBuilder.js';
+import { getHeader } from '../../utils/mimeParser.js';
+
+/**
+ * Gmail API transport (users.messages.send)
+ * Sends as the mailbox the OAuth credentials belong to, so replies also show
+ * up in its Sent folder.
+ */
+class GmailApiMailTransport {
+  /**
+   * @param {Object} options
+   * @param {Object} options.gmail - googleapis Gmail client
+   * @param {string} options.userId - Mailbox ('me' for the authenticated user)
+   */
+  constructor({ gmail, userId = 'me' }) {
+    this.name = 'gmail';
+    this.gmail = gmail;
+    this.userId = userId;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Nodemailer message
+   * @returns {Promise<Object>} { messageId, accepted, rejected, response, providerMessageId }
+   * @throws {Error} If Gmail rejects the message
+   */
+  async send(message) {
+    const raw = await buildMimeMessage(message, { keepBcc: true });
+    const { data } = await this.gmail.users.messages.send({
+      userId: this.userId,
+      requestBody: { raw: raw.toString('base64url') }
+    });
+
+    return {
+      messageId: await this.sentMessageId(data.id, message.messageId),
+      accepted: listRecipients(message),
+      rejected: [],
+      response: `Gmail message ${data.id}`,
+      providerMessageId: data.id
+    };
+  }
+
+  /**
+   * Message-ID Gmail actually sent with (it may replace ours); the message is
+   * already sent, so a failed lookup falls back to ours
+   * @private
+   */
+  async sentMessageId(id, fallback) {
+    try {
+      const { data } = await this.gmail.users.messages.get({
+        userId: this.userId,
+        id,
+        format: 'metadata',
+        metadataHeaders: ['Message-ID']
+      });
+      return getHeader(data.payload?.headers, 'Message-ID') || fallback;
+    } catch (error) {
+      console.warn(`⚠️ Could not read the Message-ID of sent Gmail message ${id}: ${error.message}`);
+      return fallback;
+    }
+  }
+}
+
+export default GmailApiMailTransport;
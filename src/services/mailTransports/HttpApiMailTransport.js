@@ -0,0 +1,88 @@
+import { listRecipients, parseAddresses } from '../../utils/mimeBuilder.js';
+
+/**
+ * Generic HTTP mail API transport
+ * POSTs the SendGrid v3 mail/send JSON body, which SendGrid and several
+ * compatible relays accept, authenticated with a bearer API key
+ */
+class HttpApiMailTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - mail/send endpoint
+   * @param {string} options.apiKey - API key (Bearer token)
+   * @param {number} options.timeoutMs - Request timeout
+   * @param {Function} options.fetch - fetch implementation
+   */
+  constructor({ url, apiKey, timeoutMs = 10000, fetch = globalThis.fetch }) {
+    if (!url || !apiKey) {
+      throw new Error('HTTP mail transport requires MAIL_API_URL and MAIL_API_KEY');
+    }
+    this.name = 'http';
+    this.url = url;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.fetch = fetch;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Nodemailer message
+   * @returns {Promise<Object>} { messageId, accepted, rejected, response, providerMessageId }
+   * @throws {Error} If the API is unreachable or rejects the message (client errors are not retryable)
+   */
+  async send(message) {
+    const response = await this.fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(this.toRequestBody(message)),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(`Mail API responded with ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+      // 4xx means the request itself is wrong; resending it cannot help (except when throttled)
+      error.retryable = response.status >= 500 || response.status === 429;
+      throw error;
+    }
+
+    return {
+      messageId: message.messageId,
+      accepted: listRecipients(message),
+      rejected: [],
+      response: `${response.status} ${response.statusText || ''}`.trim(),
+      providerMessageId: response.headers.get('x-message-id')
+    };
+  }
+
+  /**
+   * @private
+   */
+  toRequestBody({ from, to, cc, bcc, subject, text, html, messageId, inReplyTo, references }) {
+    const list = value => parseAddresses(value).map(({ name, address }) => (name ? { email: address, name } : { email: address }));
+    const personalization = { to: list(to) };
+    if (cc?.length) personalization.cc = list(cc);
+    if (bcc?.length) personalization.bcc = list(bcc);
+
+    const headers = {};
+    if (messageId) headers['Message-ID'] = messageId;
+    if (inReplyTo) headers['In-Reply-To'] = inReplyTo;
+    if (references?.length) headers.References = [].concat(references).join(' ');
+
+    return {
+      personalizations: [personalization],
+      from: list(from)[0],
+      subject,
+      content: [
+        { type: 'text/plain', value: text || '' },
+        ...(html ? [{ type: 'text/html', value: html }] : [])
+      ],
+      headers
+    };
+  }
+}
+
+export default HttpApiMailTransport;
@@ -0,0 +1,48 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP transport (nodemailer)
+ */
+class SmtpMailTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - SMTP host
+   * @param {number} options.port - SMTP port (465 uses implicit TLS)
+   * @param {string} options.user - SMTP user
+   * @param {string} options.password - SMTP password
+   * @param {Object} options.transporter - Optional nodemailer transporter (used by tests)
+   */
+  constructor({ host, port, user, password, transporter }) {
+    this.name = 'smtp';
+    this.transporter = transporter || nodemailer.createTransport({
+      host,
+      port,
+      secure: port === 465,
+      auth: { user, pass: password }
+    });
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Nodemailer message
+   * @returns {Promise<Object>} { messageId, accepted, rejected, response }
+   * @throws {Error} If the server refuses the message or every recipient (5xx replies are not retryable)
+   */
+  async send(message) {
+    let info;
+    try {
+      info = await this.transporter.sendMail(message);
+    } catch (error) {
+      if (error.responseCode >= 500 || error.code === 'EENVELOPE') error.retryable = false;
+      throw error;
+    }
+    return {
+      messageId: info.messageId,
+      accepted: info.accepted || [],
+      rejected: info.rejected || [],
+      response: info.response || null
+    };
+  }
+}
+
+export default SmtpMailTransport;
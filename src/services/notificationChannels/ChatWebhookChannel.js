@@ -0,0 +1,41 @@
+/**
+ * Chat webhook notification channel
+ * Posts { text } to a Slack-compatible incoming webhook (Slack, Mattermost,
+ * Rocket.Chat and Teams workflows all accept this shape)
+ */
+class ChatWebhookChannel {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Incoming webhook URL
+   * @param {Function} options.fetch - fetch implementation
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor({ url, fetch = globalThis.fetch, timeoutMs = 10000 }) {
+    this.name = 'chat';
+    this.url = url;
+    this.fetch = fetch;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Post a notification
+   * @param {Object} message - { subject, text }
+   * @returns {Promise<Array<string>>} Recipients (the webhook)
+   * @throws {Error} If the webhook rejects the post
+   */
+  async send({ subject, text }) {
+    const response = await this.fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: `*${subject}*\n${text}` }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Chat webhook responded with ${response.status}`);
+    }
+    return ['chat-webhook'];
+  }
+}
+
+export default ChatWebhookChannel;
@@ -0,0 +1,38 @@
+/**
+ * Email notification channel
+ * Sends the page to the contact and copies the internal escalation list
+ */
+class EmailNotificationChannel {
+  /**
+   * @param {Object} options
+   * @param {Object} options.sender - Provides sendWithRetry(to, subject, text, html, email_id)
+   * @param {Array<string>} options.to - Internal list copied on every notification
+   */
+  constructor({ sender, to = [] }) {
+    this.name = 'email';
+    this.sender = sender;
+    this.to = to;
+  }
+
+  /**
+   * Send a notification
+   * @param {Object} message - { subject, text, contact, email_id }
+   * @returns {Promise<Array<string>>} Recipients
+   * @throws {Error} If there is no recipient or the send fails
+   */
+  async send({ subject, text, contact, email_id }) {
+    const recipients = [...new Set([contact?.email, ...this.to].filter(Boolean))];
+    if (recipients.length === 0) {
+      throw new Error('No email recipient (contact has no email and ESCALATION_EMAIL_TO is empty)');
+    }
+
+    const html = text.split('\n').map(line => line.replace(/&/g, '&amp;').replace(/</g, '&lt;')).join('<br>');
+    const result = await this.sender.sendWithRetry(recipients.join(', '), subject, text, `<p>${html}</p>`, email_id);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return recipients;
+  }
+}
+
+export default EmailNotificationChannel;
@@ -0,0 +1,35 @@
+// One SMS segment is 160 characters; pages are kept to two
+const MAX_SMS_LENGTH = 320;
+
+/**
+ * SMS notification channel
+ * Texts the paged contact through the configured SMS provider
+ */
+class SmsNotificationChannel {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - SMS provider with send(to, body)
+   */
+  constructor({ provider }) {
+    this.name = 'sms';
+    this.provider = provider;
+  }
+
+  /**
+   * Send a notification
+   * @param {Object} message - { shortText, contact }
+   * @returns {Promise<Array<string>>} Recipients
+   * @throws {Error} If the contact has no phone or the provider fails
+   */
+  async send({ shortText, contact }) {
+    if (!contact?.phone) {
+      throw new Error(`${contact?.name || 'Contact'} has no phone number`);
+    }
+
+    const body = shortText.length > MAX_SMS_LENGTH ? `${shortText.substring(0, MAX_SMS_LENGTH - 3)}...` : shortText;
+    await this.provider.send(contact.phone, body);
+    return [contact.phone];
+  }
+}
+
+export default SmsNotificationChannel;
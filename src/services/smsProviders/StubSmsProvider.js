@@ -0,0 +1,25 @@
+/**
+ * Local SMS provider for development and tests
+ * Logs messages and keeps them in memory instead of sending them
+ */
+class StubSmsProvider {
+  constructor() {
+    this.name = 'stub';
+    this.sent = [];
+  }
+
+  /**
+   * Record a message
+   * @param {string} to - E.164 phone number
+   * @param {string} body - Message text
+   * @returns {Promise<Object>} { id }
+   */
+  async send(to, body) {
+    const message = { id: `stub-${this.sent.length + 1}`, to, body, sent_at: new Date().toISOString() };
+    this.sent.push(message);
+    console.log(`📱 [SMS stub] to ${to}: ${body}`);
+    return { id: message.id };
+  }
+}
+
+export default StubSmsProvider;
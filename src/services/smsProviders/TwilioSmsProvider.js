@@ -0,0 +1,51 @@
+/**
+ * Twilio SMS provider (Programmable Messaging REST API)
+ */
+class TwilioSmsProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.accountSid - Account SID
+   * @param {string} options.authToken - Auth token
+   * @param {string} options.from - Sending number (E.164)
+   * @param {Function} options.fetch - fetch implementation
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor({ accountSid, authToken, from, fetch = globalThis.fetch, timeoutMs = 10000 }) {
+    if (!accountSid || !authToken || !from) {
+      throw new Error('Twilio SMS requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER');
+    }
+    this.name = 'twilio';
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+    this.fetch = fetch;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Send a message
+   * @param {string} to - E.164 phone number
+   * @param {string} body - Message text
+   * @returns {Promise<Object>} { id } - Twilio message SID
+   * @throws {Error} If Twilio rejects the message
+   */
+  async send(to, body) {
+    const response = await this.fetch(`https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: to, From: this.from, Body: body }).toString(),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Twilio responded with ${response.status}: ${result.message || 'unknown error'}`);
+    }
+    return { id: result.sid };
+  }
+}
+
+export default TwilioSmsProvider;
@@ -0,0 +1,91 @@
+/**
+ * Recognizes automatically generated email (out-of-office replies, autoresponders,
+ * bulk and list mail, bounces) so we never answer it and start a mail loop.
+ * Headers per RFC 3834 plus the common vendor conventions.
+ */
+
+/**
+ * Headers that mark automated mail (lower-case), kept on ingestion payloads
+ */
+export const AUTO_RESPONSE_HEADERS = [
+  'auto-submitted',
+  'x-autoreply',
+  'x-autorespond',
+  'x-auto-response-suppress',
+  'precedence',
+  'list-id',
+  'list-unsubscribe',
+  'x-loop',
+  'x-failed-recipients'
+];
+
+const AUTOMATED_PRECEDENCE = ['bulk', 'junk', 'list', 'auto_reply'];
+
+const AUTOMATED_SENDERS = /^(mailer-daemon|postmaster|no-?reply|do-?not-?reply|bounces?|auto-?reply|autoresponder)([+.-][^@]*)?@/i;
+
+const AUTO_REPLY_SUBJECTS = [
+  /^\s*(automatic|auto)[\s-]*(reply|response)\b/i,
+  /^\s*(out of (the )?office|ooo)\b/i,
+  /^\s*(away|vacation|holiday)( message| notice| reply)?\s*:/i,
+  /^\s*autoresponder\b/i,
+  /^\s*(respuesta autom[aá]tica|fuera de la oficina)\b/i,
+  /^\s*(r[eé]ponse automatique|absence)\b/i,
+  /^\s*(automatische antwort|abwesenheitsnotiz)\b/i
+];
+
+const AUTO_REPLY_BODIES = [
+  /\bI('m| am| will be) (currently )?(out of (the )?office|away from (the|my) (office|desk)|on (annual |parental )?leave|on vacation)\b/i,
+  /\b(this is an automatic(ally generated)? (reply|response|message))\b/i,
+  /\bestoy fuera de la oficina\b/i
+];
+
+// Out-of-office notes are short; a long body that mentions leave is a real message
+const AUTO_REPLY_BODY_MAX_CHARS = 1500;
+
+/**
+ * Keep only the auto-response headers, keyed by lower-case name
+ * @param {Object|Array<Object>} headers - { name: value } map or Gmail-style [{ name, value }]
+ * @returns {Object} Relevant headers
+ */
+export function pickAutoResponseHeaders(headers) {
+  const entries = Array.isArray(headers)
+    ? headers.map(header => [header?.name, header?.value])
+    : Object.entries(headers && typeof headers === 'object' ? headers : {});
+
+  return Object.fromEntries(entries
+    .filter(([name, value]) => typeof name === 'string' && typeof value === 'string' &&
+      AUTO_RESPONSE_HEADERS.includes(name.toLowerCase()))
+    .map(([name, value]) => [name.toLowerCase(), value.trim()]));
+}
+
+/**
+ * Why an email looks automated, or null for a message written by a person
+ * @param {Object} email - from_email, subject, body and headers ({ name: value })
+ * @returns {string|null} Reason (e.g. "Auto-Submitted: auto-replied", "out-of-office subject")
+ */
+export function detectAutoResponse({ from_email, subject, body, headers } = {}) {
+  const relevant = pickAutoResponseHeaders(headers);
+
+  const autoSubmitted = relevant['auto-submitted']?.toLowerCase();
+  if (autoSubmitted && autoSubmitted !== 'no') return `Auto-Submitted: ${relevant['auto-submitted']}`;
+  if (relevant['x-autoreply'] || relevant['x-autorespond']) return 'X-Autoreply header';
+
+  const suppress = relevant['x-auto-response-suppress']?.toLowerCase() || '';
+  if (/\b(all|oof|autoreply)\b/.test(suppress)) return `X-Auto-Response-Suppress: ${relevant['x-auto-response-suppress']}`;
+
+  const precedence = relevant.precedence?.toLowerCase();
+  if (AUTOMATED_PRECEDENCE.includes(precedence)) return `Precedence: ${relevant.precedence}`;
+  if (relevant['list-id'] || relevant['list-unsubscribe']) return 'mailing list headers';
+  if (relevant['x-loop']) return 'X-Loop header';
+  if (relevant['x-failed-recipients']) return 'delivery failure report';
+
+  if (AUTOMATED_SENDERS.test(from_email || '')) return 'automated sender address';
+  if (AUTO_REPLY_SUBJECTS.some(pattern => pattern.test(subject || ''))) return 'out-of-office subject';
+
+  const text = body || '';
+  if (text.length <= AUTO_REPLY_BODY_MAX_CHARS && AUTO_REPLY_BODIES.some(pattern => pattern.test(text))) {
+    return 'out-of-office body';
+  }
+
+  return null;
+}
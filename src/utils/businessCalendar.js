@@ -0,0 +1,151 @@
+import { zonedDateTimeToIso } from './normalize.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Longest run of closed days searched before giving up (covers holiday weeks)
+const MAX_CLOSED_DAYS = 60;
+
+/**
+ * Validate a business calendar definition
+ * @param {Object} calendar - { timezone, hours: { mon: ['08:00', '17:00'], ... }, holidays: ['YYYY-MM-DD'] }
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateBusinessCalendar(calendar) {
+  if (!calendar || typeof calendar.hours !== 'object') {
+    return ['calendar needs hours'];
+  }
+
+  const errors = [];
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: calendar.timezone });
+  } catch (error) {
+    errors.push(`calendar.timezone "${calendar.timezone}" is not a valid IANA timezone`);
+  }
+
+  Object.entries(calendar.hours).forEach(([day, hours]) => {
+    if (!WEEKDAYS.includes(day)) errors.push(`calendar.hours.${day}: use ${WEEKDAYS.join(', ')}`);
+    if (!Array.isArray(hours) || hours.length !== 2 || !hours.every(time => /^\d{2}:\d{2}$/.test(time)) || hours[0] >= hours[1]) {
+      errors.push(`calendar.hours.${day}: must be ["HH:MM", "HH:MM"] with opening before closing`);
+    }
+  });
+  if (Object.keys(calendar.hours).length === 0) errors.push('calendar.hours: at least one business day is required');
+
+  (calendar.holidays || []).forEach((holiday, index) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(holiday)) errors.push(`calendar.holidays[${index}]: must be YYYY-MM-DD`);
+  });
+
+  return errors;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @private
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Business Calendar
+ * Working hours per weekday and holidays in one timezone; SLA clocks that
+ * only run during business hours are computed against it
+ */
+export class BusinessCalendar {
+  /**
+   * @param {Object} calendar - { timezone, hours, holidays }
+   */
+  constructor({ timezone, hours, holidays = [] }) {
+    this.timezone = timezone;
+    this.hours = hours;
+    this.holidays = new Set(holidays);
+    this.dateFormat = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  }
+
+  /**
+   * Local calendar date of an instant
+   * @param {number} at - Epoch milliseconds
+   * @returns {string} YYYY-MM-DD
+   */
+  localDate(at) {
+    return this.dateFormat.format(new Date(at));
+  }
+
+  /**
+   * Opening and closing instants of a date (null on weekends without hours and holidays)
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Object|null} { open, close } in epoch milliseconds
+   */
+  getBusinessHours(date) {
+    if (this.holidays.has(date)) return null;
+
+    const hours = this.hours[WEEKDAYS[new Date(`${date}T12:00:00Z`).getUTCDay()]];
+    if (!hours) return null;
+
+    return {
+      open: Date.parse(zonedDateTimeToIso(date, hours[0], this.timezone)),
+      close: Date.parse(zonedDateTimeToIso(date, hours[1], this.timezone))
+    };
+  }
+
+  /**
+   * First business day on or after a date, with its hours
+   * @private
+   */
+  nextBusinessDay(date) {
+    for (let offset = 0; offset <= MAX_CLOSED_DAYS; offset++) {
+      const candidate = addDays(date, offset);
+      const hours = this.getBusinessHours(candidate);
+      if (hours) return { date: candidate, ...hours };
+    }
+    throw new Error(`No business day within ${MAX_CLOSED_DAYS} days of ${date}`);
+  }
+
+  /**
+   * Earliest business moment at or after an instant
+   * @param {number} at - Epoch milliseconds
+   * @returns {Object} { at, date, open, close } - the moment and the business day it falls on
+   */
+  nextBusinessMoment(at) {
+    let day = this.nextBusinessDay(this.localDate(at));
+    if (at >= day.close) day = this.nextBusinessDay(addDays(day.date, 1));
+    return { at: Math.max(at, day.open), ...day };
+  }
+
+  /**
+   * Add working time, skipping nights, weekends and holidays
+   * @param {number} start - Epoch milliseconds
+   * @param {number} minutes - Business minutes to add
+   * @returns {number} Epoch milliseconds
+   */
+  addBusinessMinutes(start, minutes) {
+    let remaining = minutes * 60000;
+    let moment = this.nextBusinessMoment(start);
+
+    while (remaining > moment.close - moment.at) {
+      remaining -= moment.close - moment.at;
+      moment = this.nextBusinessMoment(moment.close);
+    }
+    return moment.at + remaining;
+  }
+
+  /**
+   * Add whole business days: due at the same point of the working day, or at
+   * closing time of the last day when the clock starts at opening time
+   * (received Monday 16:00 is due Tuesday 16:00; received over the weekend, Monday at closing)
+   * @param {number} start - Epoch milliseconds
+   * @param {number} days - Business days to add
+   * @returns {number} Epoch milliseconds
+   */
+  addBusinessDays(start, days) {
+    const moment = this.nextBusinessMoment(start);
+    const intoDay = moment.at - moment.open;
+
+    let day = moment;
+    for (let count = intoDay === 0 ? 1 : 0; count < days; count++) {
+      day = this.nextBusinessDay(addDays(day.date, 1));
+    }
+    return intoDay === 0 ? day.close : Math.min(day.open + intoDay, day.close);
+  }
+}
@@ -0,0 +1,180 @@
+import { normalizeMessageId } from './messageId.js';
+
+/**
+ * Delivery status notification (bounce) parsing
+ * Reads the machine-readable report of RFC 3464 (message/delivery-status) when
+ * the bounce carries one and falls back to the sender, subject and text of the
+ * notice for MTAs and forwarders that only pass the human-readable part.
+ */
+
+/**
+ * MIME types of the machine-readable parts of a bounce
+ */
+export const DSN_CONTENT_TYPES = [
+  'message/delivery-status',
+  'message/global-delivery-status',
+  'text/rfc822-headers',
+  'message/global-headers'
+];
+
+const BOUNCE_SENDERS = /^(mailer-daemon|mail-daemon|postmaster|bounces?)([+.-][^@]*)?@/i;
+
+const BOUNCE_SUBJECTS = [
+  /\bundeliver(able|ed)\b/i,
+  /\bdelivery status notification\b/i,
+  /\b(mail )?delivery (has )?fail(ed|ure)\b/i,
+  /\bdelivery (incomplete|delayed)\b/i,
+  /\bdelayed mail\b/i,
+  /\breturned mail\b/i,
+  /\bfailure notice\b/i,
+  /\b(could|can) ?not be delivered\b/i,
+  /\bnon[- ]?delivery\b/i,
+  /\b(no se (pudo|ha podido) entregar|mensaje no entregado)\b/i
+];
+
+const DELAY_NOTICE = /\b(delay(ed)?|delivery incomplete|still being retried|will (continue to )?retry)\b/i;
+
+const STATUS_CODE = /\b([245])\.\d{1,3}\.\d{1,3}\b/;
+
+const FAILURE_ACTIONS = ['failed', 'delayed'];
+
+/**
+ * Split header-style "Name: value" lines into blank-line separated groups,
+ * unfolding continuation lines
+ * @private
+ */
+function parseFieldGroups(text) {
+  const groups = [];
+  let current = {};
+  let last = null;
+
+  for (const line of text.replace(/\r\n/g, '\n').split('\n')) {
+    if (!line.trim()) {
+      if (Object.keys(current).length > 0) groups.push(current);
+      current = {};
+      last = null;
+    } else if (/^[ \t]/.test(line) && last) {
+      current[last] += ` ${line.trim()}`;
+    } else {
+      const field = line.match(/^([A-Za-z][A-Za-z0-9-]*):\s*(.*)$/);
+      last = field ? field[1].toLowerCase() : null;
+      if (field) current[last] = field[2].trim();
+    }
+  }
+  if (Object.keys(current).length > 0) groups.push(current);
+
+  return groups;
+}
+
+/**
+ * Strip the type prefix of a DSN field ("rfc822; a@b.com", "smtp; 550 ...")
+ * @private
+ */
+function fieldValue(value) {
+  return value ? value.replace(/^[a-z0-9-]+;\s*/i, '').trim() : null;
+}
+
+/**
+ * Whether a failure is permanent (the address is bad) rather than a delay
+ * @private
+ */
+function isPermanent(action, status) {
+  return action === 'failed' && !status?.startsWith('4');
+}
+
+/**
+ * Parse a message/delivery-status body (RFC 3464)
+ * @param {string} text - Delivery status fields
+ * @returns {Object} { reporting_mta, recipients: [{ address, action, status, diagnostic, remote_mta }] }
+ */
+export function parseDeliveryStatus(text) {
+  const groups = parseFieldGroups(text || '');
+  const message = groups.find(group => group['reporting-mta']) || {};
+
+  const recipients = groups
+    .filter(group => group['final-recipient'] || group['original-recipient'])
+    .map(group => ({
+      address: fieldValue(group['final-recipient'] || group['original-recipient']).replace(/^<|>$/g, '').toLowerCase(),
+      action: (group.action || '').toLowerCase() || null,
+      status: group.status?.match(STATUS_CODE)?.[0] || null,
+      diagnostic: fieldValue(group['diagnostic-code']),
+      remote_mta: fieldValue(group['remote-mta'])
+    }))
+    .filter(recipient => recipient.address);
+
+  return { reporting_mta: fieldValue(message['reporting-mta']), recipients };
+}
+
+/**
+ * Decode the DSN parts forwarded as attachments
+ * @private
+ */
+function reportAttachments(attachmentInfo) {
+  return (Array.isArray(attachmentInfo) ? attachmentInfo : [])
+    .filter(attachment => DSN_CONTENT_TYPES.includes((attachment?.contentType || '').toLowerCase()) &&
+      typeof attachment.content === 'string')
+    .map(attachment => Buffer.from(attachment.content, 'base64').toString('utf8'));
+}
+
+/**
+ * Recognize a bounce and pull out what failed and for which message
+ * @param {Object} email - from_email, subject, body, headers ({ name: value }), delivery_status
+ *   (message/delivery-status text), attachmentInfo, in_reply_to and reference_ids
+ * @returns {Object|null} Delivery report, or null when the email is not a failure notice:
+ *   { structured, reporting_mta, recipients: [{ address, action, status, diagnostic, permanent }],
+ *     action, status, diagnostic, permanent, original_message_ids }
+ */
+export function parseBounce({ from_email, subject, body, headers, delivery_status, attachmentInfo, in_reply_to, reference_ids = [] } = {}) {
+  const text = body || '';
+  const parts = [delivery_status, ...reportAttachments(attachmentInfo)].filter(part => typeof part === 'string' && part.trim());
+  // Forwarders that flatten the report into the body keep its fields
+  if (parts.length === 0 && /^Final-Recipient:/im.test(text)) parts.push(text);
+
+  const report = parseDeliveryStatus(parts.join('\n\n'));
+  const structured = report.recipients.length > 0;
+  const failedHeader = Object.entries(headers && typeof headers === 'object' ? headers : {})
+    .find(([name]) => name.toLowerCase() === 'x-failed-recipients')?.[1];
+
+  if (!structured && !failedHeader &&
+      !(BOUNCE_SENDERS.test(from_email || '') && BOUNCE_SUBJECTS.some(pattern => pattern.test(subject || '')))) {
+    return null;
+  }
+
+  let recipients;
+  if (structured) {
+    recipients = report.recipients.filter(recipient => FAILURE_ACTIONS.includes(recipient.action));
+    // Success-only reports (delivered, relayed, expanded) are receipts, not bounces
+    if (recipients.length === 0) return null;
+  } else {
+    // No machine-readable report: read the outcome from the notice itself
+    const status = text.match(STATUS_CODE)?.[0] || null;
+    const delayed = status ? status.startsWith('4') : DELAY_NOTICE.test(`${subject || ''}\n${text}`);
+    recipients = (failedHeader || '').split(',')
+      .map(address => address.trim().replace(/^<|>$/g, '').toLowerCase())
+      .filter(address => address.includes('@'))
+      .map(address => ({ address, action: delayed ? 'delayed' : 'failed', status, diagnostic: null, remote_mta: null }));
+    if (recipients.length === 0) {
+      // The failed address is resolved from the linked outbound message
+      recipients = [{ address: null, action: delayed ? 'delayed' : 'failed', status, diagnostic: null, remote_mta: null }];
+    }
+  }
+
+  recipients = recipients.map(recipient => ({ ...recipient, permanent: isPermanent(recipient.action, recipient.status) }));
+  const [first] = recipients;
+
+  const quotedIds = [...parts, text].flatMap(part => [...part.matchAll(/^Message-ID:\s*(<[^<>\s]+>)/gim)].map(match => match[1]));
+  const original_message_ids = [...new Set([in_reply_to, ...[...reference_ids].reverse(), ...quotedIds]
+    .map(normalizeMessageId)
+    .filter(Boolean))];
+
+  return {
+    structured,
+    reporting_mta: report.reporting_mta,
+    recipients,
+    action: first.action,
+    status: first.status,
+    diagnostic: first.diagnostic,
+    permanent: recipients.some(recipient => recipient.permanent),
+    original_message_ids
+  };
+}
@@ -0,0 +1,86 @@
+import { HttpError } from './httpError.js';
+
+/**
+ * Email processing statuses (emails.status)
+ */
+export const EMAIL_STATUS = {
+  RECEIVED: 'Received',
+  ANALYZING: 'Analyzing',
+  PENDING_REVIEW: 'Pending Review',
+  FINANCE_REVIEW: 'Finance Review',
+  ESCALATED: 'Escalated',
+  MANUAL_REVIEW: 'Manual Review',
+  GENERIC_RESPONSE: 'Generic Response',
+  IGNORED: 'Ignored',
+  AWAITING_APPROVAL: 'Awaiting Approval',
+  RESPONDED: 'Responded',
+  CLOSED: 'Closed'
+};
+
+/**
+ * Statuses a decision rule or taxonomy type may set
+ */
+export const DECISION_STATUSES = [
+  EMAIL_STATUS.PENDING_REVIEW,
+  EMAIL_STATUS.FINANCE_REVIEW,
+  EMAIL_STATUS.ESCALATED,
+  EMAIL_STATUS.MANUAL_REVIEW,
+  EMAIL_STATUS.GENERIC_RESPONSE,
+  EMAIL_STATUS.IGNORED
+];
+
+// Decided emails can be re-analyzed (dead-letter retry), re-decided (classification override),
+// held for reply approval, answered or closed
+const AFTER_DECISION = [
+  EMAIL_STATUS.ANALYZING,
+  ...DECISION_STATUSES,
+  EMAIL_STATUS.AWAITING_APPROVAL,
+  EMAIL_STATUS.RESPONDED,
+  EMAIL_STATUS.CLOSED
+];
+
+/**
+ * Allowed transitions: from status -> statuses it may move to
+ * Received -> Analyzing -> (decision) -> Awaiting Approval -> Responded -> Closed
+ * Any stage can fall back to Manual Review when processing fails
+ */
+export const STATUS_TRANSITIONS = {
+  [EMAIL_STATUS.RECEIVED]: [EMAIL_STATUS.ANALYZING, EMAIL_STATUS.MANUAL_REVIEW, EMAIL_STATUS.CLOSED],
+  [EMAIL_STATUS.ANALYZING]: [...DECISION_STATUSES, EMAIL_STATUS.CLOSED],
+  [EMAIL_STATUS.PENDING_REVIEW]: AFTER_DECISION,
+  [EMAIL_STATUS.FINANCE_REVIEW]: AFTER_DECISION,
+  [EMAIL_STATUS.ESCALATED]: AFTER_DECISION,
+  [EMAIL_STATUS.MANUAL_REVIEW]: AFTER_DECISION,
+  [EMAIL_STATUS.GENERIC_RESPONSE]: AFTER_DECISION,
+  [EMAIL_STATUS.IGNORED]: [EMAIL_STATUS.ANALYZING, ...DECISION_STATUSES, EMAIL_STATUS.CLOSED],
+  [EMAIL_STATUS.AWAITING_APPROVAL]: [EMAIL_STATUS.ANALYZING, ...DECISION_STATUSES, EMAIL_STATUS.RESPONDED, EMAIL_STATUS.CLOSED],
+  [EMAIL_STATUS.RESPONDED]: [EMAIL_STATUS.MANUAL_REVIEW, EMAIL_STATUS.CLOSED],
+  [EMAIL_STATUS.CLOSED]: [EMAIL_STATUS.MANUAL_REVIEW]
+};
+
+/**
+ * Whether an email may move from one status to another (staying put is always allowed)
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  if (from === to) return Object.hasOwn(STATUS_TRANSITIONS, to);
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Reject unknown statuses and illegal transitions
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @throws {HttpError} 400 for an unknown status, 409 for an illegal transition
+ */
+export function assertTransition(from, to) {
+  if (!Object.hasOwn(STATUS_TRANSITIONS, to)) {
+    throw new HttpError(`Unknown email status "${to}" (use ${Object.values(EMAIL_STATUS).join(', ')})`);
+  }
+  if (!canTransition(from, to)) {
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    throw new HttpError(`Email cannot move from ${from} to ${to}${allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ''}`, 409);
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * Error carrying the HTTP status a route should respond with
+ * Thrown by services for caller mistakes (bad input, conflicts, missing records)
+ */
+export class HttpError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Minimal JSON Schema validator
+ * Supports the subset used by our LLM output schemas: type (including
+ * ["string", "null"] unions), enum, required, properties, items,
+ * minimum, maximum and maxLength.
+ */
+
+/**
+ * JSON type name of a value
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check whether a value has one of the allowed types
+ * @private
+ */
+function matchesType(value, type) {
+  const allowed = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema (subset)
+ * @param {*} value - Value to validate
+ * @param {string} path - Path used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateSchema(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} must be ${[].concat(schema.type).join(' or ')} (got ${typeOf(value)})`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (key in value) {
+        errors.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import { HttpError } from './httpError.js';
+
+/**
+ * HS256 JSON Web Tokens
+ * Only HS256 is accepted: the algorithm comes from our configuration, never from
+ * the token header (so "alg": "none" and RS/HS confusion tokens are rejected).
+ */
+
+/**
+ * @private
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * @private
+ */
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new HttpError('Malformed token', 401);
+  }
+}
+
+/**
+ * @private
+ */
+function sign(secret, signingInput) {
+  return crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+}
+
+/**
+ * Create an HS256 token (tooling and tests; users normally get tokens from the identity provider)
+ * @param {Object} claims - Payload claims
+ * @param {string} secret - Shared secret
+ * @returns {string} Compact JWT
+ */
+export function signJwt(claims, secret) {
+  const signingInput = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment(claims)}`;
+  return `${signingInput}.${sign(secret, signingInput)}`;
+}
+
+/**
+ * Verify an HS256 token and its time and audience claims
+ * @param {string} token - Compact JWT
+ * @param {string} secret - Shared secret
+ * @param {Object} options - Verification options
+ * @param {string} options.issuer - Required iss (optional)
+ * @param {string} options.audience - Required aud (optional)
+ * @param {number} options.clockSkewSeconds - Tolerance for exp/nbf
+ * @param {number} options.now - Current time in epoch milliseconds
+ * @returns {Object} Claims
+ * @throws {HttpError} 401 when the token is malformed, forged, expired or for someone else
+ */
+export function verifyJwt(token, secret, { issuer, audience, clockSkewSeconds = 60, now = Date.now() } = {}) {
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3) {
+    throw new HttpError('Malformed token', 401);
+  }
+
+  const header = decodeSegment(segments[0]);
+  if (header.alg !== 'HS256') {
+    throw new HttpError(`Unsupported token algorithm: ${header.alg}`, 401);
+  }
+
+  const expected = Buffer.from(sign(secret, `${segments[0]}.${segments[1]}`));
+  const provided = Buffer.from(segments[2]);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    throw new HttpError('Invalid token signature', 401);
+  }
+
+  const claims = decodeSegment(segments[1]);
+  const nowSeconds = now / 1000;
+  if (typeof claims.exp !== 'number') {
+    throw new HttpError('Token has no expiry', 401);
+  }
+  if (claims.exp + clockSkewSeconds < nowSeconds) {
+    throw new HttpError('Token expired', 401);
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - clockSkewSeconds > nowSeconds) {
+    throw new HttpError('Token not yet valid', 401);
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new HttpError('Token issuer is not accepted', 401);
+  }
+  if (audience && !(Array.isArray(claims.aud) ? claims.aud : [claims.aud]).includes(audience)) {
+    throw new HttpError('Token audience is not accepted', 401);
+  }
+
+  return claims;
+}
@@ -0,0 +1,79 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * RFC 5322 Message-ID helpers used for deduplication and threading
+ */
+
+const MAX_REFERENCES = 20;
+
+/**
+ * Normalize a Message-ID to the canonical "<id@host>" form
+ * @param {string} value - Raw header value
+ * @returns {string|null} Normalized Message-ID
+ */
+export function normalizeMessageId(value) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  const match = trimmed.match(/<[^<>\s]+>/);
+  if (match) return match[0];
+  if (!trimmed || /\s/.test(trimmed)) return null;
+  return `<${trimmed}>`;
+}
+
+/**
+ * Parse a References header (or array) into a list of Message-IDs
+ * @param {string|Array<string>} value - Raw header value
+ * @returns {Array<string>} Message-IDs, oldest first
+ */
+export function parseReferences(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) {
+    return value.map(normalizeMessageId).filter(Boolean);
+  }
+  if (typeof value !== 'string') return [];
+
+  const ids = value.match(/<[^<>\s]+>/g);
+  if (ids) return ids;
+  return value.split(/\s+/).map(normalizeMessageId).filter(Boolean);
+}
+
+/**
+ * Strip reply/forward prefixes so a conversation shares one subject
+ * @param {string} subject - Email subject
+ * @returns {string} Normalized subject
+ */
+export function normalizeSubject(subject) {
+  if (!subject) return '';
+  return subject.replace(/^(\s*(re|fw|fwd|aw)\s*(\[\d+\])?\s*:\s*)+/i, '').trim();
+}
+
+/**
+ * Create a Message-ID for an outbound email on the sender's domain
+ * @param {string} fromAddress - From address (e.g. "InvexTech <info@invextech.com>")
+ * @returns {string} Message-ID, angle brackets included
+ */
+export function createMessageId(fromAddress) {
+  const domain = (fromAddress || '').match(/@([^>\s]+)/)?.[1] || 'localhost';
+  return `<${randomUUID()}@${domain}>`;
+}
+
+/**
+ * In-Reply-To and References for a reply to an email, so mail clients
+ * keep it in the sender's conversation
+ * Long chains keep the first Message-ID and the most recent ones (RFC 5322 3.6.4).
+ * @param {Object} email - Email record (message_id, in_reply_to, reference_ids)
+ * @returns {Object} { inReplyTo, references } - null and [] without a stored Message-ID
+ */
+export function buildReplyReferences({ message_id, in_reply_to, reference_ids } = {}) {
+  const parent = normalizeMessageId(message_id);
+  if (!parent) return { inReplyTo: null, references: [] };
+
+  const ancestors = reference_ids?.length ? parseReferences(reference_ids) : parseReferences(in_reply_to);
+  const references = [...new Set([...ancestors, parent])];
+  return {
+    inReplyTo: parent,
+    references: references.length > MAX_REFERENCES
+      ? [references[0], ...references.slice(-(MAX_REFERENCES - 1))]
+      : references
+  };
+}
@@ -0,0 +1,41 @@
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+import addressparser from 'nodemailer/lib/addressparser/index.js';
+
+/**
+ * Message helpers for transports that do not talk SMTP: raw RFC 5322 messages
+ * (Gmail API, file sink) and parsed address lists (HTTP mail APIs)
+ */
+
+/**
+ * Build the raw message
+ * @param {Object} message - Nodemailer message (from, to, cc, bcc, subject, text, html, messageId, inReplyTo, references)
+ * @param {Object} options
+ * @param {boolean} options.keepBcc - Keep the Bcc header (the Gmail API reads recipients from it)
+ * @returns {Promise<Buffer>} RFC 5322 message
+ */
+export async function buildMimeMessage(message, { keepBcc = false } = {}) {
+  const mail = new MailComposer(message).compile();
+  mail.keepBcc = keepBcc;
+  return mail.build();
+}
+
+/**
+ * Parse an address field
+ * @param {string|Array<string>} value - "Name <a@b.com>, c@d.com" or a list of them
+ * @returns {Array<Object>} [{ name, address }]
+ */
+export function parseAddresses(value) {
+  const values = Array.isArray(value) ? value : value ? [value] : [];
+  return values.flatMap(entry => addressparser(entry, { flatten: true }))
+    .filter(entry => entry.address)
+    .map(({ name, address }) => ({ name: name || null, address }));
+}
+
+/**
+ * Every recipient address of a message (To, Cc and Bcc)
+ * @param {Object} message - Nodemailer message
+ * @returns {Array<string>} Addresses
+ */
+export function listRecipients({ to, cc, bcc }) {
+  return [to, cc, bcc].flatMap(parseAddresses).map(entry => entry.address);
+}
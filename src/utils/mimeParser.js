@@ -0,0 +1,135 @@
+import { pickAutoResponseHeaders } from './autoResponder.js';
+import { DSN_CONTENT_TYPES } from './dsnParser.js';
+
+/**
+ * MIME helpers for Gmail API messages
+ * Turns a `users.messages.get` (format=full) resource into the payload
+ * shape accepted by EmailIngestionService
+ */
+
+/**
+ * Decode a base64url string (as used by the Gmail API)
+ * @param {string} data - base64url encoded data
+ * @returns {string} Decoded UTF-8 text
+ */
+export function decodeBase64Url(data) {
+  if (!data) return '';
+  const normalized = data.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(normalized, 'base64').toString('utf8');
+}
+
+/**
+ * Find a header value (case-insensitive)
+ * @param {Array<{name: string, value: string}>} headers - Header list
+ * @param {string} name - Header name
+ * @returns {string|null} Header value
+ */
+export function getHeader(headers = [], name) {
+  const header = headers.find(h => h.name && h.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : null;
+}
+
+/**
+ * Extract the bare address from "Display Name <email@domain.com>"
+ * @param {string} value - Raw From header
+ * @returns {string} Email address
+ */
+export function extractAddress(value) {
+  if (!value) return '';
+  const match = value.match(/<([^>]+)>/);
+  return (match ? match[1] : value).trim();
+}
+
+/**
+ * Strip HTML tags to get a readable plain-text body
+ * @param {string} html - HTML content
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Walk a MIME part tree collecting text bodies, attachments and bounce reports
+ * @private
+ */
+function walkParts(part, result) {
+  if (!part) return;
+
+  const mimeType = (part.mimeType || '').toLowerCase();
+  const isAttachment = Boolean(part.filename) || Boolean(part.body?.attachmentId);
+
+  if (isAttachment) {
+    result.attachments.push({
+      name: part.filename || 'unnamed',
+      contentType: part.mimeType || 'application/octet-stream',
+      size: part.body?.size || 0,
+      attachmentId: part.body?.attachmentId || null,
+      // Small attachments are inlined; larger ones are fetched by attachmentId
+      ...(part.body?.data ? { content: part.body.data } : {})
+    });
+    return;
+  }
+
+  if (mimeType === 'text/plain' && part.body?.data) {
+    result.text.push(decodeBase64Url(part.body.data));
+  } else if (mimeType === 'text/html' && part.body?.data) {
+    result.html.push(decodeBase64Url(part.body.data));
+  } else if (DSN_CONTENT_TYPES.includes(mimeType) && part.body?.data) {
+    result.reports.push(decodeBase64Url(part.body.data));
+  } else if (mimeType === 'message/rfc822') {
+    // Returned copy of the original message in a bounce: keep its Message-ID to match our reply
+    const messageId = getHeader(part.parts?.[0]?.headers || part.headers, 'Message-ID');
+    if (messageId) result.reports.push(`Message-ID: ${messageId}`);
+  }
+
+  (part.parts || []).forEach(child => walkParts(child, result));
+}
+
+/**
+ * Parse a Gmail API message into an ingestion payload
+ * @param {Object} message - Gmail message resource (format=full)
+ * @returns {Object} Payload for EmailIngestionService.processIncomingEmail
+ */
+export function parseGmailMessage(message) {
+  const payload = message.payload || {};
+  const headers = payload.headers || [];
+  const result = { text: [], html: [], attachments: [], reports: [] };
+
+  walkParts(payload, result);
+
+  let body = result.text.join('\n').trim();
+  if (!body && result.html.length > 0) {
+    body = htmlToText(result.html.join('\n'));
+  }
+  if (!body) {
+    body = message.snippet || 'No body content available';
+  }
+
+  return {
+    from_email: extractAddress(getHeader(headers, 'From')),
+    subject: getHeader(headers, 'Subject') || '(no subject)',
+    body,
+    hasAttachments: result.attachments.length > 0,
+    attachmentInfo: result.attachments,
+    message_id: getHeader(headers, 'Message-ID'),
+    in_reply_to: getHeader(headers, 'In-Reply-To'),
+    references: getHeader(headers, 'References'),
+    headers: pickAutoResponseHeaders(headers),
+    delivery_status: result.reports.length > 0 ? result.reports.join('\n\n') : null,
+    gmailMessageId: message.id,
+    gmailThreadId: message.threadId
+  };
+}
@@ -0,0 +1,323 @@
+/**
+ * Normalizers for values pulled out of emails by the LLM
+ * Models return dates, times and amounts the way the sender wrote them
+ * ("Fri 10/24 @ 2pm EST", "$1.2M"); these turn them into typed values.
+ * Every function returns null for anything it cannot interpret.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * US timezone abbreviations senders commonly use, mapped to IANA zones
+ * (both standard and daylight forms map to the zone; the date decides the offset)
+ */
+export const TIMEZONE_ABBREVIATIONS = {
+  ET: 'America/New_York', EST: 'America/New_York', EDT: 'America/New_York', EASTERN: 'America/New_York',
+  CT: 'America/Chicago', CST: 'America/Chicago', CDT: 'America/Chicago', CENTRAL: 'America/Chicago',
+  MT: 'America/Denver', MST: 'America/Denver', MDT: 'America/Denver', MOUNTAIN: 'America/Denver',
+  PT: 'America/Los_Angeles', PST: 'America/Los_Angeles', PDT: 'America/Los_Angeles', PACIFIC: 'America/Los_Angeles',
+  AKST: 'America/Anchorage', AKDT: 'America/Anchorage',
+  HST: 'Pacific/Honolulu',
+  UTC: 'UTC', GMT: 'UTC', Z: 'UTC'
+};
+
+const UNIT_ALIASES = {
+  SF: ['sf', 'sq ft', 'sqft', 'sq. ft.', 'sq. ft', 'square feet', 'square foot', 'ft2'],
+  SY: ['sy', 'sq yd', 'sq. yd.', 'square yards', 'square yard'],
+  LF: ['lf', 'lin ft', 'linear feet', 'linear foot', 'ft', 'feet'],
+  CY: ['cy', 'cu yd', 'cubic yards', 'cubic yard', 'yd3'],
+  EA: ['ea', 'each', 'pcs', 'pc', 'units', 'unit'],
+  LS: ['ls', 'lump sum', 'lot'],
+  TON: ['ton', 'tons', 'tn'],
+  GAL: ['gal', 'gallon', 'gallons'],
+  LB: ['lb', 'lbs', 'pound', 'pounds'],
+  HR: ['hr', 'hrs', 'hour', 'hours']
+};
+
+const UNIT_LOOKUP = Object.fromEntries(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit]))
+);
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @private
+ */
+function formatDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Pick the year for a date written without one: the next occurrence on or
+ * after the reference date (allowing a week back for late replies)
+ * @private
+ */
+function inferYear(month, day, referenceDate) {
+  const reference = new Date(referenceDate);
+  const year = reference.getUTCFullYear();
+  const candidate = Date.UTC(year, month - 1, day);
+  return candidate < reference.getTime() - 7 * 24 * 60 * 60 * 1000 ? year + 1 : year;
+}
+
+/**
+ * Parse a money amount
+ * Accepts numbers and strings like "$1,250,000.00", "1.2M", "250k", "USD 4,000", "(1,200.00)"
+ * @param {number|string} value - Amount
+ * @returns {number|null} Amount rounded to cents
+ */
+export function normalizeCurrency(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim().toLowerCase();
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text);
+  const match = text.replace(/[,\s]/g, '').match(/(\d+(?:\.\d+)?)(k|m|mm|million|thousand|b|billion)?/);
+  if (!match) return null;
+
+  const multipliers = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, billion: 1e9 };
+  const amount = parseFloat(match[1]) * (multipliers[match[2]] || 1);
+  return Math.round((negative ? -amount : amount) * 100) / 100;
+}
+
+/**
+ * Parse a percentage ("10%", "5 percent", 10)
+ * @param {number|string} value - Percentage
+ * @returns {number|null} Percent value (10 for 10%)
+ */
+export function normalizePercent(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const match = value.replace(/,/g, '').match(/(\d+(?:\.\d+)?)/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * Parse a quantity ("1,200", "approx. 500", 40)
+ * @param {number|string} value - Quantity
+ * @returns {number|null} Quantity
+ */
+export function normalizeQuantity(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const match = value.replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Map a unit of measure to its standard abbreviation (SF, LF, CY, EA, ...)
+ * @param {string} value - Unit as written
+ * @returns {string|null} Standard unit, or the trimmed uppercase input when unknown
+ */
+export function normalizeUnit(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const key = value.trim().toLowerCase().replace(/\s+/g, ' ');
+  return UNIT_LOOKUP[key] || UNIT_LOOKUP[key.replace(/\.$/, '')] || value.trim().toUpperCase();
+}
+
+/**
+ * Parse a calendar date
+ * Accepts ISO dates (with or without time), MM/DD/YYYY, MM/DD, "October 24, 2026",
+ * "Oct 24", "24 Oct 2026", optional weekday prefixes, and today/tomorrow
+ * @param {string} value - Date as written
+ * @param {Object} options
+ * @param {string|Date} options.referenceDate - When the email was received (resolves missing years and relative words)
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function normalizeDate(value, { referenceDate = new Date() } = {}) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const text = value.trim().toLowerCase().replace(/^(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/, '');
+  const reference = new Date(referenceDate);
+
+  if (text === 'today' || text === 'tomorrow') {
+    const date = new Date(reference.getTime() + (text === 'tomorrow' ? 24 * 60 * 60 * 1000 : 0));
+    return formatDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+  }
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return formatDate(+match[1], +match[2], +match[3]);
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2,4}))?\b/);
+  if (match) {
+    const month = +match[1];
+    const day = +match[2];
+    let year = match[3] ? +match[3] : inferYear(month, day, reference);
+    if (year < 100) year += 2000;
+    return formatDate(year, month, day);
+  }
+
+  match = text.match(/^([a-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?/);
+  if (match && MONTHS.includes(match[1].substring(0, 3))) {
+    const month = MONTHS.indexOf(match[1].substring(0, 3)) + 1;
+    const day = +match[2];
+    return formatDate(match[3] ? +match[3] : inferYear(month, day, reference), month, day);
+  }
+
+  match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,})\.?,?(?:\s+(\d{4}))?/);
+  if (match && MONTHS.includes(match[2].substring(0, 3))) {
+    const month = MONTHS.indexOf(match[2].substring(0, 3)) + 1;
+    const day = +match[1];
+    return formatDate(match[3] ? +match[3] : inferYear(month, day, reference), month, day);
+  }
+
+  return null;
+}
+
+/**
+ * Parse a time of day ("2:00 PM", "2pm", "14:00", "1400 hrs", "noon")
+ * @param {string} value - Time as written
+ * @returns {string|null} HH:MM (24-hour)
+ */
+export function normalizeTime(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const text = value.trim().toLowerCase();
+
+  if (/\bnoon\b/.test(text)) return '12:00';
+  if (/\bmidnight\b/.test(text)) return '00:00';
+
+  const match = text.match(/(\d{1,2})(?::?(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?/);
+  if (!match) return null;
+
+  let hours = +match[1];
+  const minutes = match[2] ? +match[2] : 0;
+  const meridiem = match[3] ? match[3][0] : null;
+
+  // "1400 hrs" is read as 14:00 by the optional colon
+  if (!match[2] && !meridiem && hours > 24) return null;
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Resolve a timezone to an IANA name
+ * @param {string} value - Abbreviation ("EST", "Pacific") or IANA name ("America/Chicago")
+ * @returns {string|null} IANA timezone
+ */
+export function normalizeTimezone(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const text = value.trim().replace(/\s+time$/i, '');
+
+  const abbreviation = TIMEZONE_ABBREVIATIONS[text.toUpperCase()];
+  if (abbreviation) return abbreviation;
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: text }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes
+ * @private
+ */
+function timezoneOffsetMinutes(timeZone, instant) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(instant).map(part => [part.type, part.value]));
+
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return Math.round((asUtc - instant.getTime()) / 60000);
+}
+
+/**
+ * Turn a wall-clock date and time in a timezone into an ISO 8601 timestamp with offset
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} e.g. 2026-10-24T14:00:00-04:00
+ */
+export function zonedDateTimeToIso(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Two passes settle the offset across DST transitions
+  let offset = timezoneOffsetMinutes(timeZone, new Date(wallClock));
+  offset = timezoneOffsetMinutes(timeZone, new Date(wallClock - offset * 60000));
+
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+  const suffix = `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+  return `${date}T${time}:00${suffix}`;
+}
+
+/**
+ * Normalize a date/time/timezone triple as returned by the LLM
+ * A timezone written inside the time ("2pm EST") is honoured; otherwise the
+ * default timezone is used and flagged as assumed.
+ * @param {Object} value - { date, time, timezone } as written
+ * @param {Object} options - referenceDate, defaultTimezone
+ * @returns {Object|null} { date, time, timezone, datetime, timezone_assumed } or null without a date
+ */
+export function normalizeDateTime(value, { referenceDate, defaultTimezone = 'UTC' } = {}) {
+  if (!value || typeof value !== 'object') return null;
+
+  const date = normalizeDate(value.date, { referenceDate });
+  if (!date) return null;
+
+  const time = normalizeTime(value.time);
+  const writtenZone = normalizeTimezone(value.timezone) ||
+    normalizeTimezone((typeof value.time === 'string' ? value.time.match(/\b([A-Za-z]{1,4})\s*$/)?.[1] : null) || '');
+  const timezone = writtenZone || normalizeTimezone(defaultTimezone) || 'UTC';
+
+  return {
+    date,
+    time,
+    timezone,
+    datetime: time ? zonedDateTimeToIso(date, time, timezone) : null,
+    timezone_assumed: !writtenZone
+  };
+}
+
+/**
+ * Normalize a phone number (US numbers to E.164 with an optional ;ext=, others trimmed)
+ * @param {string} value - Phone as written
+ * @returns {string|null} Phone number
+ */
+export function normalizePhone(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const [, number, extension] = value.match(/^(.*?)(?:\s*(?:x|ext\.?|extension)\s*(\d+))?\s*$/i);
+  const digits = number.replace(/\D/g, '');
+  const suffix = extension ? `;ext=${extension}` : '';
+  if (digits.length === 10) return `+1${digits}${suffix}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}${suffix}`;
+  return value.trim();
+}
+
+/**
+ * Validate and lowercase an email address
+ * @param {string} value - Address
+ * @returns {string|null} Address
+ */
+export function normalizeEmailAddress(value) {
+  if (typeof value !== 'string') return null;
+  const address = value.trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address) ? address : null;
+}
+
+/**
+ * Keep only http(s) URLs ("www.example.com/plans" gets https://)
+ * @param {string} value - URL
+ * @returns {string|null} URL
+ */
+export function normalizeUrl(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  try {
+    const url = new URL(/^www\./i.test(text) ? `https://${text}` : text);
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
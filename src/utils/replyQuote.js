@@ -0,0 +1,39 @@
+/**
+ * Quoting the original message below a reply
+ */
+
+const MAX_QUOTED_CHARS = 5000;
+
+/**
+ * Attribution line above the quoted message
+ * @param {Object} email - Email record (from_email, received_at)
+ * @param {string} timeZone - IANA zone for the received time
+ * @returns {string} e.g. "On Mar 10, 2026, 10:00 AM, gc@builder.com wrote:"
+ */
+export function quoteAttribution({ from_email, received_at }, timeZone = 'UTC') {
+  const sent = received_at && !Number.isNaN(Date.parse(received_at))
+    ? new Intl.DateTimeFormat('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone }).format(new Date(received_at))
+    : null;
+  return `${sent ? `On ${sent}, ` : ''}${from_email} wrote:`;
+}
+
+/**
+ * Original body as quoted, trimmed and cut to a reasonable length
+ * @param {string} body - Original message body
+ * @returns {string} Body to quote
+ */
+export function quotedBody(body) {
+  const text = (body || '').replace(/\r\n/g, '\n').trim();
+  return text.length > MAX_QUOTED_CHARS ? `${text.slice(0, MAX_QUOTED_CHARS).trimEnd()}\n[...]` : text;
+}
+
+/**
+ * Plain-text quote: attribution followed by "> "-prefixed lines
+ * @param {Object} email - Email record (from_email, received_at, body)
+ * @param {string} timeZone - IANA zone for the received time
+ * @returns {string} Quoted text
+ */
+export function quoteText(email, timeZone) {
+  const lines = quotedBody(email.body).split('\n').map(line => (line ? `> ${line}` : '>'));
+  return [quoteAttribution(email, timeZone), ...lines].join('\n');
+}
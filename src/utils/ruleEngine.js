@@ -0,0 +1,330 @@
+/**
+ * Rule engine for data-driven decision rules
+ *
+ * A rule set is plain JSON:
+ *   {
+ *     "rules": [
+ *       { "id": "...", "description": "...",
+ *         "when": { "email_type": { "eq": "RFQ/Bid Request" }, "confidence_score": { "gte": "$confidenceThreshold" } },
+ *         "then": { "automation_allowed": true, "status": "Pending Review", "reason": "..." } }
+ *     ],
+ *     "default": { "automation_allowed": false, "status": "Manual Review", "reason": "..." }
+ *   }
+ *
+ * Conditions in a `when` object are ANDed; `all`, `any` and `not` nest them.
+ * Values starting with "$" are variables (e.g. "$confidenceThreshold").
+ * Reasons may interpolate facts and variables: "Low confidence ({confidence_score})".
+ */
+
+import safeRegex from 'safe-regex2';
+import { DECISION_STATUSES } from './emailStatus.js';
+
+/**
+ * Facts a condition may test; extracted.<path> reaches into extracted_data
+ */
+export const RULE_FIELDS = [
+  'email_type',
+  'confidence_score',
+  'urgency',
+  'from_email',
+  'sender_domain',
+  'has_attachments',
+  'attachment_count',
+  'attachment_types',
+  'quarantined_attachment_count',
+  'thread_depth'
+];
+
+/**
+ * Longest pattern the matches operator accepts
+ */
+export const MAX_PATTERN_LENGTH = 200;
+
+const compiledPatterns = new Map();
+
+/**
+ * Compile a matches pattern (case-insensitive)
+ * Rule sets come from API callers, so patterns that could backtrack catastrophically are refused
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp}
+ * @throws {Error} If the pattern is too long, invalid or unsafe
+ */
+function compilePattern(pattern) {
+  if (compiledPatterns.has(pattern)) return compiledPatterns.get(pattern);
+
+  if (typeof pattern !== 'string') {
+    throw new Error('expects a string');
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`pattern longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(pattern, 'i');
+  } catch (error) {
+    throw new Error(`invalid regular expression (${error.message})`);
+  }
+  if (!safeRegex(regex)) {
+    throw new Error('pattern may backtrack catastrophically (nested quantifiers)');
+  }
+
+  compiledPatterns.set(pattern, regex);
+  return regex;
+}
+
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  in: (actual, expected) => expected.includes(actual),
+  not_in: (actual, expected) => !expected.includes(actual),
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  exists: (actual, expected) => (actual !== undefined && actual !== null && actual !== '') === expected,
+  contains: (actual, expected) => (Array.isArray(actual) || typeof actual === 'string') && actual.includes(expected),
+  matches: (actual, expected) => typeof actual === 'string' && compilePattern(expected).test(actual)
+};
+
+const OPERATOR_SYMBOLS = {
+  eq: '=', ne: '!=', in: 'IN', not_in: 'NOT IN', lt: '<', lte: '<=', gt: '>', gte: '>=',
+  exists: 'EXISTS', contains: 'CONTAINS', matches: 'MATCHES'
+};
+
+const COMBINATORS = ['all', 'any', 'not'];
+
+/**
+ * Build the facts a rule set is evaluated against
+ * @param {Object} input - email_type, confidence_score, urgency, from_email,
+ *   has_attachments, attachment_info, extracted_data, thread_depth
+ * @returns {Object} Facts
+ */
+export function buildFacts(input = {}) {
+  const attachments = Array.isArray(input.attachment_info) ? input.attachment_info : [];
+  const fromEmail = typeof input.from_email === 'string' ? input.from_email.toLowerCase() : null;
+
+  return {
+    email_type: input.email_type ?? null,
+    confidence_score: typeof input.confidence_score === 'number' ? input.confidence_score : null,
+    urgency: input.urgency ?? null,
+    from_email: fromEmail,
+    sender_domain: fromEmail && fromEmail.includes('@') ? fromEmail.split('@').pop() : null,
+    has_attachments: Boolean(input.has_attachments) || attachments.length > 0,
+    attachment_count: attachments.length,
+    attachment_types: attachments.map(a => (a.contentType || a.type || '').toLowerCase()).filter(Boolean),
+    quarantined_attachment_count: attachments.filter(a => a.quarantined).length,
+    thread_depth: typeof input.thread_depth === 'number' ? input.thread_depth : 1,
+    extracted: input.extracted_data || {}
+  };
+}
+
+/**
+ * Resolve a dotted field path against the facts
+ * @private
+ */
+function getField(facts, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), facts);
+}
+
+/**
+ * Replace "$name" references with variable values
+ * @private
+ */
+function resolveValue(value, variables) {
+  if (typeof value === 'string' && value.startsWith('$')) {
+    return variables[value.slice(1)];
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveValue(item, variables));
+  }
+  return value;
+}
+
+/**
+ * Evaluate a `when` block
+ * @param {Object} when - Condition block
+ * @param {Object} facts - Facts from buildFacts
+ * @param {Object} variables - Variable values
+ * @returns {boolean} Whether the condition holds
+ */
+export function matchesCondition(when, facts, variables = {}) {
+  return Object.entries(when || {}).every(([key, spec]) => {
+    if (key === 'all') return spec.every(child => matchesCondition(child, facts, variables));
+    if (key === 'any') return spec.some(child => matchesCondition(child, facts, variables));
+    if (key === 'not') return !matchesCondition(spec, facts, variables);
+
+    const actual = getField(facts, key);
+    return Object.entries(spec).every(([op, expected]) =>
+      OPERATORS[op](actual, resolveValue(expected, variables)));
+  });
+}
+
+/**
+ * Fill {placeholders} in a reason from facts and variables
+ * @private
+ */
+function interpolate(template, facts, variables) {
+  return String(template).replace(/\{(\$?[\w.]+)\}/g, (placeholder, name) => {
+    const value = name.startsWith('$') ? variables[name.slice(1)] : getField(facts, name);
+    return value === undefined || value === null ? placeholder : String(value);
+  });
+}
+
+/**
+ * Evaluate a rule set; the first matching rule wins
+ * @param {Object} ruleSet - Rule set
+ * @param {Object} facts - Facts from buildFacts
+ * @param {Object} variables - Variable values
+ * @returns {Object} { rule_id, automation_allowed, status, reason }
+ */
+export function evaluateRules(ruleSet, facts, variables = {}) {
+  const rule = ruleSet.rules.find(candidate => matchesCondition(candidate.when, facts, variables));
+  const outcome = rule ? rule.then : ruleSet.default;
+
+  return {
+    rule_id: rule ? rule.id : 'default',
+    automation_allowed: outcome.automation_allowed,
+    status: outcome.status,
+    reason: interpolate(outcome.reason, facts, variables)
+  };
+}
+
+/**
+ * Render a `when` block as readable text, e.g. email_type = "RFQ/Bid Request" AND confidence_score >= 0.7
+ * @param {Object} when - Condition block
+ * @param {Object} variables - Variable values (substituted into the text)
+ * @returns {string} Condition text
+ */
+export function describeCondition(when, variables = {}) {
+  const parts = Object.entries(when || {}).map(([key, spec]) => {
+    if (key === 'all') return `(${spec.map(child => describeCondition(child, variables)).join(' AND ')})`;
+    if (key === 'any') return `(${spec.map(child => describeCondition(child, variables)).join(' OR ')})`;
+    if (key === 'not') return `NOT (${describeCondition(spec, variables)})`;
+
+    return Object.entries(spec)
+      .map(([op, expected]) => `${key} ${OPERATOR_SYMBOLS[op]} ${JSON.stringify(resolveValue(expected, variables))}`)
+      .join(' AND ');
+  });
+
+  return parts.length > 0 ? parts.join(' AND ') : 'always';
+}
+
+/**
+ * Validate a rule set without evaluating it
+ * @param {Object} ruleSet - Rule set
+ * @param {Object} variables - Variable values available to "$name" references
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateRuleSet(ruleSet, variables = {}) {
+  const errors = [];
+
+  if (!ruleSet || typeof ruleSet !== 'object' || !Array.isArray(ruleSet.rules)) {
+    return ['Rule set must be an object with a rules array'];
+  }
+
+  validateOutcome(ruleSet.default, 'default', errors);
+
+  const seen = new Set();
+  ruleSet.rules.forEach((rule, index) => {
+    const label = `rules[${index}]${rule?.id ? ` (${rule.id})` : ''}`;
+
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (!rule.id || typeof rule.id !== 'string') {
+      errors.push(`${label}: id is required`);
+    } else if (seen.has(rule.id)) {
+      errors.push(`${label}: duplicate id`);
+    } else {
+      seen.add(rule.id);
+    }
+
+    validateCondition(rule.when, `${label}.when`, variables, errors);
+    validateOutcome(rule.then, `${label}.then`, errors);
+  });
+
+  return errors;
+}
+
+/**
+ * @private
+ */
+function validateOutcome(outcome, label, errors) {
+  if (!outcome || typeof outcome !== 'object') {
+    errors.push(`${label}: must be an object`);
+    return;
+  }
+  if (typeof outcome.automation_allowed !== 'boolean') {
+    errors.push(`${label}.automation_allowed must be a boolean`);
+  }
+  if (!outcome.status || typeof outcome.status !== 'string') {
+    errors.push(`${label}.status is required`);
+  } else if (!DECISION_STATUSES.includes(outcome.status)) {
+    errors.push(`${label}.status must be one of ${DECISION_STATUSES.join(', ')}`);
+  }
+  if (!outcome.reason || typeof outcome.reason !== 'string') {
+    errors.push(`${label}.reason is required`);
+  }
+}
+
+/**
+ * @private
+ */
+function validateCondition(when, label, variables, errors) {
+  if (!when || typeof when !== 'object' || Array.isArray(when)) {
+    errors.push(`${label}: must be an object`);
+    return;
+  }
+
+  Object.entries(when).forEach(([key, spec]) => {
+    if (COMBINATORS.includes(key)) {
+      if (key === 'not') {
+        validateCondition(spec, `${label}.not`, variables, errors);
+      } else if (!Array.isArray(spec) || spec.length === 0) {
+        errors.push(`${label}.${key}: must be a non-empty array`);
+      } else {
+        spec.forEach((child, i) => validateCondition(child, `${label}.${key}[${i}]`, variables, errors));
+      }
+      return;
+    }
+
+    if (!RULE_FIELDS.includes(key) && !key.startsWith('extracted.')) {
+      errors.push(`${label}: unknown field "${key}"`);
+    }
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec) || Object.keys(spec).length === 0) {
+      errors.push(`${label}.${key}: must map operators to values`);
+      return;
+    }
+
+    Object.entries(spec).forEach(([op, raw]) => {
+      const where = `${label}.${key}.${op}`;
+      if (!OPERATORS[op]) {
+        errors.push(`${where}: unknown operator (use ${Object.keys(OPERATORS).join(', ')})`);
+        return;
+      }
+
+      const missing = [raw].flat().filter(v => typeof v === 'string' && v.startsWith('$') && !(v.slice(1) in variables));
+      if (missing.length > 0) {
+        errors.push(`${where}: unknown variable ${missing.join(', ')}`);
+        return;
+      }
+
+      const value = resolveValue(raw, variables);
+      if ((op === 'in' || op === 'not_in') && !Array.isArray(value)) {
+        errors.push(`${where}: expects an array`);
+      } else if (['lt', 'lte', 'gt', 'gte'].includes(op) && typeof value !== 'number') {
+        errors.push(`${where}: expects a number`);
+      } else if (op === 'exists' && typeof value !== 'boolean') {
+        errors.push(`${where}: expects true or false`);
+      } else if (op === 'matches') {
+        try {
+          compilePattern(value);
+        } catch (error) {
+          errors.push(`${where}: ${error.message}`);
+        }
+      }
+    });
+  });
+}
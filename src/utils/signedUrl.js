@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+
+/**
+ * Signed download links
+ * HMAC-SHA256 over `${resource}.${expires}`; the link works until `expires`
+ * (unix seconds) without any other credentials.
+ */
+
+/**
+ * Compute the signature for a resource and expiry
+ * @param {string} secret - Signing secret
+ * @param {string} resource - Resource identifier (e.g. attachment ID)
+ * @param {number} expires - Expiry as unix seconds
+ * @returns {string} Hex signature
+ */
+export function signResource(secret, resource, expires) {
+  return crypto.createHmac('sha256', secret).update(`${resource}.${expires}`).digest('hex');
+}
+
+/**
+ * Check a signed link
+ * @param {string} secret - Signing secret
+ * @param {string} resource - Resource identifier
+ * @param {string|number} expires - Expiry from the link
+ * @param {string} signature - Signature from the link
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {string|null} Problem ('expired' or 'invalid'), or null when valid
+ */
+export function verifyResourceSignature(secret, resource, expires, signature, now = Date.now()) {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || typeof signature !== 'string') return 'invalid';
+
+  const expected = Buffer.from(signResource(secret, resource, expiresAt));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return 'invalid';
+  }
+
+  return expiresAt * 1000 < now ? 'expired' : null;
+}
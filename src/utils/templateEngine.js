@@ -0,0 +1,153 @@
+/**
+ * Handlebars-style text templates
+ * Supports {{path.to.value}}, {{#if path}}…{{else}}…{{/if}}, {{#unless path}}…{{/unless}}
+ * and {{#each path}}…{{this}}…{{/each}} (with {{@index}}, {{@first}}, {{@last}}).
+ * Output is plain text: values are inserted as-is (HTML is escaped when the text
+ * is converted for sending).
+ */
+
+const TAG = /\{\{\s*([#/]?)([@\w.]+)?\s*([@\w.]*)\s*\}\}/g;
+const BLOCKS = ['if', 'unless', 'each'];
+
+/**
+ * Parse a template into a tree of text, variable and block nodes
+ * @param {string} source - Template text
+ * @returns {Array<Object>} Nodes
+ * @throws {Error} For unknown or unbalanced blocks
+ */
+export function parseTemplate(source) {
+  const root = [];
+  // Open blocks; target is the branch new nodes go to
+  const stack = [{ block: null, target: root }];
+  let position = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const [tag, marker, name, argument] = match;
+    const frame = stack[stack.length - 1];
+    if (match.index > position) {
+      frame.target.push({ type: 'text', value: source.slice(position, match.index) });
+    }
+    position = match.index + tag.length;
+
+    if (marker === '#') {
+      if (!BLOCKS.includes(name) || !argument) {
+        throw new Error(`Unsupported block "${tag}" (use #if, #unless or #each with a value)`);
+      }
+      const block = { type: name, path: argument, children: [], inverse: null };
+      frame.target.push(block);
+      stack.push({ block, target: block.children });
+    } else if (marker === '/') {
+      if (!frame.block || frame.block.type !== name) {
+        throw new Error(`Unexpected "${tag}"${frame.block ? ` (open block: #${frame.block.type})` : ''}`);
+      }
+      stack.pop();
+    } else if (name === 'else' && !argument) {
+      if (!frame.block || frame.block.inverse) {
+        throw new Error('Unexpected "{{else}}"');
+      }
+      frame.block.inverse = [];
+      frame.target = frame.block.inverse;
+    } else if (name && !argument) {
+      frame.target.push({ type: 'variable', path: name });
+    } else {
+      throw new Error(`Unsupported tag "${tag}"`);
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed block #${stack[stack.length - 1].block.type}`);
+  }
+  if (position < source.length) {
+    root.push({ type: 'text', value: source.slice(position) });
+  }
+  return root;
+}
+
+/**
+ * Resolve a dotted path against the innermost scope that has its first segment
+ * @private
+ */
+function lookup(scopes, path) {
+  if (path === 'this') return scopes[scopes.length - 1].this;
+  const [head, ...rest] = path.split('.');
+  const segments = head === 'this' ? rest : [head, ...rest];
+  const base = head === 'this'
+    ? scopes[scopes.length - 1].this
+    : [...scopes].reverse().find(scope => scope.values && Object.hasOwn(scope.values, head))?.values;
+  return segments.reduce((value, key) => (value == null ? undefined : value[key]), base);
+}
+
+/**
+ * @private
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * @private
+ */
+function renderNodes(nodes, scopes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'variable': {
+        const value = lookup(scopes, node.path);
+        if (value == null) return '';
+        return Array.isArray(value) ? value.join(', ') : String(value);
+      }
+      case 'if':
+      case 'unless': {
+        const truthy = isTruthy(lookup(scopes, node.path));
+        const branch = (node.type === 'if') === truthy ? node.children : node.inverse || [];
+        return renderNodes(branch, scopes);
+      }
+      case 'each': {
+        const items = lookup(scopes, node.path);
+        if (!Array.isArray(items) || items.length === 0) return renderNodes(node.inverse || [], scopes);
+        return items.map((item, index) => renderNodes(node.children, [
+          ...scopes,
+          {
+            this: item,
+            values: {
+              ...(item && typeof item === 'object' ? item : {}),
+              '@index': index,
+              '@first': index === 0,
+              '@last': index === items.length - 1
+            }
+          }
+        ])).join('');
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Render a template
+ * Missing values render as empty text; runs of blank lines left behind by
+ * empty sections are collapsed
+ * @param {string|Array<Object>} template - Template text or parsed nodes
+ * @param {Object} context - Values
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, context = {}) {
+  const nodes = typeof template === 'string' ? parseTemplate(template) : template;
+  return renderNodes(nodes, [{ this: context, values: context }])
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Paths a template reads (e.g. ["sender.name", "project", "slots.acknowledgement"])
+ * @param {string} source - Template text
+ * @returns {Array<string>} Paths of every variable and block, in order of appearance
+ */
+export function templatePaths(source) {
+  return [...source.matchAll(TAG)]
+    .map(([, marker, name, argument]) => (marker === '#' ? argument : marker === '/' || name === 'else' ? null : name))
+    .filter(Boolean);
+}
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+
+/**
+ * Webhook signature helpers
+ * Signature scheme (v1): HMAC-SHA256 over `${timestamp}.${nonce}.${rawBody}`
+ * sent as `X-Webhook-Signature: v1=<hex>` alongside
+ * `X-Webhook-Timestamp` (unix seconds) and `X-Webhook-Nonce`.
+ */
+
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+export const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+export const NONCE_HEADER = 'x-webhook-nonce';
+
+/**
+ * Compute a v1 signature
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @param {string} nonce - Unique request nonce
+ * @param {string|Buffer} rawBody - Exact request body bytes
+ * @returns {string} Header value (v1=<hex>)
+ */
+export function computeSignature(secret, timestamp, nonce, rawBody) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.${nonce}.`);
+  hmac.update(rawBody || '');
+  return `v1=${hmac.digest('hex')}`;
+}
+
+/**
+ * Build the full set of signature headers for a request body
+ * @param {string} secret - Shared secret
+ * @param {string} rawBody - Request body
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {Object} Header map
+ */
+export function signRequest(secret, rawBody, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+  const nonce = crypto.randomUUID();
+  return {
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Nonce': nonce,
+    'X-Webhook-Signature': computeSignature(secret, timestamp, nonce, rawBody)
+  };
+}
+
+/**
+ * Constant-time string comparison
+ * @private
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check a signature against every active secret (supports key rotation)
+ * @param {Array<string>} secrets - Active shared secrets
+ * @param {string} signature - Signature header value
+ * @param {string|number} timestamp - Timestamp header value
+ * @param {string} nonce - Nonce header value
+ * @param {string|Buffer} rawBody - Request body
+ * @returns {number} Index of the matching secret, or -1
+ */
+export function findMatchingSecret(secrets, signature, timestamp, nonce, rawBody) {
+  // Multiple signatures may be sent during rotation: "v1=abc,v1=def"
+  const provided = signature.split(',').map(s => s.trim()).filter(Boolean);
+
+  for (let i = 0; i < secrets.length; i++) {
+    const expected = computeSignature(secrets[i], timestamp, nonce, rawBody);
+    if (provided.some(candidate => safeEqual(candidate, expected))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Remembers the nonces of verified requests so a captured request cannot be
+ * replayed within the timestamp window. Backed by the webhook_nonces table,
+ * whose primary key makes the check hold across instances.
+ */
+export class NonceStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.db - DatabaseService (insertWebhookNonce, deleteExpiredWebhookNonces)
+   * @param {number} options.ttlMs - How long to remember a nonce
+   * @param {number} options.sweepIntervalMs - Minimum time between expiry sweeps
+   */
+  constructor({ db, ttlMs, sweepIntervalMs = 60000 }) {
+    this.db = db;
+    this.ttlMs = ttlMs;
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.nextSweepAt = 0;
+  }
+
+  /**
+   * Record a nonce
+   * @param {string} nonce - Nonce value
+   * @param {number} now - Current time in epoch milliseconds
+   * @returns {Promise<boolean>} False if the nonce was already seen (replay)
+   */
+  async checkAndStore(nonce, now = Date.now()) {
+    await this.sweep(now);
+    return this.db.insertWebhookNonce(nonce, new Date(now + this.ttlMs).toISOString());
+  }
+
+  /**
+   * Delete expired nonces, at most once per sweep interval
+   * A failed sweep only leaves rows behind, so it never blocks a request
+   * @private
+   */
+  async sweep(now) {
+    if (now < this.nextSweepAt) return;
+    this.nextSweepAt = now + this.sweepIntervalMs;
+
+    try {
+      await this.db.deleteExpiredWebhookNonces(new Date(now).toISOString());
+    } catch (error) {
+      console.warn('⚠️  Webhook nonce sweep failed:', error.message);
+    }
+  }
+}
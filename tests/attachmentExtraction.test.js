@@ -0,0 +1,162 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  AttachmentExtractionService,
+  EXTRACTION_STATUS,
+  detectAttachmentKind,
+  summarizeAttachmentText
+} from '../src/services/AttachmentExtractionService.js';
+import aiAnalysisService from '../src/services/AIAnalysisService.js';
+
+const OPTIONS = {
+  extractionEnabled: true,
+  maxBytes: 1024 * 1024,
+  maxTextChars: 200,
+  fetchTimeoutMs: 1000,
+  urlHosts: ['files.example.com'],
+  ocrCommand: 'ocr-command-that-does-not-exist',
+  ocrLanguages: 'eng',
+  ocrTimeoutMs: 1000
+};
+
+const base64 = text => Buffer.from(text, 'utf8').toString('base64');
+
+/**
+ * Smallest valid single-page PDF with one line of text
+ */
+function minimalPdf(text) {
+  const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => { pdf += `${String(offset).padStart(10, '0')} 00000 n \n`; });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+function createService(overrides = {}) {
+  const stored = [];
+  const service = new AttachmentExtractionService({
+    store: { upsertAttachmentExtractions: async (email_id, rows) => stored.push({ email_id, rows }) },
+    options: OPTIONS,
+    ...overrides
+  });
+  return { service, stored };
+}
+
+describe('attachment kind detection', () => {
+  test('uses the content type, then the extension', () => {
+    expect(detectAttachmentKind('bid.pdf', 'application/pdf')).toBe('pdf');
+    expect(detectAttachmentKind('takeoff.xlsx', 'application/octet-stream')).toBe('xlsx');
+    expect(detectAttachmentKind('scan', 'image/jpeg')).toBe('image');
+    expect(detectAttachmentKind('site.dwg', 'application/acad')).toBeNull();
+  });
+});
+
+describe('attachment extraction', () => {
+  test('extracts text from PDF and CSV content', async () => {
+    const { service, stored } = createService();
+
+    const results = await service.extractForEmail('email-1', [
+      { name: 'invoice.pdf', contentType: 'application/pdf', content: minimalPdf('Invoice 4411 total 12500').toString('base64') },
+      { name: 'lines.csv', contentType: 'text/csv', content: base64('item,qty\nrebar,40\n') }
+    ]);
+
+    expect(results[0]).toMatchObject({ attachment_index: 0, kind: 'pdf', method: 'pdf', status: EXTRACTION_STATUS.EXTRACTED });
+    expect(results[0].text).toContain('Invoice 4411 total 12500');
+    expect(results[1]).toMatchObject({ kind: 'csv', status: EXTRACTION_STATUS.EXTRACTED, text: 'item,qty\nrebar,40' });
+    expect(stored).toEqual([{ email_id: 'email-1', rows: results }]);
+  });
+
+  test('parses PDFs held in a slice of a larger buffer', async () => {
+    const { service } = createService();
+    const prefix = Buffer.from('1 0 obj << /Length l >> ');
+    const shared = Buffer.concat([prefix, minimalPdf('Change order 7')]);
+
+    const result = await service.extractAttachment({ name: 'co.pdf', contentType: 'application/pdf', buffer: shared.subarray(prefix.length) }, 0);
+
+    expect(result).toMatchObject({ status: EXTRACTION_STATUS.EXTRACTED });
+    expect(result.text).toContain('Change order 7');
+  });
+
+  test('loads storage references and truncates long text', async () => {
+    const requested = [];
+    const { service } = createService({
+      fetch: async url => {
+        requested.push(url);
+        return new Response('x'.repeat(500));
+      }
+    });
+
+    const result = await service.extractAttachment({ name: 'notes.txt', contentType: 'text/plain', url: 'https://files.example.com/notes.txt' }, 0);
+
+    expect(requested).toEqual(['https://files.example.com/notes.txt']);
+    expect(result).toMatchObject({ status: EXTRACTION_STATUS.EXTRACTED, char_count: 500, truncated: true });
+    expect(result.text).toHaveLength(200);
+  });
+
+  test('records unsupported, oversized, missing and unreadable attachments without throwing', async () => {
+    const { service } = createService({
+      extractors: { docx: async () => { throw new Error('corrupt zip'); } }
+    });
+
+    const results = await service.extractForEmail('email-2', [
+      { name: 'site.dwg', contentType: 'application/acad', content: base64('x') },
+      { name: 'plans.pdf', contentType: 'application/pdf', size: 50 * 1024 * 1024 },
+      { name: 'scope.pdf', contentType: 'application/pdf', attachmentId: 'att-1' },
+      { name: 'contract.docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', content: base64('x') },
+      { name: 'scan.png', contentType: 'image/png', content: base64('not really a png') }
+    ]);
+
+    expect(results.map(r => r.status)).toEqual([
+      EXTRACTION_STATUS.UNSUPPORTED,
+      EXTRACTION_STATUS.TOO_LARGE,
+      EXTRACTION_STATUS.NO_CONTENT,
+      EXTRACTION_STATUS.FAILED,
+      EXTRACTION_STATUS.OCR_UNAVAILABLE
+    ]);
+    expect(results[3].error).toBe('corrupt zip');
+  });
+
+  test('does nothing when extraction is disabled', async () => {
+    const { service, stored } = createService({ options: { ...OPTIONS, extractionEnabled: false } });
+    expect(await service.extractForEmail('email-3', [{ name: 'a.txt', content: base64('a') }])).toEqual([]);
+    expect(stored).toEqual([]);
+  });
+});
+
+describe('attachment text in the classification prompt', () => {
+  const extractions = [
+    { name: 'scope.pdf', kind: 'pdf', method: 'pdf', status: 'extracted', text: 'A'.repeat(100) },
+    { name: 'broken.docx', kind: 'docx', method: 'docx', status: 'failed', text: null },
+    { name: 'scan.png', kind: 'image', method: 'ocr', status: 'extracted', text: 'B'.repeat(100) }
+  ];
+
+  test('excerpts respect the per-file and total budgets', () => {
+    const summary = summarizeAttachmentText(extractions, { perFile: 60, total: 90 });
+
+    expect(summary).toContain(`--- scope.pdf (pdf) ---\n${'A'.repeat(60)} [...]`);
+    expect(summary).toContain(`--- scan.png (image, OCR) ---\n${'B'.repeat(30)} [...]`);
+    expect(summary).not.toContain('broken.docx');
+  });
+
+  test('buildPrompt includes the excerpts', () => {
+    const prompt = aiAnalysisService.buildPrompt('Bid', 'See attached', true,
+      [{ name: 'scope.pdf', contentType: 'application/pdf', size: 10 }], [], extractions);
+
+    expect(prompt).toContain('Attachment contents (excerpts):');
+    expect(prompt).toContain('--- scope.pdf (pdf) ---');
+  });
+});
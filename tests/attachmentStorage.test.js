@@ -0,0 +1,345 @@
+import { describe, test, expect, jest, beforeAll, beforeEach, afterAll, afterEach } from '@jest/globals';
+import express from 'express';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import attachmentStorageService, {
+  AttachmentStorageService,
+  loadAttachmentContent,
+  STORAGE_STATUS,
+  SCAN_STATUS,
+  storageKey
+} from '../src/services/AttachmentStorageService.js';
+import { AttachmentExtractionService, EXTRACTION_STATUS } from '../src/services/AttachmentExtractionService.js';
+import LocalAttachmentStore from '../src/services/attachmentStores/LocalAttachmentStore.js';
+import ClamAVScanner from '../src/services/attachmentScanners/ClamAVScanner.js';
+import decisionEngine from '../src/services/DecisionEngine.js';
+import attachmentRoutes from '../src/routes/attachmentRoutes.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+const OPTIONS = {
+  maxBytes: 1024 * 1024,
+  fetchTimeoutMs: 1000,
+  urlHosts: ['files.example.com'],
+  scanning: { failClosed: true },
+  retention: { days: 365, quarantineDays: 30, policy: { 'Vendor Spam': 7 }, batchSize: 100 },
+  signingSecret: 'test-signing-secret',
+  downloadUrlTtlSeconds: 300
+};
+
+const base64 = text => Buffer.from(text, 'utf8').toString('base64');
+
+/**
+ * In-memory stand-in for the attachment_blobs / email_attachments tables
+ */
+function createDb() {
+  const db = { blobs: new Map(), attachments: [] };
+  Object.assign(db, {
+    getAttachmentBlob: async sha256 => db.blobs.get(sha256) || null,
+    upsertAttachmentBlob: async blob => { db.blobs.set(blob.sha256, { ...blob }); return { ...blob }; },
+    deleteAttachmentBlob: async sha256 => { db.blobs.delete(sha256); },
+    insertEmailAttachments: async (email_id, rows) => {
+      const inserted = rows.map(row => ({
+        id: `${email_id}-${row.attachment_index}`, email_id, purged_at: null, created_at: new Date(NOW).toISOString(), ...row
+      }));
+      db.attachments.push(...inserted);
+      return inserted;
+    },
+    getEmailAttachmentById: async id => {
+      const row = db.attachments.find(a => a.id === id);
+      return row ? { ...row, attachment_blobs: db.blobs.get(row.sha256) || null } : null;
+    },
+    listEmailAttachments: async email_id => db.attachments.filter(a => a.email_id === email_id),
+    listAttachmentsForRetention: async ({ before }) => db.attachments
+      .filter(a => !a.purged_at && a.sha256 && a.created_at < before)
+      .map(a => ({ ...a, emails: { email_analysis: [{ email_type: a.email_type }] } })),
+    markAttachmentsPurged: async ids => {
+      db.attachments.filter(a => ids.includes(a.id)).forEach(a => { a.purged_at = new Date(NOW).toISOString(); });
+    },
+    countAttachmentReferences: async sha256 => db.attachments.filter(a => a.sha256 === sha256 && !a.purged_at).length
+  });
+  return db;
+}
+
+describe('attachment storage', () => {
+  let directory;
+  let store;
+  let db;
+  let scanned;
+  let service;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    store = new LocalAttachmentStore({ directory });
+    db = createDb();
+    scanned = [];
+    const scanner = {
+      scan: async buffer => {
+        scanned.push(buffer.toString());
+        return buffer.toString().includes('EICAR')
+          ? { infected: true, signature: 'Eicar-Test-Signature' }
+          : { infected: false, signature: null };
+      }
+    };
+    service = new AttachmentStorageService({ store, scanner, db, options: OPTIONS, now: () => NOW });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('stores identical content once and strips it from the email metadata', async () => {
+    const stored = await service.storeAttachments([
+      { name: 'bid.pdf', contentType: 'application/pdf', content: base64('same bytes') },
+      { name: 'bid-copy.pdf', contentType: 'application/pdf', content: base64('same bytes') },
+      { name: 'plans.pdf', contentType: 'application/pdf', attachmentId: 'att-1' }
+    ]);
+
+    expect(stored.map(a => a.storage_status)).toEqual([STORAGE_STATUS.STORED, STORAGE_STATUS.STORED, STORAGE_STATUS.NO_CONTENT]);
+    expect(stored[0].info.sha256).toBe(stored[1].info.sha256);
+    expect(stored[0].info).not.toHaveProperty('content');
+    expect(scanned).toEqual(['same bytes']);
+    expect(db.blobs.size).toBe(1);
+
+    const file = await store.get(storageKey(stored[0].info.sha256));
+    expect(file.toString()).toBe('same bytes');
+  });
+
+  test('quarantines infected files so they are never extracted', async () => {
+    const stored = await service.storeAttachments([
+      { name: 'invoice.txt', contentType: 'text/plain', content: base64('X5O!P%@AP EICAR test') }
+    ]);
+    await service.recordForEmail('email-1', stored);
+
+    expect(stored[0].info.quarantined).toBe(true);
+    expect(db.blobs.get(stored[0].info.sha256)).toMatchObject({ scan_status: SCAN_STATUS.INFECTED, scan_signature: 'Eicar-Test-Signature' });
+    expect(db.attachments[0]).toMatchObject({ quarantined: true, storage_status: STORAGE_STATUS.STORED });
+
+    const extraction = new AttachmentExtractionService({ store: { upsertAttachmentExtractions: async () => {} }, options: { extractionEnabled: true, maxBytes: 1e6, maxTextChars: 1e4 } });
+    const [result] = await extraction.extractForEmail('email-1', stored.map(a => ({ ...a.info, buffer: a.buffer })));
+    expect(result.status).toBe(EXTRACTION_STATUS.QUARANTINED);
+
+    const decision = decisionEngine.applyRules('Invoice/Billing', 0.95, { attachment_info: stored.map(a => a.info) });
+    expect(decision).toMatchObject({ rule_id: 'quarantined-attachment', automation_allowed: false, status: 'Manual Review' });
+  });
+
+  test('quarantines when the scanner fails and fail-closed is on', async () => {
+    service.scanner = { scan: async () => { throw new Error('connect ECONNREFUSED'); } };
+    const [stored] = await service.storeAttachments([{ name: 'a.txt', content: base64('hello') }]);
+
+    expect(stored.info.quarantined).toBe(true);
+    expect(stored.blob).toMatchObject({ scan_status: SCAN_STATUS.ERROR, scan_signature: 'connect ECONNREFUSED' });
+  });
+
+  test('keeps the scan result when the storage backend is down', async () => {
+    store.put = async () => { throw new Error('bucket not found'); };
+    const [stored] = await service.storeAttachments([{ name: 'a.txt', content: base64('hello') }]);
+
+    expect(stored.storage_status).toBe(STORAGE_STATUS.FAILED);
+    expect(stored.buffer.toString()).toBe('hello');
+    expect(stored.info.quarantined).toBe(false);
+  });
+
+  test('signed download links expire and cannot be tampered with', async () => {
+    const stored = await service.storeAttachments([{ name: 'scope.txt', contentType: 'text/plain', content: base64('scope of work') }]);
+    const [row] = await service.recordForEmail('email-2', stored);
+
+    const { url } = await service.createDownloadUrl(row.id, 'alice');
+    const params = new URL(url, 'http://localhost').searchParams;
+
+    const { buffer } = await service.openSignedDownload(row.id, params.get('expires'), params.get('signature'));
+    expect(buffer.toString()).toBe('scope of work');
+
+    await expect(service.openSignedDownload(row.id, params.get('expires'), 'f'.repeat(64)))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Invalid download link' });
+    await expect(service.openSignedDownload('email-2-9', params.get('expires'), params.get('signature')))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    service.now = () => NOW + 301 * 1000;
+    await expect(service.openSignedDownload(row.id, params.get('expires'), params.get('signature')))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Download link has expired' });
+  });
+
+  test('refuses download links for quarantined files', async () => {
+    const stored = await service.storeAttachments([{ name: 'virus.txt', content: base64('EICAR') }]);
+    const [row] = await service.recordForEmail('email-3', stored);
+
+    await expect(service.createDownloadUrl(row.id, 'alice')).rejects.toMatchObject({ statusCode: 423 });
+  });
+
+  test('retention purges by type and quarantine period and deletes unreferenced files', async () => {
+    const stored = await service.storeAttachments([
+      { name: 'shared.pdf', content: base64('shared') },
+      { name: 'spam.pdf', content: base64('spam') },
+      { name: 'virus.pdf', content: base64('EICAR') }
+    ]);
+    await service.recordForEmail('old-invoice', [stored[0]]);
+    await service.recordForEmail('old-spam', [stored[0], stored[1]]);
+    await service.recordForEmail('old-virus', [stored[2]]);
+
+    // Everything is 40 days old: past the spam (7) and quarantine (30) periods, not the default (365)
+    db.attachments.forEach(a => { a.created_at = new Date(NOW - 40 * DAY_MS).toISOString(); });
+    db.attachments.filter(a => a.email_id === 'old-spam').forEach(a => { a.email_type = 'Vendor Spam'; });
+    db.attachments.filter(a => a.email_id === 'old-invoice').forEach(a => { a.email_type = 'Invoice/Billing'; });
+
+    const result = await service.applyRetention();
+
+    expect(result).toEqual({ examined: 4, purged: 3, files_deleted: 2 });
+    expect(db.blobs.has(stored[0].info.sha256)).toBe(true);
+    expect(db.blobs.has(stored[1].info.sha256)).toBe(false);
+    expect(await store.get(storageKey(stored[1].info.sha256))).toBeNull();
+    expect(await store.get(storageKey(stored[0].info.sha256))).not.toBeNull();
+  });
+});
+
+describe('attachment storage references', () => {
+  const LIMITS = { timeoutMs: 1000, maxBytes: 10, allowedHosts: ['files.example.com'] };
+
+  test('fetches https URLs on a storage host without following redirects', async () => {
+    const requests = [];
+    const fetch = async (url, init) => {
+      requests.push({ url, redirect: init.redirect });
+      return new Response('scope');
+    };
+
+    const buffer = await loadAttachmentContent({ url: 'https://files.example.com/a/scope.txt' }, { ...LIMITS, fetch });
+
+    expect(buffer.toString()).toBe('scope');
+    expect(requests).toEqual([{ url: 'https://files.example.com/a/scope.txt', redirect: 'error' }]);
+  });
+
+  test('refuses plain http, other hosts and invalid URLs without fetching', async () => {
+    const fetch = async () => { throw new Error('should not fetch'); };
+
+    await expect(loadAttachmentContent({ url: 'http://files.example.com/a.txt' }, { ...LIMITS, fetch }))
+      .rejects.toThrow('Attachment URLs must use https');
+    await expect(loadAttachmentContent({ url: 'https://169.254.169.254/latest/meta-data' }, { ...LIMITS, fetch }))
+      .rejects.toThrow('Attachment host 169.254.169.254 is not a configured storage host');
+    await expect(loadAttachmentContent({ url: 'https://files.example.com.evil.test/a.txt' }, { ...LIMITS, fetch }))
+      .rejects.toThrow('is not a configured storage host');
+    await expect(loadAttachmentContent({ url: 'not a url' }, { ...LIMITS, fetch }))
+      .rejects.toThrow('Invalid attachment URL');
+  });
+
+  test('stops reading once the declared or streamed size passes maxBytes', async () => {
+    const declared = async () => new Response('x'.repeat(20), { headers: { 'Content-Length': '20' } });
+    await expect(loadAttachmentContent({ url: 'https://files.example.com/big' }, { ...LIMITS, fetch: declared }))
+      .rejects.toMatchObject({ code: 'ATTACHMENT_TOO_LARGE' });
+
+    // No Content-Length: an endless body is cancelled after the limit
+    let pulled = 0;
+    let cancelled = false;
+    const endless = async () => new Response(new ReadableStream({
+      pull(controller) {
+        pulled++;
+        controller.enqueue(new Uint8Array(4));
+      },
+      cancel() {
+        cancelled = true;
+      }
+    }));
+    await expect(loadAttachmentContent({ url: 'https://files.example.com/endless' }, { ...LIMITS, fetch: endless }))
+      .rejects.toMatchObject({ code: 'ATTACHMENT_TOO_LARGE' });
+    expect(cancelled).toBe(true);
+    expect(pulled).toBeLessThan(10);
+  });
+
+  test('records oversized references as too large', async () => {
+    const service = new AttachmentStorageService({
+      store: null,
+      scanner: null,
+      db: createDb(),
+      fetch: async () => new Response(new Uint8Array(OPTIONS.maxBytes + 1)),
+      options: OPTIONS
+    });
+
+    const [stored] = await service.storeAttachments([{ name: 'plans.pdf', url: 'https://files.example.com/plans.pdf' }]);
+
+    expect(stored.storage_status).toBe(STORAGE_STATUS.TOO_LARGE);
+    expect(stored.buffer).toBeNull();
+  });
+});
+
+describe('attachment download route', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/attachments', attachmentRoutes);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/attachments`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('encodes non-Latin-1 file names in Content-Disposition', async () => {
+    jest.spyOn(attachmentStorageService, 'openSignedDownload').mockResolvedValue({
+      attachment: { name: '报价.pdf', content_type: 'application/pdf' },
+      buffer: Buffer.from('%PDF')
+    });
+
+    const response = await fetch(`${baseUrl}/att-1/download?expires=1700000000&signature=abc`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('application/pdf');
+    expect(response.headers.get('content-disposition'))
+      .toBe('attachment; filename="??.pdf"; filename*=UTF-8\'\'%E6%8A%A5%E4%BB%B7.pdf');
+    expect(await response.text()).toBe('%PDF');
+  });
+
+  test('quotes and escapes ASCII file names', async () => {
+    jest.spyOn(attachmentStorageService, 'openSignedDownload').mockResolvedValue({
+      attachment: { name: 'bid "final".txt', content_type: null },
+      buffer: Buffer.from('bid')
+    });
+
+    const response = await fetch(`${baseUrl}/att-2/download?expires=1700000000&signature=abc`);
+
+    expect(response.headers.get('content-type')).toBe('application/octet-stream');
+    expect(response.headers.get('content-disposition')).toBe('attachment; filename="bid \\"final\\".txt"');
+  });
+});
+
+describe('ClamAV scanner', () => {
+  let server;
+  let port;
+
+  beforeEach(async () => {
+    // Fake clamd: reads the INSTREAM chunks and answers like the real daemon
+    server = net.createServer(socket => {
+      let data = Buffer.alloc(0);
+      socket.on('data', chunk => {
+        data = Buffer.concat([data, chunk]);
+        if (data.subarray(-4).readUInt32BE(0) === 0) {
+          const body = data.toString('latin1');
+          socket.end(body.includes('EICAR') ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('reports clean and infected streams', async () => {
+    const scanner = new ClamAVScanner({ host: '127.0.0.1', port, timeoutMs: 2000 });
+
+    await expect(scanner.scan(Buffer.from('plain text'))).resolves.toEqual({ infected: false, signature: null });
+    await expect(scanner.scan(Buffer.from('X5O EICAR'))).resolves.toEqual({ infected: true, signature: 'Eicar-Test-Signature' });
+  });
+});
@@ -0,0 +1,245 @@
+import { describe, test, expect } from '@jest/globals';
+import { AuthService, PERMISSIONS, API_KEY_PREFIX, hashApiKey, validateRoles } from '../src/services/AuthService.js';
+import { createPermissionGuard } from '../src/middleware/requirePermission.js';
+import { signJwt, verifyJwt } from '../src/utils/jwt.js';
+
+const SECRET = 'jwt-test-secret';
+const NOW = Date.parse('2026-03-10T15:00:00Z');
+const EMAIL_TYPES = ['RFQ/Bid Request', 'Invoice/Billing', 'Urgent Site Issue'];
+
+const ROLES = {
+  roles: {
+    admin: { permissions: ['*'] },
+    estimator: { permissions: ['emails:read', 'emails:review'], emailTypes: ['RFQ/Bid Request'] },
+    finance: { permissions: ['emails:read', 'invoices:read'], emailTypes: ['Invoice/Billing'], statuses: ['Finance Review', 'Closed'] },
+    'read-only': { permissions: ['emails:read'] }
+  }
+};
+
+const OPTIONS = {
+  enabled: true,
+  jwt: { secret: SECRET, roleClaim: 'app_metadata.role', nameClaim: 'email', clockSkewSeconds: 60 }
+};
+
+/**
+ * Fake database with API keys and three emails
+ */
+function createFakeDb() {
+  const emails = [
+    { id: 'rfq-1', status: 'Pending Review', email_type: 'RFQ/Bid Request' },
+    { id: 'inv-1', status: 'Finance Review', email_type: 'Invoice/Billing' },
+    { id: 'new-1', status: 'Analyzing', email_type: null }
+  ];
+  return {
+    apiKeys: [],
+    updates: [],
+    async insertApiKey(apiKey) {
+      const record = { id: `key-${this.apiKeys.length + 1}`, ...apiKey, revoked_at: null, last_used_at: null };
+      this.apiKeys.push(record);
+      return { ...record };
+    },
+    async findApiKeyByHash(key_hash) {
+      return this.apiKeys.find(apiKey => apiKey.key_hash === key_hash) || null;
+    },
+    async listApiKeys({ name } = {}) {
+      return this.apiKeys.filter(apiKey => !apiKey.revoked_at && (!name || apiKey.name === name));
+    },
+    async updateApiKey(id, updates) {
+      this.updates.push({ id, ...updates });
+      const apiKey = this.apiKeys.find(candidate => candidate.id === id);
+      if (!apiKey) return null;
+      Object.assign(apiKey, updates);
+      const { key_hash, ...record } = apiKey;
+      return record;
+    },
+    async getEmailScopes(ids) {
+      return emails.filter(email => ids.includes(email.id));
+    }
+  };
+}
+
+function createService(overrides = {}) {
+  return new AuthService({ db: createFakeDb(), roles: ROLES, options: OPTIONS, emailTypes: EMAIL_TYPES, now: () => NOW, ...overrides });
+}
+
+function token(claims) {
+  return signJwt({ sub: 'user-1', exp: NOW / 1000 + 3600, ...claims }, SECRET);
+}
+
+/**
+ * Run a guard against a fake request; resolves with the response or 'next'
+ */
+async function runGuard(guard, headers = {}, params = {}) {
+  const req = { params, get: name => headers[name.toLowerCase()] };
+  const res = {
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  await guard(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+}
+
+describe('JWT verification', () => {
+  test('accepts a signed, unexpired token', () => {
+    expect(verifyJwt(token({ email: 'pat@builder.com' }), SECRET, { now: NOW })).toMatchObject({ sub: 'user-1', email: 'pat@builder.com' });
+  });
+
+  test.each([
+    ['a forged signature', () => token({}).slice(0, -2) + 'xx', 'Invalid token signature'],
+    ['another secret', () => signJwt({ exp: NOW / 1000 + 60 }, 'other-secret'), 'Invalid token signature'],
+    ['an expired token', () => token({ exp: NOW / 1000 - 120 }), 'Token expired'],
+    ['no expiry', () => signJwt({ sub: 'user-1' }, SECRET), 'Token has no expiry'],
+    ['alg none', () => `${Buffer.from('{"alg":"none"}').toString('base64url')}.${Buffer.from('{"exp":9999999999}').toString('base64url')}.`, 'Unsupported token algorithm: none'],
+    ['garbage', () => 'not-a-token', 'Malformed token']
+  ])('rejects %s', (label, build, message) => {
+    expect(() => verifyJwt(build(), SECRET, { now: NOW })).toThrow(expect.objectContaining({ statusCode: 401, message }));
+  });
+
+  test('checks issuer and audience when configured', () => {
+    const jwt = token({ iss: 'https://id.example.com', aud: ['inbox'] });
+    expect(() => verifyJwt(jwt, SECRET, { now: NOW, issuer: 'https://id.example.com', audience: 'inbox' })).not.toThrow();
+    expect(() => verifyJwt(jwt, SECRET, { now: NOW, audience: 'billing' })).toThrow('Token audience is not accepted');
+  });
+});
+
+describe('role validation', () => {
+  test('the shipped roles are valid', async () => {
+    const { default: roles } = await import('../src/config/roles.json', { with: { type: 'json' } });
+    expect(validateRoles(roles)).toEqual([]);
+  });
+
+  test('reports unknown permissions, types and statuses', () => {
+    expect(validateRoles({
+      roles: { Bad: { permissions: ['emails:delete'], emailTypes: ['Gossip'], statuses: [] } }
+    }, { emailTypes: EMAIL_TYPES })).toEqual([
+      'roles.Bad: name must be lowercase letters, digits and dashes',
+      'roles.Bad: unknown permission(s) emails:delete',
+      'roles.Bad: unknown emailTypes Gossip',
+      'roles.Bad: statuses must be a non-empty array (omit it to allow all)'
+    ]);
+  });
+});
+
+describe('AuthService.authenticate', () => {
+  test('maps a JWT to its role and name', async () => {
+    const principal = await createService().authenticate({
+      authorization: `Bearer ${token({ email: 'pat@builder.com', app_metadata: { role: 'estimator' } })}`
+    });
+    expect(principal).toMatchObject({ type: 'user', name: 'pat@builder.com', role: 'estimator', emailTypes: ['RFQ/Bid Request'] });
+  });
+
+  test('rejects missing credentials, missing roles and undefined roles', async () => {
+    const service = createService();
+    await expect(service.authenticate({})).rejects.toMatchObject({ statusCode: 401 });
+    await expect(service.authenticate({ authorization: `Bearer ${token({})}` })).rejects.toMatchObject({ statusCode: 403 });
+    await expect(service.authenticate({ authorization: `Bearer ${token({ app_metadata: { role: 'owner' } })}` }))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Role "owner" is not defined' });
+  });
+
+  test('without a JWT secret only API keys are accepted', async () => {
+    const service = createService({ options: { ...OPTIONS, jwt: { ...OPTIONS.jwt, secret: undefined } } });
+    await expect(service.authenticate({ authorization: `Bearer ${token({})}` }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Token authentication is not configured' });
+  });
+
+  test('with auth disabled every caller is an unrestricted anonymous principal', async () => {
+    const principal = await createService({ options: { ...OPTIONS, enabled: false } }).authenticate({});
+    expect(principal).toMatchObject({ type: 'anonymous', name: null, permissions: ['*'] });
+  });
+});
+
+describe('API keys', () => {
+  test('are stored hashed, authenticate until revoked and record use', async () => {
+    const service = createService();
+    const { api_key, key } = await service.createApiKey({ name: 'ap-export', role: 'finance' }, 'admin@builder.com');
+
+    expect(key.startsWith(API_KEY_PREFIX)).toBe(true);
+    expect(api_key).not.toHaveProperty('key_hash');
+    expect(service.db.apiKeys[0].key_hash).toBe(hashApiKey(key));
+    expect(JSON.stringify(service.db.apiKeys)).not.toContain(key);
+
+    const principal = await service.authenticate({ apiKey: key });
+    expect(principal).toMatchObject({ type: 'api_key', name: 'ap-export', role: 'finance' });
+    expect(service.db.updates).toEqual([{ id: api_key.id, last_used_at: new Date(NOW).toISOString() }]);
+
+    // Also accepted as a bearer token
+    await expect(service.authenticate({ authorization: `Bearer ${key}` })).resolves.toMatchObject({ name: 'ap-export' });
+
+    await service.revokeApiKey(api_key.id, 'admin@builder.com');
+    await expect(service.authenticate({ apiKey: key })).rejects.toMatchObject({ statusCode: 401, message: 'Invalid API key' });
+  });
+
+  test('reject duplicates, unknown roles and expired keys', async () => {
+    const service = createService();
+    await service.createApiKey({ name: 'gc-portal', role: 'read-only', expires_at: '2026-03-11T00:00:00Z' });
+
+    await expect(service.createApiKey({ name: 'gc-portal', role: 'read-only' })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(service.createApiKey({ name: 'other', role: 'owner' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.createApiKey({ name: 'other', role: 'admin', expires_at: '2026-01-01' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.revokeApiKey('missing')).rejects.toMatchObject({ statusCode: 404 });
+
+    const { key } = await service.createApiKey({ name: 'short-lived', role: 'read-only', expires_at: '2026-03-10T16:00:00Z' });
+    service.now = () => Date.parse('2026-03-10T17:00:00Z');
+    await expect(service.authenticate({ apiKey: key })).rejects.toMatchObject({ message: 'API key expired' });
+  });
+});
+
+describe('email scope', () => {
+  const service = createService();
+  const estimator = service.toPrincipal({ type: 'user', id: 'u1', name: 'pat', role: 'estimator' });
+  const finance = service.toPrincipal({ type: 'user', id: 'u2', name: 'sam', role: 'finance' });
+  const admin = service.toPrincipal({ type: 'user', id: 'u3', name: 'alex', role: 'admin' });
+
+  test('limits types and statuses; unclassified emails need an unrestricted role', () => {
+    expect(service.canAccessEmail(estimator, { status: 'Pending Review', email_type: 'RFQ/Bid Request' })).toBe(true);
+    expect(service.canAccessEmail(estimator, { status: 'Pending Review', email_type: 'Invoice/Billing' })).toBe(false);
+    expect(service.canAccessEmail(finance, { status: 'Pending Review', email_type: 'Invoice/Billing' })).toBe(false);
+    expect(service.canAccessEmail(estimator, { status: 'Analyzing', email_type: null })).toBe(false);
+    expect(service.canAccessEmail(admin, { status: 'Analyzing', email_type: null })).toBe(true);
+    expect(service.emailScope(admin)).toBeNull();
+  });
+
+  test('filters lists by the email each record belongs to', async () => {
+    const records = [{ email_id: 'rfq-1' }, { email_id: 'inv-1' }, { email_id: 'new-1' }];
+    expect(await service.filterByEmail(estimator, records)).toEqual([{ email_id: 'rfq-1' }]);
+    expect(await service.filterByEmail(finance, records)).toEqual([{ email_id: 'inv-1' }]);
+    expect(await service.filterByEmail(admin, records)).toBe(records);
+  });
+});
+
+describe('requirePermission', () => {
+  const service = createService();
+  const requirePermission = createPermissionGuard(service);
+  const estimatorToken = `Bearer ${token({ email: 'pat@builder.com', app_metadata: { role: 'estimator' } })}`;
+
+  test('answers 401 with a challenge when unauthenticated', async () => {
+    const { res, nextCalled } = await runGuard(requirePermission(PERMISSIONS.EMAILS_READ));
+    expect(nextCalled).toBe(false);
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['WWW-Authenticate']).toBe('Bearer');
+  });
+
+  test('answers 403 when the role lacks the permission', async () => {
+    const { res } = await runGuard(requirePermission(PERMISSIONS.INVOICES_READ), { authorization: estimatorToken });
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('Role estimator does not have the invoices:read permission');
+  });
+
+  test('checks the email acted on against the role scope', async () => {
+    const guard = requirePermission(PERMISSIONS.EMAILS_REVIEW, { emailId: req => req.params.id });
+
+    const allowed = await runGuard(guard, { authorization: estimatorToken }, { id: 'rfq-1' });
+    expect(allowed.nextCalled).toBe(true);
+    expect(allowed.req.principal).toMatchObject({ name: 'pat@builder.com', role: 'estimator' });
+
+    const denied = await runGuard(guard, { authorization: estimatorToken }, { id: 'inv-1' });
+    expect(denied.nextCalled).toBe(false);
+    expect(denied.res.statusCode).toBe(403);
+
+    // Unknown emails fall through to the route's own 404
+    expect((await runGuard(guard, { authorization: estimatorToken }, { id: 'missing' })).nextCalled).toBe(true);
+  });
+});
@@ -0,0 +1,277 @@
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { parseBounce, parseDeliveryStatus } from '../src/utils/dsnParser.js';
+import { parseGmailMessage } from '../src/utils/mimeParser.js';
+import { BounceService } from '../src/services/BounceService.js';
+import { SendLimiter, SEND_BLOCKS } from '../src/services/SendLimiter.js';
+import { EmailSenderNew } from '../src/services/EmailSenderNew.js';
+import emailIngestionService from '../src/services/EmailIngestionService.js';
+import databaseService from '../src/services/DatabaseService.js';
+import attachmentStorageService from '../src/services/AttachmentStorageService.js';
+import attachmentExtractionService from '../src/services/AttachmentExtractionService.js';
+import jobQueue, { JOB_TYPES } from '../src/services/JobQueue.js';
+import auditLogger from '../src/services/AuditLogger.js';
+
+const DELIVERY_STATUS = [
+  'Reporting-MTA: dns; googlemail.com',
+  'Arrival-Date: Tue, 10 Mar 2026 08:00:01 -0700 (PDT)',
+  '',
+  'Final-Recipient: rfc822; PM@gc.com',
+  'Action: failed',
+  'Status: 5.1.1',
+  'Remote-MTA: dns; mx.gc.com. (203.0.113.5, the server for the domain gc.com.)',
+  'Diagnostic-Code: smtp; 550-5.1.1 The email account that you tried to reach does',
+  '    not exist.',
+  '',
+  'Final-Recipient: rfc822; ap@invextech.com',
+  'Action: delivered',
+  'Status: 2.0.0'
+].join('\r\n');
+
+const GMAIL_BOUNCE = {
+  from_email: 'mailer-daemon@googlemail.com',
+  subject: 'Delivery Status Notification (Failure)',
+  body: "** Address not found **\n\nYour message wasn't delivered to pm@gc.com because the address couldn't be found.",
+  delivery_status: DELIVERY_STATUS,
+  in_reply_to: '<reply-1@invextech.com>',
+  reference_ids: ['<inbound-2@gc.com>', '<reply-1@invextech.com>']
+};
+
+const EXCHANGE_BOUNCE = {
+  from_email: 'postmaster@gc.com',
+  subject: 'Undeliverable: Re: Invoice 118',
+  body: [
+    'Delivery has failed to these recipients or groups:',
+    '',
+    'pm@gc.com',
+    "Remote Server returned '550 5.1.10 RESOLVER.ADR.RecipientNotFound; Recipient not found by SMTP address lookup'",
+    '',
+    'Original message headers:',
+    'Message-ID: <reply-1@invextech.com>',
+    'Subject: Re: Invoice 118'
+  ].join('\n')
+};
+
+const OUTBOUND = {
+  id: 'outbound-1',
+  email_id: 'email-1',
+  message_id: '<reply-1@invextech.com>',
+  to_addresses: ['pm@gc.com'],
+  cc_addresses: ['ap@invextech.com'],
+  bcc_addresses: [],
+  recipient: 'pm@gc.com'
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('delivery status parsing', () => {
+  test('reads per-recipient fields of an RFC 3464 report', () => {
+    expect(parseDeliveryStatus(DELIVERY_STATUS)).toEqual({
+      reporting_mta: 'googlemail.com',
+      recipients: [
+        {
+          address: 'pm@gc.com',
+          action: 'failed',
+          status: '5.1.1',
+          diagnostic: '550-5.1.1 The email account that you tried to reach does not exist.',
+          remote_mta: 'mx.gc.com. (203.0.113.5, the server for the domain gc.com.)'
+        },
+        { address: 'ap@invextech.com', action: 'delivered', status: '2.0.0', diagnostic: null, remote_mta: null }
+      ]
+    });
+  });
+
+  test('recognizes a structured bounce and the reply it is about', () => {
+    expect(parseBounce(GMAIL_BOUNCE)).toMatchObject({
+      structured: true,
+      recipients: [{ address: 'pm@gc.com', action: 'failed', status: '5.1.1', permanent: true }],
+      status: '5.1.1',
+      permanent: true,
+      original_message_ids: ['<reply-1@invextech.com>', '<inbound-2@gc.com>']
+    });
+  });
+
+  test('reads the report from an attached delivery-status part or a flattened body', () => {
+    const attached = parseBounce({
+      ...GMAIL_BOUNCE,
+      delivery_status: null,
+      attachmentInfo: [{ name: 'details.txt', contentType: 'message/delivery-status', content: Buffer.from(DELIVERY_STATUS).toString('base64') }]
+    });
+    const flattened = parseBounce({ from_email: 'MAILER-DAEMON@mx.invextech.com', subject: 'Undelivered Mail Returned to Sender', body: DELIVERY_STATUS });
+
+    expect(attached.recipients.map(recipient => recipient.address)).toEqual(['pm@gc.com']);
+    expect(flattened).toMatchObject({ structured: true, status: '5.1.1' });
+  });
+
+  test('falls back to the notice text when there is no machine-readable report', () => {
+    expect(parseBounce(EXCHANGE_BOUNCE)).toMatchObject({
+      structured: false,
+      recipients: [{ address: null, action: 'failed', status: '5.1.10', permanent: true }],
+      original_message_ids: ['<reply-1@invextech.com>']
+    });
+    expect(parseBounce({ ...EXCHANGE_BOUNCE, headers: { 'X-Failed-Recipients': 'pm@gc.com' } }).recipients[0].address).toBe('pm@gc.com');
+  });
+
+  test('treats delay warnings as temporary', () => {
+    const bounce = parseBounce({
+      from_email: 'mailer-daemon@googlemail.com',
+      subject: 'Delivery Status Notification (Delay)',
+      body: 'Your message to pm@gc.com has been delayed. Gmail will retry for 46 more hours.'
+    });
+
+    expect(bounce).toMatchObject({ action: 'delayed', permanent: false });
+  });
+
+  test('ignores delivery receipts and ordinary email', () => {
+    expect(parseBounce({ ...GMAIL_BOUNCE, delivery_status: 'Final-Recipient: rfc822; pm@gc.com\nAction: delivered\nStatus: 2.0.0' })).toBeNull();
+    expect(parseBounce({ from_email: 'pm@gc.com', subject: 'Undeliverable goods on site', body: 'Two pallets arrived damaged.' })).toBeNull();
+  });
+
+  test('collects delivery-status parts from Gmail messages', () => {
+    const encode = text => Buffer.from(text).toString('base64url');
+    const parsed = parseGmailMessage({
+      id: 'b1',
+      payload: {
+        mimeType: 'multipart/report',
+        headers: [{ name: 'From', value: 'Mail Delivery Subsystem <mailer-daemon@googlemail.com>' }, { name: 'Subject', value: 'Delivery Status Notification (Failure)' }],
+        parts: [
+          { mimeType: 'text/plain', body: { data: encode('Address not found') } },
+          { mimeType: 'message/delivery-status', body: { data: encode(DELIVERY_STATUS) } },
+          { mimeType: 'message/rfc822', parts: [{ mimeType: 'text/plain', headers: [{ name: 'Message-ID', value: '<reply-1@invextech.com>' }], body: { data: encode('Received.') } }] }
+        ]
+      }
+    });
+
+    expect(parsed.delivery_status).toBe(`${DELIVERY_STATUS}\n\nMessage-ID: <reply-1@invextech.com>`);
+    expect(parseBounce(parsed).original_message_ids).toEqual(['<reply-1@invextech.com>']);
+  });
+});
+
+/**
+ * Database stand-in for BounceService with the bounce and the email we replied to
+ */
+function createService({ report, outbound = OUTBOUND, originalStatus = 'Responded' }) {
+  const emails = {
+    'bounce-1': { id: 'bounce-1', status: 'Received', delivery_report: report },
+    'email-1': { id: 'email-1', status: originalStatus }
+  };
+  const calls = { outbound: [], suppressed: [], statuses: [] };
+  const db = {
+    getEmailById: async id => emails[id],
+    findOutboundEmailByMessageIds: async ids => (outbound && ids.includes(outbound.message_id) ? outbound : null),
+    updateOutboundEmail: async (id, fields) => calls.outbound.push({ id, ...fields }),
+    upsertSuppressedRecipient: async row => calls.suppressed.push(row),
+    updateEmailStatus: async (id, status, change) => calls.statuses.push({ id, status, ...change })
+  };
+  const service = new BounceService({ db, now: () => Date.parse('2026-03-10T15:05:00Z') });
+  return { service, calls };
+}
+
+describe('BounceService', () => {
+  test('suppresses the bounced address and sends the original email to Manual Review', async () => {
+    const log = jest.spyOn(auditLogger, 'log').mockResolvedValue();
+    const report = parseBounce({
+      ...GMAIL_BOUNCE,
+      delivery_status: `${DELIVERY_STATUS}\n\nFinal-Recipient: rfc822; stranger@elsewhere.com\nAction: failed\nStatus: 5.1.1`
+    });
+    const { service, calls } = createService({ report });
+
+    const result = await service.processBounce('bounce-1');
+
+    expect(result).toEqual({ matched: true, outbound_email_id: 'outbound-1', delivery_status: 'bounced', suppressed: ['pm@gc.com'], manual_review: true });
+    expect(calls.outbound[0]).toMatchObject({ id: 'outbound-1', delivery_status: 'bounced', bounce_email_id: 'bounce-1', bounced_at: '2026-03-10T15:05:00.000Z' });
+    expect(calls.suppressed).toEqual([expect.objectContaining({
+      address: 'pm@gc.com',
+      reason: 'hard_bounce',
+      status_code: '5.1.1',
+      outbound_email_id: 'outbound-1',
+      bounce_email_id: 'bounce-1'
+    })]);
+    expect(calls.statuses).toEqual([
+      expect.objectContaining({ id: 'email-1', status: 'Manual Review', source: 'bounce', reason: 'Reply to pm@gc.com (5.1.1) bounced' }),
+      expect.objectContaining({ id: 'bounce-1', status: 'Closed', source: 'bounce' })
+    ]);
+    expect(log).toHaveBeenCalledWith('email_bounced', 'Reply <reply-1@invextech.com> bounced: pm@gc.com (5.1.1)', false, 'email-1', expect.any(Object));
+  });
+
+  test('attributes notices without a failed address to the reply recipient', async () => {
+    jest.spyOn(auditLogger, 'log').mockResolvedValue();
+    const { service, calls } = createService({ report: parseBounce(EXCHANGE_BOUNCE) });
+
+    await service.processBounce('bounce-1');
+
+    expect(calls.suppressed.map(row => [row.address, row.status_code])).toEqual([['pm@gc.com', '5.1.10']]);
+  });
+
+  test('records delays without suppressing or escalating', async () => {
+    jest.spyOn(auditLogger, 'log').mockResolvedValue();
+    const report = parseBounce({ ...GMAIL_BOUNCE, delivery_status: DELIVERY_STATUS.replace('Action: failed\r\nStatus: 5.1.1', 'Action: delayed\r\nStatus: 4.4.1') });
+    const { service, calls } = createService({ report });
+
+    const result = await service.processBounce('bounce-1');
+
+    expect(result).toMatchObject({ delivery_status: 'delayed', suppressed: [], manual_review: false });
+    expect(calls.suppressed).toHaveLength(0);
+    expect(calls.statuses.map(change => change.status)).toEqual(['Closed']);
+  });
+
+  test('closes reports that match none of our replies', async () => {
+    const log = jest.spyOn(auditLogger, 'log').mockResolvedValue();
+    const { service, calls } = createService({ report: parseBounce(GMAIL_BOUNCE), outbound: null });
+
+    expect(await service.processBounce('bounce-1')).toEqual({ matched: false });
+    expect(calls.suppressed).toHaveLength(0);
+    expect(calls.statuses).toEqual([expect.objectContaining({ id: 'bounce-1', status: 'Closed' })]);
+    expect(log).toHaveBeenCalledWith('bounce_unmatched', expect.any(String), true, 'bounce-1', expect.any(Object));
+  });
+});
+
+describe('sending to bounced addresses', () => {
+  test('SendLimiter blocks suppressed recipients', async () => {
+    const limiter = new SendLimiter({
+      db: { getSuppressedRecipient: async address => (address === 'pm@gc.com' ? { address, reason: 'hard_bounce', status_code: '5.1.1' } : null) },
+      options: {}
+    });
+
+    expect(await limiter.checkRecipient({ from_email: 'PM@gc.com' }))
+      .toEqual({ code: SEND_BLOCKS.BOUNCED, reason: 'pm@gc.com bounced a previous reply (5.1.1)' });
+    expect(await limiter.checkBounced('jo@gc.com')).toBeNull();
+  });
+
+  test('EmailSenderNew does not send replies to a suppressed address', async () => {
+    const send = jest.fn();
+    const limiter = { checkBounced: async () => ({ code: SEND_BLOCKS.BOUNCED, reason: 'pm@gc.com bounced a previous reply (5.1.1)' }) };
+    const sender = new EmailSenderNew({ transport: { name: 'test', send }, db: {}, limiter, options: { copies: {} } });
+
+    const result = await sender.sendReply({ id: 'email-1', from_email: 'pm@gc.com' }, { subject: 'Re: Hi', text: 'Thanks' });
+
+    expect(result).toEqual({ success: false, suppressed: SEND_BLOCKS.BOUNCED, error: 'pm@gc.com bounced a previous reply (5.1.1)' });
+    expect(send).not.toHaveBeenCalled();
+  });
+});
+
+describe('bounce ingestion', () => {
+  test('stores the report and queues bounce processing instead of analysis', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(databaseService, 'getEmailByMessageId').mockResolvedValue(null);
+    jest.spyOn(databaseService, 'findThreadIdByMessageIds').mockResolvedValue('thread-1');
+    const insertEmail = jest.spyOn(databaseService, 'insertEmail').mockResolvedValue('bounce-1');
+    jest.spyOn(databaseService, 'setEmailThread').mockResolvedValue();
+    jest.spyOn(databaseService, 'refreshThread').mockResolvedValue({ id: 'thread-1', message_count: 3 });
+    jest.spyOn(attachmentStorageService, 'storeAttachments').mockResolvedValue([]);
+    jest.spyOn(attachmentStorageService, 'recordForEmail').mockResolvedValue();
+    jest.spyOn(attachmentExtractionService, 'extractForEmail').mockResolvedValue();
+    const enqueue = jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({ id: 'job-1' });
+
+    const result = await emailIngestionService.processIncomingEmail({
+      ...GMAIL_BOUNCE,
+      message_id: '<bounce-1@googlemail.com>',
+      references: GMAIL_BOUNCE.reference_ids.join(' ')
+    });
+
+    expect(result.success).toBe(true);
+    expect(insertEmail.mock.calls[0][0].delivery_report).toMatchObject({ status: '5.1.1', permanent: true });
+    expect(enqueue).toHaveBeenCalledWith(JOB_TYPES.PROCESS_BOUNCE, { email_id: 'bounce-1' }, { email_id: 'bounce-1' });
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import llmService from '../src/services/LLMService.js';
+import MockLLMProvider from '../src/services/llmProviders/MockLLMProvider.js';
+import aiAnalysisService from '../src/services/AIAnalysisService.js';
+import { validateSchema } from '../src/utils/jsonSchema.js';
+import { getClassificationSchema } from '../src/schemas/classificationSchema.js';
+
+const valid = {
+  email_type: 'RFQ/Bid Request',
+  project_type: 'Warehouse',
+  location: null,
+  estimated_value: 250000,
+  deadline: '2026-04-01',
+  urgency_level: 'Medium',
+  confidence_score: 0.92,
+  reasoning: 'Asks for a bid'
+};
+
+describe('classification schema', () => {
+  test('accepts a complete response', () => {
+    expect(validateSchema(getClassificationSchema(), valid)).toEqual([]);
+  });
+
+  test('reports every problem with its path', () => {
+    const errors = validateSchema(getClassificationSchema(), {
+      ...valid,
+      email_type: 'Spam',
+      confidence_score: 1.5,
+      location: 42,
+      reasoning: undefined
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('$.email_type must be one of'),
+      '$.confidence_score must be <= 1',
+      '$.location must be string or null (got integer)',
+      expect.stringContaining('$.reasoning must be string')
+    ]));
+  });
+});
+
+describe('parseResponse', () => {
+  test('accepts plain and fenced JSON', () => {
+    expect(aiAnalysisService.parseResponse(JSON.stringify(valid)).analysis).toMatchObject(valid);
+    expect(aiAnalysisService.parseResponse('```json\n' + JSON.stringify(valid) + '\n```').failure).toBeNull();
+  });
+
+  test('distinguishes truncation from invalid JSON', () => {
+    const cut = JSON.stringify(valid).slice(0, 60);
+    expect(aiAnalysisService.parseResponse(cut, 'length').failure.reason).toBe('truncated');
+    expect(aiAnalysisService.parseResponse('I think it is an RFQ', 'stop').failure.reason).toBe('invalid_json');
+  });
+
+  test('rejects off-schema responses instead of coercing them', () => {
+    const { analysis, failure } = aiAnalysisService.parseResponse(JSON.stringify({ ...valid, urgency_level: 'Critical' }));
+    expect(analysis).toBeNull();
+    expect(failure.reason).toBe('schema');
+  });
+});
+
+describe('requestClassification', () => {
+  let originalProvider;
+
+  beforeEach(() => {
+    originalProvider = llmService.provider;
+  });
+
+  afterEach(() => {
+    llmService.provider = originalProvider;
+  });
+
+  test('requests JSON mode and re-asks once with the validation errors', async () => {
+    const responses = [JSON.stringify({ ...valid, confidence_score: 'high' }), JSON.stringify(valid)];
+    const provider = new MockLLMProvider({ respond: () => responses.shift() });
+    llmService.provider = provider;
+    const before = aiAnalysisService.getMetrics();
+
+    const { analysis, attempts } = await aiAnalysisService.requestClassification('email-1', 'prompt');
+
+    expect(attempts).toBe(2);
+    expect(analysis.email_type).toBe('RFQ/Bid Request');
+    expect(provider.calls[0].responseFormat).toBe('json');
+    expect(provider.calls[1].messages.at(-1).content).toContain('$.confidence_score must be number');
+
+    const after = aiAnalysisService.getMetrics();
+    expect(after.failures.schema - before.failures.schema).toBe(1);
+    expect(after.reask_successes - before.reask_successes).toBe(1);
+  });
+
+  test('falls back to a zero-confidence Unknown after the re-ask fails', async () => {
+    llmService.provider = new MockLLMProvider({ respond: () => '{"email_type": "RFQ/Bid' });
+    const before = aiAnalysisService.getMetrics();
+
+    const { analysis } = await aiAnalysisService.requestClassification('email-2', 'prompt');
+
+    expect(analysis.email_type).toBe('Unknown/Unclear');
+    expect(analysis.confidence_score).toBe(0);
+    expect(analysis.reasoning).toContain('invalid_json');
+    expect(aiAnalysisService.getMetrics().fallbacks - before.fallbacks).toBe(1);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, test, expect } from '@jest/globals';
+import decisionEngine from '../src/services/DecisionEngine.js';
+import { buildFacts, evaluateRules, validateRuleSet, describeCondition, MAX_PATTERN_LENGTH } from '../src/utils/ruleEngine.js';
+
+const ruleSet = {
+  rules: [
+    {
+      id: 'trusted-vendor-invoice',
+      when: {
+        email_type: { eq: 'Invoice/Billing' },
+        sender_domain: { in: ['supplier.com'] },
+        'extracted.amount': { lt: 10000 }
+      },
+      then: { automation_allowed: true, status: 'Finance Review', reason: 'Trusted vendor ({sender_domain})' }
+    },
+    {
+      id: 'pdf-or-high-urgency',
+      when: { any: [{ attachment_types: { contains: 'application/pdf' } }, { urgency: { eq: 'High' } }] },
+      then: { automation_allowed: false, status: 'Manual Review', reason: 'Needs a look' }
+    }
+  ],
+  default: { automation_allowed: false, status: 'Manual Review', reason: 'No rule for {email_type}' }
+};
+
+describe('default decision rules', () => {
+  test('reproduce the original decision table', () => {
+    const cases = [
+      ['Urgent Site Issue', 0.2, 'Escalated', false],
+      ['RFQ/Bid Request', 0.5, 'Manual Review', false],
+      ['RFQ/Bid Request', 0.9, 'Pending Review', true],
+      ['Invoice/Billing', 0.9, 'Finance Review', true],
+      ['Unknown/Unclear', 0.8, 'Generic Response', true],
+      ['Something Else', 0.9, 'Manual Review', false]
+    ];
+
+    cases.forEach(([type, confidence, status, automated]) => {
+      const decision = decisionEngine.applyRules(type, confidence);
+      expect(decision.status).toBe(status);
+      expect(decision.automation_allowed).toBe(automated);
+    });
+  });
+
+  test('interpolates facts and variables into reasons', () => {
+    expect(decisionEngine.applyRules('RFQ/Bid Request', 0.5).reason).toBe('Low confidence score (0.5 < 0.7)');
+    expect(decisionEngine.applyRules('Something Else', 0.9).reason).toBe('Unknown email type: Something Else');
+  });
+
+  test('getRules is generated from the same rule set', () => {
+    const rules = decisionEngine.getRules();
+    expect(rules.map(rule => rule.id)).toEqual(decisionEngine.ruleSet.rules.map(rule => rule.id));
+    expect(rules.find(rule => rule.id === 'low-confidence').condition).toBe('confidence_score < 0.7');
+
+    const unknown = rules.find(rule => rule.condition.includes('Unknown/Unclear'));
+    expect(unknown.status).toBe('Generic Response');
+  });
+});
+
+describe('rule engine', () => {
+  test('matches on sender domain, extracted fields and attachments', () => {
+    const invoice = buildFacts({
+      email_type: 'Invoice/Billing',
+      confidence_score: 0.9,
+      from_email: 'AP@Supplier.com',
+      extracted_data: { amount: 500 }
+    });
+    expect(evaluateRules(ruleSet, invoice)).toMatchObject({
+      rule_id: 'trusted-vendor-invoice',
+      reason: 'Trusted vendor (supplier.com)'
+    });
+
+    const withPdf = buildFacts({
+      email_type: 'RFQ/Bid Request',
+      attachment_info: [{ name: 'plans.pdf', contentType: 'application/pdf' }]
+    });
+    expect(evaluateRules(ruleSet, withPdf).rule_id).toBe('pdf-or-high-urgency');
+
+    const other = buildFacts({ email_type: 'Invoice/Billing', from_email: 'x@other.com', extracted_data: { amount: 500 } });
+    expect(evaluateRules(ruleSet, other)).toMatchObject({ rule_id: 'default', reason: 'No rule for Invoice/Billing' });
+  });
+
+  test('describes nested conditions', () => {
+    expect(describeCondition(ruleSet.rules[1].when))
+      .toBe('(attachment_types CONTAINS "application/pdf" OR urgency = "High")');
+  });
+
+  test('reports invalid rule sets', () => {
+    const errors = validateRuleSet({
+      rules: [
+        { id: 'a', when: { colour: { eq: 'red' } }, then: { automation_allowed: true, status: 'X', reason: 'r' } },
+        { id: 'a', when: { confidence_score: { lt: '$missing' } }, then: { status: 'X' } },
+        { id: 'b', when: { email_type: { like: 'RFQ' }, urgency: { in: 'High' } }, then: { automation_allowed: false, status: 'X', reason: 'r' } }
+      ],
+      default: { automation_allowed: false, status: 'Manual Review', reason: 'r' }
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('unknown field "colour"'),
+      expect.stringContaining('duplicate id'),
+      expect.stringContaining('unknown variable $missing'),
+      expect.stringContaining('automation_allowed must be a boolean'),
+      expect.stringContaining('unknown operator'),
+      expect.stringContaining('expects an array'),
+      expect.stringContaining('status must be one of')
+    ]));
+    expect(validateRuleSet(ruleSet)).toEqual([]);
+  });
+
+  test('refuses long, invalid and catastrophic-backtracking patterns', () => {
+    const withPattern = pattern => ({
+      rules: [{ id: 'p', when: { from_email: { matches: pattern } }, then: { automation_allowed: false, status: 'Manual Review', reason: 'r' } }],
+      default: { automation_allowed: false, status: 'Manual Review', reason: 'r' }
+    });
+
+    expect(validateRuleSet(withPattern('(a+)+$'))).toEqual([expect.stringContaining('may backtrack catastrophically')]);
+    expect(validateRuleSet(withPattern('(x|x)*y'.padEnd(MAX_PATTERN_LENGTH + 1, 'z'))))
+      .toEqual([expect.stringContaining(`longer than ${MAX_PATTERN_LENGTH} characters`)]);
+    expect(validateRuleSet(withPattern('[a-'))).toEqual([expect.stringContaining('invalid regular expression')]);
+    expect(validateRuleSet(withPattern('@(supplier|vendor)\\.com$'))).toEqual([]);
+
+    // A rule set stored before validation existed still never runs the pattern
+    expect(() => evaluateRules(withPattern('(a+)+$'), buildFacts({ from_email: `${'a'.repeat(40)}!` })))
+      .toThrow('may backtrack catastrophically');
+  });
+
+  test('dry run validates before evaluating a candidate rule set', () => {
+    const result = decisionEngine.dryRun(ruleSet, { email_type: 'RFQ/Bid Request', urgency: 'High' });
+    expect(result.valid).toBe(true);
+    expect(result.decision.rule_id).toBe('pdf-or-high-urgency');
+
+    const invalid = decisionEngine.dryRun({ rules: 'nope' }, { email_type: 'RFQ/Bid Request' });
+    expect(invalid.valid).toBe(false);
+    expect(invalid.decision).toBeNull();
+  });
+});
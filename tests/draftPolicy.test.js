@@ -0,0 +1,166 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { config } from '../src/config/index.js';
+import databaseService from '../src/services/DatabaseService.js';
+import auditLogger from '../src/services/AuditLogger.js';
+import emailSender from '../src/services/EmailSenderNew.js';
+import draftService, { REPLY_MODES } from '../src/services/DraftService.js';
+
+describe('reply policy', () => {
+  const original = { ...config.replies };
+
+  afterEach(() => {
+    Object.assign(config.replies, original);
+  });
+
+  test('falls back to the global reply mode', () => {
+    config.replies.mode = 'auto';
+    config.replies.policy = {};
+    expect(draftService.getReplyMode('RFQ/Bid Request')).toBe(REPLY_MODES.AUTO);
+
+    config.replies.mode = 'draft';
+    expect(draftService.getReplyMode('RFQ/Bid Request')).toBe(REPLY_MODES.DRAFT);
+  });
+
+  test('per-type policy overrides the global mode', () => {
+    config.replies.mode = 'auto';
+    config.replies.policy = { 'RFQ/Bid Request': 'draft' };
+    expect(draftService.getReplyMode('RFQ/Bid Request')).toBe(REPLY_MODES.DRAFT);
+    expect(draftService.getReplyMode('Invoice/Billing')).toBe(REPLY_MODES.AUTO);
+  });
+
+  test('unrecognised modes never hold replies back silently', () => {
+    config.replies.mode = 'draft';
+    config.replies.policy = { 'Invoice/Billing': 'sometimes' };
+    expect(draftService.getReplyMode('Invoice/Billing')).toBe(REPLY_MODES.AUTO);
+  });
+});
+
+describe('draft review', () => {
+  let drafts;
+  let email;
+  let sentOutbound;
+
+  beforeEach(() => {
+    drafts = {
+      'draft-1': {
+        id: 'draft-1',
+        email_id: 'email-1',
+        status: 'pending',
+        version: 2,
+        subject: 'Re: RFQ Warehouse',
+        text_body: 'Thanks, we will quote by Friday.',
+        html_body: '<p>Thanks, we will quote by Friday.</p>',
+        generated_by: 'template'
+      }
+    };
+    email = { id: 'email-1', status: 'Awaiting Approval', from_email: 'pm@gc.com', subject: 'RFQ Warehouse' };
+    sentOutbound = null;
+
+    jest.spyOn(databaseService, 'getReplyDraftById').mockImplementation(async id => (drafts[id] ? { ...drafts[id] } : null));
+    jest.spyOn(databaseService, 'updateReplyDraft').mockImplementation(async (id, fields) => ({ ...Object.assign(drafts[id], fields) }));
+    jest.spyOn(databaseService, 'claimReplyDraft').mockImplementation(async (id, statuses, fields) => (
+      statuses.includes(drafts[id].status) ? { ...Object.assign(drafts[id], fields) } : null
+    ));
+    jest.spyOn(databaseService, 'getEmailById').mockImplementation(async () => ({ ...email }));
+    jest.spyOn(databaseService, 'findAnalysisByEmailId').mockResolvedValue({ email_type: 'RFQ/Bid Request' });
+    jest.spyOn(databaseService, 'findSentOutboundEmailByDraftId').mockImplementation(async () => sentOutbound);
+    jest.spyOn(databaseService, 'insertWorkflow').mockResolvedValue();
+    jest.spyOn(databaseService, 'updateEmailStatus').mockResolvedValue({ changed: true });
+    jest.spyOn(auditLogger, 'logReviewAction').mockResolvedValue();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('approving sends the draft and marks the email Responded', async () => {
+    const sendReply = jest.spyOn(emailSender, 'sendReply').mockResolvedValue({ success: true, messageId: '<reply-1@invextech.com>' });
+
+    const { draft, result } = await draftService.approveDraft('draft-1', 'alice');
+
+    expect(sendReply).toHaveBeenCalledWith(expect.objectContaining({ id: 'email-1' }), {
+      subject: 'Re: RFQ Warehouse',
+      text: 'Thanks, we will quote by Friday.',
+      html: '<p>Thanks, we will quote by Friday.</p>'
+    }, { email_type: 'RFQ/Bid Request', draft_id: 'draft-1' });
+    expect(result.messageId).toBe('<reply-1@invextech.com>');
+    expect(draft).toMatchObject({ status: 'sent', reviewed_by: 'alice', sent_message_id: '<reply-1@invextech.com>' });
+    expect(databaseService.updateEmailStatus).toHaveBeenCalledWith('email-1', 'Responded', expect.objectContaining({ changed_by: 'alice' }));
+  });
+
+  test('concurrent approvals send the draft once', async () => {
+    const sendReply = jest.spyOn(emailSender, 'sendReply').mockImplementation(async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      return { success: true, messageId: '<reply-1@invextech.com>' };
+    });
+
+    const [first, second] = await Promise.allSettled([
+      draftService.approveDraft('draft-1', 'alice'),
+      draftService.approveDraft('draft-1', 'bob')
+    ]);
+
+    expect(sendReply).toHaveBeenCalledTimes(1);
+    expect(first.status).toBe('fulfilled');
+    expect(second.reason).toMatchObject({ statusCode: 409 });
+    expect(drafts['draft-1']).toMatchObject({ status: 'sent', reviewed_by: 'alice' });
+  });
+
+  test('a failed send hands the draft back for another approval', async () => {
+    jest.spyOn(emailSender, 'sendReply').mockResolvedValue({ success: false, error: 'SMTP unavailable' });
+
+    await expect(draftService.approveDraft('draft-1', 'alice')).rejects.toMatchObject({
+      statusCode: 502,
+      message: 'Draft approved but sending failed: SMTP unavailable'
+    });
+    expect(drafts['draft-1'].status).toBe('approved');
+    expect(databaseService.updateEmailStatus).not.toHaveBeenCalled();
+  });
+
+  test('retrying an approval whose reply already went out does not send it again', async () => {
+    drafts['draft-1'].status = 'approved';
+    sentOutbound = { id: 'out-1', draft_id: 'draft-1', message_id: '<reply-1@invextech.com>', status: 'sent' };
+    const sendReply = jest.spyOn(emailSender, 'sendReply');
+
+    const { draft, result } = await draftService.approveDraft('draft-1', 'alice');
+
+    expect(sendReply).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ success: true, already_sent: true });
+    expect(draft).toMatchObject({ status: 'sent', sent_message_id: '<reply-1@invextech.com>' });
+  });
+
+  test('a closed email cannot be answered', async () => {
+    email.status = 'Closed';
+    const sendReply = jest.spyOn(emailSender, 'sendReply');
+
+    await expect(draftService.approveDraft('draft-1', 'alice')).rejects.toMatchObject({ statusCode: 409 });
+    expect(sendReply).not.toHaveBeenCalled();
+    expect(drafts['draft-1'].status).toBe('pending');
+  });
+
+  test('editing updates a pending draft', async () => {
+    const updated = await draftService.editDraft('draft-1', { text: 'We will quote by Monday.' }, 'alice');
+
+    expect(updated).toMatchObject({
+      subject: 'Re: RFQ Warehouse',
+      text_body: 'We will quote by Monday.',
+      edited_by: 'alice'
+    });
+    expect(updated.html_body).toContain('We will quote by Monday.');
+    await expect(draftService.editDraft('draft-1', {}, 'alice')).rejects.toMatchObject({ statusCode: 400 });
+
+    drafts['draft-1'].status = 'sent';
+    await expect(draftService.editDraft('draft-1', { text: 'Too late' }, 'alice')).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('rejecting records the reviewer and reason', async () => {
+    const rejected = await draftService.rejectDraft('draft-1', 'alice', 'Wrong project');
+
+    expect(rejected).toMatchObject({ status: 'rejected', reviewed_by: 'alice', rejection_reason: 'Wrong project' });
+    await expect(draftService.rejectDraft('draft-1', 'alice')).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Draft is rejected; expected pending'
+    });
+    await expect(draftService.rejectDraft('missing', 'alice')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
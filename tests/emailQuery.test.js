@@ -0,0 +1,149 @@
+import { describe, test, expect } from '@jest/globals';
+import { EmailQueryService, parseEmailQuery, encodeCursor } from '../src/services/EmailQueryService.js';
+
+const EMAILS = [
+  { id: '00000000-0000-4000-8000-000000000003', from_email: 'gc@builder.com', subject: 'RFQ Riverside', body: 'x'.repeat(250), status: 'Pending Review', received_at: '2026-03-10T15:00:00+00:00', email_analysis: [{ email_type: 'RFQ/Bid Request', urgency: 'High', confidence_score: 0.92 }] },
+  { id: '00000000-0000-4000-8000-000000000002', from_email: 'ap@supplier.com', subject: 'Invoice 118', body: 'Please find attached', status: 'Finance Review', received_at: '2026-03-09T15:00:00+00:00', email_analysis: [] },
+  { id: '00000000-0000-4000-8000-000000000001', from_email: 'pm@owner.com', subject: 'Site visit', body: 'Tuesday?', status: 'Received', received_at: '2026-03-08T15:00:00+00:00', email_analysis: [] }
+];
+
+/**
+ * Fake database returning EMAILS after the cursor, newest first
+ */
+function createFakeDb() {
+  return {
+    queries: [],
+    async searchEmails(query) {
+      this.queries.push(query);
+      const start = query.after ? EMAILS.findIndex(email => email.id === query.after.id) + 1 : 0;
+      return EMAILS.slice(start, start + query.limit);
+    },
+    async getEmailById(id) {
+      const email = EMAILS.find(candidate => candidate.id === id);
+      if (!email) throw new Error('Failed to get email: not found');
+      return email;
+    },
+    async findAnalysisByEmailId() {
+      return { email_type: 'RFQ/Bid Request', confidence_score: 0.92 };
+    },
+    async listWorkflowsByEmailId() {
+      return [{ workflow_type: 'RFQ/Bid Request', success: true }];
+    },
+    async listOutboundEmailsByEmailId() {
+      return [{ message_id: '<reply-1@invextech.com>', status: 'sent' }];
+    },
+    async getAuditLogsByEmailId() {
+      return [{ action_type: 'email_received' }];
+    }
+  };
+}
+
+describe('parseEmailQuery', () => {
+  test('applies defaults and parses filters', () => {
+    expect(parseEmailQuery({})).toMatchObject({ sort: 'received_at', ascending: false, limit: 25, after: undefined });
+
+    expect(parseEmailQuery({
+      status: 'Pending Review,Finance Review',
+      priority: 'High',
+      has_attachments: 'true',
+      min_confidence: '0.5',
+      max_confidence: '0.9',
+      from: '2026-03-01',
+      q: '  riverside bid  ',
+      order: 'asc',
+      limit: '10'
+    })).toMatchObject({
+      statuses: ['Pending Review', 'Finance Review'],
+      priorities: ['High'],
+      has_attachments: true,
+      min_confidence: 0.5,
+      max_confidence: 0.9,
+      received_from: '2026-03-01T00:00:00.000Z',
+      search: 'riverside bid',
+      ascending: true,
+      limit: 10
+    });
+  });
+
+  test('turns sender into an exact address or domain pattern', () => {
+    expect(parseEmailQuery({ sender: 'GC@Builder.com' }).sender_pattern).toBe('gc@builder.com');
+    expect(parseEmailQuery({ sender: 'builder.com' }).sender_pattern).toBe('%@builder.com');
+    expect(parseEmailQuery({ sender: '@builder.com' }).sender_pattern).toBe('%@builder.com');
+    expect(parseEmailQuery({ sender: '100%_off.com' }).sender_pattern).toBe('%@100\\%\\_off.com');
+  });
+
+  test.each([
+    [{ status: 'Done' }],
+    [{ priority: 'Urgent' }],
+    [{ type: 'Gossip' }],
+    [{ min_confidence: '1.5' }],
+    [{ min_confidence: '0.8', max_confidence: '0.2' }],
+    [{ from: '2026-03-10', to: '2026-03-01' }],
+    [{ from: 'yesterday' }],
+    [{ has_attachments: 'yes' }],
+    [{ sort: 'subject' }],
+    [{ limit: '0' }],
+    [{ limit: '500' }],
+    [{ sender: 'a,b' }],
+    [{ cursor: 'not-a-cursor' }]
+  ])('rejects %j', params => {
+    expect(() => parseEmailQuery(params)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('EmailQueryService', () => {
+  test('pages through emails with next_cursor', async () => {
+    const db = createFakeDb();
+    const service = new EmailQueryService({ db });
+
+    const first = await service.listEmails({ limit: '2' });
+    expect(first.emails.map(email => email.subject)).toEqual(['RFQ Riverside', 'Invoice 118']);
+    expect(first.next_cursor).toEqual(expect.any(String));
+    expect(db.queries[0].limit).toBe(3);
+
+    const second = await service.listEmails({ limit: '2', cursor: first.next_cursor });
+    expect(db.queries[1].after).toEqual({ value: '2026-03-09T15:00:00+00:00', id: EMAILS[1].id });
+    expect(second.emails.map(email => email.subject)).toEqual(['Site visit']);
+    expect(second.next_cursor).toBeNull();
+  });
+
+  test('replaces bodies with snippets and flattens the analysis', async () => {
+    const { emails } = await new EmailQueryService({ db: createFakeDb() }).listEmails({});
+
+    expect(emails[0]).not.toHaveProperty('body');
+    expect(emails[0].snippet).toBe(`${'x'.repeat(200)}...`);
+    expect(emails[0].analysis).toEqual({ email_type: 'RFQ/Bid Request', urgency: 'High', confidence_score: 0.92 });
+    expect(emails[1]).toMatchObject({ snippet: 'Please find attached', analysis: null });
+  });
+
+  test('narrows the filters to the caller scope', async () => {
+    const db = createFakeDb();
+    const service = new EmailQueryService({ db });
+    const scope = { email_types: ['RFQ/Bid Request'], statuses: null };
+
+    await service.listEmails({ status: 'Pending Review' }, scope);
+    expect(db.queries[0]).toMatchObject({ statuses: ['Pending Review'], email_types: ['RFQ/Bid Request'] });
+
+    expect(await service.listEmails({ type: 'Invoice/Billing' }, scope)).toEqual({ emails: [], next_cursor: null });
+    expect(db.queries).toHaveLength(1);
+  });
+
+  test('rejects a cursor issued for another sort', async () => {
+    const cursor = encodeCursor('received_at', EMAILS[0]);
+    await expect(new EmailQueryService({ db: createFakeDb() }).listEmails({ sort: 'updated_at', cursor }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'cursor was issued for a different sort' });
+  });
+
+  test('returns an email with its analysis, workflows, replies and audit trail', async () => {
+    const service = new EmailQueryService({ db: createFakeDb() });
+
+    const details = await service.getEmail(EMAILS[0].id);
+    expect(details.email).toMatchObject({ subject: 'RFQ Riverside' });
+    expect(details.analysis).toMatchObject({ email_type: 'RFQ/Bid Request' });
+    expect(details.workflows).toHaveLength(1);
+    expect(details.outbound_emails).toEqual([{ message_id: '<reply-1@invextech.com>', status: 'sent' }]);
+    expect(details.audit_logs).toEqual([{ action_type: 'email_received' }]);
+
+    await expect(service.getEmail('missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
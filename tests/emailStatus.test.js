@@ -0,0 +1,162 @@
+import { describe, test, expect, afterEach } from '@jest/globals';
+import databaseService from '../src/services/DatabaseService.js';
+import { EmailTimelineService } from '../src/services/EmailTimelineService.js';
+import { EMAIL_STATUS, DECISION_STATUSES, canTransition, assertTransition } from '../src/utils/emailStatus.js';
+
+/**
+ * Minimal Supabase client holding one email and the status history table
+ */
+function createFakeClient(email) {
+  const history = [];
+  return {
+    email,
+    history,
+    from(table) {
+      const query = {
+        filters: {},
+        select: () => query,
+        eq(column, value) {
+          query.filters[column] = value;
+          return query;
+        },
+        update(values) {
+          query.values = values;
+          return query;
+        },
+        async insert(row) {
+          history.push({ table, ...row });
+          return { error: null };
+        },
+        async single() {
+          return { data: { ...email }, error: null };
+        },
+        async maybeSingle() {
+          // Conditional update: only matches while the email still has the expected status
+          if (query.filters.status !== email.status) return { data: null, error: null };
+          Object.assign(email, query.values);
+          return { data: { id: email.id }, error: null };
+        }
+      };
+      return query;
+    }
+  };
+}
+
+describe('status transitions', () => {
+  test('follow the pipeline from Received to Closed', () => {
+    const path = [EMAIL_STATUS.RECEIVED, EMAIL_STATUS.ANALYZING, EMAIL_STATUS.PENDING_REVIEW,
+      EMAIL_STATUS.AWAITING_APPROVAL, EMAIL_STATUS.RESPONDED, EMAIL_STATUS.CLOSED];
+    path.slice(1).forEach((to, index) => expect(canTransition(path[index], to)).toBe(true));
+  });
+
+  test('every decision status can be reached from Analyzing, and Manual Review from anywhere', () => {
+    DECISION_STATUSES.forEach(status => expect(canTransition(EMAIL_STATUS.ANALYZING, status)).toBe(true));
+    Object.values(EMAIL_STATUS).forEach(status => expect(canTransition(status, EMAIL_STATUS.MANUAL_REVIEW)).toBe(true));
+  });
+
+  test('rejects skipped stages, reopened replies and unknown statuses', () => {
+    expect(canTransition(EMAIL_STATUS.RECEIVED, EMAIL_STATUS.RESPONDED)).toBe(false);
+    expect(canTransition(EMAIL_STATUS.CLOSED, EMAIL_STATUS.RESPONDED)).toBe(false);
+    expect(() => assertTransition(EMAIL_STATUS.CLOSED, EMAIL_STATUS.RESPONDED)).toThrow(expect.objectContaining({
+      statusCode: 409,
+      message: 'Email cannot move from Closed to Responded (allowed: Manual Review)'
+    }));
+    expect(() => assertTransition(EMAIL_STATUS.RECEIVED, 'Done')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('DatabaseService.updateEmailStatus', () => {
+  const originalClient = databaseService.client;
+  afterEach(() => {
+    databaseService.client = originalClient;
+  });
+
+  test('records who changed the status and why', async () => {
+    const client = createFakeClient({ id: 'email-1', status: EMAIL_STATUS.ANALYZING });
+    databaseService.client = client;
+
+    const change = await databaseService.updateEmailStatus('email-1', EMAIL_STATUS.ESCALATED, {
+      source: 'decision_engine',
+      reason: 'Urgent site issues require immediate human attention',
+      metadata: { rule_id: 'urgent-escalate' }
+    });
+
+    expect(change).toEqual({ from: EMAIL_STATUS.ANALYZING, to: EMAIL_STATUS.ESCALATED, changed: true });
+    expect(client.email.status).toBe(EMAIL_STATUS.ESCALATED);
+    expect(client.email.status_changed_at).toEqual(expect.any(String));
+    expect(client.history).toEqual([expect.objectContaining({
+      table: 'email_status_history',
+      from_status: EMAIL_STATUS.ANALYZING,
+      to_status: EMAIL_STATUS.ESCALATED,
+      changed_by: null,
+      source: 'decision_engine',
+      metadata: { rule_id: 'urgent-escalate' }
+    })]);
+  });
+
+  test('setting the same status again changes nothing', async () => {
+    const client = createFakeClient({ id: 'email-1', status: EMAIL_STATUS.MANUAL_REVIEW, status_changed_at: '2026-03-01T00:00:00Z' });
+    databaseService.client = client;
+
+    expect(await databaseService.updateEmailStatus('email-1', EMAIL_STATUS.MANUAL_REVIEW)).toMatchObject({ changed: false });
+    expect(client.email.status_changed_at).toBe('2026-03-01T00:00:00Z');
+    expect(client.history).toEqual([]);
+  });
+
+  test('rejects illegal transitions without writing', async () => {
+    const client = createFakeClient({ id: 'email-1', status: EMAIL_STATUS.CLOSED });
+    databaseService.client = client;
+
+    await expect(databaseService.updateEmailStatus('email-1', EMAIL_STATUS.RESPONDED, { changed_by: 'pat', source: 'review' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(client.email.status).toBe(EMAIL_STATUS.CLOSED);
+    expect(client.history).toEqual([]);
+  });
+});
+
+describe('email timeline', () => {
+  const db = {
+    async getEmailById(id) {
+      if (id !== 'email-1') throw new Error('Failed to get email: not found');
+      return { id, subject: 'RFQ Riverside', from_email: 'gc@builder.com', status: 'Pending Review', priority: 'High', received_at: '2026-03-10T15:00:00Z' };
+    },
+    async getStatusHistory() {
+      return [
+        { from_status: 'Received', to_status: 'Analyzing', source: 'pipeline', created_at: '2026-03-10T15:00:01Z' },
+        { from_status: 'Analyzing', to_status: 'Pending Review', source: 'decision_engine', reason: 'RFQ', created_at: '2026-03-10T15:00:05Z' }
+      ];
+    },
+    async findAnalysisByEmailId() {
+      return { email_type: 'RFQ/Bid Request', urgency: 'High', confidence_score: 0.92, analyzed_at: '2026-03-10T15:00:04Z' };
+    },
+    async listWorkflowsByEmailId() {
+      return [{ workflow_type: 'RFQ/Bid Request', success: true, automation_used: true, actions_taken: ['Set priority to High'], executed_at: '2026-03-10T15:00:06Z' }];
+    },
+    async getAuditLogsByEmailId() {
+      return [{ action_type: 'email_received', description: 'Email received', success: true, timestamp: '2026-03-10T15:00:00Z' }];
+    }
+  };
+  const service = new EmailTimelineService({ db });
+
+  test('merges every source in chronological order', async () => {
+    const { email, events } = await service.getTimeline('email-1');
+
+    expect(email).toMatchObject({ id: 'email-1', status: 'Pending Review' });
+    expect(events.map(event => [event.type, event.summary])).toEqual([
+      ['received', 'Received from gc@builder.com'],
+      ['audit', 'Email received'],
+      ['status', 'Received → Analyzing'],
+      ['analysis', 'Classified as RFQ/Bid Request (confidence 0.92, urgency High)'],
+      ['status', 'Analyzing → Pending Review'],
+      ['workflow', 'RFQ/Bid Request workflow completed (automated)']
+    ]);
+  });
+
+  test('filters event types and reports missing emails', async () => {
+    const { events } = await service.getTimeline('email-1', { types: ['status'] });
+    expect(events.map(event => event.details.to_status)).toEqual(['Analyzing', 'Pending Review']);
+
+    await expect(service.getTimeline('email-1', { types: ['gossip'] })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.getTimeline('missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,355 @@
+import { describe, test, expect, jest, beforeAll, afterAll, afterEach } from '@jest/globals';
+import express from 'express';
+import escalationRoutes from '../src/routes/escalationRoutes.js';
+import escalationService from '../src/services/EscalationService.js';
+import { OnCallSchedule, validateOnCallSchedule } from '../src/services/OnCallSchedule.js';
+import { EscalationService, ESCALATION_STATUS } from '../src/services/EscalationService.js';
+import SmsNotificationChannel from '../src/services/notificationChannels/SmsNotificationChannel.js';
+import StubSmsProvider from '../src/services/smsProviders/StubSmsProvider.js';
+
+const scheduleDocument = {
+  timezone: 'America/Chicago',
+  contacts: {
+    ana: { name: 'Ana Site Super', email: 'ana@example.com', phone: '+15550000001' },
+    ben: { name: 'Ben Site Super', email: 'ben@example.com', phone: '+15550000002' },
+    cal: { name: 'Cal Safety', email: 'cal@example.com', phone: '+15550000003' },
+    dee: { name: 'Dee Ops', email: 'dee@example.com' }
+  },
+  sites: [{
+    id: 'riverside',
+    name: 'Riverside Warehouse',
+    match: ['Riverside', '1200 River Rd'],
+    rotation: {
+      start: '2026-03-02',
+      handoff: '07:00',
+      shiftDays: 7,
+      members: ['ana', 'ben'],
+      overrides: [{ member: 'ben', start: '2026-03-20T12:00:00Z', end: '2026-03-21T12:00:00Z' }]
+    },
+    backup: ['cal', 'ana']
+  }],
+  default: {
+    name: 'All sites',
+    rotation: { start: '2026-01-05', handoff: '07:00', members: ['dee'] },
+    backup: ['cal']
+  }
+};
+
+const options = {
+  ackTimeoutMinutes: 15,
+  signingSecret: 'ack-secret',
+  ackLinkTtlHours: 24,
+  publicBaseUrl: 'https://inbox.example.com'
+};
+
+const email = {
+  id: 'email-1',
+  from_email: 'foreman@sub.com',
+  subject: 'Scaffold collapse at Riverside',
+  body: 'Scaffold on the north wall came down. Nobody hurt, area is taped off.'
+};
+
+/**
+ * In-memory stand-in for the escalations tables
+ */
+function createFakeDb() {
+  const escalations = [];
+  const notifications = [];
+  return {
+    escalations,
+    notifications,
+    async getEscalationByEmailId(email_id) {
+      return escalations.find(row => row.email_id === email_id) || null;
+    },
+    async getEscalationById(id) {
+      return escalations.find(row => row.id === id) || null;
+    },
+    async insertEscalation(escalation) {
+      const row = { id: `esc-${escalations.length + 1}`, created_at: '2026-03-10T15:00:00Z', ...escalation };
+      escalations.push(row);
+      return row;
+    },
+    async updateEscalationIf(id, expected, updates) {
+      const row = escalations.find(candidate => candidate.id === id);
+      if (expected.status && row.status !== expected.status) return null;
+      if (expected.level !== undefined && row.level !== expected.level) return null;
+      return Object.assign(row, updates);
+    },
+    async insertEscalationNotifications(rows) {
+      notifications.push(...rows);
+    },
+    async listEscalationNotifications(id) {
+      return notifications.filter(row => row.escalation_id === id);
+    },
+    async listEscalations() {
+      return escalations;
+    },
+    async getEmailById() {
+      return email;
+    }
+  };
+}
+
+function createService({ failChat = false } = {}) {
+  const db = createFakeDb();
+  const jobs = [];
+  const queue = {
+    async enqueue(type, payload, opts) {
+      jobs.push({ type, payload, opts, status: 'pending' });
+    },
+    store: {
+      async list({ email_id }) {
+        return jobs.filter(job => job.opts.email_id === email_id);
+      }
+    }
+  };
+  const chatPosts = [];
+  const sms = new StubSmsProvider();
+  const clock = { now: Date.parse('2026-03-10T15:00:00Z') };
+
+  const channels = [
+    new SmsNotificationChannel({ provider: sms }),
+    {
+      name: 'chat',
+      async send(message) {
+        if (failChat) throw new Error('Chat webhook responded with 500');
+        chatPosts.push(message);
+        return ['chat-webhook'];
+      }
+    }
+  ];
+
+  const service = new EscalationService({
+    db,
+    schedule: new OnCallSchedule(scheduleDocument),
+    channels,
+    queue,
+    options,
+    now: () => clock.now
+  });
+
+  return { service, db, queue, jobs, chatPosts, sms, clock };
+}
+
+describe('on-call schedule', () => {
+  const schedule = new OnCallSchedule(scheduleDocument);
+  const rotation = scheduleDocument.sites[0].rotation;
+
+  test('rotates weekly at the local handoff time', () => {
+    // 07:00 CST is 13:00 UTC
+    expect(schedule.getOnShift(rotation, Date.parse('2026-03-02T12:59:00Z'))).toBe('ben');
+    expect(schedule.getOnShift(rotation, Date.parse('2026-03-02T13:00:00Z'))).toBe('ana');
+    expect(schedule.getOnShift(rotation, Date.parse('2026-03-09T11:59:00Z'))).toBe('ana');
+  });
+
+  test('handoffs follow daylight saving time', () => {
+    // DST starts 2026-03-08, so the 03-09 handoff is 07:00 CDT (12:00 UTC)
+    expect(schedule.getOnShift(rotation, Date.parse('2026-03-09T12:00:00Z'))).toBe('ben');
+    expect(schedule.getOnShift(rotation, Date.parse('2026-03-16T12:00:00Z'))).toBe('ana');
+  });
+
+  test('overrides take precedence over the rotation', () => {
+    expect(schedule.getOnShift(rotation, Date.parse('2026-03-20T13:00:00Z'))).toBe('ben');
+    expect(schedule.getOnShift(rotation, Date.parse('2026-03-21T13:00:00Z'))).toBe('ana');
+  });
+
+  test('chain starts with the on-shift member and lists each contact once', () => {
+    const site = schedule.findSite('Delivery blocked at 1200 river rd');
+    expect(site.id).toBe('riverside');
+    expect(schedule.getChain(site, Date.parse('2026-03-10T15:00:00Z')).map(contact => contact.id)).toEqual(['ben', 'ana', 'cal']);
+    expect(schedule.findSite('Somewhere else').id).toBe('default');
+  });
+
+  test('rejects schedules that reference unknown contacts', () => {
+    const errors = validateOnCallSchedule({
+      ...scheduleDocument,
+      sites: [{ ...scheduleDocument.sites[0], backup: ['zed'] }]
+    });
+    expect(errors).toEqual(['sites[0] (riverside).backup: unknown contact "zed"']);
+  });
+});
+
+describe('escalation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('pages the on-call contact and schedules a re-escalation check', async () => {
+    const { service, db, jobs, sms, chatPosts } = createService();
+    const { escalation, created, notifications } = await service.openEscalation(email, {});
+
+    expect(created).toBe(true);
+    expect(escalation).toMatchObject({ site_id: 'riverside', level: 0, status: ESCALATION_STATUS.OPEN, next_escalation_at: '2026-03-10T15:15:00.000Z' });
+    expect(notifications.map(notification => [notification.channel, notification.status])).toEqual([['sms', 'sent'], ['chat', 'sent']]);
+    expect(sms.sent[0].to).toBe('+15550000002');
+    expect(sms.sent[0].body.length).toBeLessThanOrEqual(320);
+    expect(chatPosts[0].text).toContain('goes to Ana Site Super');
+    expect(jobs).toEqual([{
+      type: 'check_escalation',
+      payload: { escalation_id: 'esc-1', level: 0 },
+      opts: { email_id: email.id, delayMs: 15 * 60 * 1000 },
+      status: 'pending'
+    }]);
+    expect(db.notifications).toHaveLength(2);
+
+    const again = await service.openEscalation(email, {});
+    expect(again.created).toBe(false);
+    expect(sms.sent).toHaveLength(1);
+    expect(jobs).toHaveLength(1);
+  });
+
+  test('a retry schedules the check that failed to enqueue after paging', async () => {
+    const { service, queue, jobs, sms } = createService();
+    jest.spyOn(queue, 'enqueue').mockRejectedValueOnce(new Error('Failed to insert job: connection reset'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(service.openEscalation(email, {})).rejects.toThrow('connection reset');
+    expect(jobs).toHaveLength(0);
+
+    const retried = await service.openEscalation(email, {});
+    expect(retried.created).toBe(false);
+    expect(sms.sent).toHaveLength(1);
+    expect(jobs.map(job => job.payload)).toEqual([{ escalation_id: 'esc-1', level: 0 }]);
+  });
+
+  test('a retried re-escalation schedules the next check once', async () => {
+    const { service, queue, jobs, sms } = createService();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await service.openEscalation(email, {});
+
+    jest.spyOn(queue, 'enqueue').mockRejectedValueOnce(new Error('Failed to insert job: connection reset'));
+    await expect(service.checkEscalation(jobs[0].payload)).rejects.toThrow('connection reset');
+    expect(jobs).toHaveLength(1);
+
+    // The job is retried; the escalation already moved to level 1
+    expect(await service.checkEscalation(jobs[0].payload)).toEqual({ action: 'skipped' });
+    expect(await service.checkEscalation(jobs[0].payload)).toEqual({ action: 'skipped' });
+    expect(sms.sent).toHaveLength(2);
+    expect(jobs.map(job => job.payload)).toEqual([{ escalation_id: 'esc-1', level: 0 }, { escalation_id: 'esc-1', level: 1 }]);
+  });
+
+  test('records failed channels without failing the escalation', async () => {
+    const { service } = createService({ failChat: true });
+    const { notifications } = await service.openEscalation(email, {});
+    expect(notifications[1]).toMatchObject({ channel: 'chat', status: 'failed', error: 'Chat webhook responded with 500' });
+  });
+
+  test('re-escalates down the chain until it is exhausted', async () => {
+    const { service, db, jobs, sms } = createService();
+    await service.openEscalation(email, {});
+
+    expect(await service.checkEscalation(jobs[0].payload)).toEqual({ action: 'reescalated' });
+    expect(db.escalations[0].level).toBe(1);
+    expect(sms.sent[1].to).toBe('+15550000001');
+    expect(jobs[1].payload).toEqual({ escalation_id: 'esc-1', level: 1 });
+
+    // A stale check for a level already passed does nothing
+    expect(await service.checkEscalation(jobs[0].payload)).toEqual({ action: 'skipped' });
+
+    await service.checkEscalation(jobs[1].payload);
+    expect(await service.checkEscalation(jobs[2].payload)).toEqual({ action: 'exhausted' });
+    expect(db.escalations[0].status).toBe(ESCALATION_STATUS.EXHAUSTED);
+    // The exhaustion notice goes to chat only: there is nobody left to text
+    expect(db.notifications.filter(notification => notification.contact_id === null).map(notification => notification.channel)).toEqual(['chat']);
+  });
+
+  test('acknowledgement stops re-escalation', async () => {
+    const { service, jobs, sms } = createService();
+    await service.openEscalation(email, {});
+
+    const acknowledged = await service.acknowledge('esc-1', 'pat');
+    expect(acknowledged).toMatchObject({ status: ESCALATION_STATUS.ACKNOWLEDGED, acknowledged_by: 'pat', acknowledged_via: 'api' });
+    expect(await service.checkEscalation(jobs[0].payload)).toEqual({ action: 'skipped' });
+    expect(sms.sent).toHaveLength(1);
+
+    await expect(service.acknowledge('esc-1', 'pat')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(service.acknowledge('esc-9', 'pat')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('signed links in pages acknowledge as the paged contact', async () => {
+    const { service, sms, clock } = createService();
+    await service.openEscalation(email, {});
+
+    const link = new URL(sms.sent[0].body.match(/https:\S+/)[0]);
+    const params = Object.fromEntries(link.searchParams);
+    expect(link.pathname).toBe('/api/escalations/esc-1/ack');
+
+    await expect(service.acknowledgeWithLink('esc-1', 'ana', params.expires, params.signature)).rejects.toMatchObject({ statusCode: 403 });
+
+    clock.now += 25 * 60 * 60 * 1000;
+    await expect(service.acknowledgeWithLink('esc-1', params.contact, params.expires, params.signature))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Acknowledgement link has expired' });
+
+    clock.now -= 24 * 60 * 60 * 1000;
+    const checked = await service.verifyAckLink('esc-1', params.contact, params.expires, params.signature);
+    expect(checked).toMatchObject({ escalation: { status: 'open' }, contact_name: 'Ben Site Super' });
+
+    const acknowledged = await service.acknowledgeWithLink('esc-1', params.contact, params.expires, params.signature);
+    expect(acknowledged).toMatchObject({ acknowledged_by: 'Ben Site Super', acknowledged_via: 'link' });
+  });
+});
+
+describe('acknowledgement link routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.use('/api/escalations', escalationRoutes);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/escalations`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('opening the link shows a confirmation page without acknowledging', async () => {
+    jest.spyOn(escalationService, 'verifyAckLink').mockResolvedValue({
+      escalation: { id: 'esc-1', status: 'open', site_name: 'Harbor <Tower>' },
+      contact_name: 'Ben Site Super'
+    });
+    const acknowledgeWithLink = jest.spyOn(escalationService, 'acknowledgeWithLink');
+
+    const response = await fetch(`${baseUrl}/esc-1/ack?contact=ben&expires=1700000000&signature=abc`);
+    const page = await response.text();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toMatch(/^text\/html/);
+    expect(escalationService.verifyAckLink).toHaveBeenCalledWith('esc-1', 'ben', '1700000000', 'abc');
+    expect(acknowledgeWithLink).not.toHaveBeenCalled();
+    expect(page).toContain('<form method="post">');
+    expect(page).toContain('<input type="hidden" name="signature" value="abc">');
+    expect(page).toContain('Harbor &lt;Tower&gt;');
+  });
+
+  test('submitting the confirmation acknowledges the escalation', async () => {
+    jest.spyOn(escalationService, 'acknowledgeWithLink').mockResolvedValue({ id: 'esc-1', acknowledged_by: 'Ben Site Super' });
+
+    const response = await fetch(`${baseUrl}/esc-1/ack?contact=ben&expires=1700000000&signature=abc`, {
+      method: 'POST',
+      body: new URLSearchParams({ contact: 'ben', expires: '1700000000', signature: 'abc' })
+    });
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain('Acknowledged by Ben Site Super');
+    expect(escalationService.acknowledgeWithLink).toHaveBeenCalledWith('esc-1', 'ben', '1700000000', 'abc');
+  });
+
+  test('bad links are refused', async () => {
+    jest.replaceProperty(escalationService, 'options', { ...escalationService.options, signingSecret: 'ack-secret' });
+    jest.spyOn(escalationService, 'acknowledgeWithLink');
+
+    const response = await fetch(`${baseUrl}/esc-1/ack?contact=ben&expires=1700000000&signature=forged`);
+
+    expect(response.status).toBe(403);
+    expect(escalationService.acknowledgeWithLink).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,389 @@
+import { describe, test, expect, jest, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import gmailSyncService, { GmailSyncService, createGmailClient } from '../src/services/GmailSyncService.js';
+import auditLogger, { ACTION_TYPES } from '../src/services/AuditLogger.js';
+import emailIngestionService from '../src/services/EmailIngestionService.js';
+import { registerEmailPipeline } from '../src/services/EmailPipeline.js';
+import { JOB_TYPES, NonRetryableJobError } from '../src/services/JobQueue.js';
+import { createPubSubPushVerifier } from '../src/middleware/verifyPubSubPush.js';
+import { parseGmailMessage, decodeBase64Url } from '../src/utils/mimeParser.js';
+
+const encode = text => Buffer.from(text, 'utf8').toString('base64url');
+
+/**
+ * Minimal fake of the Gmail REST API (history.list + messages.get)
+ */
+function createGmailStub() {
+  const stub = { history: [], historyId: '100', oldestHistoryId: '50', messages: {}, requests: [] };
+  const app = express();
+
+  app.get('/gmail/v1/users/:userId/history', (req, res) => {
+    stub.requests.push({ path: 'history', query: req.query });
+    if (BigInt(req.query.startHistoryId) < BigInt(stub.oldestHistoryId)) {
+      return res.status(404).json({ error: { code: 404, message: 'Requested entity was not found.' } });
+    }
+    const start = BigInt(req.query.startHistoryId);
+    const history = stub.history.filter(h => BigInt(h.id) > start);
+    res.json({ history, historyId: stub.historyId });
+  });
+
+  app.get('/gmail/v1/users/:userId/messages/:id', (req, res) => {
+    stub.requests.push({ path: 'messages', id: req.params.id });
+    const message = stub.messages[req.params.id];
+    if (!message) {
+      return res.status(404).json({ error: { code: 404, message: 'Not Found' } });
+    }
+    res.json(message);
+  });
+
+  stub.app = app;
+  return stub;
+}
+
+function gmailMessage(id, { from, subject, text, html, attachments = [] }) {
+  const alternatives = [];
+  if (text) alternatives.push({ mimeType: 'text/plain', body: { data: encode(text) } });
+  if (html) alternatives.push({ mimeType: 'text/html', body: { data: encode(html) } });
+  const attachmentParts = attachments.map(a => ({
+    mimeType: a.contentType,
+    filename: a.name,
+    body: { attachmentId: `att-${a.name}`, size: a.size }
+  }));
+
+  return {
+    id,
+    threadId: `thread-${id}`,
+    snippet: 'snippet',
+    payload: {
+      mimeType: 'multipart/mixed',
+      headers: [
+        { name: 'From', value: from },
+        { name: 'Subject', value: subject },
+        { name: 'Message-ID', value: `<${id}@mail.example.com>` },
+        { name: 'In-Reply-To', value: '<parent@mail.example.com>' },
+        { name: 'References', value: '<root@mail.example.com> <parent@mail.example.com>' }
+      ],
+      parts: [{ mimeType: 'multipart/alternative', parts: alternatives }, ...attachmentParts]
+    }
+  };
+}
+
+describe('mimeParser', () => {
+  test('decodes base64url text', () => {
+    expect(decodeBase64Url(encode('Hëllo ~ world?'))).toBe('Hëllo ~ world?');
+  });
+
+  test('prefers text/plain and collects attachment metadata', () => {
+    const parsed = parseGmailMessage(gmailMessage('m1', {
+      from: 'Jane Doe <jane.doe@builder.com>',
+      subject: 'RFQ: Warehouse',
+      text: 'Please quote the warehouse.',
+      html: '<p>ignored</p>',
+      attachments: [{ name: 'plans.pdf', contentType: 'application/pdf', size: 2048 }]
+    }));
+
+    expect(parsed.from_email).toBe('jane.doe@builder.com');
+    expect(parsed.subject).toBe('RFQ: Warehouse');
+    expect(parsed.body).toBe('Please quote the warehouse.');
+    expect(parsed.message_id).toBe('<m1@mail.example.com>');
+    expect(parsed.in_reply_to).toBe('<parent@mail.example.com>');
+    expect(parsed.references).toBe('<root@mail.example.com> <parent@mail.example.com>');
+    expect(parsed.hasAttachments).toBe(true);
+    expect(parsed.attachmentInfo).toEqual([
+      { name: 'plans.pdf', contentType: 'application/pdf', size: 2048, attachmentId: 'att-plans.pdf' }
+    ]);
+  });
+
+  test('falls back to stripped HTML when there is no text part', () => {
+    const parsed = parseGmailMessage(gmailMessage('m2', {
+      from: 'ops@site.com',
+      subject: 'Leak',
+      html: '<p>Water leak on <b>level 3</b></p><p>Call now</p>'
+    }));
+
+    expect(parsed.body).toBe('Water leak on level 3\n\nCall now');
+    expect(parsed.hasAttachments).toBe(false);
+  });
+});
+
+describe('GmailSyncService against a local Gmail API stub', () => {
+  let stub;
+  let server;
+  let state;
+  let ingested;
+  let failing;
+  let service;
+
+  beforeAll(async () => {
+    stub = createGmailStub();
+    await new Promise(resolve => {
+      server = stub.app.listen(0, '127.0.0.1', resolve);
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    stub.history = [];
+    stub.messages = {};
+    stub.requests = [];
+    state = new Map();
+    ingested = [];
+    failing = new Set();
+
+    const { port } = server.address();
+    service = new GmailSyncService({
+      gmail: createGmailClient({ apiRootUrl: `http://127.0.0.1:${port}/` }),
+      stateStore: {
+        getGmailSyncState: async address => (state.has(address)
+          ? { email_address: address, history_id: state.get(address) }
+          : null),
+        saveGmailSyncState: async (address, historyId) => { state.set(address, String(historyId)); }
+      },
+      ingestionService: {
+        processIncomingEmail: async payload => {
+          const validation = emailIngestionService.validatePayload(payload);
+          if (!validation.valid) return { success: false, error: 'Validation failed', details: validation.errors };
+          if (failing.has(payload.subject)) return { success: false, error: 'Database unavailable' };
+          ingested.push(payload);
+          return { success: true, email_id: `email-${ingested.length}` };
+        }
+      }
+    });
+  });
+
+  test('first notification only records a baseline historyId', async () => {
+    const result = await service.handleNotification('inbox@invextech.com', 90);
+
+    expect(result.baseline).toBe(true);
+    expect(state.get('inbox@invextech.com')).toBe('90');
+    expect(stub.requests).toHaveLength(0);
+  });
+
+  test('ingests added messages and advances the stored historyId', async () => {
+    state.set('inbox@invextech.com', '90');
+    stub.historyId = '120';
+    stub.history = [
+      { id: '95', messagesAdded: [{ message: { id: 'a', labelIds: ['INBOX'] } }] },
+      { id: '96', messagesAdded: [{ message: { id: 'sent-1', labelIds: ['SENT'] } }] },
+      { id: '97', messagesAdded: [{ message: { id: 'a', labelIds: ['INBOX'] } }, { message: { id: 'b', labelIds: ['INBOX'] } }] }
+    ];
+    stub.messages.a = gmailMessage('a', { from: 'bob@gc.com', subject: 'Bid invite', text: 'Bid due Friday' });
+    stub.messages.b = gmailMessage('b', { from: 'ap@vendor.com', subject: 'Invoice 42', text: 'Amount due $500' });
+
+    const result = await service.handleNotification('inbox@invextech.com', '110');
+
+    expect(result.processed).toBe(2);
+    expect(ingested.map(p => p.subject)).toEqual(['Bid invite', 'Invoice 42']);
+    expect(ingested[0].from_email).toBe('bob@gc.com');
+    expect(state.get('inbox@invextech.com')).toBe('120');
+    expect(stub.requests.find(r => r.path === 'history').query).toMatchObject({
+      startHistoryId: '90',
+      historyTypes: 'messageAdded',
+      labelId: 'INBOX'
+    });
+  });
+
+  test('stops the stored historyId before the first message that failed to ingest', async () => {
+    state.set('inbox@invextech.com', '90');
+    stub.historyId = '120';
+    stub.history = [
+      { id: '95', messagesAdded: [{ message: { id: 'a', labelIds: ['INBOX'] } }] },
+      { id: '97', messagesAdded: [{ message: { id: 'b', labelIds: ['INBOX'] } }, { message: { id: 'c', labelIds: ['INBOX'] } }] },
+      { id: '99', messagesAdded: [{ message: { id: 'd', labelIds: ['INBOX'] } }] }
+    ];
+    stub.messages.a = gmailMessage('a', { from: 'bob@gc.com', subject: 'Bid invite', text: 'Bid due Friday' });
+    stub.messages.b = gmailMessage('b', { from: 'ap@vendor.com', subject: 'Invoice 42', text: 'Amount due $500' });
+    stub.messages.c = gmailMessage('c', { from: 'ap@vendor.com', subject: 'Invoice 43', text: 'Amount due $700' });
+    stub.messages.d = gmailMessage('d', { from: 'ops@site.com', subject: 'Leak', text: 'Water on level 3' });
+    failing.add('Invoice 43');
+
+    const result = await service.handleNotification('inbox@invextech.com', '130');
+
+    expect(result).toMatchObject({ processed: 3, failed: 1, historyId: '95' });
+    expect(state.get('inbox@invextech.com')).toBe('95');
+  });
+
+  test('keeps the stored historyId when the first message fails', async () => {
+    state.set('inbox@invextech.com', '90');
+    stub.historyId = '120';
+    stub.history = [{ id: '95', messagesAdded: [{ message: { id: 'a', labelIds: ['INBOX'] } }] }];
+    stub.messages.a = gmailMessage('a', { from: 'bob@gc.com', subject: 'Bid invite', text: 'Bid due Friday' });
+    failing.add('Bid invite');
+
+    const result = await service.handleNotification('inbox@invextech.com', '130');
+
+    expect(result.failed).toBe(1);
+    expect(state.get('inbox@invextech.com')).toBe('90');
+  });
+
+  test('stores the historyId Gmail returned, not the notified one', async () => {
+    state.set('inbox@invextech.com', '90');
+    stub.historyId = '100';
+
+    const result = await service.handleNotification('inbox@invextech.com', '130');
+
+    expect(result.historyId).toBe('100');
+    expect(state.get('inbox@invextech.com')).toBe('100');
+  });
+
+  test('skips messages deleted before they could be fetched', async () => {
+    state.set('inbox@invextech.com', '90');
+    stub.history = [{ id: '95', messagesAdded: [{ message: { id: 'gone' } }] }];
+
+    const result = await service.handleNotification('inbox@invextech.com', '100');
+
+    expect(result.processed).toBe(1);
+    expect(result.results[0].skipped).toBe(true);
+    expect(ingested).toHaveLength(0);
+  });
+
+  test('records messages that fail validation and moves the historyId past them', async () => {
+    const log = jest.spyOn(auditLogger, 'log').mockResolvedValue();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    state.set('inbox@invextech.com', '90');
+    stub.historyId = '120';
+    stub.history = [
+      { id: '95', messagesAdded: [{ message: { id: 'a', labelIds: ['INBOX'] } }] },
+      { id: '97', messagesAdded: [{ message: { id: 'b', labelIds: ['INBOX'] } }] }
+    ];
+    stub.messages.a = gmailMessage('a', { from: 'root@localhost', subject: 'Cron output', text: 'disk 91% full' });
+    stub.messages.b = gmailMessage('b', { from: 'ap@vendor.com', subject: 'Invoice 42', text: 'Amount due $500' });
+
+    const result = await service.handleNotification('inbox@invextech.com', '130');
+
+    expect(result).toMatchObject({ processed: 2, failed: 0, historyId: '120' });
+    expect(result.results[0]).toMatchObject({ gmail_message_id: 'a', skipped: true, rejected: true });
+    expect(ingested.map(p => p.subject)).toEqual(['Invoice 42']);
+    expect(state.get('inbox@invextech.com')).toBe('120');
+    expect(log).toHaveBeenCalledWith(ACTION_TYPES.GMAIL_MESSAGE_REJECTED, 'Gmail message a failed validation', false, null, {
+      gmail_message_id: 'a',
+      from_email: 'root@localhost',
+      errors: ['from_email must be a valid email address']
+    });
+  });
+
+  test('ignores notifications older than the stored historyId', async () => {
+    state.set('inbox@invextech.com', '200');
+
+    const result = await service.handleNotification('inbox@invextech.com', '150');
+
+    expect(result.processed).toBe(0);
+    expect(state.get('inbox@invextech.com')).toBe('200');
+    expect(stub.requests).toHaveLength(0);
+  });
+
+  test('resets the baseline when Gmail reports the history as expired', async () => {
+    state.set('inbox@invextech.com', '10');
+
+    const result = await service.handleNotification('inbox@invextech.com', '300');
+
+    expect(result.reset).toBe(true);
+    expect(state.get('inbox@invextech.com')).toBe('300');
+    expect(ingested).toHaveLength(0);
+  });
+});
+
+describe('Gmail sync job', () => {
+  let handlers;
+
+  beforeEach(() => {
+    handlers = new Map();
+    registerEmailPipeline({ registerHandler: (type, handler) => handlers.set(type, handler), onDeadLetter: () => {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('syncs the notified mailbox', async () => {
+    const handleNotification = jest.spyOn(gmailSyncService, 'handleNotification').mockResolvedValue({ success: true, processed: 2, failed: 0 });
+
+    await handlers.get(JOB_TYPES.SYNC_GMAIL)({ email_address: 'inbox@invextech.com', history_id: '130' });
+
+    expect(handleNotification).toHaveBeenCalledWith('inbox@invextech.com', '130');
+  });
+
+  test('fails the job so messages that did not ingest are retried', async () => {
+    jest.spyOn(gmailSyncService, 'handleNotification').mockResolvedValue({ success: true, processed: 1, failed: 1 });
+
+    await expect(handlers.get(JOB_TYPES.SYNC_GMAIL)({ email_address: 'inbox@invextech.com', history_id: '130' }))
+      .rejects.toThrow('1 Gmail message(s) for inbox@invextech.com failed to ingest');
+    await expect(handlers.get(JOB_TYPES.SYNC_GMAIL)({ history_id: '130' }))
+      .rejects.toBeInstanceOf(NonRetryableJobError);
+  });
+});
+
+describe('Pub/Sub push verification', () => {
+  /**
+   * Run the middleware against a fake request and report the outcome
+   */
+  async function push(verifier, { token, authorization } = {}) {
+    let statusCode = null;
+    let passed = false;
+    const req = {
+      ip: '203.0.113.5',
+      originalUrl: '/api/emails/gmail-webhook',
+      query: token === undefined ? {} : { token },
+      get: name => (name.toLowerCase() === 'authorization' ? authorization : undefined)
+    };
+    const res = { status: code => { statusCode = code; return res; }, json: () => res };
+    await verifier(req, res, () => { passed = true; });
+    return { passed, statusCode };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(auditLogger, 'log').mockResolvedValue();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('checks the shared verification token', async () => {
+    const verifier = createPubSubPushVerifier({ verificationToken: 'push-secret', production: true });
+
+    expect(await push(verifier, { token: 'push-secret' })).toEqual({ passed: true, statusCode: null });
+    expect(await push(verifier, { token: 'guess' })).toEqual({ passed: false, statusCode: 401 });
+    expect(await push(verifier)).toEqual({ passed: false, statusCode: 401 });
+  });
+
+  test('checks the OIDC token audience and service account', async () => {
+    const verifyIdToken = jest.fn(async (idToken, audience) => {
+      if (idToken !== 'valid-jwt') throw new Error('Invalid token signature');
+      return { aud: audience, email: 'pubsub@invex.iam.gserviceaccount.com', email_verified: true };
+    });
+    const verifier = createPubSubPushVerifier({
+      audience: 'https://api.invextech.com/api/emails/gmail-webhook',
+      serviceAccount: 'pubsub@invex.iam.gserviceaccount.com',
+      production: true,
+      verifyIdToken
+    });
+    const otherAccount = createPubSubPushVerifier({
+      audience: 'https://api.invextech.com/api/emails/gmail-webhook',
+      serviceAccount: 'gmail-push@invex.iam.gserviceaccount.com',
+      production: true,
+      verifyIdToken
+    });
+
+    expect(await push(verifier, { authorization: 'Bearer valid-jwt' })).toEqual({ passed: true, statusCode: null });
+    expect(verifyIdToken).toHaveBeenCalledWith('valid-jwt', 'https://api.invextech.com/api/emails/gmail-webhook');
+    expect(await push(verifier, { authorization: 'Bearer forged-jwt' })).toEqual({ passed: false, statusCode: 401 });
+    expect(await push(verifier)).toEqual({ passed: false, statusCode: 401 });
+    expect(await push(otherAccount, { authorization: 'Bearer valid-jwt' })).toEqual({ passed: false, statusCode: 401 });
+  });
+
+  test('rejects every push in production when neither method is configured', async () => {
+    expect(await push(createPubSubPushVerifier({ audience: null, verificationToken: null, production: true })))
+      .toEqual({ passed: false, statusCode: 401 });
+    expect(await push(createPubSubPushVerifier({ audience: null, verificationToken: null, production: false })))
+      .toEqual({ passed: true, statusCode: null });
+  });
+});
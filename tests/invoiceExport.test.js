@@ -0,0 +1,229 @@
+import { describe, test, expect } from '@jest/globals';
+import { normalizeInvoice } from '../src/services/extractors/invoiceExtractor.js';
+import { InvoiceService, INVOICE_STATUS, vendorKey, invoiceNumberKey } from '../src/services/InvoiceService.js';
+import { computeSignature } from '../src/utils/webhookSignature.js';
+
+const rawInvoice = {
+  invoice_number: 'INV-0042',
+  vendor: { name: 'Acme Concrete Supply, Inc.', email: 'AR@acme.com', phone: null, address: null },
+  po_number: 'PO-7781',
+  project: 'Riverside Warehouse',
+  invoice_date: 'March 1, 2026',
+  due_date: '3/31/2026',
+  payment_terms: 'Net 30',
+  currency: '$',
+  line_items: [
+    { description: '4000 PSI concrete', quantity: '40', unit: 'cubic yards', unit_price: '$150.00', amount: '$6,000.00' },
+    { description: 'Pump truck', quantity: 1, unit: 'LS', unit_price: '1,000', amount: null }
+  ],
+  subtotal: '$7,000.00',
+  tax: '$577.50',
+  retainage: { percent: '10%', amount: null },
+  total: '$7,577.50',
+  amount_due: '$6,877.50'
+};
+
+const options = {
+  quickbooks: { apAccount: 'Accounts Payable', expenseAccount: 'Job Materials', taxAccount: 'Sales Tax Payable', retainageAccount: 'Retainage Payable' },
+  webhook: { url: 'https://ap.example.com/hooks/invoices', secret: 'ap-secret', timeoutMs: 1000, autoExport: false }
+};
+
+/**
+ * In-memory stand-in for the invoices table
+ */
+function createFakeDb(existing = []) {
+  const rows = [...existing];
+  return {
+    rows,
+    async findInvoiceDuplicates({ vendor_key, invoice_number_key, total, email_id }) {
+      return rows.filter(row => row.vendor_key === vendor_key && row.email_id !== email_id &&
+        ((invoice_number_key && row.invoice_number_key === invoice_number_key) || row.total === total));
+    },
+    async upsertInvoice(invoice) {
+      const row = { id: `inv-${rows.length + 1}`, created_at: '2026-03-02T10:00:00Z', ...invoice };
+      rows.push(row);
+      return row;
+    },
+    async getInvoiceById(id) {
+      return rows.find(row => row.id === id) || null;
+    },
+    async listInvoices({ status, ids }) {
+      return rows.filter(row => (!status || row.status === status) && (!ids || ids.includes(row.id)));
+    },
+    async updateInvoice(id, updates) {
+      const row = rows.find(candidate => candidate.id === id);
+      Object.assign(row, updates);
+      return row;
+    },
+    async markInvoicesExported(ids, format) {
+      rows.filter(row => ids.includes(row.id)).forEach(row => Object.assign(row, { status: 'exported', export_format: format }));
+    }
+  };
+}
+
+const email = { id: 'email-1', from_email: 'ar@acme.com' };
+
+describe('invoice normalization and validation', () => {
+  test('normalizes amounts, dates and derived values', () => {
+    const invoice = normalizeInvoice(rawInvoice, { referenceDate: new Date('2026-03-02') });
+
+    expect(invoice).toMatchObject({
+      invoice_number: 'INV-0042',
+      vendor: { name: 'Acme Concrete Supply, Inc.', email: 'ar@acme.com' },
+      invoice_date: '2026-03-01',
+      due_date: '2026-03-31',
+      currency: 'USD',
+      line_items: [
+        { description: '4000 PSI concrete', quantity: 40, unit: 'CY', unit_price: 150, amount: 6000 },
+        { description: 'Pump truck', quantity: 1, unit: 'LS', unit_price: 1000, amount: 1000 }
+      ],
+      subtotal: 7000,
+      tax: 577.5,
+      retainage: { percent: 10, amount: 700 },
+      total: 7577.5,
+      amount_due: 6877.5,
+      validation: { valid: true, issues: [] }
+    });
+  });
+
+  test('reports totals that do not add up', () => {
+    const invoice = normalizeInvoice({
+      ...rawInvoice,
+      invoice_number: null,
+      line_items: [{ description: 'Rebar', quantity: 2, unit_price: 100, amount: 250 }],
+      subtotal: 7000,
+      total: 7600,
+      retainage: { percent: 10, amount: 500 }
+    });
+
+    expect(invoice.validation.valid).toBe(false);
+    expect(invoice.validation.issues.map(issue => issue.code)).toEqual([
+      'missing_invoice_number',
+      'line_amount_mismatch',
+      'subtotal_mismatch',
+      'total_mismatch',
+      'retainage_mismatch',
+      'amount_due_mismatch'
+    ]);
+  });
+
+  test('vendor and invoice number keys ignore formatting', () => {
+    expect(vendorKey('The Acme Concrete Supply Co., Inc.')).toBe('acme concrete supply');
+    expect(vendorKey('ACME CONCRETE SUPPLY LLC')).toBe('acme concrete supply');
+    expect(['INV-0042', 'Invoice #42', '42', 'inv 042'].map(invoiceNumberKey)).toEqual(['42', '42', '42', '42']);
+    expect(invoiceNumberKey('A-0100')).toBe('A0100');
+  });
+});
+
+describe('recording invoices', () => {
+  test('a clean invoice is ready for export', async () => {
+    const service = new InvoiceService({ db: createFakeDb(), options });
+    const { invoice, duplicate_of } = await service.recordInvoice(email, normalizeInvoice(rawInvoice));
+
+    expect(invoice).toMatchObject({ status: INVOICE_STATUS.READY, vendor_key: 'acme concrete supply', invoice_number_key: '42', retainage_amount: 700 });
+    expect(duplicate_of).toBeNull();
+  });
+
+  test('the same vendor and number is a duplicate; same total and date is held for review', async () => {
+    const db = createFakeDb([{
+      id: 'inv-0', email_id: 'email-0', vendor_key: 'acme concrete supply', invoice_number: '42',
+      invoice_number_key: '42', invoice_date: '2026-03-01', total: 7577.5, status: 'exported', created_at: '2026-03-01T09:00:00Z'
+    }]);
+    const service = new InvoiceService({ db, options });
+
+    const resent = await service.recordInvoice(email, normalizeInvoice({ ...rawInvoice, invoice_number: 'Invoice #42' }));
+    expect(resent.invoice.status).toBe(INVOICE_STATUS.DUPLICATE);
+    expect(resent.invoice.duplicate_of).toBe('inv-0');
+
+    const renumbered = await service.recordInvoice({ ...email, id: 'email-2' }, normalizeInvoice({ ...rawInvoice, invoice_number: 'INV-0043' }));
+    expect(renumbered.invoice.status).toBe(INVOICE_STATUS.NEEDS_REVIEW);
+    expect(renumbered.invoice.validation_issues).toEqual([expect.objectContaining({ code: 'possible_duplicate' })]);
+  });
+
+  test('held invoices need approval before export', async () => {
+    const service = new InvoiceService({ db: createFakeDb(), options });
+    const { invoice } = await service.recordInvoice(email, normalizeInvoice({ ...rawInvoice, total: 9000 }));
+    expect(invoice.status).toBe(INVOICE_STATUS.NEEDS_REVIEW);
+
+    await expect(service.exportInvoices({ format: 'csv', invoice_ids: [invoice.id] }, 'pat'))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    const approved = await service.approveInvoice(invoice.id, 'pat');
+    expect(approved).toMatchObject({ status: INVOICE_STATUS.READY, approved_by: 'pat' });
+    await expect(service.approveInvoice(invoice.id, 'pat')).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('AP export', () => {
+  async function serviceWithReadyInvoice(deps = {}) {
+    const db = createFakeDb();
+    const service = new InvoiceService({ db, options, now: () => Date.parse('2026-03-05T12:00:00Z'), ...deps });
+    await service.recordInvoice(email, normalizeInvoice({ ...rawInvoice, project: '=HYPERLINK("x")' }));
+    return { db, service };
+  }
+
+  test('CSV has one quoted, formula-safe row per invoice', async () => {
+    const { db, service } = await serviceWithReadyInvoice();
+    const { output } = await service.exportInvoices({ format: 'csv' }, 'pat');
+
+    const [header, row] = output.body.trim().split('\r\n');
+    expect(header.split(',')).toContain('retainage_amount');
+    expect(row).toContain('"Acme Concrete Supply, Inc."');
+    expect(row).toContain(`"'=HYPERLINK(""x"")"`);
+    expect(output.filename).toBe('invoices-2026-03-05.csv');
+    expect(db.rows[0]).toMatchObject({ status: 'exported', export_format: 'csv' });
+
+    await expect(service.exportInvoices({ format: 'csv' }, 'pat')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('IIF bills balance: A/P credit for the amount due, retainage held separately', async () => {
+    const { service } = await serviceWithReadyInvoice();
+    const { output } = await service.exportInvoices({ format: 'iif' }, 'pat');
+
+    const lines = output.body.trim().split('\r\n');
+    expect(lines.slice(0, 3).map(line => line.split('\t')[0])).toEqual(['!TRNS', '!SPL', '!ENDTRNS']);
+
+    const records = lines.slice(3).map(line => line.split('\t'));
+    expect(records[0]).toEqual(expect.arrayContaining(['TRNS', 'BILL', '03/01/2026', 'Accounts Payable', 'Acme Concrete Supply, Inc.', '-6877.50', 'INV-0042', '03/31/2026']));
+    expect(records.filter(record => record[0] === 'SPL').map(record => [record[4], record[6]])).toEqual([
+      ['Job Materials', '6000.00'],
+      ['Job Materials', '1000.00'],
+      ['Sales Tax Payable', '577.50'],
+      ['Retainage Payable', '-700.00']
+    ]);
+    expect(records.at(-1)).toEqual(['ENDTRNS']);
+
+    const sum = records.filter(record => ['TRNS', 'SPL'].includes(record[0])).reduce((total, record) => total + Math.round(Number(record[6]) * 100), 0);
+    expect(sum).toBe(0);
+  });
+
+  test('webhook posts signed JSON and reports delivery failures as 502', async () => {
+    const requests = [];
+    let status = 202;
+    const fetch = async (url, request) => {
+      requests.push({ url, request });
+      return { ok: status < 300, status };
+    };
+    const { db, service } = await serviceWithReadyInvoice({ fetch });
+
+    const { output } = await service.exportInvoices({ format: 'webhook' }, 'pat');
+    expect(output).toEqual({ delivered: true, status_code: 202 });
+
+    const { request } = requests[0];
+    const payload = JSON.parse(request.body);
+    expect(payload.invoices[0]).toMatchObject({ invoice_number: 'INV-0042', retainage: { percent: 10, amount: 700 }, total: 7577.5 });
+    expect(request.headers['X-Webhook-Signature']).toBe(computeSignature('ap-secret',
+      request.headers['X-Webhook-Timestamp'], request.headers['X-Webhook-Nonce'], request.body));
+
+    status = 500;
+    db.rows[0].status = INVOICE_STATUS.READY;
+    await expect(service.exportInvoices({ format: 'webhook' }, 'pat')).rejects.toMatchObject({ statusCode: 502 });
+    expect(db.rows[0].status).toBe(INVOICE_STATUS.READY);
+  });
+
+  test('rejects unknown formats and an unconfigured webhook', async () => {
+    const service = new InvoiceService({ db: createFakeDb(), options: { ...options, webhook: { url: null } } });
+    await expect(service.exportInvoices({ format: 'xml' }, 'pat')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.exportInvoices({ format: 'webhook' }, 'pat')).rejects.toMatchObject({ statusCode: 503 });
+  });
+});
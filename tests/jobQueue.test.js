@@ -0,0 +1,267 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { JobQueue, JOB_STATUS, JOB_TYPES, NonRetryableJobError } from '../src/services/JobQueue.js';
+import databaseService from '../src/services/DatabaseService.js';
+import workflowExecutor from '../src/services/WorkflowExecutor.js';
+import { createCronSecretGuard } from '../src/middleware/requireCronSecret.js';
+import MemoryJobStore from '../src/services/jobStores/MemoryJobStore.js';
+import { registerEmailPipeline, withoutAttachmentContent } from '../src/services/EmailPipeline.js';
+
+const options = {
+  batchSize: 10,
+  leaseMs: 60000,
+  maxAttempts: 3,
+  backoffBaseMs: 1000,
+  backoffMaxMs: 3000,
+  pollIntervalMs: 1000,
+  drainTimeLimitMs: 5000
+};
+
+describe('JobQueue with the in-memory driver', () => {
+  let clock;
+  let store;
+  let queue;
+
+  beforeEach(() => {
+    clock = Date.parse('2026-01-01T00:00:00Z');
+    store = new MemoryJobStore();
+    queue = new JobQueue({ store, options, now: () => clock });
+  });
+
+  test('runs a job and marks it completed', async () => {
+    const seen = [];
+    queue.registerHandler('echo', async payload => { seen.push(payload.value); });
+
+    const job = await queue.enqueue('echo', { value: 42 });
+    expect(await queue.runOnce()).toBe(1);
+
+    expect(seen).toEqual([42]);
+    expect((await store.get(job.id)).status).toBe(JOB_STATUS.COMPLETED);
+  });
+
+  test('compacts the payload of completed jobs only', async () => {
+    let fail = true;
+    queue.registerHandler('upload', async () => {
+      if (fail) throw new Error('boom');
+    }, { compactPayload: ({ content, ...rest }) => rest });
+
+    const job = await queue.enqueue('upload', { name: 'plans.pdf', content: 'JVBERi0=' });
+
+    await queue.runOnce();
+    expect((await store.get(job.id)).payload).toEqual({ name: 'plans.pdf', content: 'JVBERi0=' });
+
+    fail = false;
+    clock += 1000;
+    await queue.runOnce();
+    const stored = await store.get(job.id);
+    expect(stored.status).toBe(JOB_STATUS.COMPLETED);
+    expect(stored.payload).toEqual({ name: 'plans.pdf' });
+  });
+
+  test('retries failures with exponential backoff, then dead-letters', async () => {
+    const deadLettered = [];
+    queue.registerHandler('flaky', async () => { throw new Error('boom'); });
+    queue.onDeadLetter(async (job, error) => { deadLettered.push([job.id, error.message]); });
+
+    const job = await queue.enqueue('flaky', {});
+
+    await queue.runOnce();
+    let stored = await store.get(job.id);
+    expect(stored.status).toBe(JOB_STATUS.PENDING);
+    expect(stored.last_error).toBe('boom');
+    expect(Date.parse(stored.run_at) - clock).toBe(1000);
+
+    // Not due yet
+    expect(await queue.runOnce()).toBe(0);
+
+    clock += 1000;
+    await queue.runOnce();
+    stored = await store.get(job.id);
+    expect(Date.parse(stored.run_at) - clock).toBe(2000);
+
+    clock += 2000;
+    await queue.runOnce();
+    stored = await store.get(job.id);
+    expect(stored.status).toBe(JOB_STATUS.DEAD);
+    expect(stored.attempts).toBe(3);
+    expect(deadLettered).toEqual([[job.id, 'boom']]);
+  });
+
+  test('caps backoff at backoffMaxMs', () => {
+    expect(queue.computeBackoff(1)).toBe(1000);
+    expect(queue.computeBackoff(2)).toBe(2000);
+    expect(queue.computeBackoff(5)).toBe(3000);
+  });
+
+  test('dead-letters non-retryable errors immediately', async () => {
+    queue.registerHandler('invalid', async () => { throw new NonRetryableJobError('bad payload'); });
+
+    const job = await queue.enqueue('invalid', {});
+    await queue.runOnce();
+
+    const stored = await store.get(job.id);
+    expect(stored.status).toBe(JOB_STATUS.DEAD);
+    expect(stored.attempts).toBe(1);
+  });
+
+  test('reclaims running jobs whose lease expired', async () => {
+    queue.registerHandler('work', async () => {});
+    const job = await queue.enqueue('work', {});
+
+    // Simulate a worker that crashed after claiming
+    await store.claim('crashed-worker', 10, options.leaseMs, clock);
+    expect(await queue.runOnce()).toBe(0);
+
+    clock += options.leaseMs;
+    expect(await queue.runOnce()).toBe(1);
+
+    const stored = await store.get(job.id);
+    expect(stored.status).toBe(JOB_STATUS.COMPLETED);
+    expect(stored.attempts).toBe(2);
+  });
+
+  test('handlers can chain follow-up jobs which drain() picks up', async () => {
+    const order = [];
+    queue.registerHandler('first', async () => {
+      order.push('first');
+      await queue.enqueue('second', {});
+    });
+    queue.registerHandler('second', async () => { order.push('second'); });
+
+    await queue.enqueue('first', {});
+    const processed = await queue.drain();
+
+    expect(processed).toBe(2);
+    expect(order).toEqual(['first', 'second']);
+  });
+
+  test('retryDeadJob requeues a dead job with fresh attempts', async () => {
+    let fail = true;
+    queue.registerHandler('once', async () => {
+      if (fail) throw new NonRetryableJobError('nope');
+    });
+
+    const job = await queue.enqueue('once', {});
+    await queue.runOnce();
+    expect((await store.get(job.id)).status).toBe(JOB_STATUS.DEAD);
+
+    fail = false;
+    const requeued = await queue.retryDeadJob(job.id);
+    expect(requeued.status).toBe(JOB_STATUS.PENDING);
+    expect(requeued.attempts).toBe(0);
+
+    await queue.runOnce();
+    expect((await store.get(job.id)).status).toBe(JOB_STATUS.COMPLETED);
+  });
+});
+
+describe('ingestion job payloads', () => {
+  test('completed ingestion jobs keep attachment metadata but not content', () => {
+    const payload = {
+      from_email: 'pm@gc.com',
+      subject: 'Plans',
+      body: 'Attached',
+      attachmentInfo: [
+        { name: 'plans.pdf', contentType: 'application/pdf', size: 5, content: 'JVBERi0=' },
+        { name: 'link.pdf', contentType: 'application/pdf', size: 9, url: 'https://files.example.com/link.pdf' }
+      ]
+    };
+
+    expect(withoutAttachmentContent(payload).attachmentInfo).toEqual([
+      { name: 'plans.pdf', contentType: 'application/pdf', size: 5, content_removed: true },
+      { name: 'link.pdf', contentType: 'application/pdf', size: 9, url: 'https://files.example.com/link.pdf' }
+    ]);
+    expect(payload.attachmentInfo[0].content).toBe('JVBERi0=');
+    expect(withoutAttachmentContent({ from_email: 'pm@gc.com' })).toEqual({ from_email: 'pm@gc.com' });
+  });
+
+  test('the pipeline compacts ingestion payloads', () => {
+    const queue = new JobQueue({ store: new MemoryJobStore(), options });
+    registerEmailPipeline(queue);
+
+    expect(queue.payloadCompactors.get('ingest_email')).toBe(withoutAttachmentContent);
+  });
+});
+
+describe('workflow jobs', () => {
+  const decision = { email_id: 'email-1', automation_allowed: true, status: 'Pending Review' };
+  let executeWorkflow;
+  let runWorkflow;
+
+  beforeEach(() => {
+    const queue = new JobQueue({ store: new MemoryJobStore(), options });
+    registerEmailPipeline(queue);
+    runWorkflow = queue.handlers.get(JOB_TYPES.EXECUTE_WORKFLOW);
+
+    jest.spyOn(databaseService, 'getAnalysisByEmailId').mockResolvedValue({ email_type: 'RFQ/Bid Request', confidence_score: 0.9, urgency: 'Medium', extracted_data: {} });
+    jest.spyOn(databaseService, 'listWorkflowsByEmailId').mockResolvedValue([]);
+    jest.spyOn(databaseService, 'listOutboundEmailsByEmailId').mockResolvedValue([]);
+    executeWorkflow = jest.spyOn(workflowExecutor, 'executeWorkflow').mockResolvedValue({ success: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('does not run a workflow an earlier attempt already recorded', async () => {
+    databaseService.listWorkflowsByEmailId.mockResolvedValue([
+      { workflow_type: 'RFQ/Bid Request', success: true, executed_at: '2026-03-01T10:00:05Z' }
+    ]);
+
+    expect(await runWorkflow({ email_id: 'email-1', decision, queued_at: '2026-03-01T10:00:00Z' }))
+      .toEqual({ success: true, skipped: true });
+    expect(executeWorkflow).not.toHaveBeenCalled();
+  });
+
+  test('runs again for a decision queued after the recorded workflow (reclassification)', async () => {
+    databaseService.listWorkflowsByEmailId.mockResolvedValue([
+      { workflow_type: 'General Inquiry', success: true, executed_at: '2026-03-01T10:00:05Z' }
+    ]);
+
+    await runWorkflow({ email_id: 'email-1', decision, queued_at: '2026-03-02T09:00:00Z' });
+    expect(executeWorkflow).toHaveBeenCalledTimes(1);
+
+    await runWorkflow({ email_id: 'email-1', decision }, { created_at: '2026-03-02T09:00:00Z' });
+    expect(executeWorkflow).toHaveBeenCalledTimes(2);
+  });
+
+  test('retries failures that happened before anything was sent', async () => {
+    executeWorkflow.mockResolvedValue({ success: false, error: 'Database unavailable' });
+
+    const failure = await runWorkflow({ email_id: 'email-1', decision }).catch(error => error);
+
+    expect(failure.message).toBe('Database unavailable');
+    expect(failure).not.toBeInstanceOf(NonRetryableJobError);
+  });
+
+  test('does not retry a failure after the reply went out', async () => {
+    executeWorkflow.mockResolvedValue({ success: false, error: 'Failed to insert workflow' });
+    databaseService.listOutboundEmailsByEmailId.mockResolvedValue([{ id: 'out-1', status: 'sent' }]);
+
+    await expect(runWorkflow({ email_id: 'email-1', decision })).rejects.toBeInstanceOf(NonRetryableJobError);
+  });
+});
+
+describe('cron secret', () => {
+  function call(guard, authorization) {
+    let statusCode = null;
+    let passed = false;
+    const req = { get: () => authorization };
+    const res = { status: code => { statusCode = code; return res; }, json: () => res };
+    guard(req, res, () => { passed = true; });
+    return { passed, statusCode };
+  }
+
+  test('requires the bearer secret when configured', () => {
+    const guard = createCronSecretGuard({ secret: 'cron-secret', production: true });
+
+    expect(call(guard, 'Bearer cron-secret')).toEqual({ passed: true, statusCode: null });
+    expect(call(guard, 'Bearer guess')).toEqual({ passed: false, statusCode: 401 });
+    expect(call(guard, undefined)).toEqual({ passed: false, statusCode: 401 });
+  });
+
+  test('fails closed in production without a secret', () => {
+    expect(call(createCronSecretGuard({ secret: undefined, production: true }))).toEqual({ passed: false, statusCode: 503 });
+    expect(call(createCronSecretGuard({ secret: undefined, production: false }))).toEqual({ passed: true, statusCode: null });
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, test, expect } from '@jest/globals';
+import { LLMService, LLM_TASKS, createLLMProvider } from '../src/services/LLMService.js';
+import OpenAICompatibleProvider from '../src/services/llmProviders/OpenAICompatibleProvider.js';
+import MockLLMProvider from '../src/services/llmProviders/MockLLMProvider.js';
+import aiAnalysisService from '../src/services/AIAnalysisService.js';
+import emailSender from '../src/services/EmailSenderNew.js';
+
+const messages = [{ role: 'user', content: 'hello' }];
+
+describe('LLM provider selection', () => {
+  test('creates OpenAI-compatible providers with provider defaults', () => {
+    const groq = createLLMProvider({ provider: 'groq', apiKey: 'k', timeoutMs: 1000 });
+    expect(groq).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(groq.client.baseURL).toBe('https://api.groq.com/openai/v1');
+
+    const ollama = createLLMProvider({ provider: 'ollama', timeoutMs: 1000 });
+    expect(ollama.client.baseURL).toBe('http://localhost:11434/v1');
+
+    const local = createLLMProvider({ provider: 'openai', apiKey: 'k', baseUrl: 'http://127.0.0.1:8080/v1', timeoutMs: 1000 });
+    expect(local.client.baseURL).toBe('http://127.0.0.1:8080/v1');
+
+    expect(createLLMProvider({ provider: 'mock' })).toBeInstanceOf(MockLLMProvider);
+    expect(() => createLLMProvider({ provider: 'carrier-pigeon' })).toThrow('Unknown LLM provider');
+  });
+
+  test('picks the model per task and falls back to the provider default', async () => {
+    const provider = new MockLLMProvider({ respond: () => 'ok' });
+    const service = new LLMService({
+      provider,
+      options: { provider: 'groq', models: { classification: 'small-model', reply: undefined } }
+    });
+
+    await service.complete(LLM_TASKS.CLASSIFICATION, { messages });
+    await service.complete(LLM_TASKS.REPLY, { messages });
+
+    expect(provider.calls.map(call => call.model)).toEqual(['small-model', 'llama-3.1-8b-instant']);
+  });
+
+  test('Azure requires a deployment name per task', () => {
+    const service = new LLMService({ provider: new MockLLMProvider(), options: { provider: 'azure', models: {} } });
+    expect(() => service.getModel(LLM_TASKS.REPLY)).toThrow('LLM_REPLY_MODEL');
+  });
+
+  test('sends response_format only for JSON requests on JSON-capable servers', async () => {
+    const requests = [];
+    const client = { chat: { completions: { create: async request => { requests.push(request); return { choices: [] }; } } } };
+
+    await new OpenAICompatibleProvider({ name: 'groq', client }).complete({ model: 'm', messages, responseFormat: 'json' });
+    await new OpenAICompatibleProvider({ name: 'groq', client }).complete({ model: 'm', messages });
+    await new OpenAICompatibleProvider({ name: 'ollama', client, jsonMode: false }).complete({ model: 'm', messages, responseFormat: 'json' });
+
+    expect(requests.map(request => request.response_format)).toEqual([{ type: 'json_object' }, undefined, undefined]);
+  });
+
+  test('normalizes chat completion responses', async () => {
+    const client = {
+      chat: {
+        completions: {
+          create: async request => ({
+            model: `${request.model}-2024`,
+            choices: [{ message: { content: `max_tokens=${request.max_tokens}` }, finish_reason: 'stop' }],
+            usage: { total_tokens: 12 }
+          })
+        }
+      }
+    };
+    const provider = new OpenAICompatibleProvider({ name: 'openai', client });
+
+    const result = await provider.complete({ model: 'gpt', messages, temperature: 0, maxTokens: 42 });
+    expect(result).toEqual({ text: 'max_tokens=42', model: 'gpt-2024', finishReason: 'stop', usage: { total_tokens: 12 } });
+  });
+});
+
+describe('mock provider', () => {
+  test('classifies the email section of the analysis prompt deterministically', async () => {
+    const provider = new MockLLMProvider();
+    const classify = async (subject, body) => {
+      const { text } = await provider.complete({
+        task: LLM_TASKS.CLASSIFICATION,
+        model: 'mock',
+        messages: [{ role: 'user', content: aiAnalysisService.buildPrompt(subject, body) }]
+      });
+      return aiAnalysisService.parseResponse(text).analysis;
+    };
+
+    expect((await classify('RFQ - Warehouse roofing', 'Please send your bid')).email_type).toBe('RFQ/Bid Request');
+    expect((await classify('Water leak on level 3', 'Pipe burst overnight')).email_type).toBe('Urgent Site Issue');
+    expect((await classify('Invoice #4411', 'Attached is our invoice')).email_type).toBe('Invoice/Billing');
+
+    const unclear = await classify('Hello', 'Just checking in');
+    expect(unclear.email_type).toBe('Unknown/Unclear');
+    expect(unclear.confidence_score).toBeLessThan(0.7);
+  });
+
+  test('reply generation records the model that produced the text', async () => {
+    const reply = await emailSender.generateAIResponse('Bid for Warehouse', 'Please quote', 'jane.doe@gc.com', 'RFQ/Bid Request');
+
+    expect(reply).toMatchObject({ generated_by: 'template', model: 'mock', template_id: 'rfq-en', language: 'en' });
+    expect(reply.text).toContain('Dear Jane Doe,');
+    expect(reply.text).toContain('Bid for Warehouse');
+  });
+});
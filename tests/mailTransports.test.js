@@ -0,0 +1,220 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import auditLogger from '../src/services/AuditLogger.js';
+import { EmailSenderNew, createMailTransport } from '../src/services/EmailSenderNew.js';
+import SmtpMailTransport from '../src/services/mailTransports/SmtpMailTransport.js';
+import GmailApiMailTransport from '../src/services/mailTransports/GmailApiMailTransport.js';
+import HttpApiMailTransport from '../src/services/mailTransports/HttpApiMailTransport.js';
+import FileMailTransport from '../src/services/mailTransports/FileMailTransport.js';
+import { listRecipients } from '../src/utils/mimeBuilder.js';
+
+const MESSAGE = {
+  from: 'InvexTech <info@invextech.com>',
+  to: 'pm@gc.com',
+  cc: ['ap@invextech.com'],
+  bcc: ['archive@invextech.com'],
+  subject: 'Re: Invoice 118',
+  text: 'Received, thank you.',
+  html: '<p>Received, thank you.</p>',
+  messageId: '<reply-1@invextech.com>',
+  inReplyTo: '<inbound-2@gc.com>',
+  references: ['<inbound-1@gc.com>', '<inbound-2@gc.com>']
+};
+
+/**
+ * fetch stand-in recording requests and answering with `status`
+ */
+function createFetch(status = 202, body = '') {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, ...init, json: JSON.parse(init.body) });
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: status === 202 ? 'Accepted' : 'Bad Request',
+      headers: new Headers({ 'x-message-id': 'sg-123' }),
+      text: async () => body
+    };
+  };
+  return { fetch, requests };
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createMailTransport', () => {
+  test('creates the configured transport', () => {
+    const smtpConfig = { host: 'smtp.example.com', port: 587, user: 'u', password: 'p' };
+    const mailConfig = { fileDirectory: './data/outbox', http: { url: 'https://mail.example.com/send', apiKey: 'key' } };
+
+    expect(createMailTransport({ ...mailConfig, transport: 'smtp' }, { smtpConfig })).toBeInstanceOf(SmtpMailTransport);
+    expect(createMailTransport({ ...mailConfig, transport: 'gmail' }, { gmailConfig: { userId: 'me' } })).toBeInstanceOf(GmailApiMailTransport);
+    expect(createMailTransport({ ...mailConfig, transport: 'http' })).toBeInstanceOf(HttpApiMailTransport);
+    expect(createMailTransport({ ...mailConfig, transport: 'file' })).toBeInstanceOf(FileMailTransport);
+  });
+
+  test('rejects unknown transports and incomplete HTTP settings', () => {
+    expect(() => createMailTransport({ transport: 'pigeon' })).toThrow('Unknown mail transport: pigeon (use smtp, gmail, http or file)');
+    expect(() => createMailTransport({ transport: 'http', http: { url: 'https://mail.example.com/send' } }))
+      .toThrow('HTTP mail transport requires MAIL_API_URL and MAIL_API_KEY');
+  });
+});
+
+describe('mail transports', () => {
+  test('lists every recipient address', () => {
+    expect(listRecipients(MESSAGE)).toEqual(['pm@gc.com', 'ap@invextech.com', 'archive@invextech.com']);
+    expect(listRecipients({ to: 'Pat <pat@gc.com>, jo@gc.com' })).toEqual(['pat@gc.com', 'jo@gc.com']);
+  });
+
+  test('SMTP reports accepted and rejected recipients and marks permanent failures', async () => {
+    const transport = new SmtpMailTransport({
+      transporter: { sendMail: async () => ({ messageId: '<reply-1@invextech.com>', accepted: ['pm@gc.com'], rejected: ['gone@gc.com'], response: '250 OK' }) }
+    });
+    expect(await transport.send(MESSAGE)).toEqual({
+      messageId: '<reply-1@invextech.com>',
+      accepted: ['pm@gc.com'],
+      rejected: ['gone@gc.com'],
+      response: '250 OK'
+    });
+
+    const refused = new SmtpMailTransport({
+      transporter: { sendMail: async () => { throw Object.assign(new Error('550 Mailbox unavailable'), { responseCode: 550 }); } }
+    });
+    await expect(refused.send(MESSAGE)).rejects.toMatchObject({ retryable: false });
+  });
+
+  test('Gmail API sends the raw message with Bcc and threading headers', async () => {
+    const calls = [];
+    const gmail = {
+      users: {
+        messages: {
+          send: async params => { calls.push(params); return { data: { id: 'gm-1' } }; },
+          get: async () => ({ data: { payload: { headers: [{ name: 'Message-Id', value: '<gmail-assigned@mail.gmail.com>' }] } } })
+        }
+      }
+    };
+
+    const result = await new GmailApiMailTransport({ gmail, userId: 'me' }).send(MESSAGE);
+    const raw = Buffer.from(calls[0].requestBody.raw, 'base64url').toString();
+
+    expect(calls[0].userId).toBe('me');
+    expect(raw).toMatch(/^Bcc: archive@invextech\.com$/m);
+    expect(raw).toMatch(/^In-Reply-To: <inbound-2@gc\.com>$/m);
+    expect(raw).toMatch(/^References: <inbound-1@gc\.com> <inbound-2@gc\.com>$/m);
+    expect(result).toMatchObject({
+      messageId: '<gmail-assigned@mail.gmail.com>',
+      providerMessageId: 'gm-1',
+      accepted: ['pm@gc.com', 'ap@invextech.com', 'archive@invextech.com'],
+      rejected: []
+    });
+  });
+
+  test('Gmail API keeps our Message-ID when the sent message cannot be read back', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const gmail = {
+      users: {
+        messages: {
+          send: async () => ({ data: { id: 'gm-2' } }),
+          get: async () => { throw new Error('Insufficient Permission'); }
+        }
+      }
+    };
+
+    expect((await new GmailApiMailTransport({ gmail }).send(MESSAGE)).messageId).toBe('<reply-1@invextech.com>');
+  });
+
+  test('HTTP API posts a SendGrid v3 body', async () => {
+    const { fetch, requests } = createFetch();
+    const transport = new HttpApiMailTransport({ url: 'https://mail.example.com/send', apiKey: 'key', fetch });
+
+    const result = await transport.send(MESSAGE);
+
+    expect(requests[0].headers.Authorization).toBe('Bearer key');
+    expect(requests[0].json).toEqual({
+      personalizations: [{ to: [{ email: 'pm@gc.com' }], cc: [{ email: 'ap@invextech.com' }], bcc: [{ email: 'archive@invextech.com' }] }],
+      from: { email: 'info@invextech.com', name: 'InvexTech' },
+      subject: 'Re: Invoice 118',
+      content: [{ type: 'text/plain', value: 'Received, thank you.' }, { type: 'text/html', value: '<p>Received, thank you.</p>' }],
+      headers: {
+        'Message-ID': '<reply-1@invextech.com>',
+        'In-Reply-To': '<inbound-2@gc.com>',
+        References: '<inbound-1@gc.com> <inbound-2@gc.com>'
+      }
+    });
+    expect(result).toMatchObject({ messageId: '<reply-1@invextech.com>', providerMessageId: 'sg-123', response: '202 Accepted' });
+  });
+
+  test('HTTP API client errors are not retryable', async () => {
+    const { fetch } = createFetch(400, '{"errors":[{"message":"Invalid from"}]}');
+    const transport = new HttpApiMailTransport({ url: 'https://mail.example.com/send', apiKey: 'key', fetch });
+
+    await expect(transport.send(MESSAGE)).rejects.toMatchObject({
+      message: 'Mail API responded with 400: {"errors":[{"message":"Invalid from"}]}',
+      retryable: false
+    });
+  });
+
+  describe('file sink', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    test('writes each message as an .eml file into new/', async () => {
+      const result = await new FileMailTransport({ directory }).send(MESSAGE);
+
+      const files = await fs.readdir(path.join(directory, 'new'));
+      const raw = await fs.readFile(path.join(directory, 'new', files[0]), 'utf8');
+
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(/\.eml$/);
+      expect(await fs.readdir(path.join(directory, 'tmp'))).toEqual([]);
+      expect(result).toMatchObject({ messageId: '<reply-1@invextech.com>', path: path.join(directory, 'new', files[0]), rejected: [] });
+      expect(raw).toMatch(/^Message-ID: <reply-1@invextech\.com>$/m);
+      expect(raw).toMatch(/^Bcc: archive@invextech\.com$/m);
+      expect(raw).toContain('Received, thank you.');
+    });
+  });
+});
+
+describe('EmailSenderNew delivery status', () => {
+  beforeEach(() => {
+    jest.spyOn(auditLogger, 'logEmailSent').mockResolvedValue();
+    jest.spyOn(auditLogger, 'logEmailSendFailed').mockResolvedValue();
+  });
+
+  test('records the transport result in the audit log', async () => {
+    const transport = { name: 'http', send: async message => ({ messageId: message.messageId, accepted: ['pm@gc.com'], rejected: [], response: '202 Accepted', providerMessageId: 'sg-1' }) };
+    const sender = new EmailSenderNew({ transport, options: { copies: {} } });
+
+    const result = await sender.sendWithRetry('pm@gc.com', 'Hi', 'Hi', '<p>Hi</p>', 'email-1', { messageId: '<m-1@invextech.com>' });
+
+    expect(result).toEqual({ success: true, messageId: '<m-1@invextech.com>', attempt: 1, transport: 'http', accepted: ['pm@gc.com'], rejected: [] });
+    expect(auditLogger.logEmailSent).toHaveBeenCalledWith('email-1', 'pm@gc.com', '<m-1@invextech.com>', {
+      transport: 'http',
+      accepted: ['pm@gc.com'],
+      rejected: [],
+      response: '202 Accepted',
+      provider_message_id: 'sg-1'
+    });
+  });
+
+  test('stops retrying when every recipient is rejected', async () => {
+    const send = jest.fn(async () => ({ messageId: '<m-2@invextech.com>', accepted: [], rejected: ['gone@gc.com'] }));
+    const sender = new EmailSenderNew({ transport: { name: 'smtp', send }, options: { copies: {} }, maxRetries: 2 });
+
+    const result = await sender.sendWithRetry('gone@gc.com', 'Hi', 'Hi', '<p>Hi</p>', 'email-2');
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(result).toEqual({ success: false, error: 'All recipients rejected: gone@gc.com', attempts: 1, transport: 'smtp' });
+    expect(auditLogger.logEmailSendFailed).toHaveBeenCalledWith('email-2', 'gone@gc.com', expect.any(Error), 'smtp');
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { normalizeMessageId, parseReferences, normalizeSubject } from '../src/utils/messageId.js';
+import decisionEngine from '../src/services/DecisionEngine.js';
+import emailIngestionService from '../src/services/EmailIngestionService.js';
+import databaseService from '../src/services/DatabaseService.js';
+import attachmentStorageService from '../src/services/AttachmentStorageService.js';
+import attachmentExtractionService from '../src/services/AttachmentExtractionService.js';
+import jobQueue, { JOB_TYPES } from '../src/services/JobQueue.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Message-ID helpers', () => {
+  test('normalizes Message-IDs to angle-bracket form', () => {
+    expect(normalizeMessageId('<abc@host.com>')).toBe('<abc@host.com>');
+    expect(normalizeMessageId('  abc@host.com ')).toBe('<abc@host.com>');
+    expect(normalizeMessageId('Message-ID: <abc@host.com> (comment)')).toBe('<abc@host.com>');
+    expect(normalizeMessageId('')).toBeNull();
+    expect(normalizeMessageId(42)).toBeNull();
+  });
+
+  test('parses References headers and arrays', () => {
+    expect(parseReferences('<a@x> <b@x>\r\n <c@x>')).toEqual(['<a@x>', '<b@x>', '<c@x>']);
+    expect(parseReferences(['a@x', '<b@x>'])).toEqual(['<a@x>', '<b@x>']);
+    expect(parseReferences(null)).toEqual([]);
+  });
+
+  test('strips reply and forward prefixes from subjects', () => {
+    expect(normalizeSubject('Re: RE: Fwd: Bid for Warehouse')).toBe('Bid for Warehouse');
+    expect(normalizeSubject('Re[2]: Invoice 42')).toBe('Invoice 42');
+    expect(normalizeSubject('Regarding the invoice')).toBe('Regarding the invoice');
+  });
+});
+
+describe('DecisionEngine thread depth rule', () => {
+  test('long conversations go to manual review instead of auto-reply', () => {
+    const decision = decisionEngine.applyRules('RFQ/Bid Request', 0.95, { thread_depth: 3 });
+    expect(decision.automation_allowed).toBe(false);
+    expect(decision.status).toBe('Manual Review');
+  });
+
+  test('short conversations keep the normal rules', () => {
+    const decision = decisionEngine.applyRules('RFQ/Bid Request', 0.95, { thread_depth: 2 });
+    expect(decision.automation_allowed).toBe(true);
+    expect(decision.status).toBe('Pending Review');
+  });
+
+  test('urgent issues still escalate regardless of thread depth', () => {
+    const decision = decisionEngine.applyRules('Urgent Site Issue', 0.9, { thread_depth: 10 });
+    expect(decision.status).toBe('Escalated');
+  });
+});
+
+describe('EmailIngestionService threading', () => {
+  const PAYLOAD = {
+    from_email: 'pm@gc.com',
+    subject: 'Re: Bid for Warehouse',
+    body: 'Revised drawings attached.',
+    message_id: '<reply-2@gc.com>',
+    in_reply_to: '<reply-1@invextech.com>',
+    references: '<bid-1@gc.com> <reply-1@invextech.com>',
+    hasAttachments: true,
+    attachmentInfo: [{ name: 'drawings.pdf', contentType: 'application/pdf', size: 4, content: 'JVBERg==' }]
+  };
+  const STORED = [{ info: { name: 'drawings.pdf', contentType: 'application/pdf', size: 4, sha256: 'abc' }, buffer: Buffer.from('%PDF') }];
+
+  let db;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db = {
+      getEmailByMessageId: jest.spyOn(databaseService, 'getEmailByMessageId').mockResolvedValue(null),
+      findThreadIdByMessageIds: jest.spyOn(databaseService, 'findThreadIdByMessageIds').mockResolvedValue(null),
+      insertThread: jest.spyOn(databaseService, 'insertThread').mockResolvedValue('thread-1'),
+      insertEmail: jest.spyOn(databaseService, 'insertEmail').mockResolvedValue('email-1'),
+      setEmailThread: jest.spyOn(databaseService, 'setEmailThread').mockResolvedValue(),
+      updateEmailAttachmentInfo: jest.spyOn(databaseService, 'updateEmailAttachmentInfo').mockResolvedValue(),
+      refreshThread: jest.spyOn(databaseService, 'refreshThread').mockResolvedValue({ id: 'thread-1', message_count: 1 }),
+      storeAttachments: jest.spyOn(attachmentStorageService, 'storeAttachments').mockResolvedValue(STORED),
+      recordForEmail: jest.spyOn(attachmentStorageService, 'recordForEmail').mockResolvedValue(),
+      extractForEmail: jest.spyOn(attachmentExtractionService, 'extractForEmail').mockResolvedValue(),
+      enqueue: jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({ id: 'job-1' }),
+      listJobs: jest.spyOn(jobQueue.store, 'list').mockResolvedValue([])
+    };
+  });
+
+  test('stores the email before creating its thread and storing attachments', async () => {
+    const result = await emailIngestionService.processIncomingEmail(PAYLOAD);
+
+    expect(result).toMatchObject({ success: true, email_id: 'email-1', thread_id: 'thread-1', thread_depth: 1 });
+    const stored = db.insertEmail.mock.calls[0][0];
+    expect(stored.thread_id).toBeUndefined();
+    expect(stored.attachmentInfo).toEqual([{ name: 'drawings.pdf', contentType: 'application/pdf', size: 4 }]);
+    expect(db.insertEmail.mock.invocationCallOrder[0]).toBeLessThan(db.insertThread.mock.invocationCallOrder[0]);
+    expect(db.insertEmail.mock.invocationCallOrder[0]).toBeLessThan(db.storeAttachments.mock.invocationCallOrder[0]);
+    expect(db.findThreadIdByMessageIds).toHaveBeenCalledWith(['<reply-1@invextech.com>', '<bid-1@gc.com>']);
+    expect(db.setEmailThread).toHaveBeenCalledWith('email-1', 'thread-1');
+    expect(db.updateEmailAttachmentInfo).toHaveBeenCalledWith('email-1', [STORED[0].info]);
+    expect(db.enqueue).toHaveBeenCalledWith(JOB_TYPES.ANALYZE_EMAIL, { email_id: 'email-1' }, { email_id: 'email-1' });
+  });
+
+  test('a delivery that loses the insert race creates no thread and stores no attachments', async () => {
+    db.getEmailByMessageId
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: 'email-0', status: 'Received' });
+    db.insertEmail.mockRejectedValue(Object.assign(new Error('Failed to insert email: duplicate key'), { code: '23505' }));
+
+    const result = await emailIngestionService.processIncomingEmail(PAYLOAD);
+
+    expect(result).toMatchObject({ success: true, duplicate: true, email_id: 'email-0' });
+    expect(db.insertThread).not.toHaveBeenCalled();
+    expect(db.storeAttachments).not.toHaveBeenCalled();
+    expect(db.enqueue).not.toHaveBeenCalled();
+  });
+
+  test('a redelivery completes an ingestion that stopped before its pipeline job', async () => {
+    db.getEmailByMessageId.mockResolvedValue({
+      id: 'email-0',
+      status: 'Received',
+      thread_id: 'thread-1',
+      subject: PAYLOAD.subject,
+      message_id: PAYLOAD.message_id,
+      in_reply_to: PAYLOAD.in_reply_to,
+      reference_ids: ['<bid-1@gc.com>', '<reply-1@invextech.com>'],
+      delivery_report: null
+    });
+
+    const result = await emailIngestionService.processIncomingEmail(PAYLOAD);
+
+    expect(result).toMatchObject({ duplicate: true, email_id: 'email-0' });
+    expect(db.insertEmail).not.toHaveBeenCalled();
+    expect(db.insertThread).not.toHaveBeenCalled();
+    expect(db.storeAttachments).toHaveBeenCalledWith(PAYLOAD.attachmentInfo);
+    expect(db.recordForEmail).toHaveBeenCalledWith('email-0', STORED);
+    expect(db.enqueue).toHaveBeenCalledWith(JOB_TYPES.ANALYZE_EMAIL, { email_id: 'email-0' }, { email_id: 'email-0' });
+  });
+
+  test('a redelivery of a fully ingested email changes nothing', async () => {
+    db.getEmailByMessageId.mockResolvedValue({ id: 'email-0', status: 'Received', thread_id: 'thread-1' });
+    db.listJobs.mockResolvedValue([{ id: 'job-0' }]);
+
+    await emailIngestionService.processIncomingEmail(PAYLOAD);
+
+    expect(db.refreshThread).not.toHaveBeenCalled();
+    expect(db.storeAttachments).not.toHaveBeenCalled();
+    expect(db.enqueue).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import auditLogger from '../src/services/AuditLogger.js';
+import { EmailSenderNew, validateReplyCopies } from '../src/services/EmailSenderNew.js';
+import { buildReplyReferences, createMessageId } from '../src/utils/messageId.js';
+import { quoteText } from '../src/utils/replyQuote.js';
+
+const EMAIL = {
+  id: 'email-1',
+  from_email: 'pm@gc.com',
+  subject: 'Invoice 118',
+  body: 'Please confirm receipt.\r\n\r\nThanks,\r\nPat',
+  received_at: '2026-03-10T15:00:00Z',
+  message_id: '<inbound-2@gc.com>',
+  in_reply_to: '<inbound-1@gc.com>',
+  reference_ids: ['<inbound-1@gc.com>']
+};
+
+/**
+ * Sender with a recording transport and outbound_emails store
+ */
+function createSender({ options = {}, failures = 0 } = {}) {
+  const sent = [];
+  const outbound = [];
+  let attempts = 0;
+  const transport = {
+    name: 'test',
+    async send(message) {
+      attempts++;
+      if (attempts <= failures) throw new Error('SMTP unavailable');
+      sent.push(message);
+      return { messageId: message.messageId, accepted: [message.to], rejected: [] };
+    }
+  };
+  const db = {
+    async insertOutboundEmail(row) {
+      outbound.push(row);
+      return row;
+    }
+  };
+  const limiter = { checkBounced: async () => null, checkGlobal: async () => null };
+  const sender = new EmailSenderNew({ transport, db, limiter, options: { quoteOriginal: false, copies: {}, ...options }, maxRetries: 0 });
+  return { sender, sent, outbound };
+}
+
+beforeEach(() => {
+  jest.spyOn(auditLogger, 'logEmailSent').mockResolvedValue();
+  jest.spyOn(auditLogger, 'logEmailSendFailed').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reply threading helpers', () => {
+  test('builds In-Reply-To and References from the stored headers', () => {
+    expect(buildReplyReferences(EMAIL)).toEqual({
+      inReplyTo: '<inbound-2@gc.com>',
+      references: ['<inbound-1@gc.com>', '<inbound-2@gc.com>']
+    });
+    expect(buildReplyReferences({ message_id: 'only@gc.com', in_reply_to: 'parent@gc.com', reference_ids: [] }))
+      .toEqual({ inReplyTo: '<only@gc.com>', references: ['<parent@gc.com>', '<only@gc.com>'] });
+    expect(buildReplyReferences({ message_id: null })).toEqual({ inReplyTo: null, references: [] });
+  });
+
+  test('keeps the root and the most recent Message-IDs of long chains', () => {
+    const reference_ids = Array.from({ length: 30 }, (_, index) => `<m${index}@gc.com>`);
+    const { references } = buildReplyReferences({ message_id: '<last@gc.com>', reference_ids });
+
+    expect(references).toHaveLength(20);
+    expect(references[0]).toBe('<m0@gc.com>');
+    expect(references.slice(-2)).toEqual(['<m29@gc.com>', '<last@gc.com>']);
+  });
+
+  test('creates Message-IDs on the sender domain', () => {
+    expect(createMessageId('InvexTech <info@invextech.com>')).toMatch(/^<[0-9a-f-]{36}@invextech\.com>$/);
+    expect(createMessageId(undefined)).toMatch(/@localhost>$/);
+  });
+
+  test('quotes the original with an attribution line', () => {
+    expect(quoteText(EMAIL, 'America/Chicago')).toBe([
+      'On Mar 10, 2026, 10:00 AM, pm@gc.com wrote:',
+      '> Please confirm receipt.',
+      '>',
+      '> Thanks,',
+      '> Pat'
+    ].join('\n'));
+  });
+
+  test('validates copy recipients', () => {
+    expect(validateReplyCopies({ '*': { bcc: ['archive@invextech.com'] } })).toEqual([]);
+    expect(validateReplyCopies({ 'Invoice/Billing': { cc: 'ap@invextech.com' } }))
+      .toEqual(['REPLY_COPIES["Invoice/Billing"].cc must be a list of email addresses']);
+    expect(() => new EmailSenderNew({ transport: {}, options: { copies: [] } })).toThrow('REPLY_COPIES must be an object');
+  });
+});
+
+describe('EmailSenderNew.sendReply', () => {
+  test('threads the reply and records it in outbound_emails', async () => {
+    const { sender, sent, outbound } = createSender();
+
+    const result = await sender.sendReply(EMAIL, { subject: 'Re: Invoice 118', text: 'Received, thank you.' }, { draft_id: 'draft-1' });
+
+    expect(result.success).toBe(true);
+    expect(sent[0]).toMatchObject({
+      to: 'pm@gc.com',
+      subject: 'Re: Invoice 118',
+      text: 'Received, thank you.',
+      html: '<p>Received, thank you.</p>',
+      inReplyTo: '<inbound-2@gc.com>',
+      references: ['<inbound-1@gc.com>', '<inbound-2@gc.com>']
+    });
+    expect(sent[0]).not.toHaveProperty('cc');
+    expect(outbound[0]).toMatchObject({
+      email_id: 'email-1',
+      draft_id: 'draft-1',
+      message_id: sent[0].messageId,
+      in_reply_to: '<inbound-2@gc.com>',
+      to_addresses: ['pm@gc.com'],
+      quoted_original: false,
+      status: 'sent',
+      attempts: 1
+    });
+    expect(result.messageId).toBe(sent[0].messageId);
+  });
+
+  test('copies the internal mailboxes for the email type', async () => {
+    const { sender, sent, outbound } = createSender({
+      options: {
+        copies: {
+          '*': { bcc: ['archive@invextech.com', 'ap@invextech.com'] },
+          'Invoice/Billing': { cc: ['ap@invextech.com', 'pm@gc.com'] }
+        }
+      }
+    });
+
+    await sender.sendReply(EMAIL, { subject: 'Re: Invoice 118', text: 'Received.' }, { email_type: 'Invoice/Billing' });
+    await sender.sendReply(EMAIL, { subject: 'Re: Invoice 118', text: 'Received.' }, { email_type: 'RFI' });
+
+    expect(sent[0]).toMatchObject({ cc: ['ap@invextech.com'], bcc: ['archive@invextech.com'] });
+    expect(sent[1]).toMatchObject({ bcc: ['archive@invextech.com', 'ap@invextech.com'] });
+    expect(sent[1]).not.toHaveProperty('cc');
+    expect(outbound[0]).toMatchObject({ cc_addresses: ['ap@invextech.com'], bcc_addresses: ['archive@invextech.com'] });
+  });
+
+  test('quotes the original message when enabled', async () => {
+    const { sender, sent, outbound } = createSender({ options: { quoteOriginal: true } });
+
+    await sender.sendReply({ ...EMAIL, body: 'Total is <$500> & due' }, { subject: 'Re: Invoice 118', text: 'Received.' });
+
+    expect(sent[0].text).toMatch(/^Received\.\n\nOn .+, pm@gc\.com wrote:\n> Total is <\$500> & due$/);
+    expect(sent[0].html).toContain('<blockquote');
+    expect(sent[0].html).toContain('<p>Total is &lt;$500&gt; &amp; due</p>');
+    expect(outbound[0]).toMatchObject({ quoted_original: true, text_body: sent[0].text });
+  });
+
+  test('sends without threading headers when the inbound Message-ID is unknown', async () => {
+    const { sender, sent } = createSender();
+
+    await sender.sendReply({ ...EMAIL, message_id: null }, { subject: 'Re: Invoice 118', text: 'Received.' });
+
+    expect(sent[0]).not.toHaveProperty('inReplyTo');
+    expect(sent[0]).not.toHaveProperty('references');
+    expect(sent[0].messageId).toMatch(/^<.+@example\.com>$/);
+  });
+
+  test('records failed sends', async () => {
+    const { sender, sent, outbound } = createSender({ failures: 1 });
+
+    const result = await sender.sendReply(EMAIL, { subject: 'Re: Invoice 118', text: 'Received.' });
+
+    expect(result).toMatchObject({ success: false, error: 'SMTP unavailable' });
+    expect(sent).toHaveLength(0);
+    expect(outbound[0]).toMatchObject({ status: 'failed', error: 'SMTP unavailable', sent_at: null, attempts: 1 });
+  });
+});
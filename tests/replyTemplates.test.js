@@ -0,0 +1,209 @@
+import { describe, test, expect } from '@jest/globals';
+import fs from 'fs';
+import { parseTemplate, renderTemplate, templatePaths } from '../src/utils/templateEngine.js';
+import { ReplyTemplateService, validateReplyTemplates, validateCompanyProfile } from '../src/services/ReplyTemplateService.js';
+
+const templates = JSON.parse(fs.readFileSync(new URL('../src/config/replyTemplates.json', import.meta.url), 'utf8'));
+const profile = JSON.parse(fs.readFileSync(new URL('../src/config/companyProfile.json', import.meta.url), 'utf8'));
+
+const RFQ = {
+  subject: 'ITB - Riverside Medical Office',
+  body: 'Please submit your concrete and rebar pricing.',
+  from_email: 'estimating@buildco.com',
+  email_type: 'RFQ/Bid Request',
+  extracted_data: {
+    project_type: 'Medical Office',
+    location: 'Austin, TX',
+    deadline: '2026-10-24T19:00:00.000Z',
+    rfq: { project_name: 'Riverside Medical Office', trades: ['Concrete', 'Rebar'], contact: { name: 'Maria Lopez' } }
+  }
+};
+
+/**
+ * LLM stand-in answering every request with `respond(request)`
+ */
+function createLlm(respond) {
+  const calls = [];
+  return {
+    calls,
+    async complete(task, request) {
+      calls.push({ task, ...request });
+      return { text: await respond(request), model: 'test-model', provider: 'test' };
+    }
+  };
+}
+
+function createService(respond, generation = 'slots') {
+  const llm = createLlm(respond);
+  const service = new ReplyTemplateService({ templates, profile, llm, options: { generation }, timeZone: 'America/Chicago' });
+  return { service, llm };
+}
+
+describe('templateEngine', () => {
+  test('fills values, conditionals and loops', () => {
+    const template = '{{#if name}}Dear {{name}},{{else}}Hello,{{/if}} trades: {{#each trades}}{{this}}{{#unless @last}} / {{/unless}}{{/each}}{{#each none}}x{{else}} (none){{/each}}';
+
+    expect(renderTemplate(template, { name: 'Ana', trades: ['Concrete', 'Steel'] }))
+      .toBe('Dear Ana, trades: Concrete / Steel (none)');
+    expect(renderTemplate(template, { trades: [] })).toBe('Hello, trades:  (none)');
+  });
+
+  test('renders missing values as empty text and collapses blank lines', () => {
+    expect(renderTemplate('A\n\n{{missing.value}}\n\n\nB {{list}}', { list: ['x', 'y'] })).toBe('A\n\nB x, y');
+  });
+
+  test('lists the paths a template reads', () => {
+    expect(templatePaths('{{#if project.name}}{{project.name}}{{else}}-{{/if}} {{slots.ack}}'))
+      .toEqual(['project.name', 'project.name', 'slots.ack']);
+  });
+
+  test.each([
+    ['{{#if a}}open'],
+    ['{{/if}}'],
+    ['{{#if a}}x{{/unless}}'],
+    ['{{#with a}}x{{/with}}'],
+    ['{{#if a}}x{{else}}y{{else}}z{{/if}}'],
+    ['{{a b}}']
+  ])('rejects %s', source => {
+    expect(() => parseTemplate(source)).toThrow();
+  });
+});
+
+describe('reply template validation', () => {
+  test('accepts the shipped templates and company profile', () => {
+    expect(validateReplyTemplates(templates)).toEqual([]);
+    expect(validateCompanyProfile(profile)).toEqual([]);
+  });
+
+  test('reports unknown types, undefined slots and a missing default template', () => {
+    const errors = validateReplyTemplates({
+      defaultLanguage: 'en',
+      templates: [{
+        id: 'rfq',
+        email_types: ['Gossip'],
+        language: 'english',
+        subject: 'Re: {{email.subject}}',
+        body: '{{slots.intro}} {{#if x}}',
+        slots: { outro: { instruction: 'Sign off', fallback: 'Bye' } }
+      }]
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('unknown email type(s) Gossip'),
+      expect.stringContaining('language must be a two-letter language code'),
+      expect.stringContaining('Unclosed block #if'),
+      expect.stringContaining('slot outro is defined but not used'),
+      'A "*" template in the default language is required'
+    ]));
+    expect(validateCompanyProfile({ name: 'Acme' })).toEqual(['signature must be a template, or templates keyed by language']);
+  });
+
+  test('refuses to load an invalid document or generation mode', () => {
+    expect(() => new ReplyTemplateService({ templates: { templates: [] }, profile, options: { generation: 'slots' } }))
+      .toThrow('Invalid reply templates');
+    expect(() => new ReplyTemplateService({ templates, profile, options: { generation: 'freestyle' } }))
+      .toThrow('Unsupported REPLY_GENERATION');
+  });
+});
+
+describe('ReplyTemplateService', () => {
+  test('selects by type and language, falling back to the default language and "*"', () => {
+    const { service } = createService(() => '{}');
+
+    expect(service.selectTemplate('RFQ/Bid Request', 'es-MX').id).toBe('rfq-es');
+    expect(service.selectTemplate('RFQ/Bid Request', 'de').id).toBe('rfq-en');
+    expect(service.selectTemplate('RFQ/Bid Request', null).id).toBe('rfq-en');
+    expect(service.selectTemplate('Change Order', 'es').id).toBe('default-es');
+    expect(service.selectTemplate('Change Order', 'fr').id).toBe('default-en');
+  });
+
+  test('fills project details from the extracted data', () => {
+    const { service } = createService(() => '{}');
+    const context = service.buildContext(RFQ, 'en');
+
+    expect(context.sender.name).toBe('Maria Lopez');
+    expect(context.project).toMatchObject({ name: 'Riverside Medical Office', location: 'Austin, TX', trades: ['Concrete', 'Rebar'] });
+    expect(context.project.deadline).toBe('October 24, 2026 at 2:00 PM CDT');
+    expect(service.buildContext({ ...RFQ, extracted_data: { deadline: '2026-10-24' } }, 'es').project.deadline).toBe('24 de octubre de 2026');
+    expect(service.buildContext({ ...RFQ, extracted_data: null }, 'en').sender.name).toBeNull();
+  });
+
+  test('has the LLM write only the slots', async () => {
+    const { service, llm } = createService(() => JSON.stringify({
+      acknowledgement: 'We have the concrete and rebar packages.',
+      next_steps: 'Please share the geotechnical report.'
+    }));
+
+    const reply = await service.compose(RFQ);
+
+    expect(reply).toMatchObject({ subject: 'Re: ITB - Riverside Medical Office', generated_by: 'template', model: 'test-model', template_id: 'rfq-en', language: 'en' });
+    expect(reply.text).toBe([
+      'Dear Maria Lopez,',
+      'Thank you for inviting InvexTech to bid on Riverside Medical Office in Austin, TX. We have the concrete and rebar packages.',
+      'We have noted the bid due date of October 24, 2026 at 2:00 PM CDT and will submit our proposal before then.',
+      'Please share the geotechnical report.',
+      'Best regards,',
+      'InvexTech\n30 N Gould St, Ste N, Sheridan, WY 82801, United States\nPhone: +1 (787) 710-2725\nEmail: info@invextech.com'
+    ].join('\n\n'));
+
+    expect(llm.calls[0]).toMatchObject({ task: 'reply', responseFormat: 'json' });
+    expect(reply.prompt).toContain('[[acknowledgement]]');
+    expect(reply.prompt).toContain('- Trades: Concrete, Rebar');
+  });
+
+  test('keeps the fallback for slots the LLM leaves empty or overruns', async () => {
+    const { service } = createService(() => JSON.stringify({ acknowledgement: 'word '.repeat(100), next_steps: '' }));
+
+    const reply = await service.compose(RFQ);
+
+    expect(reply.generated_by).toBe('template');
+    expect(reply.text).toContain('Our estimating team is reviewing the bid documents now.');
+    expect(reply.text).toContain('We will reach out if we need anything further to complete our estimate.');
+  });
+
+  test('replies in the detected language', async () => {
+    const { service } = createService(() => { throw new Error('LLM unavailable'); });
+
+    const reply = await service.compose({ ...RFQ, extracted_data: { ...RFQ.extracted_data, language: 'es' } });
+
+    expect(reply).toMatchObject({ generated_by: 'fallback', model: null, template_id: 'rfq-es', language: 'es' });
+    expect(reply.text).toMatch(/^Estimado\/a Maria Lopez:/);
+    expect(reply.text).toContain('Nuestro equipo de estimación ya está revisando los documentos.');
+    expect(reply.text).toContain('Teléfono: +1 (787) 710-2725');
+  });
+
+  test('lets the LLM write the whole body in full mode and appends the signature', async () => {
+    const { service, llm } = createService(() => 'Hi Maria,\n\nThanks for the invite.\n\nBest regards,', 'full');
+
+    const reply = await service.compose(RFQ);
+
+    expect(reply).toMatchObject({ generated_by: 'ai', model: 'test-model', template_id: 'rfq-en' });
+    expect(reply.text).toMatch(/^Hi Maria,[\s\S]*Best regards,\n\nInvexTech\n30 N Gould St/);
+    expect(llm.calls[0].messages[1].content).toContain('- Address: 30 N Gould St, Ste N, Sheridan, WY 82801, United States');
+    expect(llm.calls[0].messages[1].content).toContain('- Location: Austin, TX');
+  });
+
+  test('falls back to the template when the LLM returns nothing in full mode', async () => {
+    const { service } = createService(() => '', 'full');
+
+    const reply = await service.compose({ ...RFQ, email_type: 'Change Order', from_email: 'pm@owner.com', extracted_data: {} });
+
+    expect(reply).toMatchObject({ generated_by: 'fallback', template_id: 'default-en' });
+    expect(reply.text).toMatch(/^Hello,\n\nThank you for contacting InvexTech\. We have received your message/);
+  });
+
+  test('uses no LLM in template mode', async () => {
+    const { service, llm } = createService(() => '{}', 'template');
+
+    const reply = await service.compose({
+      ...RFQ,
+      subject: 'Invoice 118',
+      email_type: 'Invoice/Billing',
+      extracted_data: { invoice: { invoice_number: 'INV-118', amount_due: 12500, currency: 'USD' } }
+    });
+
+    expect(llm.calls).toHaveLength(0);
+    expect(reply).toMatchObject({ subject: 'Re: Invoice 118', generated_by: 'template', model: null, template_id: 'invoice-en' });
+    expect(reply.text).toContain('Thank you for sending invoice INV-118 for $12,500.00. It has been forwarded to our accounts payable team.');
+  });
+});
@@ -0,0 +1,311 @@
+import { describe, test, expect, jest, beforeAll, beforeEach, afterAll, afterEach } from '@jest/globals';
+import express from 'express';
+import reviewRoutes from '../src/routes/reviewRoutes.js';
+import reviewService from '../src/services/ReviewService.js';
+import databaseService from '../src/services/DatabaseService.js';
+import authService from '../src/services/AuthService.js';
+import draftService from '../src/services/DraftService.js';
+import auditLogger, { ACTION_TYPES } from '../src/services/AuditLogger.js';
+import jobQueue, { JOB_TYPES } from '../src/services/JobQueue.js';
+import { HttpError } from '../src/utils/httpError.js';
+import { EMAIL_STATUS, assertTransition } from '../src/utils/emailStatus.js';
+
+/**
+ * In-memory emails / email_analysis tables behind the DatabaseService methods ReviewService uses
+ */
+function mockDatabase(emails) {
+  const rows = new Map(emails.map(email => [email.id, { assigned_to: null, ...email }]));
+  const analyses = new Map(emails.map(email => [email.id, { email_id: email.id, email_type: 'RFQ/Bid Request', urgency: 'Medium' }]));
+
+  jest.spyOn(databaseService, 'getEmailById').mockImplementation(async id => {
+    if (!rows.has(id)) throw new Error(`Failed to get email: ${id}`);
+    return { ...rows.get(id) };
+  });
+  jest.spyOn(databaseService, 'assignEmail').mockImplementation(async (id, reviewer, { force = false } = {}) => {
+    const row = rows.get(id);
+    if (!force && reviewer && row.assigned_to && row.assigned_to !== reviewer) return null;
+    row.assigned_to = reviewer;
+    return { ...row };
+  });
+  jest.spyOn(databaseService, 'updateEmailStatus').mockImplementation(async (id, status) => {
+    const row = rows.get(id);
+    const from = row.status;
+    assertTransition(from, status);
+    row.status = status;
+    return { from, to: status, changed: from !== status };
+  });
+  jest.spyOn(databaseService, 'getAnalysisByEmailId').mockImplementation(async id => ({ ...analyses.get(id) }));
+  jest.spyOn(databaseService, 'updateAnalysis').mockImplementation(async (id, fields) => {
+    analyses.set(id, { ...analyses.get(id), ...fields });
+    return { ...analyses.get(id) };
+  });
+
+  return { rows, analyses };
+}
+
+let db;
+
+beforeEach(() => {
+  db = mockDatabase([
+    { id: 'email-1', status: EMAIL_STATUS.MANUAL_REVIEW, from_email: 'pm@gc.com', subject: 'Bid' },
+    { id: 'email-2', status: EMAIL_STATUS.PENDING_REVIEW, from_email: 'ap@gc.com', subject: 'Invoice', assigned_to: 'bob' },
+    { id: 'email-3', status: EMAIL_STATUS.CLOSED, from_email: 'old@gc.com', subject: 'Old' },
+    { id: 'email-4', status: EMAIL_STATUS.RESPONDED, from_email: 'done@gc.com', subject: 'Done' }
+  ]);
+  jest.spyOn(auditLogger, 'logReviewAction').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ReviewService', () => {
+  test('assign hands an email to another reviewer, overriding any claim', async () => {
+    const email = await reviewService.assign('email-2', 'carol', 'alice');
+
+    expect(email.assigned_to).toBe('carol');
+    expect(auditLogger.logReviewAction).toHaveBeenCalledWith('email-2', ACTION_TYPES.REVIEW_ASSIGNED, 'alice',
+      'Review assigned to carol by alice', { assignee: 'carol', previous_assignee: 'bob' });
+  });
+
+  test('assign requires an assignee and an email awaiting review', async () => {
+    await expect(reviewService.assign('email-1', undefined, 'alice')).rejects.toMatchObject({ statusCode: 400 });
+    await expect(reviewService.assign('email-3', 'carol', 'alice')).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Email is not awaiting review (status: Closed)'
+    });
+    await expect(reviewService.assign('missing', 'carol', 'alice')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('claim fails with 409 when another reviewer holds the email unless forced', async () => {
+    await expect(reviewService.claim('email-2', 'alice')).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Email already claimed by bob'
+    });
+
+    const email = await reviewService.claim('email-2', 'alice', { force: true });
+    expect(email.assigned_to).toBe('alice');
+  });
+
+  test('reclassifying keeps the original type and re-runs the decision rules on request', async () => {
+    const enqueue = jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({ id: 'job-1' });
+
+    const analysis = await reviewService.overrideClassification('email-1', {
+      email_type: 'Invoice/Billing',
+      reason: 'Attached invoice',
+      reprocess: true
+    }, 'alice');
+
+    expect(analysis).toMatchObject({
+      email_type: 'Invoice/Billing',
+      urgency: 'Medium',
+      original_email_type: 'RFQ/Bid Request',
+      overridden_by: 'alice',
+      override_reason: 'Attached invoice'
+    });
+    expect(enqueue).toHaveBeenCalledWith(JOB_TYPES.MAKE_DECISION,
+      { email_id: 'email-1', email_type: 'Invoice/Billing', confidence_score: 1 }, { email_id: 'email-1' });
+
+    // A second override still remembers what the AI said
+    await reviewService.overrideClassification('email-1', { email_type: 'Unknown/Unclear' }, 'bob');
+    expect(db.analyses.get('email-1').original_email_type).toBe('RFQ/Bid Request');
+    expect(enqueue).toHaveBeenCalledTimes(1);
+  });
+
+  test('reclassifying rejects unknown types and urgencies', async () => {
+    await expect(reviewService.overrideClassification('email-1', { email_type: 'Not A Type' }, 'alice'))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(reviewService.overrideClassification('email-1', { email_type: 'Invoice/Billing', urgency: 'Whenever' }, 'alice'))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(databaseService.updateAnalysis).not.toHaveBeenCalled();
+  });
+
+  test('reclassifying is limited to types in the caller\'s scope', async () => {
+    const estimator = { type: 'user', name: 'pat', role: 'estimator', emailTypes: ['RFQ/Bid Request'], statuses: null };
+
+    await expect(reviewService.overrideClassification('email-1', { email_type: 'Invoice/Billing' }, 'pat', { principal: estimator }))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Role estimator cannot classify emails as Invoice/Billing' });
+    expect(databaseService.updateAnalysis).not.toHaveBeenCalled();
+
+    const analysis = await reviewService.overrideClassification('email-1', { email_type: 'RFQ/Bid Request', urgency: 'High' }, 'pat', {
+      principal: estimator
+    });
+    expect(analysis).toMatchObject({ email_type: 'RFQ/Bid Request', urgency: 'High', overridden_by: 'pat' });
+  });
+
+  test('send approves an edited draft and records who sent it', async () => {
+    jest.spyOn(draftService, 'getDraft').mockResolvedValue({ id: 'draft-1', email_id: 'email-1' });
+    const editDraft = jest.spyOn(draftService, 'editDraft').mockResolvedValue({ id: 'draft-1', email_id: 'email-1' });
+    jest.spyOn(draftService, 'approveDraft').mockResolvedValue({
+      draft: { id: 'draft-1', subject: 'Re: Bid', edited_by: 'alice' },
+      result: { success: true, messageId: '<reply-1@invextech.com>' }
+    });
+
+    const result = await reviewService.sendReply('email-1', { draft_id: 'draft-1', text: 'Thanks, quote attached.' }, 'alice');
+
+    expect(editDraft).toHaveBeenCalledWith('draft-1', { subject: undefined, text: 'Thanks, quote attached.' }, 'alice');
+    expect(result).toEqual({ success: true, messageId: '<reply-1@invextech.com>', subject: 'Re: Bid', draft_id: 'draft-1', edited: true });
+    expect(auditLogger.logReviewAction).toHaveBeenCalledWith('email-1', ACTION_TYPES.REVIEW_REPLY_SENT, 'alice',
+      'Reply sent to pm@gc.com by alice', expect.objectContaining({ draft_id: 'draft-1', edited: true }));
+  });
+
+  test('send refuses emails claimed by someone else and drafts of other emails', async () => {
+    const approveDraft = jest.spyOn(draftService, 'approveDraft');
+
+    await expect(reviewService.sendReply('email-2', { text: 'Hi' }, 'alice')).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Email is claimed by bob'
+    });
+
+    jest.spyOn(draftService, 'getDraft').mockResolvedValue({ id: 'draft-9', email_id: 'email-2' });
+    await expect(reviewService.sendReply('email-1', { draft_id: 'draft-9' }, 'alice')).rejects.toMatchObject({ statusCode: 400 });
+    expect(approveDraft).not.toHaveBeenCalled();
+  });
+
+  test('send reports a draft that was approved but not delivered', async () => {
+    jest.spyOn(draftService, 'createReviewerDraft').mockResolvedValue({ id: 'draft-2', email_id: 'email-1' });
+    jest.spyOn(draftService, 'approveDraft').mockRejectedValue(new HttpError('Draft approved but sending failed: Connection refused', 502));
+
+    await expect(reviewService.sendReply('email-1', { text: 'Hi' }, 'alice')).rejects.toMatchObject({ statusCode: 502 });
+    expect(auditLogger.logReviewAction).not.toHaveBeenCalled();
+  });
+
+  test('close moves the email to Closed and releases its claim', async () => {
+    const change = await reviewService.close('email-2', 'bob', 'Handled by phone');
+
+    expect(change).toEqual({ from: EMAIL_STATUS.PENDING_REVIEW, to: EMAIL_STATUS.CLOSED, changed: true });
+    expect(db.rows.get('email-2')).toMatchObject({ status: EMAIL_STATUS.CLOSED, assigned_to: null });
+    expect(auditLogger.logReviewAction).toHaveBeenCalledWith('email-2', ACTION_TYPES.EMAIL_CLOSED, 'bob',
+      'Email closed by bob: Handled by phone', { previous_status: EMAIL_STATUS.PENDING_REVIEW, reason: 'Handled by phone' });
+  });
+
+  test('close works after a reply and rejects emails that are already closed', async () => {
+    expect(await reviewService.close('email-4', 'alice')).toMatchObject({ from: EMAIL_STATUS.RESPONDED, to: EMAIL_STATUS.CLOSED });
+
+    await expect(reviewService.close('email-3', 'alice')).rejects.toMatchObject({ statusCode: 409, message: 'Email is already closed' });
+    await expect(reviewService.close('missing', 'alice')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('review routes', () => {
+  let server;
+  let baseUrl;
+
+  const post = (path, body, reviewer = 'alice') => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(reviewer ? { 'X-Reviewer': reviewer } : {}) },
+    body: JSON.stringify(body || {})
+  });
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/review', reviewRoutes);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/review`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('actions require a reviewer', async () => {
+    for (const action of ['assign', 'close', 'reply/send']) {
+      const response = await post(`/email-1/${action}`, { assignee: 'carol' }, null);
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({
+        success: false,
+        error: 'Reviewer is required (X-Reviewer header or reviewer field)'
+      });
+    }
+
+    const response = await fetch(`${baseUrl}/email-1/classification`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email_type: 'Invoice/Billing' })
+    });
+    expect(response.status).toBe(400);
+    expect(databaseService.updateAnalysis).not.toHaveBeenCalled();
+    expect(databaseService.assignEmail).not.toHaveBeenCalled();
+    expect(databaseService.updateEmailStatus).not.toHaveBeenCalled();
+  });
+
+  test('assign and close report the new state', async () => {
+    const assigned = await post('/email-1/assign', { assignee: 'carol' });
+    expect(assigned.status).toBe(200);
+    expect((await assigned.json()).email.assigned_to).toBe('carol');
+
+    const closed = await post('/email-1/close', { reason: 'Duplicate' });
+    expect(closed.status).toBe(200);
+    expect(await closed.json()).toEqual({ success: true, from: EMAIL_STATUS.MANUAL_REVIEW, to: EMAIL_STATUS.CLOSED, changed: true });
+  });
+
+  test('reclassify accepts the reviewer from the body', async () => {
+    const response = await fetch(`${baseUrl}/email-1/classification`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email_type: 'Invoice/Billing', reviewer: 'alice' })
+    });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).analysis).toMatchObject({ email_type: 'Invoice/Billing', overridden_by: 'alice' });
+  });
+
+  test('reclassify rejects a type outside the caller\'s role', async () => {
+    jest.spyOn(authService, 'authenticate').mockResolvedValue({
+      type: 'user', id: 'user-1', name: 'pat', role: 'estimator',
+      permissions: ['emails:read', 'emails:review'], emailTypes: ['RFQ/Bid Request'], statuses: null
+    });
+    jest.spyOn(databaseService, 'getEmailScopes').mockResolvedValue([
+      { id: 'email-1', status: 'Manual Review', email_type: 'RFQ/Bid Request' }
+    ]);
+
+    const response = await fetch(`${baseUrl}/email-1/classification`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email_type: 'Invoice/Billing' })
+    });
+
+    expect(response.status).toBe(403);
+    expect(await response.json()).toEqual({ success: false, error: 'Role estimator cannot classify emails as Invoice/Billing' });
+    expect(db.analyses.get('email-1').email_type).toBe('RFQ/Bid Request');
+  });
+
+  test('conflicts map to 409', async () => {
+    const closeAgain = await post('/email-3/close');
+    expect(closeAgain.status).toBe(409);
+    expect(await closeAgain.json()).toEqual({ success: false, error: 'Email is already closed' });
+
+    const sendClaimed = await post('/email-2/reply/send', { text: 'Hi' });
+    expect(sendClaimed.status).toBe(409);
+    expect(await sendClaimed.json()).toEqual({ success: false, error: 'Email is claimed by bob' });
+
+    const assignClosed = await post('/email-3/assign', { assignee: 'carol' });
+    expect(assignClosed.status).toBe(409);
+
+    jest.spyOn(draftService, 'createReviewerDraft').mockResolvedValue({ id: 'draft-2', email_id: 'email-1' });
+    jest.spyOn(draftService, 'approveDraft').mockRejectedValue(new HttpError('Draft is already being sent by another approval', 409));
+    const sendRace = await post('/email-1/reply/send', { text: 'Hi' });
+    expect(sendRace.status).toBe(409);
+  });
+
+  test('a successful send returns the transport result', async () => {
+    jest.spyOn(draftService, 'createReviewerDraft').mockResolvedValue({ id: 'draft-3', email_id: 'email-1' });
+    jest.spyOn(draftService, 'approveDraft').mockResolvedValue({
+      draft: { id: 'draft-3', subject: 'Re: Bid', edited_by: null },
+      result: { success: true, messageId: '<reply-3@invextech.com>' }
+    });
+
+    const response = await post('/email-1/reply/send', { text: 'Quote attached.' });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      success: true,
+      result: { success: true, messageId: '<reply-3@invextech.com>', subject: 'Re: Bid', draft_id: 'draft-3', edited: false }
+    });
+    expect(draftService.createReviewerDraft).toHaveBeenCalledWith(expect.objectContaining({ id: 'email-1' }),
+      { subject: undefined, text: 'Quote attached.' }, 'alice');
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import llmService from '../src/services/LLMService.js';
+import MockLLMProvider from '../src/services/llmProviders/MockLLMProvider.js';
+import aiAnalysisService from '../src/services/AIAnalysisService.js';
+import databaseService from '../src/services/DatabaseService.js';
+import { validateTaxonomy } from '../src/services/TaxonomyRegistry.js';
+import rfqExtractor, { normalizeRfq, normalizeCsiDivision } from '../src/services/extractors/rfqExtractor.js';
+import {
+  normalizeCurrency,
+  normalizeDate,
+  normalizeTime,
+  normalizeTimezone,
+  normalizeDateTime,
+  normalizeUnit,
+  normalizePhone,
+  normalizeUrl
+} from '../src/utils/normalize.js';
+
+const receivedAt = new Date('2026-03-02T15:00:00Z');
+
+const rawRfq = {
+  project_name: ' Riverside Warehouse ',
+  bid_due: { date: 'Friday, March 6', time: '2:00 PM', timezone: 'EST' },
+  pre_bid_meeting: { date: '3/4/2026', time: '10am', timezone: null, location: 'Site trailer', mandatory: true },
+  site_walk: null,
+  trades: ['Concrete', 'concrete', 'Electrical'],
+  csi_divisions: ['Division 03', '26 05 00', 'Div. 3'],
+  scope_items: [
+    { description: 'Slab on grade', quantity: '12,500', unit: 'sq ft' },
+    { description: 'Curb and gutter', quantity: '300 LF', unit: null }
+  ],
+  bonding: { bid_bond: '5%', performance_bond: true, payment_bond: null },
+  insurance_requirements: ['GL $2M aggregate'],
+  plan_room_links: ['https://plans.example.com/riverside', 'not a link'],
+  contact: { name: 'Dana Ortiz', company: 'Acme Builders', role: 'Estimator', email: 'Dana@Acme.com', phone: '555-123-4567' },
+  estimated_value: '$1.2M'
+};
+
+describe('normalizers', () => {
+  test('dates resolve to ISO, inferring the year from the received date', () => {
+    expect(normalizeDate('3/15/26')).toBe('2026-03-15');
+    expect(normalizeDate('Friday, March 20, 2026')).toBe('2026-03-20');
+    expect(normalizeDate('tomorrow', { referenceDate: receivedAt })).toBe('2026-03-03');
+    expect(normalizeDate('Jan 5', { referenceDate: new Date('2026-11-20') })).toBe('2027-01-05');
+    expect(normalizeDate('sometime soon')).toBeNull();
+  });
+
+  test('times and timezones', () => {
+    expect(['2:00 PM', 'noon', '14:30', '10am'].map(normalizeTime)).toEqual(['14:00', '12:00', '14:30', '10:00']);
+    expect(normalizeTimezone('EST')).toBe('America/New_York');
+    expect(normalizeTimezone('Central')).toBe('America/Chicago');
+    expect(normalizeTimezone('America/Denver')).toBe('America/Denver');
+    expect(normalizeTimezone('XYZ')).toBeNull();
+  });
+
+  test('date-times carry the zone offset across DST and flag an assumed zone', () => {
+    expect(normalizeDateTime({ date: '2026-03-06', time: '2 PM', timezone: 'Eastern' }).datetime).toBe('2026-03-06T14:00:00-05:00');
+    expect(normalizeDateTime({ date: '2026-03-09', time: '2 PM', timezone: 'Eastern' }).datetime).toBe('2026-03-09T14:00:00-04:00');
+
+    expect(normalizeDateTime({ date: 'March 6', time: '2 PM', timezone: null }, {
+      referenceDate: receivedAt,
+      defaultTimezone: 'America/Chicago'
+    })).toEqual({
+      date: '2026-03-06',
+      time: '14:00',
+      timezone: 'America/Chicago',
+      datetime: '2026-03-06T14:00:00-06:00',
+      timezone_assumed: true
+    });
+  });
+
+  test('currency, units and contact details', () => {
+    expect(normalizeCurrency('$1.2M')).toBe(1200000);
+    expect(normalizeCurrency('250k')).toBe(250000);
+    expect(normalizeCurrency('($4,800.50)')).toBe(-4800.5);
+    expect(normalizeCurrency('TBD')).toBeNull();
+    expect(['sq ft', 'LF', 'cubic yards'].map(normalizeUnit)).toEqual(['SF', 'LF', 'CY']);
+    expect(normalizePhone('(555) 123-4567 x12')).toBe('+15551234567;ext=12');
+    expect(normalizeUrl('www.planroom.com/p/1')).toBe('https://www.planroom.com/p/1');
+    expect(normalizeUrl('ftp://plans.example.com')).toBeNull();
+  });
+
+  test('CSI divisions by number, section or name', () => {
+    expect(['Division 03', '26 00 00', '033000', 'Div. 9', 'Electrical'].map(value => normalizeCsiDivision(value)?.code))
+      .toEqual(['03', '26', '03', '09', '26']);
+    expect(normalizeCsiDivision('99')).toBeNull();
+  });
+});
+
+describe('normalizeRfq', () => {
+  test('turns the raw extraction into typed fields', () => {
+    const rfq = normalizeRfq(rawRfq, { referenceDate: receivedAt, defaultTimezone: 'America/Chicago' });
+
+    expect(rfq).toMatchObject({
+      schema_version: 1,
+      project_name: 'Riverside Warehouse',
+      bid_due: { date: '2026-03-06', time: '14:00', timezone: 'America/New_York', datetime: '2026-03-06T14:00:00-05:00', timezone_assumed: false },
+      pre_bid_meeting: { date: '2026-03-04', datetime: '2026-03-04T10:00:00-06:00', timezone_assumed: true, location: 'Site trailer', mandatory: true },
+      site_walk: null,
+      trades: ['Concrete', 'Electrical'],
+      csi_divisions: [{ code: '03', name: 'Concrete' }, { code: '26', name: 'Electrical' }],
+      scope_items: [
+        { description: 'Slab on grade', quantity: 12500, unit: 'SF' },
+        { description: 'Curb and gutter', quantity: 300, unit: 'LF' }
+      ],
+      bonding: { bid_bond_percent: 5, performance_bond: true, payment_bond: null },
+      plan_room_links: ['https://plans.example.com/riverside'],
+      contact: { name: 'Dana Ortiz', email: 'dana@acme.com', phone: '+15551234567' },
+      estimated_value: 1200000
+    });
+  });
+});
+
+describe('RFQ extraction pass', () => {
+  let originalProvider;
+
+  beforeEach(() => {
+    originalProvider = llmService.provider;
+  });
+
+  afterEach(() => {
+    llmService.provider = originalProvider;
+    jest.restoreAllMocks();
+  });
+
+  test('rfq types carry an extractor; unknown extractors are rejected', () => {
+    const type = { id: 'rfq', name: 'RFQ', description: 'Bids', workflow: 'rfq', decision: { automation_allowed: true, status: 'Pending Review', reason: 'ok' } };
+    expect(validateTaxonomy({ fallback: 'RFQ', types: [{ ...type, extraction: 'rfq' }] })).toEqual([]);
+    expect(validateTaxonomy({ fallback: 'RFQ', types: [{ ...type, extraction: 'lease' }] }))
+      .toEqual([expect.stringContaining('extraction must be one of rfq')]);
+  });
+
+  test('uses the extraction task in JSON mode and re-asks once on schema errors', async () => {
+    const responses = [JSON.stringify({ ...rawRfq, trades: 'Concrete' }), JSON.stringify(rawRfq)];
+    const provider = new MockLLMProvider({ respond: () => responses.shift() });
+    llmService.provider = provider;
+
+    const { data, extraction } = await aiAnalysisService.extractFields('email-1', rfqExtractor, {
+      subject: 'ITB: Riverside Warehouse',
+      body: 'Bids due Friday 2 PM EST',
+      receivedAt: receivedAt.toISOString()
+    });
+
+    expect(provider.calls).toHaveLength(2);
+    expect(provider.calls.every(call => call.task === 'extraction' && call.responseFormat === 'json')).toBe(true);
+    expect(provider.calls[1].messages[3].content).toContain('$.trades must be array');
+    expect(extraction).toEqual({ extractor: 'rfq', success: true, model: 'mock' });
+    expect(data.bid_due.datetime).toBe('2026-03-06T14:00:00-05:00');
+  });
+
+  test('never throws: a failed extraction is recorded with its errors', async () => {
+    llmService.provider = new MockLLMProvider({ respond: () => { throw new Error('provider down'); } });
+    const before = aiAnalysisService.getMetrics().extractions.failures;
+
+    const result = await aiAnalysisService.extractFields('email-2', rfqExtractor, { subject: 'RFQ', body: '' });
+
+    expect(result).toEqual({ data: null, extraction: { extractor: 'rfq', success: false, model: null, errors: ['provider down'] } });
+    expect(aiAnalysisService.getMetrics().extractions.failures).toBe(before + 1);
+  });
+
+  test('analyzeEmail stores the RFQ fields and takes the deadline from the bid due date', async () => {
+    const insertAnalysis = jest.spyOn(databaseService, 'insertAnalysis').mockResolvedValue({});
+    const mock = new MockLLMProvider();
+    llmService.provider = new MockLLMProvider({
+      respond: request => request.task === 'extraction' ? JSON.stringify(rawRfq) : mock.classify(request.messages)
+    });
+
+    const { analysis } = await aiAnalysisService.analyzeEmail('email-3', 'RFQ: Riverside Warehouse', 'Please bid the concrete package', false, [], {
+      receivedAt: receivedAt.toISOString()
+    });
+
+    const stored = insertAnalysis.mock.calls[0][0].extracted_data;
+    expect(stored.rfq.trades).toEqual(['Concrete', 'Electrical']);
+    expect(stored.extraction.success).toBe(true);
+    expect(stored.deadline).toBe('2026-03-06T14:00:00-05:00');
+    expect(stored.estimated_value).toBe(1200000);
+    expect(analysis.deadline).toBe(stored.deadline);
+  });
+
+  test('types without an extractor skip the second pass', async () => {
+    const insertAnalysis = jest.spyOn(databaseService, 'insertAnalysis').mockResolvedValue({});
+    const provider = new MockLLMProvider();
+    llmService.provider = provider;
+
+    await aiAnalysisService.analyzeEmail('email-4', 'RFI #14', 'Request for information on the footing detail');
+
+    expect(provider.calls.map(call => call.task)).toEqual(['classification']);
+    expect(insertAnalysis.mock.calls[0][0].extracted_data).not.toHaveProperty('extraction');
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, test, expect } from '@jest/globals';
+import decisionEngine from '../src/services/DecisionEngine.js';
+import { replayDecisions } from '../src/services/RuleSimulationService.js';
+
+function row(email_id, email_type, confidence_score, { status, automation_used, automation_allowed, thread_id, received_at } = {}) {
+  return {
+    email_id,
+    email_type,
+    confidence_score,
+    urgency: 'Medium',
+    extracted_data: {},
+    emails: {
+      id: email_id,
+      from_email: 'pm@gc.com',
+      subject: `Email ${email_id}`,
+      status,
+      thread_id: thread_id || null,
+      received_at: received_at || '2026-03-01T10:00:00Z',
+      workflows: automation_used === undefined ? [] : [
+        { workflow_type: email_type, automation_used, automation_allowed, success: true, executed_at: '2026-03-01T10:01:00Z' },
+        { workflow_type: 'Manual Reply', automation_used: false, success: true, executed_at: '2026-03-01T11:00:00Z' }
+      ]
+    }
+  };
+}
+
+const rows = [
+  row('a', 'RFQ/Bid Request', 0.75, { status: 'Pending Review', automation_used: true }),
+  row('b', 'RFQ/Bid Request', 0.95, { status: 'Pending Review', automation_used: true }),
+  row('c', 'Invoice/Billing', 0.65, { status: 'Manual Review', automation_used: false }),
+  row('d', 'Urgent Site Issue', 0.9, { status: 'Responded', automation_used: false }),
+  row('e', 'RFQ/Bid Request', 0.9, { status: 'Analyzing' })
+];
+
+describe('rule simulation', () => {
+  test('replaying with the active variables changes nothing', () => {
+    const { summary, emails } = replayDecisions(rows, decisionEngine.ruleSet, decisionEngine.getVariables());
+
+    expect(summary.total).toBe(5);
+    expect(summary.status_changed).toBe(0);
+    expect(summary.automation_changed).toBe(0);
+    expect(summary.status_not_comparable).toBe(2);
+    expect(summary.no_recorded_workflow).toBe(1);
+    expect(emails).toEqual([]);
+  });
+
+  test('raising the confidence threshold reports the emails that would be held back', () => {
+    const variables = { ...decisionEngine.getVariables(), confidenceThreshold: 0.8 };
+    const { summary, emails } = replayDecisions(rows, decisionEngine.ruleSet, variables);
+
+    expect(summary.status_changed).toBe(1);
+    expect(summary.newly_blocked).toBe(1);
+    expect(summary.newly_automated).toBe(0);
+    expect(emails).toHaveLength(1);
+    expect(emails[0]).toMatchObject({
+      email_id: 'a',
+      recorded: { status: 'Pending Review', automation_used: true },
+      simulated: { status: 'Manual Review', automation_allowed: false, rule_id: 'low-confidence' }
+    });
+  });
+
+  test('counts thread depth from the replayed conversation', () => {
+    const thread = [1, 2, 3].map(n => row(`t${n}`, 'RFQ/Bid Request', 0.9, {
+      status: 'Pending Review',
+      automation_used: true,
+      thread_id: 'thread-1',
+      received_at: `2026-03-0${n}T10:00:00Z`
+    }));
+
+    const { emails } = replayDecisions(thread, decisionEngine.ruleSet, decisionEngine.getVariables());
+    expect(emails.map(email => email.email_id)).toEqual(['t3']);
+    expect(emails[0].simulated.rule_id).toBe('long-thread');
+  });
+});
+
+describe('rule simulation status comparison', () => {
+  test('does not compare statuses set after the decision', () => {
+    const closed = [
+      row('x', 'RFQ/Bid Request', 0.9, { status: 'Closed', automation_used: true }),
+      row('y', 'RFQ/Bid Request', 0.9, { status: 'Awaiting Approval', automation_used: true })
+    ];
+
+    const { summary, emails } = replayDecisions(closed, decisionEngine.ruleSet, decisionEngine.getVariables());
+
+    expect(summary.status_not_comparable).toBe(2);
+    expect(summary.status_changed).toBe(0);
+    expect(emails).toEqual([]);
+  });
+});
+
+describe('rule simulation automation comparison', () => {
+  test('draft-mode workflows that sent nothing still count as allowed', () => {
+    const drafts = [
+      row('d1', 'RFQ/Bid Request', 0.9, { status: 'Awaiting Approval', automation_used: false, automation_allowed: true }),
+      row('d2', 'RFQ/Bid Request', 0.95, { status: 'Responded', automation_used: false, automation_allowed: true })
+    ];
+
+    const { summary, emails } = replayDecisions(drafts, decisionEngine.ruleSet, decisionEngine.getVariables());
+
+    expect(summary.automation_changed).toBe(0);
+    expect(summary.automation_not_comparable).toBe(0);
+    expect(emails).toEqual([]);
+  });
+
+  test('reports decisions that flip against the recorded automation_allowed', () => {
+    const recorded = [
+      row('n1', 'RFQ/Bid Request', 0.75, { status: 'Awaiting Approval', automation_used: false, automation_allowed: false }),
+      row('n2', 'RFQ/Bid Request', 0.9, { status: 'Awaiting Approval', automation_used: false, automation_allowed: true })
+    ];
+
+    const { summary, emails } = replayDecisions(recorded, decisionEngine.ruleSet, decisionEngine.getVariables());
+
+    expect(summary.automation_changed).toBe(1);
+    expect(summary.newly_automated).toBe(1);
+    expect(summary.newly_blocked).toBe(0);
+    expect(emails).toHaveLength(1);
+    expect(emails[0]).toMatchObject({
+      email_id: 'n1',
+      recorded: { automation_used: false, automation_allowed: false },
+      simulated: { automation_allowed: true },
+      automation_changed: true
+    });
+  });
+
+  test('legacy workflows without automation_allowed are only compared when a reply was sent', () => {
+    const legacy = [
+      row('l1', 'RFQ/Bid Request', 0.75, { status: 'Responded', automation_used: true }),
+      row('l2', 'RFQ/Bid Request', 0.75, { status: 'Awaiting Approval', automation_used: false })
+    ];
+    const variables = { ...decisionEngine.getVariables(), confidenceThreshold: 0.8 };
+
+    const { summary, emails } = replayDecisions(legacy, decisionEngine.ruleSet, variables);
+
+    expect(summary.automation_not_comparable).toBe(1);
+    expect(summary.newly_blocked).toBe(1);
+    expect(emails.map(email => email.email_id)).toEqual(['l1']);
+  });
+});
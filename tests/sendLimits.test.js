@@ -0,0 +1,204 @@
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { detectAutoResponse, pickAutoResponseHeaders } from '../src/utils/autoResponder.js';
+import { SendLimiter, SEND_BLOCKS } from '../src/services/SendLimiter.js';
+import { EmailSenderNew } from '../src/services/EmailSenderNew.js';
+import workflowExecutor from '../src/services/WorkflowExecutor.js';
+import sendLimiter from '../src/services/SendLimiter.js';
+import draftService from '../src/services/DraftService.js';
+import databaseService from '../src/services/DatabaseService.js';
+import emailSender from '../src/services/EmailSenderNew.js';
+import auditLogger from '../src/services/AuditLogger.js';
+
+const NOW = Date.parse('2026-03-10T15:00:00Z');
+const minutesAgo = minutes => new Date(NOW - minutes * 60000).toISOString();
+
+const EMAIL = { id: 'email-1', from_email: 'Pat@BuildCo.com', thread_id: 'thread-1', auto_reply_reason: null };
+
+/**
+ * outbound_emails stand-in counting sent rows like DatabaseService.countOutboundEmails,
+ * with an empty suppression list
+ */
+function createFakeDb(rows) {
+  return {
+    async countOutboundEmails({ since, ...filters }) {
+      return rows.filter(row => row.created_at >= since &&
+        Object.entries(filters).every(([key, value]) => value === undefined || row[key] === value)).length;
+    },
+    async getSuppressedRecipient() {
+      return null;
+    }
+  };
+}
+
+const options = { perMinute: 3, threadCooldownHours: 24, recipientPerDay: 2, domainPerHour: 3 };
+
+function createLimiter(rows) {
+  return new SendLimiter({ db: createFakeDb(rows), options, now: () => NOW });
+}
+
+const reply = (minutes, fields = {}) => ({
+  created_at: minutesAgo(minutes),
+  recipient: 'pat@buildco.com',
+  recipient_domain: 'buildco.com',
+  thread_id: 'thread-2',
+  automatic: true,
+  ...fields
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('auto-responder detection', () => {
+  test.each([
+    [{ headers: { 'Auto-Submitted': 'auto-replied' } }, 'Auto-Submitted: auto-replied'],
+    [{ headers: { 'X-Autoreply': 'yes' } }, 'X-Autoreply header'],
+    [{ headers: { 'X-Auto-Response-Suppress': 'All' } }, 'X-Auto-Response-Suppress: All'],
+    [{ headers: { Precedence: 'bulk' } }, 'Precedence: bulk'],
+    [{ headers: { 'List-Unsubscribe': '<mailto:leave@news.com>' } }, 'mailing list headers'],
+    [{ from_email: 'MAILER-DAEMON@mx.gc.com' }, 'automated sender address'],
+    [{ from_email: 'no-reply+bids@plans.com' }, 'automated sender address'],
+    [{ subject: 'Automatic reply: RFQ Riverside' }, 'out-of-office subject'],
+    [{ subject: 'Out of Office: Invoice 118' }, 'out-of-office subject'],
+    [{ subject: 'Respuesta automática: Cotización' }, 'out-of-office subject'],
+    [{ subject: 'Invoice 118', body: 'I am currently out of the office until Monday with limited access to email.' }, 'out-of-office body']
+  ])('flags %j', (email, reason) => {
+    expect(detectAutoResponse({ from_email: 'pat@buildco.com', subject: 'Hello', body: '', ...email })).toBe(reason);
+  });
+
+  test('leaves messages written by people alone', () => {
+    expect(detectAutoResponse({
+      from_email: 'pat@buildco.com',
+      subject: 'Re: Out of scope items for Riverside',
+      body: 'Can you price the out of scope items?',
+      headers: { 'Auto-Submitted': 'no', Precedence: 'first-class' }
+    })).toBeNull();
+    expect(detectAutoResponse({
+      from_email: 'pat@buildco.com',
+      subject: 'Schedule',
+      body: `I will be on vacation next week, so here is the full scope. ${'Details. '.repeat(200)}`
+    })).toBeNull();
+  });
+
+  test('keeps only the auto-response headers from Gmail header lists', () => {
+    expect(pickAutoResponseHeaders([
+      { name: 'Subject', value: 'Hi' },
+      { name: 'Auto-Submitted', value: ' auto-generated ' },
+      { name: 'List-Id', value: '<bids.example.com>' }
+    ])).toEqual({ 'auto-submitted': 'auto-generated', 'list-id': '<bids.example.com>' });
+  });
+});
+
+describe('SendLimiter', () => {
+  test('allows the first automatic reply', async () => {
+    expect(await createLimiter([]).checkAutomaticReply(EMAIL)).toBeNull();
+  });
+
+  test('never replies to automated email', async () => {
+    const block = await createLimiter([]).checkAutomaticReply({ ...EMAIL, auto_reply_reason: 'Precedence: bulk' });
+    expect(block).toEqual({ code: SEND_BLOCKS.AUTO_RESPONDER, reason: 'Inbound email is automated (Precedence: bulk)' });
+  });
+
+  test('sends one automatic reply per sender per thread within the cooldown', async () => {
+    expect((await createLimiter([reply(60 * 23, { thread_id: 'thread-1' })]).checkAutomaticReply(EMAIL)).code)
+      .toBe(SEND_BLOCKS.THREAD_COOLDOWN);
+    expect(await createLimiter([reply(60 * 25, { thread_id: 'thread-1' })]).checkAutomaticReply(EMAIL)).toBeNull();
+    expect(await createLimiter([reply(60, { thread_id: 'thread-1', automatic: false })]).checkAutomaticReply(EMAIL)).toBeNull();
+  });
+
+  test('caps automatic replies per address and per domain', async () => {
+    expect((await createLimiter([reply(10), reply(600)]).checkAutomaticReply(EMAIL)).code).toBe(SEND_BLOCKS.RECIPIENT_LIMIT);
+
+    const colleagues = ['a', 'b', 'c'].map(name => reply(20, { recipient: `${name}@buildco.com` }));
+    expect((await createLimiter(colleagues).checkAutomaticReply(EMAIL)).code).toBe(SEND_BLOCKS.DOMAIN_LIMIT);
+
+    const webmail = ['a', 'b', 'c'].map(name => reply(20, { recipient: `${name}@gmail.com`, recipient_domain: 'gmail.com' }));
+    expect(await createLimiter(webmail).checkAutomaticReply({ ...EMAIL, from_email: 'pat@gmail.com' })).toBeNull();
+  });
+
+  test('caps all sends per minute', async () => {
+    const recent = ['a', 'b', 'c'].map(name => reply(0.5, { recipient: `${name}@other.com`, recipient_domain: 'other.com', automatic: false }));
+
+    expect(await createLimiter(recent).checkGlobal()).toEqual({
+      code: SEND_BLOCKS.GLOBAL_LIMIT,
+      reason: 'Send limit of 3 emails per minute reached',
+      retry_after_seconds: 60
+    });
+    expect(await createLimiter(recent.slice(1)).checkGlobal()).toBeNull();
+  });
+});
+
+describe('rate-limited sending', () => {
+  test('EmailSenderNew sends nothing over the per-minute cap', async () => {
+    const sent = [];
+    const limiter = { checkBounced: async () => null, checkGlobal: async () => ({ code: SEND_BLOCKS.GLOBAL_LIMIT, reason: 'Send limit of 3 emails per minute reached', retry_after_seconds: 60 }) };
+    const sender = new EmailSenderNew({ transport: { name: 'test', send: async message => sent.push(message) }, db: {}, limiter, options: { copies: {} } });
+
+    const result = await sender.sendReply({ ...EMAIL, from_email: 'pat@buildco.com' }, { subject: 'Re: Hi', text: 'Thanks' });
+
+    expect(result).toEqual({ success: false, rate_limited: true, error: 'Send limit of 3 emails per minute reached', retry_after_seconds: 60 });
+    expect(sent).toHaveLength(0);
+  });
+
+  test('automatic replies are recorded per recipient and thread', async () => {
+    const outbound = [];
+    jest.spyOn(auditLogger, 'logEmailSent').mockResolvedValue();
+    const sender = new EmailSenderNew({
+      transport: { name: 'test', send: async message => ({ messageId: message.messageId, accepted: [message.to], rejected: [] }) },
+      db: { insertOutboundEmail: async row => outbound.push(row) },
+      limiter: { checkBounced: async () => null, checkGlobal: async () => null },
+      options: { copies: {} }
+    });
+
+    await sender.sendReply(EMAIL, { subject: 'Re: Hi', text: 'Thanks' }, { automatic: true });
+
+    expect(outbound[0]).toMatchObject({ recipient: 'pat@buildco.com', recipient_domain: 'buildco.com', thread_id: 'thread-1', automatic: true });
+  });
+});
+
+describe('WorkflowExecutor reply throttling', () => {
+  const analysis = { email_type: 'RFQ/Bid Request', extracted_data: {} };
+
+  function spyOnReplyPath(block) {
+    jest.spyOn(draftService, 'getReplyMode').mockReturnValue('auto');
+    jest.spyOn(sendLimiter, 'checkAutomaticReply').mockResolvedValue(block);
+    return {
+      log: jest.spyOn(auditLogger, 'log').mockResolvedValue(),
+      createDraft: jest.spyOn(draftService, 'createDraft').mockResolvedValue({ id: 'draft-1' }),
+      updateEmailStatus: jest.spyOn(databaseService, 'updateEmailStatus').mockResolvedValue({}),
+      send: jest.spyOn(emailSender, 'sendAIResponse').mockResolvedValue({ success: true })
+    };
+  }
+
+  test('suppresses replies inside a cooldown', async () => {
+    const spies = spyOnReplyPath({ code: SEND_BLOCKS.THREAD_COOLDOWN, reason: 'Already auto-replied' });
+
+    const result = await workflowExecutor.sendOrDraftReply(EMAIL, analysis);
+
+    expect(result).toEqual({ email_sent: false, action: 'Reply suppressed: Already auto-replied', suppressed: SEND_BLOCKS.THREAD_COOLDOWN });
+    expect(spies.log).toHaveBeenCalledWith('reply_suppressed', 'Reply suppressed: Already auto-replied', true, 'email-1', expect.any(Object));
+    expect(spies.send).not.toHaveBeenCalled();
+    expect(spies.createDraft).not.toHaveBeenCalled();
+  });
+
+  test('drafts the reply for approval over the per-minute cap', async () => {
+    const spies = spyOnReplyPath({ code: SEND_BLOCKS.GLOBAL_LIMIT, reason: 'Send limit of 30 emails per minute reached' });
+
+    const result = await workflowExecutor.sendOrDraftReply(EMAIL, analysis);
+
+    expect(result.action).toBe('Send limit of 30 emails per minute reached - AI reply drafted for approval (draft draft-1)');
+    expect(spies.updateEmailStatus).toHaveBeenCalledWith('email-1', 'Awaiting Approval', expect.objectContaining({ source: 'workflow' }));
+    expect(spies.send).not.toHaveBeenCalled();
+  });
+
+  test('does not draft replies to automated email', async () => {
+    jest.spyOn(draftService, 'getReplyMode').mockReturnValue('draft');
+    jest.spyOn(auditLogger, 'log').mockResolvedValue();
+    const createDraft = jest.spyOn(draftService, 'createDraft').mockResolvedValue({ id: 'draft-1' });
+
+    const result = await workflowExecutor.sendOrDraftReply({ ...EMAIL, auto_reply_reason: 'out-of-office subject' }, analysis);
+
+    expect(result.suppressed).toBe(SEND_BLOCKS.AUTO_RESPONDER);
+    expect(createDraft).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,11 @@
+// Dummy credentials so service singletons can be constructed offline.
+// Suites mock the Supabase, LLM and SMTP calls they make; audit log writes are
+// stubbed for every test in tests/setupAfterEnv.js.
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test-service-key';
+process.env.GROQ_API_KEY = process.env.GROQ_API_KEY || 'test-groq-key';
+process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'mock';
+process.env.SMTP_HOST = process.env.SMTP_HOST || 'localhost';
+process.env.SMTP_PORT = process.env.SMTP_PORT || '2525';
+process.env.SMTP_USER = process.env.SMTP_USER || 'test@example.com';
+process.env.SMTP_PASSWORD = process.env.SMTP_PASSWORD || 'test-password';
@@ -0,0 +1,8 @@
+import { beforeEach, jest } from '@jest/globals';
+import databaseService from '../src/services/DatabaseService.js';
+
+// Services write audit logs as a side effect of most actions; keep those writes
+// off the network (suites that assert on audit logging spy on auditLogger itself)
+beforeEach(() => {
+  jest.spyOn(databaseService, 'insertAuditLog').mockResolvedValue(null);
+});
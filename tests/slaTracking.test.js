@@ -0,0 +1,160 @@
+import { describe, test, expect } from '@jest/globals';
+import fs from 'fs';
+import { BusinessCalendar } from '../src/utils/businessCalendar.js';
+import { SlaService, SLA_STATES, validateSlaPolicies } from '../src/services/SlaService.js';
+
+const policies = JSON.parse(fs.readFileSync(new URL('../src/config/slaPolicies.json', import.meta.url), 'utf8'));
+
+const options = { channels: ['chat'], batchSize: 500 };
+
+// Tuesday 2026-03-10 10:00 CDT
+const NOW = Date.parse('2026-03-10T15:00:00Z');
+
+const minutesAgo = minutes => new Date(NOW - minutes * 60000).toISOString();
+
+/**
+ * In-memory stand-in for emails and sla_breaches
+ */
+function createFakeDb(emails) {
+  const breaches = [];
+  return {
+    emails,
+    breaches,
+    async listEmailsByStatus(statuses) {
+      return emails.filter(email => statuses.includes(email.status));
+    },
+    async getEmailStatuses(ids) {
+      return emails.filter(email => ids.includes(email.id));
+    },
+    async insertSlaBreaches(rows) {
+      const inserted = rows
+        .filter(row => !breaches.some(breach => breach.email_id === row.email_id && breach.policy_id === row.policy_id && breach.started_at === row.started_at))
+        .map(row => ({ id: `breach-${breaches.length + 1}`, resolved_at: null, ...row }));
+      breaches.push(...inserted);
+      return inserted;
+    },
+    async updateSlaBreach(id, fields) {
+      Object.assign(breaches.find(breach => breach.id === id), fields);
+    },
+    async listSlaBreaches({ unresolved }) {
+      return breaches.filter(breach => !unresolved || !breach.resolved_at);
+    },
+    async resolveSlaBreaches(ids, resolved_at) {
+      breaches.filter(breach => ids.includes(breach.id)).forEach(breach => { breach.resolved_at = resolved_at; });
+    }
+  };
+}
+
+function createService(emails) {
+  const db = createFakeDb(emails);
+  const alerts = [];
+  const clock = { now: NOW };
+  const channels = [{ name: 'chat', send: async message => alerts.push(message) }];
+  const service = new SlaService({ db, policies, channels, options, now: () => clock.now });
+  return { service, db, alerts, clock };
+}
+
+describe('business calendar', () => {
+  const calendar = new BusinessCalendar({ ...policies.calendar, holidays: ['2026-03-16'] });
+
+  test('business minutes skip nights, weekends and holidays', () => {
+    // Thursday 16:00 CDT + 4 business hours: 1h Thursday, 3h Friday
+    expect(new Date(calendar.addBusinessMinutes(Date.parse('2026-03-12T21:00:00Z'), 240)).toISOString()).toBe('2026-03-13T15:00:00.000Z');
+    // Friday 16:00 CDT + 4 business hours: Monday is a holiday, so Tuesday 10:00
+    expect(new Date(calendar.addBusinessMinutes(Date.parse('2026-03-13T21:00:00Z'), 240)).toISOString()).toBe('2026-03-17T15:00:00.000Z');
+  });
+
+  test('business days keep the time of day, or run to closing when started outside hours', () => {
+    expect(new Date(calendar.addBusinessDays(Date.parse('2026-03-09T21:00:00Z'), 1)).toISOString()).toBe('2026-03-10T21:00:00.000Z');
+    // Received Saturday: the clock starts Tuesday (after the holiday) and runs to Tuesday's close
+    expect(new Date(calendar.addBusinessDays(Date.parse('2026-03-14T18:00:00Z'), 1)).toISOString()).toBe('2026-03-17T22:00:00.000Z');
+    // Received after closing Wednesday: due Thursday at closing
+    expect(new Date(calendar.addBusinessDays(Date.parse('2026-03-11T23:30:00Z'), 1)).toISOString()).toBe('2026-03-12T22:00:00.000Z');
+  });
+
+  test('hours follow daylight saving time', () => {
+    // Friday 16:30 CST + 1 business hour: 30 min Friday, then Monday opens 07:00 CDT (12:00Z)
+    expect(new Date(calendar.addBusinessMinutes(Date.parse('2026-03-06T22:30:00Z'), 60)).toISOString()).toBe('2026-03-09T12:30:00.000Z');
+  });
+});
+
+describe('SLA evaluation', () => {
+  const { service } = createService([]);
+
+  test('picks the first matching policy', () => {
+    expect(service.findPolicy({ status: 'Pending Review', priority: 'High' }, { email_type: 'RFQ/Bid Request' }).id).toBe('rfq-review');
+    expect(service.findPolicy({ status: 'Pending Review', priority: 'High' }, { email_type: 'RFI' }).id).toBe('high-priority-review');
+    expect(service.findPolicy({ status: 'Pending Review', priority: 'Medium' }, { email_type: 'RFI' }).id).toBe('review');
+    expect(service.findPolicy({ status: 'Responded' }, { email_type: 'RFI' })).toBeNull();
+  });
+
+  test('critical escalations run on the wall clock and stop when claimed', () => {
+    const email = { status: 'Escalated', priority: 'Critical' };
+    expect(service.evaluate({ ...email, status_changed_at: minutesAgo(5) }, null)).toMatchObject({
+      policy_id: 'critical-acknowledge', state: SLA_STATES.ON_TRACK, minutes_remaining: 10
+    });
+    expect(service.evaluate({ ...email, status_changed_at: minutesAgo(12) }, null).state).toBe(SLA_STATES.AT_RISK);
+    expect(service.evaluate({ ...email, status_changed_at: minutesAgo(20) }, null)).toMatchObject({
+      state: SLA_STATES.BREACHED, due_at: minutesAgo(5)
+    });
+    expect(service.evaluate({ ...email, status_changed_at: minutesAgo(20), claimed_at: minutesAgo(18) }, null).state).toBe(SLA_STATES.MET);
+  });
+
+  test('rejects invalid policy documents', () => {
+    expect(validateSlaPolicies({
+      ...policies,
+      policies: [{ id: 'x', when: { statuses: [] }, target: { days: 1 }, until: 'never' }]
+    })).toEqual([
+      'policies[0] (x): when.statuses needs at least one status',
+      'policies[0] (x): target must be one positive minutes, hours or businessDays value',
+      'policies[0] (x): until must be one of claimed, resolved'
+    ]);
+  });
+});
+
+describe('breach checks', () => {
+  const emails = () => [
+    // Finance Review since Thursday 09:00 CST: due Monday 09:00 CDT -> overdue
+    { id: 'e1', subject: 'Invoice 42', from_email: 'ar@acme.com', status: 'Finance Review', priority: 'Medium', status_changed_at: '2026-03-05T15:00:00Z', email_analysis: [{ email_type: 'Invoice/Billing' }] },
+    // RFQ received Monday 13:00 CDT -> due today 13:00, at risk
+    { id: 'e2', subject: 'RFQ Riverside', from_email: 'gc@builder.com', status: 'Pending Review', priority: 'High', status_changed_at: '2026-03-09T18:00:00Z', email_analysis: [{ email_type: 'RFQ/Bid Request' }] },
+    // Critical, claimed in time
+    { id: 'e3', subject: 'Gas leak', from_email: 'super@site.com', status: 'Escalated', priority: 'Critical', status_changed_at: minutesAgo(30), claimed_at: minutesAgo(25), assigned_to: 'pat', email_analysis: [] }
+  ];
+
+  test('records each breach once and alerts in a single digest', async () => {
+    const { service, db, alerts } = createService(emails());
+
+    expect(await service.checkBreaches()).toEqual({ examined: 3, breached: 1, resolved: 0 });
+    expect(db.breaches[0]).toMatchObject({ email_id: 'e1', policy_id: 'finance-review', due_at: '2026-03-09T14:00:00.000Z', notified_channels: ['chat'] });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].subject).toBe('SLA breached: 1 email(s) overdue');
+    expect(alerts[0].text).toContain('"Invoice 42" from ar@acme.com: Finance Review (Medium), due Mar 9, 2026, 9:00 AM [finance-review], unassigned');
+
+    expect(await service.checkBreaches()).toEqual({ examined: 3, breached: 0, resolved: 0 });
+    expect(alerts).toHaveLength(1);
+  });
+
+  test('resolves breaches once the email leaves the status', async () => {
+    const { service, db } = createService(emails());
+    await service.checkBreaches();
+
+    Object.assign(db.emails[0], { status: 'Responded', status_changed_at: new Date(NOW).toISOString() });
+    expect(await service.checkBreaches()).toMatchObject({ breached: 0, resolved: 1 });
+    expect(db.breaches[0].resolved_at).toBe(new Date(NOW).toISOString());
+  });
+
+  test('report counts emails per policy and lists overdue and at-risk emails', async () => {
+    const { service } = createService(emails());
+    await service.checkBreaches();
+    const report = await service.getReport();
+
+    expect(report.policies.find(policy => policy.policy_id === 'finance-review')).toMatchObject({ open: 1, breached: 1, breaches: 1, breaches_resolved: 0 });
+    expect(report.policies.find(policy => policy.policy_id === 'critical-acknowledge')).toMatchObject({ open: 1, met: 1 });
+    expect(report.overdue.map(item => item.email_id)).toEqual(['e1']);
+    expect(report.at_risk).toEqual([expect.objectContaining({ email_id: 'e2', policy_id: 'rfq-review', due_at: '2026-03-10T18:00:00.000Z' })]);
+    expect(report.breaches).toEqual({ total: 1, resolved: 0 });
+
+    await expect(service.getReport({ since: 'last week' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
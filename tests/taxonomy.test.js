@@ -0,0 +1,56 @@
+import { describe, test, expect } from '@jest/globals';
+import taxonomyRegistry, { TaxonomyRegistry, validateTaxonomy } from '../src/services/TaxonomyRegistry.js';
+import aiAnalysisService from '../src/services/AIAnalysisService.js';
+import decisionEngine from '../src/services/DecisionEngine.js';
+import { getClassificationSchema } from '../src/schemas/classificationSchema.js';
+
+describe('taxonomy registry', () => {
+  test('includes the construction-specific types', () => {
+    expect(taxonomyRegistry.getTypeNames()).toEqual(expect.arrayContaining([
+      'RFQ/Bid Request', 'Urgent Site Issue', 'Invoice/Billing', 'Unknown/Unclear',
+      'Change Order', 'RFI', 'Submittal', 'Permit/Inspection Notice', 'Subcontractor Compliance', 'Vendor Spam'
+    ]));
+  });
+
+  test('unknown names resolve to the fallback type', () => {
+    expect(taxonomyRegistry.getType('Carrier Pigeon').name).toBe('Unknown/Unclear');
+  });
+
+  test('drives the prompt and the output schema', () => {
+    const prompt = aiAnalysisService.buildPrompt('Subject', 'Body');
+    taxonomyRegistry.getTypes().forEach(type => {
+      expect(prompt).toContain(`- ${type.name}: ${type.description}`);
+    });
+    expect(getClassificationSchema().properties.email_type.enum).toEqual(taxonomyRegistry.getTypeNames());
+  });
+
+  test('drives default decisions after the explicit rules', () => {
+    expect(decisionEngine.applyRules('Vendor Spam', 0.95)).toMatchObject({
+      rule_id: 'type:vendor-spam', status: 'Ignored', automation_allowed: false
+    });
+    expect(decisionEngine.applyRules('Change Order', 0.95).automation_allowed).toBe(false);
+    expect(decisionEngine.applyRules('RFI', 0.95).automation_allowed).toBe(true);
+
+    // Explicit rules still win: low confidence beats the type default
+    expect(decisionEngine.applyRules('RFI', 0.4).rule_id).toBe('low-confidence');
+  });
+
+  test('rejects invalid taxonomies', () => {
+    const errors = validateTaxonomy({
+      fallback: 'Other',
+      types: [
+        { id: 'a', name: 'A', description: 'a', workflow: 'teleport', decision: { automation_allowed: true, status: 'X', reason: 'r' } },
+        { id: 'a', name: 'B', description: 'b', workflow: 'route', decision: {} }
+      ]
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('workflow must be one of'),
+      expect.stringContaining('decision.status must be one of'),
+      expect.stringContaining('id is missing or duplicated'),
+      expect.stringContaining('decision needs'),
+      expect.stringContaining('fallback "Other"')
+    ]));
+    expect(() => new TaxonomyRegistry({ types: [] })).toThrow('Invalid email taxonomy');
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+import { createWebhookSignatureVerifier } from '../src/middleware/verifyWebhookSignature.js';
+import { computeSignature, signRequest, NonceStore } from '../src/utils/webhookSignature.js';
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const body = JSON.stringify({ from_email: 'bob@gc.com', subject: 'RFQ', body: 'Quote please' });
+
+function mockRequest(headers, rawBody = body) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    ip: '127.0.0.1',
+    originalUrl: '/api/emails/inbound',
+    rawBody: Buffer.from(rawBody),
+    get: name => lower[name.toLowerCase()]
+  };
+}
+
+function mockResponse() {
+  const res = { statusCode: 200, body: null };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = payload => { res.body = payload; return res; };
+  return res;
+}
+
+async function run(verifier, req) {
+  const res = mockResponse();
+  let passed = false;
+  await verifier(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+/**
+ * In-memory webhook_nonces table behind the DatabaseService methods NonceStore uses
+ */
+function createFakeDb() {
+  const rows = new Map();
+  return {
+    rows,
+    insertWebhookNonce: jest.fn(async (nonce, expires_at) => {
+      if (rows.has(nonce)) return false;
+      rows.set(nonce, expires_at);
+      return true;
+    }),
+    deleteExpiredWebhookNonces: jest.fn(async before => {
+      for (const [nonce, expires_at] of rows) {
+        if (expires_at < before) rows.delete(nonce);
+      }
+    })
+  };
+}
+
+describe('webhook signatures', () => {
+  let verifier;
+
+  beforeEach(() => {
+    verifier = createWebhookSignatureVerifier({
+      secrets: ['new-secret', 'old-secret'],
+      toleranceSeconds: 300,
+      nonceStore: new NonceStore({ db: createFakeDb(), ttlMs: 600000 }),
+      now: () => NOW
+    });
+  });
+
+  test('signature matches an independent HMAC computation', () => {
+    const expected = crypto.createHmac('sha256', 's3cret').update(`123.abc.${body}`).digest('hex');
+    expect(computeSignature('s3cret', 123, 'abc', body)).toBe(`v1=${expected}`);
+  });
+
+  test('accepts a correctly signed request', async () => {
+    const { passed } = await run(verifier, mockRequest(signRequest('new-secret', body, NOW)));
+    expect(passed).toBe(true);
+  });
+
+  test('accepts requests signed with any active secret during rotation', async () => {
+    const { passed } = await run(verifier, mockRequest(signRequest('old-secret', body, NOW)));
+    expect(passed).toBe(true);
+  });
+
+  test('rejects unknown secrets and tampered bodies', async () => {
+    const forged = await run(verifier, mockRequest(signRequest('guessed', body, NOW)));
+    expect(forged.passed).toBe(false);
+    expect(forged.res.statusCode).toBe(401);
+
+    const tampered = await run(verifier, mockRequest(signRequest('new-secret', body, NOW), body.replace('RFQ', 'Invoice')));
+    expect(tampered.passed).toBe(false);
+  });
+
+  test('rejects requests missing signature headers', async () => {
+    const { passed, res } = await run(verifier, mockRequest({}));
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('rejects timestamps outside the tolerance window', async () => {
+    const stale = await run(verifier, mockRequest(signRequest('new-secret', body, NOW - 301000)));
+    expect(stale.passed).toBe(false);
+
+    const future = await run(verifier, mockRequest(signRequest('new-secret', body, NOW + 301000)));
+    expect(future.passed).toBe(false);
+  });
+
+  test('rejects a replayed nonce', async () => {
+    const headers = signRequest('new-secret', body, NOW);
+
+    expect((await run(verifier, mockRequest(headers))).passed).toBe(true);
+    expect((await run(verifier, mockRequest(headers))).passed).toBe(false);
+  });
+
+  test('answers 503 when the nonce store is unreachable', async () => {
+    const db = createFakeDb();
+    db.insertWebhookNonce.mockRejectedValue(new Error('Failed to record webhook nonce: connection reset'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const unavailable = createWebhookSignatureVerifier({
+      secrets: ['new-secret'],
+      toleranceSeconds: 300,
+      nonceStore: new NonceStore({ db, ttlMs: 600000 }),
+      now: () => NOW
+    });
+
+    const { passed, res } = await run(unavailable, mockRequest(signRequest('new-secret', body, NOW)));
+
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(503);
+    console.error.mockRestore();
+  });
+
+  test('passes everything through when no secrets are configured', async () => {
+    const open = createWebhookSignatureVerifier({ secrets: [], toleranceSeconds: 300 });
+    expect((await run(open, mockRequest({}))).passed).toBe(true);
+  });
+});
+
+describe('NonceStore', () => {
+  test('rejects a nonce recorded by any instance', async () => {
+    const db = createFakeDb();
+    const first = new NonceStore({ db, ttlMs: 1000 });
+    const second = new NonceStore({ db, ttlMs: 1000 });
+
+    expect(await first.checkAndStore('a', 0)).toBe(true);
+    expect(await second.checkAndStore('a', 500)).toBe(false);
+    expect(db.rows.get('a')).toBe(new Date(1000).toISOString());
+  });
+
+  test('sweeps expired nonces at most once per interval', async () => {
+    const db = createFakeDb();
+    const store = new NonceStore({ db, ttlMs: 1000, sweepIntervalMs: 60000 });
+
+    await store.checkAndStore('a', 0);
+    await store.checkAndStore('b', 30000);
+    expect(db.deleteExpiredWebhookNonces).toHaveBeenCalledTimes(1);
+    expect(db.rows.has('a')).toBe(true);
+
+    expect(await store.checkAndStore('a', 60000)).toBe(true);
+    expect(db.deleteExpiredWebhookNonces).toHaveBeenLastCalledWith(new Date(60000).toISOString());
+    expect([...db.rows.keys()]).toEqual(['a']);
+  });
+
+  test('a failed sweep does not block the request', async () => {
+    const db = createFakeDb();
+    db.deleteExpiredWebhookNonces.mockRejectedValue(new Error('connection reset'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await new NonceStore({ db, ttlMs: 1000 }).checkAndStore('a', 0)).toBe(true);
+    console.warn.mockRestore();
+  });
+});
@@ -1,9 +1,13 @@
 import express from 'express';
 import fs from 'fs';
+import crypto from 'crypto';
 
 const app = express();
 const PORT = process.env.WEBHOOK_PORT || 3000;
 
+// Shared secret used to sign forwarded requests (first entry of WEBHOOK_SECRETS)
+const WEBHOOK_SECRET = (process.env.WEBHOOK_SECRETS || process.env.WEBHOOK_SECRET || '').split(',')[0].trim();
+
 // Enhanced middleware with better error handling
 app.use(express.json({
   limit: '10mb',
@@ -99,12 +103,10 @@ async function processEmail(email) {
     }
     
     // Skip system emails that aren't relevant for business
+    // (bounces from mailer-daemon@/postmaster@ are forwarded: the API matches them to our replies)
     const systemEmails = [
-      'mailer-daemon@',
       'noreply@',
-      'no-reply@',
-      'postmaster@',
-      'delivery-status@'
+      'no-reply@'
     ];
     
     const isSystemEmail = systemEmails.some(pattern => 
@@ -149,19 +151,29 @@ async function processEmail(email) {
       subject: email.subject,
       body: email.body || email.snippet || 'No body content available',
       hasAttachments: email.hasAttachments || false,
-      attachmentInfo: email.attachmentInfo || []
+      attachmentInfo: email.attachmentInfo || [],
+      // RFC 5322 headers used for deduplication and threading
+      message_id: email.rfcMessageId || email.headers?.['Message-ID'] || null,
+      in_reply_to: email.inReplyTo || email.headers?.['In-Reply-To'] || null,
+      references: email.references || email.headers?.['References'] || null,
+      // Auto-Submitted, Precedence, List-Id etc. let the API recognize automated mail
+      headers: email.headers || null,
+      // message/delivery-status part of a bounce (RFC 3464), when the Apps Script extracts it
+      delivery_status: email.deliveryStatus || null
     };
     
     console.log('📤 Forwarding to local server...');
     console.log('📋 Data being sent:', JSON.stringify(webhookData, null, 2));
     
-    // Send to your local main server
+    // Send to your local main server (signed - the API rejects unsigned requests)
+    const body = JSON.stringify(webhookData);
     const response = await fetch('http://localhost:3001/api/emails/inbound', {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...signatureHeaders(body)
       },
-      body: JSON.stringify(webhookData)
+      body
     });
     
     const responseText = await response.text();
@@ -194,6 +206,28 @@ async function processEmail(email) {
   }
 }
 
+// HMAC signature headers expected by POST /api/emails/inbound
+// Signs `${timestamp}.${nonce}.${body}` with HMAC-SHA256
+function signatureHeaders(body) {
+  if (!WEBHOOK_SECRET) {
+    console.warn('⚠️  WEBHOOK_SECRET not set - forwarding unsigned request');
+    return {};
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const nonce = crypto.randomUUID();
+  const signature = crypto
+    .createHmac('sha256', WEBHOOK_SECRET)
+    .update(`${timestamp}.${nonce}.${body}`)
+    .digest('hex');
+
+  return {
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Nonce': nonce,
+    'X-Webhook-Signature': `v1=${signature}`
+  };
+}
+
 // Enhanced logging function
 function logToFile(email, status, errorDetails = null) {
   try {